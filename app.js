@@ -0,0 +1,191 @@
+require("dotenv").config();
+const path = require("path");
+const express = require("express");
+const userRoutes = require("./routes/userRoutes");
+const swaggerJsdoc = require("swagger-jsdoc");
+const swaggerUi = require("swagger-ui-express");
+const courseRoutes = require("./routes/courseRoutes");
+const lessonRoutes = require("./routes/lessonRoutes");
+const topicRoutes = require("./routes/topicRoutes");
+const enrollmentRoutes = require("./routes/enrollmentRoutes");
+const progressRoutes = require("./routes/progressRoutes");
+const quizRoutes = require("./routes/quizRoutes");
+const integrityRoutes = require("./routes/integrityRoutes");
+const orderRoutes = require("./routes/orderRoutes");
+const couponRoutes = require("./routes/couponRoutes");
+const recommendationRoutes = require("./routes/recommendationRoutes");
+const reviewRoutes = require("./routes/reviewRoutes");
+const discussionRoutes = require("./routes/discussionRoutes");
+const certificateRoutes = require("./routes/certificateRoutes");
+const publishingRoutes = require("./routes/publishingRoutes");
+const auditRoutes = require("./routes/auditRoutes");
+const courseArchiveRoutes = require("./routes/courseArchiveRoutes");
+const videoRoutes = require("./routes/videoRoutes");
+const notificationRoutes = require("./routes/notificationRoutes");
+const realtimeRoutes = require("./routes/realtimeRoutes");
+const { requireDatabase } = require("./middleware/databaseMiddleware");
+const { getStorage } = require("./utils/storage");
+const { buildApiDocs } = require("./utils/apiDocs");
+const app = express();
+// const cors = require("cors");
+
+// The Express app, without a server or database connection of its own:
+// index.js runs it as a long-lived server, handler.js on AWS Lambda.
+
+// Behind a proxy or load balancer (including API Gateway on Lambda), set
+// TRUST_PROXY so req.ip is the client's address rather than the proxy's; the
+// per-IP rate limits depend on it. Accepts "true", a number of hops or a
+// list of trusted addresses.
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy) {
+  app.set(
+    "trust proxy",
+    trustProxy === "true"
+      ? true
+      : /^\d+$/.test(trustProxy)
+      ? Number(trustProxy)
+      : trustProxy
+  );
+}
+
+// Middleware for JSON. The raw body is kept for verifying payment webhook
+// signatures.
+app.use(
+  express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
+// Serve static files for uploaded images
+// app.use(
+//   cors({
+//     origin: "http://localhost:3001", // React app's URL
+//   })
+// );
+
+app.use(express.urlencoded({ extended: true }));
+
+// Media stored with the local storage driver is served from its root,
+// except private media (videos and captions), which is only streamed
+// through signed URLs (routes/videoRoutes.js)
+const isPrivatePath = (urlPath) => {
+  try {
+    const normalized = path.posix.normalize(decodeURIComponent(urlPath));
+    return /^\/private(\/|$)/i.test(normalized);
+  } catch (err) {
+    return true; // Malformed escapes are refused rather than guessed at
+  }
+};
+let serveUploads;
+app.use("/uploads", (req, res, next) => {
+  const storage = getStorage();
+  if (storage.name !== "local" || isPrivatePath(req.path)) return next();
+  serveUploads = serveUploads || express.static(storage.root);
+  serveUploads(req, res, next);
+});
+
+// API routes. The database connection is made on the first request and
+// reused afterwards.
+app.use("/api", requireDatabase);
+const apiRoutes = [
+  userRoutes,
+  courseRoutes,
+  lessonRoutes,
+  topicRoutes,
+  enrollmentRoutes,
+  progressRoutes,
+  quizRoutes,
+  integrityRoutes,
+  orderRoutes,
+  couponRoutes,
+  recommendationRoutes,
+  reviewRoutes,
+  discussionRoutes,
+  certificateRoutes,
+  publishingRoutes,
+  auditRoutes,
+  courseArchiveRoutes,
+  videoRoutes,
+  notificationRoutes,
+  realtimeRoutes,
+];
+apiRoutes.forEach((routes) => app.use("/api", routes));
+
+// Swagger setup
+const swaggerOptions = {
+  swaggerDefinition: {
+    openapi: "3.0.0",
+    info: {
+      title: "User API",
+      version: "1.0.0",
+      description:
+        "API documentation for user management, courses, lessons, and topics",
+    },
+    servers: [
+      {
+        url: "http://localhost:3000",
+        description: "Local server",
+      },
+    ],
+    components: {
+      securitySchemes: {
+        BearerAuth: {
+          type: "http",
+          scheme: "bearer",
+          bearerFormat: "JWT",
+        },
+      },
+    },
+    security: [
+      {
+        BearerAuth: [],
+      },
+    ],
+  },
+  apis: [
+    "./routes/userRoutes.js",
+    "./routes/courseRoutes.js",
+    "./routes/lessonRoutes.js",
+    "./routes/topicRoutes.js",
+    "./routes/enrollmentRoutes.js",
+    "./routes/progressRoutes.js",
+    "./routes/quizRoutes.js",
+    "./routes/integrityRoutes.js",
+    "./routes/orderRoutes.js",
+    "./routes/couponRoutes.js",
+    "./routes/recommendationRoutes.js",
+    "./routes/reviewRoutes.js",
+    "./routes/discussionRoutes.js",
+    "./routes/certificateRoutes.js",
+    "./routes/publishingRoutes.js",
+    "./routes/auditRoutes.js",
+    "./routes/courseArchiveRoutes.js",
+    "./routes/videoRoutes.js",
+    "./routes/notificationRoutes.js",
+    "./routes/realtimeRoutes.js",
+  ], // Adjust paths as needed
+};
+
+// Parameters and request bodies are generated from the routes' validation
+// schemas
+const swaggerDocs = swaggerJsdoc(swaggerOptions);
+const undocumented = buildApiDocs(swaggerDocs, "/api", apiRoutes);
+if (undocumented.length) {
+  console.warn(`Routes without API docs: ${undocumented.join(", ")}`);
+}
+app.locals.apiDocs = swaggerDocs;
+app.get("/api-docs.json", (req, res) => res.json(swaggerDocs));
+app.use("/api-docs", swaggerUi.serve, swaggerUi.setup(swaggerDocs));
+
+// Errors not handled by a route (e.g. malformed JSON bodies) are answered
+// with JSON like every other error
+app.use((err, req, res, next) => {
+  const status = err.status || err.statusCode || 500;
+  if (status >= 500) console.error("Unhandled error:", err);
+  res.status(status).json({
+    error: status >= 500 ? "Internal server error" : err.message,
+  });
+});
+
+module.exports = app;
@@ -1,16 +1,30 @@
 const mongoose = require('mongoose');
 
-const connectDB = async () => {
-  try {
-    await mongoose.connect(process.env.MONGO_URI, {
-      useNewUrlParser: true,
-      useUnifiedTopology: true,
-    });
-    console.log("MongoDB connected");
-  } catch (err) {
-    console.error("MongoDB connection error:", err);
-    process.exit(1);
+let connecting = null;
+
+// Connect to MongoDB once and share the connection: concurrent callers wait
+// for the same attempt, and warm serverless invocations reuse it. A failed
+// attempt is thrown to the caller and forgotten, so the next call retries.
+const connectDB = () => {
+  const { readyState } = mongoose.connection;
+  if (!connecting || readyState === 0 || readyState === 3) {
+    connecting = mongoose
+      .connect(process.env.MONGO_URI, {
+        // Fail fast instead of hanging a request for the default 30s
+        serverSelectionTimeoutMS:
+          Number(process.env.MONGO_CONNECT_TIMEOUT_MS) || 5000,
+      })
+      .then(() => {
+        console.log("MongoDB connected");
+        return mongoose.connection;
+      })
+      .catch((err) => {
+        connecting = null;
+        console.error("MongoDB connection error:", err);
+        throw err;
+      });
   }
+  return connecting;
 };
 
 module.exports = connectDB;
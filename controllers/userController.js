@@ -1,23 +1,76 @@
 const User = require("../models/User");
-const jwt = require("jsonwebtoken");
-const tokenBlacklist = require("../utils/tokenBlacklist"); // Import the blacklist utility
+const Enrollment = require("../models/enrollment");
+const Session = require("../models/session");
+const {
+  createSession,
+  rotateSession,
+  revokeSession,
+  signAccessToken,
+} = require("../utils/sessions");
+const {
+  TOKEN_TTL_MINUTES,
+  createAuthToken,
+  consumeAuthToken,
+  buildLink,
+} = require("../utils/authTokens");
+const { sendMail } = require("../utils/mailer");
+const { paginate } = require("../utils/queryHelper");
+const { notifyEnrollment } = require("../utils/notifications");
+const {
+  isLocked,
+  recordFailedLogin,
+  clearFailedLogins,
+  unlockUser,
+} = require("../utils/lockout");
+
+// Mail failures are logged rather than failing the request; users can ask
+// for another email
+const notify = (to, template, data) =>
+  sendMail(to, template, data).catch((err) =>
+    console.error(`Failed to send ${template} email:`, err)
+  );
+
+const sendVerificationEmail = async (user) => {
+  const token = await createAuthToken(user._id, "email_verification");
+  await notify(user.email, "verifyEmail", {
+    name: user.name,
+    link: buildLink("/verify-email", token),
+  });
+};
 
 // Get all users
 exports.getAllUsers = async (req, res) => {
   try {
-    const users = await User.find();
+    const users = await paginate(User, req, {
+      filters: { role: "string", email: "string", name: "string", emailVerified: "boolean" },
+      sortable: ["name", "email", "role"],
+      selectable: ["name", "email", "role", "profilePhoto", "phoneNumber", "courses", "knowledge", "emailVerified"],
+      defaultSelect: "-password", // Never list password hashes
+    });
     res.json(users);
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    res.status(err.status || 500).json({ message: err.message });
   }
 };
 
 // Create a new user (Admin functionality)
 exports.createUser = async (req, res) => {
   const { name, email, password, role, profilePhoto, phoneNumber, courses, knowledge } = req.body;
-  const user = new User({ name, email, password, role, profilePhoto, phoneNumber, courses, knowledge });
+  // Accounts created by an admin are trusted and need no verification
+  const user = new User({ name, email, password, role, profilePhoto, phoneNumber, courses, knowledge, emailVerified: true });
   try {
     const newUser = await user.save();
+
+    // Courses assigned by an admin become real enrollments
+    if (newUser.courses.length) {
+      await Enrollment.insertMany(
+        newUser.courses.map((courseId) => ({ userId: newUser._id, courseId }))
+      );
+      for (const courseId of newUser.courses) {
+        await notifyEnrollment([newUser._id], courseId, true);
+      }
+    }
+
     res.status(201).json(newUser);
   } catch (err) {
     res.status(400).json({ message: err.message });
@@ -26,7 +79,7 @@ exports.createUser = async (req, res) => {
 
 // Signup
 exports.signup = async (req, res) => {
-  const { name, email, password, role, profilePhoto, phoneNumber, courses, knowledge } = req.body;
+  const { name, email, password, profilePhoto, phoneNumber, knowledge } = req.body;
   try {
     const existingUser = await User.findOne({ email });
     if (existingUser) {
@@ -36,33 +89,33 @@ exports.signup = async (req, res) => {
       name,
       email,
       password,
-      role: role || "user", // Default to 'user'
+      role: "user", // Other roles are only given by admins
       profilePhoto,
       phoneNumber,
-      courses,
-      knowledge
+      knowledge,
+      emailVerified: false,
     });
     const newUser = await user.save();
 
-    // Generate JWT token on signup and return it
-    const token = jwt.sign(
-      { id: newUser._id, role: newUser.role },
-      process.env.JWT_SECRET,
-      { expiresIn: "1h" }
-    );
-    
-    // Return the user object and token for immediate login after signup
+    // The user can log in once they follow the link in this email
+    await sendVerificationEmail(newUser);
+
     res.status(201).json({ 
-      message: "User created successfully", 
+      message: "User created successfully. Please check your email to verify your account.", 
       user: newUser,
-      token, // Include the token for auto-login
     });
   } catch (err) {
     res.status(400).json({ message: err.message });
   }
 };
 
-// Login
+const lockedResponse = (res, user) =>
+  res.status(423).json({
+    message: "Account locked after too many failed login attempts. Please try again later.",
+    lockedUntil: user.lockedUntil,
+  });
+
+// Login. Repeated failures lock the account (see utils/lockout.js).
 exports.login = async (req, res) => {
   const { email, password } = req.body;
   try {
@@ -70,21 +123,36 @@ exports.login = async (req, res) => {
     if (!user) {
       return res.status(400).json({ message: "Invalid email or password" });
     }
+    // The password is not even checked while the account is locked
+    if (isLocked(user)) {
+      return lockedResponse(res, user);
+    }
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      const { user: failed, locked } = await recordFailedLogin(user);
+      if (locked) {
+        await notify(user.email, "accountLocked", {
+          name: user.name,
+          lockedUntil: failed.lockedUntil.toUTCString(),
+        });
+        return lockedResponse(res, failed);
+      }
       return res.status(400).json({ message: "Invalid email or password" });
     }
+    if (user.emailVerified === false) {
+      return res.status(403).json({ message: "Please verify your email before logging in" });
+    }
+    if (user.failedLoginAttempts || user.lockoutCount) {
+      await clearFailedLogins(user._id);
+    }
 
-    // Generate JWT token on login
-    const token = jwt.sign(
-      { id: user._id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: "1h" }
-    );
+    // Start a new session (device) on login
+    const { token, refreshToken } = await createSession(user, req);
 
     res.json({ 
       message: "Login successful", 
       token, 
+      refreshToken,
       user 
     });
   } catch (err) {
@@ -92,16 +160,210 @@ exports.login = async (req, res) => {
   }
 };
 
-// Logout
-exports.logout = (req, res) => {
-  const token = req.headers['authorization']?.split(' ')[1]; // Extract token from Authorization header
-  if (token) {
-    tokenBlacklist.add(token); // Add token to blacklist
+// Verify an email address and log the user in
+exports.verifyEmail = async (req, res) => {
+  const { token } = req.body;
+  if (!token) {
+    return res.status(400).json({ message: "Verification token required" });
+  }
+  try {
+    const authToken = await consumeAuthToken(token, "email_verification");
+    if (!authToken) {
+      return res.status(400).json({ message: "Invalid or expired verification token" });
+    }
+    const user = await User.findById(authToken.userId);
+    if (!user) {
+      return res.status(400).json({ message: "Invalid or expired verification token" });
+    }
+    user.emailVerified = true;
+    await user.save();
+
+    const { token: accessToken, refreshToken } = await createSession(user, req);
+    res.json({
+      message: "Email verified successfully",
+      token: accessToken,
+      refreshToken,
+      user,
+    });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
+
+// Send a new verification email. The response is the same whether or not
+// the address is registered so it cannot be used to probe for accounts.
+exports.resendVerification = async (req, res) => {
+  const { email } = req.body;
+  try {
+    const user = email && (await User.findOne({ email }));
+    if (user && user.emailVerified === false) {
+      await sendVerificationEmail(user);
+    }
+    res.json({ message: "If the account needs verification, an email has been sent" });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
+
+// Email a password reset link (same response for unknown addresses)
+exports.forgotPassword = async (req, res) => {
+  const { email } = req.body;
+  try {
+    const user = email && (await User.findOne({ email }));
+    if (user) {
+      const token = await createAuthToken(user._id, "password_reset");
+      await notify(user.email, "passwordReset", {
+        name: user.name,
+        link: buildLink("/reset-password", token),
+        expiresInMinutes: TOKEN_TTL_MINUTES.password_reset,
+      });
+    }
+    res.json({ message: "If an account exists for that email, a reset link has been sent" });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
+
+// Set a new password using a reset token and log out every device
+exports.resetPassword = async (req, res) => {
+  const { token, password } = req.body;
+  if (!token || !password) {
+    return res.status(400).json({ message: "Token and new password are required" });
+  }
+  try {
+    const authToken = await consumeAuthToken(token, "password_reset");
+    if (!authToken) {
+      return res.status(400).json({ message: "Invalid or expired reset token" });
+    }
+    const user = await User.findById(authToken.userId);
+    if (!user) {
+      return res.status(400).json({ message: "Invalid or expired reset token" });
+    }
+
+    user.password = password; // Hashed by the pre-save hook
+    user.emailVerified = true; // Following the link proves they own the address
+    await user.save();
+    await revokeSession({ userId: user._id });
+    await clearFailedLogins(user._id); // Guessing the old password no longer matters
+    await notify(user.email, "passwordChanged", { name: user.name });
+
+    res.json({ message: "Password has been reset. Please log in again." });
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  }
+};
+
+// Exchange a refresh token for a new access token and refresh token
+exports.refreshToken = async (req, res) => {
+  const { refreshToken } = req.body;
+  try {
+    const rotated = await rotateSession(refreshToken, req);
+    if (!rotated) {
+      return res.status(401).json({ message: "Invalid or expired refresh token" });
+    }
+    const user = await User.findById(rotated.session.userId);
+    if (!user) {
+      return res.status(401).json({ message: "Invalid or expired refresh token" });
+    }
+    res.json({
+      token: signAccessToken(user, rotated.session),
+      refreshToken: rotated.refreshToken,
+    });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
+
+// Logout (revoke the current session)
+exports.logout = async (req, res) => {
+  try {
+    await revokeSession({ _id: req.authSession._id });
+    res.json({ message: "Logout successful" });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
+
+// Logout from every device
+exports.logoutAll = async (req, res) => {
+  try {
+    const result = await revokeSession({ userId: req.user._id });
+    res.json({
+      message: "Logged out from all devices",
+      sessionsRevoked: result.modifiedCount,
+    });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
+
+// List the user's active sessions
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find(
+      { userId: req.user._id, revokedAt: { $exists: false }, expiresAt: { $gt: new Date() } },
+      "userAgent ip createdAt lastUsedAt expiresAt"
+    ).sort({ lastUsedAt: -1 });
+    res.json(
+      sessions.map((session) => ({
+        ...session.toObject(),
+        current: session._id.equals(req.authSession._id),
+      }))
+    );
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
+
+// Revoke one of the user's sessions (e.g. a lost device)
+exports.revokeSession = async (req, res) => {
+  try {
+    const result = await revokeSession({ _id: req.params.id, userId: req.user._id });
+    if (!result.matchedCount) {
+      return res.status(404).json({ message: "Session not found" });
+    }
+    res.json({ message: "Session revoked" });
+  } catch (err) {
+    res.status(400).json({ message: err.message });
   }
-  res.json({ message: "Logout successful" });
 };
 
 // Get Profile
 exports.getProfile = (req, res) => {
   res.json(req.user); // Respond with the user's data
 };
+
+// List locked accounts and accounts with recent failed logins (Admin functionality)
+exports.getLockouts = async (req, res) => {
+  try {
+    const baseFilter = req.query.locked === false
+      ? { failedLoginAttempts: { $gt: 0 } }
+      : { lockedUntil: { $gt: new Date() } };
+    const lockouts = await paginate(User, req, {
+      baseFilter,
+      filters: { email: "string", lockedUntil: "date", lastFailedLoginAt: "date" },
+      sortable: ["lockedUntil", "lastFailedLoginAt", "failedLoginAttempts"],
+      defaultSort: "-lastFailedLoginAt",
+      defaultSelect: "name email role failedLoginAttempts lastFailedLoginAt lockoutCount lockedUntil",
+    });
+    res.json({
+      ...lockouts,
+      data: lockouts.data.map((user) => user.toJSON({ lockout: true })),
+    });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+};
+
+// Lift a user's lockout and reset their failed logins (Admin functionality)
+exports.clearLockout = async (req, res) => {
+  try {
+    const user = await unlockUser(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    res.json({ message: "Lockout cleared" });
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  }
+};
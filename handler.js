@@ -0,0 +1,18 @@
+const serverless = require("serverless-http");
+const app = require("./app");
+
+// AWS Lambda entry point (API Gateway or function URL events), e.g. with
+// the handler set to "handler.handler". The module is loaded once per
+// container, so the app and its MongoDB connection (config/db.js) are
+// reused by warm invocations. Lambda has no writable project directory:
+// set STORAGE_DRIVER=s3 (the default on Lambda) for uploaded media.
+const handleRequest = serverless(app);
+
+const handler = async (event, context) => {
+  // Return as soon as the response is ready instead of waiting for the
+  // open MongoDB connection to close
+  context.callbackWaitsForEmptyEventLoop = false;
+  return handleRequest(event, context);
+};
+
+module.exports = { handler };
@@ -0,0 +1,67 @@
+const mongoose = require("mongoose");
+const { recordAuditEvent } = require("../utils/audit");
+const { publishContentChange } = require("../utils/realtime");
+
+// Record an audit event for a successful mutating admin request. The target
+// document is read before the handler runs and again just before its
+// success response is sent, so the event is stored even when the process is
+// frozen right after responding (as on Lambda).
+//
+// `Model` may also be a function of the request returning the model. The
+// target's ID is req.params.id by default; for creations it is taken from
+// the response.
+//
+// Changes to course content are also pushed to connected clients
+// (utils/realtime.js).
+const audit = (action, Model, findId = (req) => req.params.id) => {
+  const modelFor = Model.modelName ? () => Model : Model;
+
+  return async (req, res, next) => {
+    try {
+      const TargetModel = modelFor(req);
+      const id = findId(req);
+      const before =
+        id && mongoose.isValidObjectId(id)
+          ? await TargetModel.findById(id).lean()
+          : null;
+
+      const json = res.json.bind(res);
+      res.json = (body) => {
+        if (res.statusCode >= 400) return json(body);
+
+        const entityId = id || (body && body._id);
+        const record = async () => {
+          const after = entityId
+            ? await TargetModel.findById(entityId).lean()
+            : null;
+          const change = {
+            action,
+            entity: TargetModel.modelName,
+            entityId,
+            before,
+            after,
+          };
+          await recordAuditEvent(req, change);
+          await publishContentChange(change);
+        };
+        record()
+          .catch((err) => console.error(`Failed to audit ${action}:`, err))
+          .finally(() => json(body));
+        return res;
+      };
+      next();
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  };
+};
+
+// Audit what moderators do to other users' posts. `findPost(req)` returns
+// the post, loaded by an earlier middleware; authors changing their own
+// posts are not audited.
+const auditModeration = (action, Model, findPost) => (req, res, next) =>
+  String(findPost(req).userId) === String(req.user._id)
+    ? next()
+    : audit(action, Model)(req, res, next);
+
+module.exports = { audit, auditModeration };
@@ -1,6 +1,7 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
-const tokenBlacklist = require('../utils/tokenBlacklist'); // Import your blacklist utility
+const Session = require('../models/session');
+const { permissionFor, ownsCourses, findCourses } = require('../utils/permissions');
 
 const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
@@ -10,33 +11,68 @@ const authenticateToken = async (req, res, next) => {
     return res.status(401).json({ message: 'Access denied. No token provided.' });
   }
 
-  // Check if the token is blacklisted
-  if (tokenBlacklist.isBlacklisted(token)) {
-    return res.status(403).json({ message: 'Token is blacklisted. Please log in again.' });
-  }
-
   try {
     const userPayload = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Tokens are only valid while the session they were issued for is alive
+    const session = userPayload.sid && (await Session.findById(userPayload.sid));
+    if (!session || session.revokedAt || String(session.userId) !== String(userPayload.id)) {
+      return res.status(403).json({ message: 'Session has been revoked. Please log in again.' });
+    }
+
     const dbUser = await User.findById(userPayload.id);
     if (!dbUser) {
       return res.status(404).json({ message: 'User not found.' });
     }
 
     req.user = dbUser; // Attach the user to the request object
+    req.authSession = session; // The session (device) this token belongs to
     next(); // Proceed to the next middleware or route handler
   } catch (err) {
+    if (err.name === 'TokenExpiredError') {
+      // Clients should use their refresh token to get a new access token
+      return res.status(401).json({ message: 'Token expired.' });
+    }
     console.error('JWT Verification Error:', err);
     res.status(403).json({ message: 'Invalid token.' });
   }
 };
 
-const authorizeRoles = (...roles) => {
-  return (req, res, next) => {
-    if (!roles.includes(req.user.role)) {
+// Refuse users whose role does not grant `permission` (see
+// utils/permissions.js). For roles that only hold the permission on their
+// own courses, `findCourseIds(req)` names the course(s) the request touches
+// and the user must teach all of them.
+const authorize = (permission, findCourseIds) => {
+  return async (req, res, next) => {
+    const grant = permissionFor(req.user, permission);
+    if (!grant) {
       return res.status(403).json({ message: 'Access denied. Insufficient permissions.' });
     }
-    next(); // Proceed if the user has the right role
+    if (grant === 'any') return next();
+
+    const denied = () =>
+      res.status(403).json({ message: 'Access denied. You can only manage your own courses.' });
+    if (!findCourseIds) return denied();
+
+    try {
+      const courseIds = [].concat(await findCourseIds(req)).filter(Boolean);
+      const courses = await findCourses(courseIds);
+      if (!ownsCourses(req.user, courses)) return denied();
+      next();
+    } catch (err) {
+      res.status(400).json({ message: err.message });
+    }
   };
 };
 
-module.exports = { authenticateToken, authorizeRoles };
+// Refuse users whose role does not grant `permission` on any course, for
+// routes that cannot tell which course they touch yet (e.g. before a
+// multipart body is parsed). authorize() still checks the course later.
+const requirePermission = (permission) => (req, res, next) => {
+  if (!permissionFor(req.user, permission)) {
+    return res.status(403).json({ message: 'Access denied. Insufficient permissions.' });
+  }
+  next();
+};
+
+module.exports = { authenticateToken, authorize, requirePermission };
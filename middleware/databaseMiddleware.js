@@ -0,0 +1,14 @@
+const connectDB = require("../config/db");
+
+// Make sure the database is connected before handling a request, answering
+// 503 when it cannot be reached instead of failing every query
+const requireDatabase = async (req, res, next) => {
+  try {
+    await connectDB();
+    next();
+  } catch (err) {
+    res.status(503).json({ error: "Database unavailable, please retry later" });
+  }
+};
+
+module.exports = { requireDatabase };
@@ -0,0 +1,35 @@
+const Enrollment = require("../models/enrollment");
+const { canOnCourse } = require("../utils/permissions");
+
+// Admins can see every course and instructors the courses they teach;
+// everyone else needs an enrollment
+const isEnrolled = async (user, courseId) => {
+  if (await canOnCourse(user, "courses:update", courseId)) return true;
+  const enrollment = await Enrollment.exists({ userId: user._id, courseId });
+  return !!enrollment;
+};
+
+// The IDs of the courses `user` is enrolled in, to narrow lists of course
+// content to them
+const enrolledCourses = (user) =>
+  Enrollment.distinct("courseId", { userId: user._id });
+
+// Refuse course content to users who are not enrolled in the course
+// whose ID is found in req.params[param]
+const requireEnrollment = (param = "id") => {
+  return async (req, res, next) => {
+    try {
+      const allowed = await isEnrolled(req.user, req.params[param]);
+      if (!allowed) {
+        return res
+          .status(403)
+          .json({ error: "You are not enrolled in this course" });
+      }
+      next();
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  };
+};
+
+module.exports = { isEnrolled, enrolledCourses, requireEnrollment };
@@ -0,0 +1,50 @@
+const { getRateLimitStore, rateLimitKey } = require("../utils/rateLimit");
+
+// Client address, as Express reports it (see TRUST_PROXY in app.js)
+const byIp = (req) => req.ip;
+
+// The account an authentication request is about, whether or not it exists
+const byEmail = (req) =>
+  typeof req.body.email === "string" && req.body.email.trim().toLowerCase();
+
+// Allow `max` requests per `windowMs` for each value of `key(req)` and
+// answer 429 with Retry-After beyond that. Requests without a key value are
+// not counted. When the store cannot be reached the request is let through,
+// so an outage of the store does not lock everyone out.
+const rateLimit = (name, { max, windowMs }, key) => {
+  return async (req, res, next) => {
+    const value = key(req);
+    if (!value) return next();
+
+    let hits;
+    try {
+      hits = await getRateLimitStore().increment(
+        rateLimitKey(name, value),
+        windowMs
+      );
+    } catch (err) {
+      console.error(`Rate limit ${name} not applied:`, err);
+      return next();
+    }
+
+    const retryAfter = Math.max(
+      1,
+      Math.ceil((hits.resetAt.getTime() - Date.now()) / 1000)
+    );
+    res.set({
+      "RateLimit-Limit": String(max),
+      "RateLimit-Remaining": String(Math.max(0, max - hits.count)),
+      "RateLimit-Reset": String(retryAfter),
+    });
+    if (hits.count > max) {
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({
+        message: "Too many attempts. Please try again later.",
+        retryAfter,
+      });
+    }
+    next();
+  };
+};
+
+module.exports = { rateLimit, byIp, byEmail };
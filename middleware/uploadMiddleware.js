@@ -0,0 +1,137 @@
+const os = require("os");
+const fs = require("fs/promises");
+const multer = require("multer");
+const { IMAGE_CONTENT_TYPES, MAX_IMAGE_SIZE } = require("../utils/media");
+const { MAX_ARCHIVE_SIZE } = require("../utils/courseArchive");
+const {
+  VIDEO_CONTENT_TYPES,
+  CAPTION_CONTENT_TYPE,
+  MAX_VIDEO_SIZE,
+  MAX_CAPTION_SIZE,
+} = require("../utils/video");
+
+// Files are kept in memory and handed to the storage service, so nothing
+// is written to the local disk by multer itself
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_SIZE, files: 1 },
+  // File filter to accept only images (the content is checked again when
+  // the image is stored)
+  fileFilter: (req, file, cb) => {
+    if (IMAGE_CONTENT_TYPES.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error("Not an image! Please upload only images."), false);
+    }
+  },
+});
+
+// Clients send ZIP files under several types; the content is checked when
+// the archive is opened
+const ARCHIVE_CONTENT_TYPES = [
+  "application/zip",
+  "application/x-zip-compressed",
+  "application/octet-stream",
+];
+
+const archiveUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_ARCHIVE_SIZE, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (
+      ARCHIVE_CONTENT_TYPES.includes(file.mimetype) ||
+      /\.zip$/i.test(file.originalname)
+    ) {
+      cb(null, true);
+    } else {
+      cb(new Error("Not a ZIP archive"), false);
+    }
+  },
+});
+
+// Videos are too large to hold in memory: multer writes them to a
+// temporary file, which is removed once the response is done
+const videoUpload = multer({
+  storage: multer.diskStorage({ destination: os.tmpdir() }),
+  limits: { fileSize: MAX_VIDEO_SIZE, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (VIDEO_CONTENT_TYPES.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(
+        new Error(`Not a video! Allowed: ${VIDEO_CONTENT_TYPES.join(", ")}`),
+        false
+      );
+    }
+  },
+});
+
+const captionUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_CAPTION_SIZE, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (
+      file.mimetype === CAPTION_CONTENT_TYPE ||
+      /\.vtt$/i.test(file.originalname)
+    ) {
+      cb(null, true);
+    } else {
+      cb(new Error("Captions must be a WebVTT (.vtt) file"), false);
+    }
+  },
+});
+
+// Accept a single file in `field`, answering upload errors with JSON. The
+// field name and its description are kept on the middleware for the API
+// docs (utils/apiDocs.js).
+const singleUpload = (upload, field, { kind, maxSize, description }) => {
+  const middleware = (req, res, next) => {
+    upload.single(field)(req, res, (err) => {
+      // Files multer saved to disk only live as long as the request
+      if (req.file && req.file.path) {
+        const { path } = req.file;
+        res.on("close", () => fs.unlink(path).catch(() => {}));
+      }
+      if (!err) return next();
+      if (err instanceof multer.MulterError && err.code === "LIMIT_FILE_SIZE") {
+        return res.status(413).json({
+          error: `${kind} is too large (max ${maxSize} bytes)`,
+        });
+      }
+      res.status(400).json({ error: err.message });
+    });
+  };
+  middleware.uploadField = field;
+  middleware.uploadDescription = description;
+  return middleware;
+};
+
+const uploadImage = (field) =>
+  singleUpload(imageUpload, field, {
+    kind: "Image",
+    maxSize: MAX_IMAGE_SIZE,
+    description: "Image file (JPEG, PNG, WebP or GIF)",
+  });
+
+const uploadArchive = (field) =>
+  singleUpload(archiveUpload, field, {
+    kind: "Archive",
+    maxSize: MAX_ARCHIVE_SIZE,
+    description: "ZIP archive",
+  });
+
+const uploadVideo = (field) =>
+  singleUpload(videoUpload, field, {
+    kind: "Video",
+    maxSize: MAX_VIDEO_SIZE,
+    description: "Video file (MP4, WebM or Ogg)",
+  });
+
+const uploadCaptions = (field) =>
+  singleUpload(captionUpload, field, {
+    kind: "Caption file",
+    maxSize: MAX_CAPTION_SIZE,
+    description: "WebVTT caption file",
+  });
+
+module.exports = { uploadImage, uploadArchive, uploadVideo, uploadCaptions };
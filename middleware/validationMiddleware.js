@@ -0,0 +1,74 @@
+const Ajv = require("ajv");
+const addFormats = require("ajv-formats");
+
+// Query strings, path parameters and multipart fields arrive as strings, so
+// values are coerced to the declared types. Properties a schema does not
+// declare are removed before the route sees the request. Schemas with a
+// discriminator (utils/contentBlocks.js) are checked only against the
+// variant their tag names.
+const ajv = new Ajv({
+  discriminator: true,
+  allErrors: true,
+  coerceTypes: true,
+  removeAdditional: true,
+  useDefaults: true,
+  strict: false,
+});
+addFormats(ajv);
+ajv.addFormat("objectId", /^[0-9a-fA-F]{24}$/);
+
+const LOCATIONS = ["params", "query", "body"];
+
+// Turn Ajv errors into { in, field, message } entries, one per field
+const formatErrors = (location, errors) => {
+  const seen = new Set();
+  return errors
+    .filter((err) => err.keyword !== "anyOf")
+    .map((err) => {
+      const path = err.instancePath.split("/").filter(Boolean);
+      if (err.keyword === "required") path.push(err.params.missingProperty);
+      return { in: location, field: path.join("."), message: err.message };
+    })
+    .filter((entry) => {
+      const key = `${entry.field}:${entry.message}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+};
+
+// Validate req.params, req.query and req.body against the given schemas
+// (see utils/schema.js). Invalid requests get a 422 listing every problem.
+// The schemas stay attached to the middleware so utils/apiDocs.js can
+// document the route from them.
+const validate = (schemas) => {
+  const validators = LOCATIONS.filter((location) => schemas[location]).map(
+    (location) => [location, ajv.compile(schemas[location])]
+  );
+
+  const middleware = (req, res, next) => {
+    const errors = [];
+    validators.forEach(([location, check]) => {
+      if (!req[location]) req[location] = {};
+      if (!check(req[location])) {
+        errors.push(...formatErrors(location, check.errors));
+      }
+    });
+    if (errors.length) {
+      return res.status(422).json({ error: "Validation failed", errors });
+    }
+    next();
+  };
+  middleware.schemas = schemas;
+  return middleware;
+};
+
+// Validate data that does not come with the request itself, such as a
+// file inside an upload. Returns a function listing the problems of its
+// argument (empty when it is valid), reported under `location`.
+const validator = (schema, location) => {
+  const check = ajv.compile(schema);
+  return (data) => (check(data) ? [] : formatErrors(location, check.errors));
+};
+
+module.exports = { validate, validator };
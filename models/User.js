@@ -4,12 +4,20 @@ const bcrypt = require('bcrypt');
 const userSchema = new mongoose.Schema({
   name: { type: String, required: true },
   email: { type: String, required: true, unique: true },
+  // false until the user confirms their address; left unset on accounts
+  // created before verification existed so they can still log in
+  emailVerified: { type: Boolean },
   password: { type: String, required: true },
-  role: { type: String, enum: ['user', 'admin'], default: 'user' },
+  role: { type: String, enum: ['user', 'instructor', 'admin'], default: 'user' },
   profilePhoto: { type: String, required: false }, // Optional field for profile photo URL
   phoneNumber: { type: String, required: false }, // Optional field for phone number
-  courses: [{ type: String, required: false }], // Array of course IDs or names
+  courses: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Course' }], // Courses the user is enrolled in (mirrors Enrollment)
   knowledge: { type: String, required: false }, // Optional field for additional knowledge
+  // Brute-force protection (utils/lockout.js)
+  failedLoginAttempts: { type: Number, default: 0 }, // Since the last success or lockout
+  lastFailedLoginAt: { type: Date },
+  lockoutCount: { type: Number, default: 0 }, // Lockouts since the last successful login
+  lockedUntil: { type: Date },
 });
 
 // Hash password before saving
@@ -21,6 +29,19 @@ userSchema.pre('save', async function(next) {
   next();
 });
 
+// Lockout fields are only shown to admins, through the lockouts list
+const LOCKOUT_FIELDS = ['failedLoginAttempts', 'lastFailedLoginAt', 'lockoutCount', 'lockedUntil'];
+
+// Never send the password hash to clients, nor the lockout fields unless
+// asked for with user.toJSON({ lockout: true })
+userSchema.set('toJSON', {
+  transform(doc, ret, options) {
+    delete ret.password;
+    if (!options.lockout) LOCKOUT_FIELDS.forEach((field) => delete ret[field]);
+    return ret;
+  },
+});
+
 // Method to compare password
 userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
@@ -0,0 +1,56 @@
+const mongoose = require("mongoose");
+
+const APPEND_ONLY = "Audit events are append-only";
+
+// One administrative change: who made it, what it touched and the target's
+// state before and after (see utils/audit.js). Events are never updated or
+// deleted once written.
+const auditEventSchema = new mongoose.Schema(
+  {
+    actorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    actorName: { type: String },
+    actorRole: { type: String },
+    action: { type: String, required: true, index: true }, // e.g. course.update
+    entity: { type: String, required: true }, // Model name, e.g. Course
+    entityId: { type: mongoose.Schema.Types.ObjectId },
+    before: { type: mongoose.Schema.Types.Mixed }, // null for creations
+    after: { type: mongoose.Schema.Types.Mixed }, // null for deletions
+    request: {
+      method: { type: String },
+      path: { type: String },
+      body: { type: mongoose.Schema.Types.Mixed },
+    },
+    ip: { type: String },
+    userAgent: { type: String },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+auditEventSchema.index({ entity: 1, entityId: 1, createdAt: -1 });
+auditEventSchema.index({ createdAt: -1 });
+
+auditEventSchema.pre("save", function (next) {
+  next(this.isNew ? undefined : new Error(APPEND_ONLY));
+});
+auditEventSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "replaceOne",
+    "findOneAndReplace",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndDelete",
+  ],
+  function () {
+    throw new Error(APPEND_ONLY);
+  }
+);
+
+module.exports = mongoose.model("AuditEvent", auditEventSchema);
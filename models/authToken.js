@@ -0,0 +1,27 @@
+const mongoose = require("mongoose");
+
+// Single-use tokens mailed to users (email verification, password reset).
+// Only a hash of the token is stored.
+const authTokenSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ["email_verification", "password_reset"],
+      required: true,
+    },
+    tokenHash: { type: String, required: true, unique: true },
+    usedAt: { type: Date },
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+authTokenSchema.index({ userId: 1, type: 1 });
+
+module.exports = mongoose.model("AuthToken", authTokenSchema);
@@ -0,0 +1,27 @@
+const mongoose = require("mongoose");
+const mediaSchema = require("./media");
+
+// Issued once per user per course when the course is completed. The names
+// are copied at issue time so the certificate reads the same later on.
+const certificateSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  courseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Course",
+    required: true,
+  },
+  code: { type: String, required: true, unique: true }, // e.g. 7KQ4-M2XD-9PWA-HC3T
+  recipientName: { type: String, required: true },
+  courseTitle: { type: String, required: true },
+  instructor: { type: String },
+  issuedAt: { type: Date, default: Date.now },
+  file: { type: mediaSchema }, // The PDF
+});
+
+certificateSchema.index({ userId: 1, courseId: 1 }, { unique: true });
+
+module.exports = mongoose.model("Certificate", certificateSchema);
@@ -0,0 +1,34 @@
+const mongoose = require("mongoose");
+const mediaSchema = require("./media");
+const { BLOCK_TYPES } = require("../utils/contentBlocks");
+
+// One block of a lesson's content. Which fields are used depends on the
+// type; requests are checked against the per-type schemas in
+// utils/contentBlocks.js before they get here.
+//   markdown  text
+//   code      code, language, caption
+//   image     image (stored with its thumbnails), alt, caption
+//   video     url, caption
+//   embed     url, title, caption
+//   callout   variant, title, text (markdown)
+const contentBlockSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: BLOCK_TYPES,
+      required: true,
+    },
+    text: { type: String },
+    code: { type: String },
+    language: { type: String },
+    image: { type: mediaSchema },
+    alt: { type: String },
+    url: { type: String },
+    title: { type: String },
+    variant: { type: String },
+    caption: { type: String },
+  },
+  { _id: false }
+);
+
+module.exports = contentBlockSchema;
@@ -0,0 +1,31 @@
+const mongoose = require("mongoose");
+
+const couponSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+    type: { type: String, enum: ["percentage", "fixed"], required: true },
+    value: { type: Number, required: true, min: 0 }, // Percent or amount off
+    active: { type: Boolean, default: true },
+    expiresAt: { type: Date },
+    maxRedemptions: { type: Number, default: 0, min: 0 }, // 0 = unlimited
+    redemptions: { type: Number, default: 0 },
+    // Courses the coupon applies to; empty means every course
+    courseIds: [{ type: mongoose.Schema.Types.ObjectId, ref: "Course" }],
+  },
+  { timestamps: true }
+);
+
+couponSchema.pre("validate", function (next) {
+  if (this.type === "percentage" && this.value > 100) {
+    this.invalidate("value", "A percentage discount cannot exceed 100");
+  }
+  next();
+});
+
+module.exports = mongoose.model("Coupon", couponSchema);
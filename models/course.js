@@ -1,11 +1,24 @@
 const mongoose = require("mongoose");
+const mediaSchema = require("./media");
+const { publishing } = require("./publishing");
 
 const courseSchema = new mongoose.Schema({
   title: { type: String, required: true },
   description: { type: String, required: true },
-  instructor: { type: String, required: true },
+  instructor: { type: String, required: true }, // Name shown to learners
+  // The instructor user who owns the course and may edit it
+  instructorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    index: true,
+  },
   price: { type: Number, required: true },
-  image: { type: String }, // New field to store the image path
+  image: { type: mediaSchema }, // Stored image with its thumbnails
+  // Kept up to date from the visible reviews (utils/reviews.js)
+  ratingAverage: { type: Number, default: 0 },
+  ratingCount: { type: Number, default: 0 },
 });
 
+courseSchema.plugin(publishing);
+
 module.exports = mongoose.model("Course", courseSchema);
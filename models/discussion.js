@@ -0,0 +1,30 @@
+const mongoose = require("mongoose");
+
+// Parts shared by discussion threads and their replies
+
+// A previous version of a post, saved each time it is edited
+const editSchema = new mongoose.Schema(
+  {
+    title: { type: String }, // Threads only
+    body: { type: String, required: true },
+    editedAt: { type: Date, default: Date.now },
+    editedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { _id: false }
+);
+
+// A user's report of a post to the moderators
+const reportSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    reason: { type: String, trim: true, maxlength: 1000 },
+    reportedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+module.exports = { editSchema, reportSchema };
@@ -0,0 +1,22 @@
+const mongoose = require("mongoose");
+
+const enrollmentSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  courseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Course",
+    required: true,
+  },
+  enrolledAt: { type: Date, default: Date.now },
+  // The purchase that granted the enrollment, if any
+  orderId: { type: mongoose.Schema.Types.ObjectId, ref: "Order" },
+});
+
+// A user can only be enrolled in a given course once
+enrollmentSchema.index({ userId: 1, courseId: 1 }, { unique: true });
+
+module.exports = mongoose.model("Enrollment", enrollmentSchema);
@@ -1,4 +1,7 @@
 const mongoose = require("mongoose");
+const contentBlockSchema = require("./contentBlock");
+const videoSchema = require("./video");
+const { publishing } = require("./publishing");
 
 const lessonSchema = new mongoose.Schema({
   title: { type: String, required: true },
@@ -8,8 +11,25 @@ const lessonSchema = new mongoose.Schema({
     ref: "Course",
     required: true,
   },
-  topics: [{ type: mongoose.Schema.Types.ObjectId, ref: "Topic" }],
-  content: { type: String}, 
+  topics: [{ type: mongoose.Schema.Types.ObjectId, ref: "Topic" }], // Kept in topic order
+  content: [contentBlockSchema], // Rich content, in display order
+  video: { type: videoSchema }, // Streamed to enrolled learners only
+  order: { type: Number, min: 0 }, // Position within the course
 });
 
+// Append new lessons to the end of their course unless an order is given
+lessonSchema.pre("save", async function (next) {
+  if (this.isNew && this.order === undefined) {
+    const last = await this.constructor
+      .findOne({ courseId: this.courseId })
+      .sort({ order: -1 })
+      .select("order")
+      .session(this.$session());
+    this.order = last && last.order !== undefined ? last.order + 1 : 0;
+  }
+  next();
+});
+
+lessonSchema.plugin(publishing);
+
 module.exports = mongoose.model("Lesson", lessonSchema);
@@ -0,0 +1,44 @@
+const mongoose = require("mongoose");
+const { getStorage } = require("../utils/storage");
+
+// A file kept in the storage backend, embedded in the document that uses
+// it. Only storage keys are saved; public URLs are worked out when the
+// document is sent so they follow the configured driver.
+const thumbnailSchema = new mongoose.Schema(
+  {
+    size: { type: String, required: true }, // small, medium or large
+    key: { type: String, required: true },
+    width: { type: Number },
+    height: { type: Number },
+  },
+  { _id: false }
+);
+
+const mediaSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true },
+    contentType: { type: String },
+    size: { type: Number }, // Bytes
+    width: { type: Number },
+    height: { type: Number },
+    thumbnails: [thumbnailSchema],
+  },
+  {
+    _id: false,
+    toJSON: {
+      transform: (doc, ret) => {
+        const storage = getStorage();
+        ret.url = storage.url(doc.key);
+        ret.thumbnails = Object.fromEntries(
+          (doc.thumbnails || []).map((thumb) => [
+            thumb.size,
+            storage.url(thumb.key),
+          ])
+        );
+        return ret;
+      },
+    },
+  }
+);
+
+module.exports = mediaSchema;
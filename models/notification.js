@@ -0,0 +1,48 @@
+const mongoose = require("mongoose");
+
+// Notifications are removed this long after they were due
+const RETENTION_DAYS = 180;
+
+// A message in a user's inbox (see utils/notifications.js). The IDs say
+// what it is about, so clients can link to it.
+const notificationSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: [
+        "lesson.published", // A new lesson in an enrolled course
+        "topic.published", // A new topic in an enrolled course
+        "enrollment.granted", // Enrolled by a purchase or an admin
+        "enrollment.revoked", // Enrollment removed by a refund
+        "discussion.reply", // A reply to the user's thread
+      ],
+      required: true,
+    },
+    title: { type: String, required: true },
+    body: { type: String },
+    courseId: { type: mongoose.Schema.Types.ObjectId, ref: "Course" },
+    lessonId: { type: mongoose.Schema.Types.ObjectId, ref: "Lesson" },
+    topicId: { type: mongoose.Schema.Types.ObjectId, ref: "Topic" },
+    threadId: { type: mongoose.Schema.Types.ObjectId, ref: "Thread" },
+    replyId: { type: mongoose.Schema.Types.ObjectId, ref: "Reply" },
+    // Shown from this time on, e.g. when scheduled content goes live
+    notifyAt: { type: Date, default: Date.now },
+    readAt: { type: Date, default: null },
+    emailedAt: { type: Date, default: null }, // Sent in an email digest
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+notificationSchema.index({ userId: 1, notifyAt: -1 });
+notificationSchema.index({ userId: 1, readAt: 1 });
+notificationSchema.index(
+  { notifyAt: 1 },
+  { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+module.exports = mongoose.model("Notification", notificationSchema);
@@ -0,0 +1,34 @@
+const mongoose = require("mongoose");
+const Notification = require("./notification");
+
+// How a user wants to be notified. Users without preferences get every
+// type of notification in their inbox and no emails.
+const notificationPreferenceSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      unique: true,
+    },
+    // Types of notification the user does not want
+    muted: [
+      { type: String, enum: Notification.schema.path("type").enumValues },
+    ],
+    // How often unread notifications are emailed
+    emailDigest: {
+      type: String,
+      enum: ["off", "daily", "weekly"],
+      default: "off",
+    },
+    lastDigestAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+notificationPreferenceSchema.index({ emailDigest: 1, lastDigestAt: 1 });
+
+module.exports = mongoose.model(
+  "NotificationPreference",
+  notificationPreferenceSchema
+);
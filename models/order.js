@@ -0,0 +1,57 @@
+const mongoose = require("mongoose");
+
+const refundSchema = new mongoose.Schema(
+  {
+    amount: { type: Number, required: true },
+    refundId: { type: String }, // The payment provider's refund ID
+    reason: { type: String },
+    createdAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// A purchase of one course. Amounts use the same unit as Course.price.
+const orderSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    courseId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Course",
+      required: true,
+    },
+    subtotal: { type: Number, required: true }, // Course price at checkout
+    discount: { type: Number, default: 0 },
+    total: { type: Number, required: true },
+    currency: { type: String, required: true },
+    coupon: {
+      couponId: { type: mongoose.Schema.Types.ObjectId, ref: "Coupon" },
+      code: { type: String },
+    },
+    status: {
+      type: String,
+      enum: ["pending", "paid", "failed", "partially_refunded", "refunded"],
+      default: "pending",
+    },
+    provider: { type: String }, // Payment provider name, "none" for free orders
+    paymentId: { type: String }, // The payment provider's payment ID
+    checkoutUrl: { type: String }, // Where the user completes the payment
+    paidAt: { type: Date },
+    refundedAmount: { type: Number, default: 0 },
+    refunds: [refundSchema],
+  },
+  { timestamps: true }
+);
+
+orderSchema.index({ userId: 1, createdAt: -1 });
+orderSchema.index({ paymentId: 1 }, { unique: true, sparse: true });
+// At most one pending order per user and course, so nobody pays twice
+orderSchema.index(
+  { userId: 1, courseId: 1 },
+  { unique: true, partialFilterExpression: { status: "pending" } }
+);
+
+module.exports = mongoose.model("Order", orderSchema);
@@ -0,0 +1,41 @@
+const mongoose = require("mongoose");
+
+// One record per user per lesson (topicId null) or per topic
+const progressSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    courseId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Course",
+      required: true,
+    },
+    lessonId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Lesson",
+      required: true,
+    },
+    topicId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Topic",
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: ["started", "completed"],
+      default: "started",
+    },
+    timeSpent: { type: Number, default: 0, min: 0 }, // Seconds
+    lastPosition: { type: Number, min: 0 }, // e.g. video timestamp or scroll offset
+    completedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+progressSchema.index({ userId: 1, lessonId: 1, topicId: 1 }, { unique: true });
+progressSchema.index({ userId: 1, courseId: 1 });
+
+module.exports = mongoose.model("Progress", progressSchema);
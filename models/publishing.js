@@ -0,0 +1,18 @@
+const mongoose = require("mongoose");
+
+const STATUSES = ["draft", "in_review", "published", "archived"];
+
+// Schema plugin adding the publishing workflow to courses, lessons and
+// topics (see utils/publishing.js). New content starts as a draft; learners
+// see it once it is published and its publishedAt date has passed.
+const publishing = (schema) => {
+  schema.add({
+    status: { type: String, enum: STATUSES, default: "draft", index: true },
+    // When the content went live, or will go live for a scheduled publish
+    publishedAt: { type: Date },
+    // The content as last published, to show what changed since
+    publishedVersion: { type: mongoose.Schema.Types.Mixed, select: false },
+  });
+};
+
+module.exports = { STATUSES, publishing };
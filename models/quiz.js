@@ -0,0 +1,94 @@
+const mongoose = require("mongoose");
+
+const QUESTION_TYPES = [
+  "single_choice",
+  "multiple_choice",
+  "true_false",
+  "short_answer",
+];
+
+const questionSchema = new mongoose.Schema({
+  type: { type: String, enum: QUESTION_TYPES, required: true },
+  prompt: { type: String, required: true },
+  points: { type: Number, default: 1, min: 0 },
+  // single_choice / multiple_choice
+  options: [{ type: String }],
+  correctOptions: [{ type: Number }], // Indexes into options
+  // true_false
+  correctAnswer: { type: Boolean },
+  // short_answer
+  acceptedAnswers: [{ type: String }], // Literal answers or regex patterns
+  matchMode: { type: String, enum: ["exact", "regex"], default: "exact" },
+  caseSensitive: { type: Boolean, default: false },
+});
+
+// Make sure each question carries the answer key its type needs
+questionSchema.pre("validate", function (next) {
+  if (this.type === "single_choice" || this.type === "multiple_choice") {
+    if (this.options.length < 2) {
+      this.invalidate("options", "Choice questions need at least two options");
+    }
+    const outOfRange = this.correctOptions.some(
+      (index) => index < 0 || index >= this.options.length
+    );
+    if (!this.correctOptions.length || outOfRange) {
+      this.invalidate("correctOptions", "correctOptions must index options");
+    }
+    if (this.type === "single_choice" && this.correctOptions.length > 1) {
+      this.invalidate(
+        "correctOptions",
+        "Single choice questions have exactly one correct option"
+      );
+    }
+  }
+  if (this.type === "true_false" && typeof this.correctAnswer !== "boolean") {
+    this.invalidate("correctAnswer", "True/false questions need correctAnswer");
+  }
+  if (this.type === "short_answer") {
+    if (!this.acceptedAnswers.length) {
+      this.invalidate(
+        "acceptedAnswers",
+        "Short answer questions need at least one accepted answer"
+      );
+    }
+    if (this.matchMode === "regex") {
+      this.acceptedAnswers.forEach((pattern) => {
+        try {
+          new RegExp(pattern);
+        } catch (err) {
+          this.invalidate("acceptedAnswers", `Invalid pattern: ${pattern}`);
+        }
+      });
+    }
+  }
+  next();
+});
+
+const quizSchema = new mongoose.Schema(
+  {
+    title: { type: String, required: true },
+    description: { type: String },
+    // A quiz belongs to a lesson and optionally to one of its topics;
+    // courseId is resolved from the lesson so access checks stay cheap
+    courseId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Course",
+      required: true,
+    },
+    lessonId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Lesson",
+      required: true,
+    },
+    topicId: { type: mongoose.Schema.Types.ObjectId, ref: "Topic" },
+    passingScore: { type: Number, default: 70, min: 0, max: 100 }, // Percentage
+    maxAttempts: { type: Number, default: 0, min: 0 }, // 0 means unlimited
+    questions: {
+      type: [questionSchema],
+      validate: [(questions) => questions.length > 0, "A quiz needs questions"],
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("Quiz", quizSchema);
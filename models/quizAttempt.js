@@ -0,0 +1,36 @@
+const mongoose = require("mongoose");
+
+const quizAttemptSchema = new mongoose.Schema({
+  quizId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Quiz",
+    required: true,
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  attemptNumber: { type: Number, required: true },
+  answers: [
+    {
+      _id: false,
+      questionId: { type: mongoose.Schema.Types.ObjectId, required: true },
+      response: { type: mongoose.Schema.Types.Mixed },
+      correct: { type: Boolean, required: true },
+      pointsAwarded: { type: Number, required: true },
+    },
+  ],
+  score: { type: Number, required: true },
+  maxScore: { type: Number, required: true },
+  percentage: { type: Number, required: true },
+  passed: { type: Boolean, required: true },
+  submittedAt: { type: Date, default: Date.now },
+});
+
+quizAttemptSchema.index(
+  { quizId: 1, userId: 1, attemptNumber: 1 },
+  { unique: true }
+);
+
+module.exports = mongoose.model("QuizAttempt", quizAttemptSchema);
@@ -0,0 +1,13 @@
+const mongoose = require("mongoose");
+
+// A rate limit window for one key, used by the shared mongo rate limit
+// store. MongoDB removes counters once their window has ended.
+const rateLimitCounterSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  count: { type: Number, default: 0 },
+  resetAt: { type: Date, required: true },
+});
+
+rateLimitCounterSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("RateLimitCounter", rateLimitCounterSchema);
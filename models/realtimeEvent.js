@@ -0,0 +1,20 @@
+const mongoose = require("mongoose");
+
+// A real-time event passed between instances of the API by the shared mongo
+// event bus. The collection is capped: every instance tails it, and MongoDB
+// drops the oldest events once it is full.
+const realtimeEventSchema = new mongoose.Schema(
+  {
+    topic: { type: String, required: true },
+    type: { type: String, required: true },
+    data: { type: mongoose.Schema.Types.Mixed },
+  },
+  {
+    capped: {
+      size: Number(process.env.EVENT_BUS_CAPPED_SIZE) || 16 * 1024 * 1024,
+    },
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+module.exports = mongoose.model("RealtimeEvent", realtimeEventSchema);
@@ -0,0 +1,23 @@
+const mongoose = require("mongoose");
+
+// Weights of a trained course recommendation model (utils/recommendations.js).
+// Each training run saves a new document; the newest one is served.
+const recommendationModelSchema = new mongoose.Schema({
+  factors: { type: Number, required: true }, // Embedding size
+  // Row i of userFactors belongs to userIds[i]; the same for courses
+  userIds: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+  userFactors: [[Number]],
+  courseIds: [{ type: mongoose.Schema.Types.ObjectId, ref: "Course" }],
+  courseFactors: [[Number]],
+  courseBias: [Number],
+  interactions: { type: Number, default: 0 },
+  loss: { type: Number },
+  trainedAt: { type: Date, default: Date.now },
+});
+
+recommendationModelSchema.index({ trainedAt: -1 });
+
+module.exports = mongoose.model(
+  "RecommendationModel",
+  recommendationModelSchema
+);
@@ -0,0 +1,29 @@
+const mongoose = require("mongoose");
+const { editSchema, reportSchema } = require("./discussion");
+
+// An answer or comment in a discussion thread
+const replySchema = new mongoose.Schema(
+  {
+    threadId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Thread",
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    body: { type: String, required: true, maxlength: 20000 },
+    edits: [editSchema], // Previous versions, oldest first
+    upvotes: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+    upvoteCount: { type: Number, default: 0 },
+    reports: [reportSchema],
+    reportCount: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+replySchema.index({ threadId: 1, createdAt: 1 });
+
+module.exports = mongoose.model("Reply", replySchema);
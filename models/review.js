@@ -0,0 +1,39 @@
+const mongoose = require("mongoose");
+
+// A learner's rating of a course. Each user reviews a course at most once;
+// hidden reviews are left out of listings and of the course's rating.
+const reviewSchema = new mongoose.Schema(
+  {
+    courseId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Course",
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    rating: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 5,
+      validate: {
+        validator: Number.isInteger,
+        message: "rating must be a whole number of stars",
+      },
+    },
+    text: { type: String, trim: true, maxlength: 5000 },
+    // Moderation
+    hidden: { type: Boolean, default: false },
+    flagged: { type: Boolean, default: false }, // Marked for a closer look
+    moderationNote: { type: String },
+  },
+  { timestamps: true }
+);
+
+reviewSchema.index({ courseId: 1, userId: 1 }, { unique: true });
+reviewSchema.index({ courseId: 1, hidden: 1, createdAt: -1 });
+
+module.exports = mongoose.model("Review", reviewSchema);
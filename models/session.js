@@ -0,0 +1,27 @@
+const mongoose = require("mongoose");
+
+// A login on one device. Access tokens carry the session ID so revoking the
+// session invalidates them immediately; the refresh token is only stored
+// hashed and is rotated on every use.
+const sessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    refreshTokenHash: { type: String, required: true },
+    userAgent: { type: String },
+    ip: { type: String },
+    lastUsedAt: { type: Date, default: Date.now },
+    revokedAt: { type: Date },
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+// Let MongoDB drop sessions (revoked or not) once the refresh token expires
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("Session", sessionSchema);
@@ -0,0 +1,43 @@
+const mongoose = require("mongoose");
+const { editSchema, reportSchema } = require("./discussion");
+
+// A question or discussion about a lesson, optionally about one of its
+// topics. courseId is copied from the lesson for access checks.
+const threadSchema = new mongoose.Schema(
+  {
+    courseId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Course",
+      required: true,
+    },
+    lessonId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Lesson",
+      required: true,
+    },
+    topicId: { type: mongoose.Schema.Types.ObjectId, ref: "Topic" },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    title: { type: String, required: true, trim: true, maxlength: 200 },
+    body: { type: String, required: true, maxlength: 20000 },
+    edits: [editSchema], // Previous versions, oldest first
+    upvotes: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+    upvoteCount: { type: Number, default: 0 },
+    replyCount: { type: Number, default: 0 },
+    // Set by an admin or the course's instructor
+    acceptedReplyId: { type: mongoose.Schema.Types.ObjectId, ref: "Reply" },
+    pinned: { type: Boolean, default: false },
+    locked: { type: Boolean, default: false }, // No new replies or edits
+    reports: [reportSchema],
+    reportCount: { type: Number, default: 0 },
+    lastActivityAt: { type: Date, default: Date.now },
+  },
+  { timestamps: true }
+);
+
+threadSchema.index({ lessonId: 1, pinned: -1, lastActivityAt: -1 });
+
+module.exports = mongoose.model("Thread", threadSchema);
@@ -1,4 +1,7 @@
 const mongoose = require("mongoose");
+const mediaSchema = require("./media");
+const videoSchema = require("./video");
+const { publishing } = require("./publishing");
 
 const topicSchema = new mongoose.Schema({
   title: { type: String, required: true },
@@ -8,7 +11,24 @@ const topicSchema = new mongoose.Schema({
     ref: "Lesson",
     required: true,
   },
-  image: { type: String }, // Field to store the image path
+  image: { type: mediaSchema }, // Stored image with its thumbnails
+  video: { type: videoSchema }, // Streamed to enrolled learners only
+  order: { type: Number, min: 0 }, // Position within the lesson
 });
 
+// Append new topics to the end of their lesson unless an order is given
+topicSchema.pre("save", async function (next) {
+  if (this.isNew && this.order === undefined) {
+    const last = await this.constructor
+      .findOne({ lessonId: this.lessonId })
+      .sort({ order: -1 })
+      .select("order")
+      .session(this.$session());
+    this.order = last && last.order !== undefined ? last.order + 1 : 0;
+  }
+  next();
+});
+
+topicSchema.plugin(publishing);
+
 module.exports = mongoose.model("Topic", topicSchema);
@@ -0,0 +1,26 @@
+const mongoose = require("mongoose");
+
+// A video of a lesson or topic with its caption tracks. The files are
+// private: they are streamed to enrolled learners through signed, expiring
+// URLs (GET /api/content/{type}/{id}/video) and never get a public URL.
+const captionSchema = new mongoose.Schema(
+  {
+    language: { type: String, required: true }, // BCP 47 tag, e.g. en or pt-BR
+    label: { type: String, required: true }, // Shown in the player's menu
+    key: { type: String, required: true }, // WebVTT file
+    isDefault: { type: Boolean, default: false },
+  },
+  { _id: false }
+);
+
+const videoSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true },
+    contentType: { type: String, required: true },
+    size: { type: Number }, // Bytes
+    captions: [captionSchema],
+  },
+  { _id: false }
+);
+
+module.exports = videoSchema;
@@ -0,0 +1,76 @@
+const express = require("express");
+const router = express.Router();
+const AuditEvent = require("../models/auditEvent");
+const {
+  authenticateToken,
+  authorize,
+} = require("../middleware/authMiddleware");
+const { paginate } = require("../utils/queryHelper");
+const { validate } = require("../middleware/validationMiddleware");
+const { listQuery } = require("../utils/schema");
+
+const AUDIT_FILTERS = {
+  actorId: "objectId",
+  action: "string",
+  entity: "string",
+  entityId: "objectId",
+  createdAt: "date",
+};
+
+/**
+ * @openapi
+ * /api/admin/audit:
+ *   get:
+ *     summary: List the audit log of administrative changes (admin only)
+ *     description: >
+ *       Each event records who made a change (actorId), what they did
+ *       (action, e.g. course.update), the target (entity and entityId), the
+ *       target before and after the change, the request, IP and time. Filter
+ *       by date range with createdAt[gte] and createdAt[lte], e.g.
+ *       ?entity=Course&createdAt[gte]=2024-01-01&createdAt[lte]=2024-01-31.
+ *     tags:
+ *       - Audit
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Audit events, newest first ({ data, pagination })
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+router.get(
+  "/admin/audit",
+  authenticateToken,
+  authorize("audit:read"),
+  validate({ query: listQuery(AUDIT_FILTERS) }),
+  async (req, res) => {
+    try {
+      const result = await paginate(AuditEvent, req, {
+        filters: AUDIT_FILTERS,
+        sortable: ["createdAt"],
+        defaultSort: "-createdAt",
+        selectable: [
+          "actorId",
+          "actorName",
+          "actorRole",
+          "action",
+          "entity",
+          "entityId",
+          "before",
+          "after",
+          "request",
+          "ip",
+          "userAgent",
+          "createdAt",
+        ],
+      });
+      res.status(200).json(result);
+    } catch (error) {
+      res.status(error.status || 400).json({ error: error.message });
+    }
+  }
+);
+
+module.exports = router;
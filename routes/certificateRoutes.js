@@ -0,0 +1,143 @@
+const express = require("express");
+const router = express.Router();
+const Certificate = require("../models/certificate");
+const Course = require("../models/course");
+const { authenticateToken } = require("../middleware/authMiddleware");
+const { requireEnrollment } = require("../middleware/enrollmentMiddleware");
+const { paginate } = require("../utils/queryHelper");
+const { issueCertificate, normalizeCode } = require("../utils/certificates");
+const { validate } = require("../middleware/validationMiddleware");
+const { string, object, idParams, listQuery } = require("../utils/schema");
+
+const CERTIFICATE_FILTERS = { courseId: "objectId", issuedAt: "date" };
+
+/**
+ * @openapi
+ * /api/certificates:
+ *   get:
+ *     summary: List the authenticated user's certificates
+ *     description: Each certificate links to its PDF (file.url).
+ *     tags:
+ *       - Certificates
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Certificates, newest first ({ data, pagination })
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  "/certificates",
+  authenticateToken,
+  validate({ query: listQuery(CERTIFICATE_FILTERS) }),
+  async (req, res) => {
+    try {
+      const result = await paginate(Certificate, req, {
+        baseFilter: { userId: req.user._id },
+        filters: CERTIFICATE_FILTERS,
+        sortable: ["issuedAt", "courseTitle"],
+        defaultSort: "-issuedAt",
+      });
+      res.status(200).json(result);
+    } catch (error) {
+      res.status(error.status || 400).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * @openapi
+ * /api/certificates/verify/{code}:
+ *   get:
+ *     summary: Check that a certificate code is genuine (no authentication)
+ *     description: Codes are matched regardless of case and dashes.
+ *     tags:
+ *       - Certificates
+ *     responses:
+ *       200:
+ *         description: The certificate is valid; who was awarded it, for which course and when
+ *       404:
+ *         description: No certificate has this code
+ */
+router.get(
+  "/certificates/verify/:code",
+  validate({
+    params: object(
+      { code: string({ description: "e.g. 7KQ4-M2XD-9PWA-HC3T" }) },
+      { required: ["code"] }
+    ),
+  }),
+  async (req, res) => {
+    try {
+      const certificate = await Certificate.findOne({
+        code: normalizeCode(req.params.code),
+      });
+      if (!certificate) {
+        return res
+          .status(404)
+          .json({ valid: false, error: "Certificate not found" });
+      }
+
+      const { code, recipientName, courseTitle, instructor, issuedAt } =
+        certificate;
+      res.status(200).json({
+        valid: true,
+        code,
+        recipientName,
+        courseTitle,
+        instructor,
+        issuedAt,
+      });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * @openapi
+ * /api/courses/{id}/certificate:
+ *   post:
+ *     summary: Get the authenticated user's certificate for a completed course
+ *     description: Certificates are issued automatically when the last lesson or topic is completed; this issues one that is missing, e.g. for a course completed before certificates existed.
+ *     tags:
+ *       - Certificates
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The certificate
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not enrolled in the course
+ *       404:
+ *         description: Course not found
+ *       409:
+ *         description: The course is not complete yet
+ */
+router.post(
+  "/courses/:id/certificate",
+  authenticateToken,
+  validate({ params: idParams("id") }),
+  requireEnrollment("id"),
+  async (req, res) => {
+    try {
+      const course = await Course.findById(req.params.id, "_id");
+      if (!course) return res.status(404).json({ error: "Course not found" });
+
+      const certificate = await issueCertificate(req.user, course._id);
+      if (!certificate) {
+        return res.status(409).json({
+          error: "Complete every lesson of the course to receive a certificate",
+        });
+      }
+      res.status(200).json(certificate);
+    } catch (error) {
+      res.status(error.status || 400).json({ error: error.message });
+    }
+  }
+);
+
+module.exports = router;
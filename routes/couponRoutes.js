@@ -0,0 +1,194 @@
+const express = require("express");
+const router = express.Router();
+const Coupon = require("../models/coupon");
+const {
+  authenticateToken,
+  authorize,
+} = require("../middleware/authMiddleware");
+const { paginate } = require("../utils/queryHelper");
+const { validate } = require("../middleware/validationMiddleware");
+const { audit } = require("../middleware/auditMiddleware");
+const {
+  string,
+  number,
+  integer,
+  boolean,
+  objectId,
+  array,
+  object,
+  idParams,
+  listQuery,
+} = require("../utils/schema");
+
+const COUPON_FILTERS = { code: "string", type: "string", active: "boolean" };
+
+// Fields an admin can set on a coupon
+const couponFields = {
+  code: string({
+    minLength: 1,
+    description: "Stored in upper case; codes are matched case-insensitively",
+  }),
+  type: string({ enum: ["percentage", "fixed"] }),
+  value: number({
+    minimum: 0,
+    description: "Percent off (0-100) or amount off the course price",
+  }),
+  active: boolean(),
+  expiresAt: string({ format: "date-time" }),
+  maxRedemptions: integer({ minimum: 0, description: "0 for unlimited" }),
+  courseIds: array(objectId(), {
+    description: "Courses the coupon applies to; empty for all",
+  }),
+};
+
+/**
+ * @openapi
+ * /api/admin/coupons:
+ *   post:
+ *     summary: Create a coupon code (admin only)
+ *     tags:
+ *       - Coupons
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Coupon created
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       409:
+ *         description: Code already in use
+ */
+router.post(
+  "/admin/coupons",
+  authenticateToken,
+  authorize("coupons:manage"),
+  validate({
+    body: object(couponFields, { required: ["code", "type", "value"] }),
+  }),
+  audit("coupon.create", Coupon),
+  async (req, res) => {
+    try {
+      const coupon = await Coupon.create(req.body);
+      res.status(201).json(coupon);
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({ error: "Coupon code already exists" });
+      }
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * @openapi
+ * /api/admin/coupons:
+ *   get:
+ *     summary: List coupons (admin only)
+ *     tags:
+ *       - Coupons
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Coupons ({ data, pagination })
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+router.get(
+  "/admin/coupons",
+  authenticateToken,
+  authorize("coupons:manage"),
+  validate({ query: listQuery(COUPON_FILTERS) }),
+  async (req, res) => {
+    try {
+      const result = await paginate(Coupon, req, {
+        filters: COUPON_FILTERS,
+        sortable: ["code", "createdAt", "expiresAt", "redemptions"],
+        defaultSort: "-createdAt",
+      });
+      res.status(200).json(result);
+    } catch (error) {
+      res.status(error.status || 400).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * @openapi
+ * /api/admin/coupons/{id}:
+ *   put:
+ *     summary: Update a coupon (admin only)
+ *     tags:
+ *       - Coupons
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Coupon updated
+ *       404:
+ *         description: Coupon not found
+ *       409:
+ *         description: Code already in use
+ */
+router.put(
+  "/admin/coupons/:id",
+  authenticateToken,
+  authorize("coupons:manage"),
+  validate({ params: idParams("id"), body: object(couponFields) }),
+  audit("coupon.update", Coupon),
+  async (req, res) => {
+    try {
+      const coupon = await Coupon.findById(req.params.id);
+      if (!coupon) return res.status(404).json({ error: "Coupon not found" });
+
+      // Save rather than update so the schema checks the whole coupon
+      coupon.set(req.body);
+      await coupon.save();
+      res.status(200).json(coupon);
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({ error: "Coupon code already exists" });
+      }
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * @openapi
+ * /api/admin/coupons/{id}:
+ *   delete:
+ *     summary: Delete a coupon (admin only)
+ *     description: Orders keep the code they were placed with.
+ *     tags:
+ *       - Coupons
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Coupon deleted
+ *       404:
+ *         description: Coupon not found
+ */
+router.delete(
+  "/admin/coupons/:id",
+  authenticateToken,
+  authorize("coupons:manage"),
+  validate({ params: idParams("id") }),
+  audit("coupon.delete", Coupon),
+  async (req, res) => {
+    try {
+      const coupon = await Coupon.findByIdAndDelete(req.params.id);
+      if (!coupon) return res.status(404).json({ error: "Coupon not found" });
+      res.status(200).json({ message: "Coupon deleted successfully" });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+module.exports = router;
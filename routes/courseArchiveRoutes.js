@@ -0,0 +1,140 @@
+const express = require("express");
+const router = express.Router();
+const {
+  authenticateToken,
+  authorize,
+} = require("../middleware/authMiddleware");
+const { uploadArchive } = require("../middleware/uploadMiddleware");
+const { validate } = require("../middleware/validationMiddleware");
+const { boolean, idParams, object } = require("../utils/schema");
+const { exportCourse, importCourse } = require("../utils/courseArchive");
+const { recordAuditEvent } = require("../utils/audit");
+
+const archiveError = (res, error) =>
+  res
+    .status(error.status || 400)
+    .json({ error: error.message, ...error.details });
+
+/**
+ * @openapi
+ * /api/admin/courses/{id}/export:
+ *   get:
+ *     summary: Download a course with its lessons, topics and images as a ZIP archive (admins and the course's instructor)
+ *     description: >
+ *       The archive holds manifest.json, describing the course and its
+ *       lessons and topics in order, and the images it refers to under
+ *       images/. Drafts are included; videos and their captions are not.
+ *       It can be loaded into any environment with
+ *       POST /api/admin/courses/import.
+ *     tags:
+ *       - Courses
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The course archive
+ *         content:
+ *           application/zip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Course not found
+ */
+router.get(
+  "/admin/courses/:id/export",
+  authenticateToken,
+  validate({ params: idParams("id") }),
+  authorize("content:preview", (req) => req.params.id),
+  async (req, res) => {
+    try {
+      const { fileName, archive } = await exportCourse(req.params.id);
+      res.set({
+        "Content-Type": "application/zip",
+        "Content-Disposition": `attachment; filename="${fileName}"`,
+      });
+      res.status(200).send(archive);
+    } catch (error) {
+      archiveError(res, error);
+    }
+  }
+);
+
+/**
+ * @openapi
+ * /api/admin/courses/import:
+ *   post:
+ *     summary: Create a course from an archive made by the export endpoint (admins and instructors)
+ *     description: >
+ *       The archive is checked in full before anything is written. The
+ *       course, its lessons and its topics get new IDs and are created as
+ *       drafts, in the archive's order. Admins get the archive's instructor
+ *       as the owner when an instructor with that email exists; instructors
+ *       own the courses they import. Conflicts (a course with the same
+ *       title, repeated lesson or topic titles, an unknown instructor) stop
+ *       the import unless force=true. With dryRun=true the archive is only
+ *       checked and the summary returned.
+ *     tags:
+ *       - Courses
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: "Dry run: { dryRun, title, lessons, topics, images, conflicts: [{ field, message }] }"
+ *       201:
+ *         description: Course imported; returns the same summary with the created course
+ *       400:
+ *         description: No archive uploaded, or not a ZIP archive
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       409:
+ *         description: The archive conflicts with existing content; returns the conflicts
+ *       413:
+ *         description: Archive too large
+ */
+router.post(
+  "/admin/courses/import",
+  authenticateToken,
+  authorize("courses:create"),
+  uploadArchive("archive"),
+  validate({
+    query: object({
+      dryRun: boolean({
+        default: false,
+        description: "Only check the archive and report what it holds",
+      }),
+      force: boolean({
+        default: false,
+        description: "Import even when there are conflicts",
+      }),
+    }),
+  }),
+  async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({ error: "An archive file is required" });
+      }
+      const result = await importCourse(req.file.buffer, req.user, req.query);
+      if (result.dryRun) return res.status(200).json(result);
+
+      await recordAuditEvent(req, {
+        action: "course.import",
+        entity: "Course",
+        entityId: result.course._id,
+        before: null,
+        after: result.course,
+      });
+      res.status(201).json(result);
+    } catch (error) {
+      archiveError(res, error);
+    }
+  }
+);
+
+module.exports = router;
@@ -1,74 +1,102 @@
 const express = require("express");
 const router = express.Router();
 const Course = require("../models/course");
+const Lesson = require("../models/lesson");
+const Topic = require("../models/topic");
+const User = require("../models/User");
 const {
   authenticateToken,
-  authorizeRoles,
+  authorize,
 } = require("../middleware/authMiddleware");
-const multer = require("multer");
-const path = require("path");
+const { requireEnrollment } = require("../middleware/enrollmentMiddleware");
+const { paginate } = require("../utils/queryHelper");
+const { deleteCourseTree } = require("../utils/contentIntegrity");
+const { uploadImage } = require("../middleware/uploadMiddleware");
+const { saveImage, removeMedia } = require("../utils/media");
+const {
+  isPermutationOf,
+  applyOrder,
+  ORDER_SORT,
+} = require("../utils/ordering");
+const { validate } = require("../middleware/validationMiddleware");
+const { audit } = require("../middleware/auditMiddleware");
+const {
+  string,
+  number,
+  objectId,
+  array,
+  object,
+  idParams,
+  listQuery,
+} = require("../utils/schema");
+const { can, canOnCourse } = require("../utils/permissions");
+const {
+  liveFilter,
+  visibleCourseFilter,
+  canSeeCourse,
+  publishedContent,
+  publishedListQuery,
+  removeReplacedMedia,
+} = require("../utils/publishing");
 
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    cb(null, "uploads/"); // Upload folder for course images
-  },
-  filename: function (req, file, cb) {
-    cb(null, Date.now() + path.extname(file.originalname)); // Save with unique name
-  },
-});
+const COURSE_FILTERS = {
+  title: "string",
+  instructor: "string",
+  instructorId: "objectId",
+  price: "number",
+  ratingAverage: "number",
+  ratingCount: "number",
+  status: "string",
+  publishedAt: "date",
+};
 
-// File filter to accept only images
-const fileFilter = (req, file, cb) => {
-  if (file.mimetype.startsWith("image")) {
-    cb(null, true);
-  } else {
-    cb(new Error("Not an image! Please upload only images."), false);
-  }
+// Fields an admin or instructor can set on a course (the image is uploaded
+// as a file)
+const courseFields = {
+  title: string({ minLength: 1, description: "The title of the course" }),
+  description: string({ description: "A brief description of the course" }),
+  instructor: string({
+    description:
+      "The name of the instructor; defaults to the owning instructor's name",
+  }),
+  instructorId: objectId({
+    description:
+      "The instructor user who owns the course (set by admins; instructors always own the courses they create)",
+  }),
+  price: number({ minimum: 0, description: "The price of the course" }),
 };
 
-// Initialize multer upload
-const upload = multer({
-  storage: storage,
-  fileFilter: fileFilter,
-});
+// The instructor a course should belong to. Instructors own the courses
+// they create; admins may give a course to any instructor. Returns
+// undefined when no owner was asked for.
+const findOwner = async (req) => {
+  if (!can(req.user, "courses:assign")) return req.user;
+  if (!req.body.instructorId) return undefined;
+
+  const owner = await User.findOne({
+    _id: req.body.instructorId,
+    role: "instructor",
+  });
+  if (!owner) throw new Error("instructorId must be the ID of an instructor");
+  return owner;
+};
 
 /**
  * @openapi
  * /api/admin/courses:
  *   post:
- *     summary: Add a new course (admin only)
+ *     summary: Add a new course (admins and instructors)
  *     tags:
  *       - Courses
  *     security:
  *       - BearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         multipart/form-data:
- *           schema:
- *             type: object
- *             properties:
- *               title:
- *                 type: string
- *                 description: The title of the course
- *               description:
- *                 type: string
- *                 description: A brief description of the course
- *               instructor:
- *                 type: string
- *                 description: The name of the instructor
- *               price:
- *                 type: number
- *                 description: The price of the course
- *               image:
- *                 type: string
- *                 format: binary
- *                 description: The course image
  *     responses:
  *       201:
- *         description: Course created successfully
+ *         description: Course created as a draft; image holds its public URL and thumbnail URLs
  *       400:
  *         description: Invalid input
+ *       413:
+ *         description: Image too large
  *       401:
  *         description: Unauthorized
  *       403:
@@ -77,39 +105,37 @@ const upload = multer({
 router.post(
   "/admin/courses",
   authenticateToken,
-  authorizeRoles("admin"),
-  upload.single("image"), // Add multer middleware for single file upload
+  authorize("courses:create"),
+  uploadImage("image"), // Add multer middleware for single file upload
+  validate({
+    body: object(courseFields, {
+      required: ["title", "description", "price"],
+    }),
+  }),
+  audit("course.create", Course),
   async (req, res) => {
+    let image;
     try {
       const { title, description, instructor, price } = req.body;
+      const owner = await findOwner(req);
+      // Store the image and its thumbnails
+      image = req.file ? await saveImage(req.file, "courses") : undefined;
       const courseData = {
         title,
         description,
-        instructor,
+        instructor: instructor || (owner && owner.name),
+        instructorId: owner && owner._id,
         price,
-        image: req.file ? req.file.path : null, // Save image path
+        image,
       };
 
       const newCourse = new Course(courseData);
       await newCourse.save();
       res.status(201).json(newCourse);
     } catch (error) {
-      res.status(400).json({ error: error.message });
-    }
-  }
-);
-
-router.post(
-  "/admin/courses",
-  authenticateToken,
-  authorizeRoles("admin"),
-  async (req, res) => {
-    try {
-      const newCourse = new Course(req.body);
-      await newCourse.save();
-      res.status(201).json(newCourse);
-    } catch (error) {
-      res.status(400).json({ error: error.message });
+      // Don't keep the image of a course that was not created
+      await removeMedia([image]);
+      res.status(error.status || 400).json({ error: error.message });
     }
   }
 );
@@ -118,34 +144,30 @@ router.post(
  * @openapi
  * /api/admin/courses/{id}:
  *   delete:
- *     summary: Delete a course (admin only)
+ *     summary: Delete a course with its lessons, topics, quizzes, enrollments, reviews and images (admins and the course's instructor)
  *     tags:
  *       - Courses
  *     security:
  *       - BearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
  *     responses:
  *       200:
  *         description: Course deleted successfully
- *       400:
- *         description: Invalid ID
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Forbidden
+ *       404:
+ *         description: Course not found
  */
 router.delete(
   "/admin/courses/:id",
   authenticateToken,
-  authorizeRoles("admin"),
+  authorize("courses:delete", (req) => req.params.id),
+  validate({ params: idParams("id") }),
+  audit("course.delete", Course),
   async (req, res) => {
     try {
-      const course = await Course.findByIdAndDelete(req.params.id);
+      const course = await deleteCourseTree(req.params.id);
       if (!course) return res.status(404).json({ error: "Course not found" });
       res.status(200).json({ message: "Course deleted successfully" });
     } catch (error) {
@@ -159,100 +181,252 @@ router.delete(
  * /api/courses:
  *   get:
  *     summary: List all courses
+ *     description: Learners see published courses; admins see every course and instructors also their own unpublished ones. Content edited since it was published is shown, filtered and sorted as published to those who cannot preview it.
  *     tags:
  *       - Courses
  *     security:
  *       - BearerAuth: []
  *     responses:
  *       200:
- *         description: A list of courses
+ *         description: A paginated list of courses ({ data, pagination })
+ *       400:
+ *         description: Invalid query parameters
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Forbidden
  */
-router.get("/courses", authenticateToken, async (req, res) => {
-  try {
-    let courses;
-    if (req.user.role === "admin") {
-      courses = await Course.find(); // Admin gets all course data
-    } else {
-      courses = await Course.find({}, "title description"); // Users get limited course data
+router.get(
+  "/courses",
+  authenticateToken,
+  validate({ query: listQuery(COURSE_FILTERS) }),
+  async (req, res) => {
+    try {
+      const listing = await publishedListQuery(
+        req.user,
+        "courses",
+        req.query,
+        COURSE_FILTERS
+      );
+      const result = await paginate(Course, req, {
+        baseFilter: {
+          $and: [await visibleCourseFilter(req.user), listing.filter],
+        },
+        filters: listing.filters,
+        sortPaths: listing.sortPaths,
+        sortable: [
+          "title",
+          "instructor",
+          "price",
+          "ratingAverage",
+          "ratingCount",
+          "publishedAt",
+        ],
+        selectable: [
+          "title",
+          "description",
+          "instructor",
+          "instructorId",
+          "price",
+          "image",
+          "ratingAverage",
+          "ratingCount",
+          "status",
+          "publishedAt",
+        ],
+        // Admin gets all course data, users get limited course data by default
+        defaultSelect:
+          req.user.role === "admin"
+            ? undefined
+            : "title description ratingAverage ratingCount",
+      });
+      res.status(200).json({
+        ...result,
+        data: await publishedContent(req.user, "courses", result.data),
+      });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
     }
-    res.status(200).json(courses);
-  } catch (error) {
-    res.status(400).json({ error: error.message });
   }
-});
+);
 
 /**
  * @openapi
  * /api/courses/{id}:
  *   get:
- *     summary: courcse by id
+ *     summary: Get a course by ID
+ *     description: Unpublished courses are only found by admins and the course's instructor (to preview them).
  *     tags:
  *       - Courses
  *     security:
  *       - BearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
  *     responses:
  *       200:
  *         description: courses found
  *       401:
  *         description: Unauthorized
  *       403:
+ *         description: Forbidden (not enrolled in the course)
+ *       404:
+ *         description: Course not found
+ */
+
+router.get(
+  "/courses/:id",
+  authenticateToken,
+  validate({ params: idParams("id") }),
+  requireEnrollment("id"),
+  async (req, res) => {
+    try {
+      const course = await Course.findById(req.params.id);
+      if (!course || !(await canSeeCourse(req.user, course))) {
+        return res.status(404).json({ error: "Course not found" });
+      }
+      res.status(200).json(await publishedContent(req.user, "courses", course));
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * @openapi
+ * /api/courses/{id}/outline:
+ *   get:
+ *     summary: Get a course with its ordered lessons and their ordered topics
+ *     description: Learners see the published lessons and topics. Admins and the course's instructor see drafts too, with each one's status, to preview the course.
+ *     tags:
+ *       - Courses
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The course outline
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (not enrolled in the course)
+ *       404:
+ *         description: Course not found
+ */
+router.get(
+  "/courses/:id/outline",
+  authenticateToken,
+  validate({ params: idParams("id") }),
+  requireEnrollment("id"),
+  async (req, res) => {
+    try {
+      const course = await Course.findById(req.params.id);
+      if (!course || !(await canSeeCourse(req.user, course))) {
+        return res.status(404).json({ error: "Course not found" });
+      }
+
+      const preview = await canOnCourse(
+        req.user,
+        "content:preview",
+        course._id
+      );
+      const shown = preview ? {} : liveFilter();
+      const lessons = await Lesson.find(
+        { courseId: course._id, ...shown },
+        "title description order status publishedAt"
+      ).sort(ORDER_SORT);
+      const topics = await Topic.find(
+        { lessonId: { $in: lessons.map((lesson) => lesson._id) }, ...shown },
+        "title description image order lessonId status publishedAt"
+      ).sort(ORDER_SORT);
+
+      const [shownCourse, shownLessons, shownTopics] = await Promise.all([
+        publishedContent(req.user, "courses", course),
+        publishedContent(req.user, "lessons", lessons),
+        publishedContent(req.user, "topics", topics),
+      ]);
+      res.status(200).json({
+        ...shownCourse,
+        lessons: shownLessons.map((lesson) => ({
+          ...lesson,
+          topics: shownTopics.filter((topic) =>
+            topic.lessonId.equals(lesson._id)
+          ),
+        })),
+      });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * @openapi
+ * /api/admin/courses/{id}/lessons/order:
+ *   put:
+ *     summary: Reorder the lessons of a course (admins and the course's instructor)
+ *     tags:
+ *       - Courses
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Lessons reordered; returns the ordered lessons
+ *       400:
+ *         description: lessonIds must list every lesson of the course exactly once
+ *       401:
+ *         description: Unauthorized
+ *       403:
  *         description: Forbidden
+ *       404:
+ *         description: Course not found
  */
+router.put(
+  "/admin/courses/:id/lessons/order",
+  authenticateToken,
+  authorize("lessons:manage", (req) => req.params.id),
+  validate({
+    params: idParams("id"),
+    body: object(
+      {
+        lessonIds: array(objectId(), {
+          description: "Every lesson of the course, in the new order",
+        }),
+      },
+      { required: ["lessonIds"] }
+    ),
+  }),
+  audit("course.reorder_lessons", Course),
+  async (req, res) => {
+    try {
+      const course = await Course.findById(req.params.id);
+      if (!course) return res.status(404).json({ error: "Course not found" });
 
-router.get("/courses/:id", authenticateToken, async (req, res) => {
-  try {
-    let courses;
-    courses = await Course.findById(req.params.id);
-    res.status(200).json(courses);
-  } catch (error) {
-    res.status(400).json({ error: error.message });
+      const { lessonIds } = req.body;
+      const lessons = await Lesson.find({ courseId: course._id }, "_id");
+      if (!isPermutationOf(lessonIds, lessons)) {
+        return res.status(400).json({
+          error: "lessonIds must list every lesson of the course exactly once",
+        });
+      }
+
+      await applyOrder(Lesson, lessonIds);
+      const ordered = await Lesson.find(
+        { courseId: course._id },
+        "title order"
+      ).sort(ORDER_SORT);
+      res.status(200).json(ordered);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
   }
-});
+);
 
 /**
  * @openapi
  * /api/admin/courses/{id}:
  *   put:
- *     summary: Update a course (admin only)
+ *     summary: Update a course (admins and the course's instructor)
  *     tags:
  *       - Courses
  *     security:
  *       - BearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *     requestBody:
- *       required: true
- *       content:
- *         multipart/form-data:
- *           schema:
- *             type: object
- *             properties:
- *               title:
- *                 type: string
- *               description:
- *                 type: string
- *               instructor:
- *                 type: string
- *               price:
- *                 type: number
- *               image:
- *                 type: string
- *                 format: binary
- *                 description: The course image (optional)
  *     responses:
  *       200:
  *         description: Course updated successfully
@@ -268,9 +442,12 @@ router.get("/courses/:id", authenticateToken, async (req, res) => {
 router.put(
   "/admin/courses/:id",
   authenticateToken,
-  authorizeRoles("admin"),
-  upload.single("image"), // Add multer middleware to handle image upload
+  authorize("courses:update", (req) => req.params.id),
+  uploadImage("image"), // Add multer middleware to handle image upload
+  validate({ params: idParams("id"), body: object(courseFields) }),
+  audit("course.update", Course),
   async (req, res) => {
+    let image;
     try {
       const { title, description, instructor, price } = req.body;
 
@@ -282,9 +459,20 @@ router.put(
         price,
       };
 
-      // If a new image is uploaded, add the image path to the update object
+      const previous = await Course.findById(req.params.id, "image");
+      if (!previous) {
+        return res.status(404).json({ error: "Course not found" });
+      }
+
+      // Only admins can hand the course to another instructor
+      if (req.body.instructorId && can(req.user, "courses:assign")) {
+        updateData.instructorId = (await findOwner(req))._id;
+      }
+
+      // If a new image is uploaded, store it and add it to the update object
       if (req.file) {
-        updateData.image = req.file.path;
+        image = await saveImage(req.file, "courses");
+        updateData.image = image;
       }
 
       // Find the course and update it with new data
@@ -292,13 +480,15 @@ router.put(
         new: true,
       });
 
-      if (!course) {
-        return res.status(404).json({ error: "Course not found" });
+      // The replaced image is no longer referenced
+      if (image && previous.image) {
+        await removeReplacedMedia("courses", course._id, [previous.image]);
       }
 
       res.status(200).json(course);
     } catch (error) {
-      res.status(400).json({ error: error.message });
+      await removeMedia([image]);
+      res.status(error.status || 400).json({ error: error.message });
     }
   }
 );
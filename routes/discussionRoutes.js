@@ -0,0 +1,854 @@
+const express = require("express");
+const router = express.Router();
+const Lesson = require("../models/lesson");
+const Topic = require("../models/topic");
+const Thread = require("../models/thread");
+const Reply = require("../models/reply");
+const { authenticateToken } = require("../middleware/authMiddleware");
+const { audit, auditModeration } = require("../middleware/auditMiddleware");
+const { isEnrolled } = require("../middleware/enrollmentMiddleware");
+const { paginate } = require("../utils/queryHelper");
+const { canOnCourse } = require("../utils/permissions");
+const {
+  canSeeLesson,
+  canSeeTopic,
+  liveFilter,
+} = require("../utils/publishing");
+const {
+  applyEdit,
+  setUpvote,
+  reportPost,
+  toPublicPost,
+  addReply,
+  deleteReply,
+  deleteThreads,
+} = require("../utils/discussions");
+const { validate } = require("../middleware/validationMiddleware");
+const {
+  string,
+  boolean,
+  objectId,
+  object,
+  idParams,
+  listQuery,
+} = require("../utils/schema");
+
+const THREAD_FILTERS = {
+  topicId: "objectId",
+  userId: "objectId",
+  locked: "boolean",
+  reportCount: "number",
+};
+const REPLY_FILTERS = { userId: "objectId", reportCount: "number" };
+
+const title = string({ minLength: 1, maxLength: 200 });
+const body = string({ minLength: 1, maxLength: 20000 });
+const reportBody = object({
+  reason: string({ maxLength: 1000, description: "What is wrong with it" }),
+});
+
+// Only users who can see the course take part in its discussions. Admins
+// and the course's instructor moderate them (req.canModerate).
+const checkAccess = async (req, res, courseId) => {
+  if (!(await isEnrolled(req.user, courseId))) {
+    res.status(403).json({ error: "You are not enrolled in this course" });
+    return false;
+  }
+  req.canModerate = await canOnCourse(
+    req.user,
+    "discussions:moderate",
+    courseId
+  );
+  return true;
+};
+
+// Threads are shown with the topic, or else the lesson, they are about
+const canSeeThread = async (user, thread) => {
+  const topic = thread.topicId && (await Topic.findById(thread.topicId));
+  if (topic) return canSeeTopic(user, topic);
+  const lesson = await Lesson.findById(thread.lessonId);
+  return !!lesson && canSeeLesson(user, lesson);
+};
+
+// The threads of a lesson `user` can see: those about the lesson itself or
+// one of its live topics, or all of them for those who can preview it
+const visibleThreadFilter = async (user, lesson) => {
+  if (await canOnCourse(user, "content:preview", lesson.courseId)) {
+    return { lessonId: lesson._id };
+  }
+  const topics = await Topic.distinct("_id", {
+    lessonId: lesson._id,
+    ...liveFilter(),
+  });
+  return {
+    lessonId: lesson._id,
+    $or: [{ topicId: null }, { topicId: { $in: topics } }],
+  };
+};
+
+// Load req.params.id as req.lesson, req.thread or req.reply (with its
+// thread), refusing users who cannot see it or the course
+const loadLesson = async (req, res, next) => {
+  try {
+    req.lesson = await Lesson.findById(req.params.id);
+    if (!req.lesson || !(await canSeeLesson(req.user, req.lesson))) {
+      return res.status(404).json({ error: "Lesson not found" });
+    }
+    if (await checkAccess(req, res, req.lesson.courseId)) next();
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+const loadThread = async (req, res, next) => {
+  try {
+    req.thread = await Thread.findById(req.params.id);
+    if (!req.thread || !(await canSeeThread(req.user, req.thread))) {
+      return res.status(404).json({ error: "Thread not found" });
+    }
+    if (await checkAccess(req, res, req.thread.courseId)) next();
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+const loadReply = async (req, res, next) => {
+  try {
+    req.reply = await Reply.findById(req.params.id);
+    if (!req.reply) return res.status(404).json({ error: "Reply not found" });
+    req.thread = await Thread.findById(req.reply.threadId);
+    if (!req.thread || !(await canSeeThread(req.user, req.thread))) {
+      return res.status(404).json({ error: "Thread not found" });
+    }
+    if (await checkAccess(req, res, req.thread.courseId)) next();
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+const requireModerator = (req, res, next) => {
+  if (!req.canModerate) {
+    return res
+      .status(403)
+      .json({ error: "Only admins and the course's instructor can do this" });
+  }
+  next();
+};
+
+const isAuthor = (req, post) => String(post.userId) === String(req.user._id);
+
+/**
+ * @openapi
+ * /api/lessons/{id}/threads:
+ *   get:
+ *     summary: List the discussion threads of a lesson
+ *     description: >
+ *       Pinned threads come first, then the most recently active. Moderators
+ *       can find reported threads with reportCount[gt]=0. Threads about
+ *       topics that are not live are left out for users who cannot preview
+ *       them.
+ *     tags:
+ *       - Discussions
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Threads ({ data, pagination })
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not enrolled in the lesson's course
+ *       404:
+ *         description: Lesson not found
+ */
+router.get(
+  "/lessons/:id/threads",
+  authenticateToken,
+  validate({ params: idParams("id"), query: listQuery(THREAD_FILTERS) }),
+  loadLesson,
+  async (req, res) => {
+    try {
+      const result = await paginate(Thread, req, {
+        baseFilter: await visibleThreadFilter(req.user, req.lesson),
+        filters: THREAD_FILTERS,
+        sortable: [
+          "pinned",
+          "lastActivityAt",
+          "createdAt",
+          "upvoteCount",
+          "replyCount",
+        ],
+        defaultSort: "-pinned,-lastActivityAt",
+        populate: { path: "userId", select: "name profilePhoto" },
+      });
+      result.data = result.data.map((thread) =>
+        toPublicPost(thread, req.user, req.canModerate)
+      );
+      res.status(200).json(result);
+    } catch (error) {
+      res.status(error.status || 400).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * @openapi
+ * /api/lessons/{id}/threads:
+ *   post:
+ *     summary: Start a discussion thread or ask a question about a lesson
+ *     tags:
+ *       - Discussions
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Thread created
+ *       400:
+ *         description: The topic does not belong to the lesson
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not enrolled in the lesson's course
+ *       404:
+ *         description: Lesson not found
+ */
+router.post(
+  "/lessons/:id/threads",
+  authenticateToken,
+  validate({
+    params: idParams("id"),
+    body: object(
+      {
+        title,
+        body,
+        topicId: objectId({
+          description: "The topic of the lesson the thread is about",
+        }),
+      },
+      { required: ["title", "body"] }
+    ),
+  }),
+  loadLesson,
+  async (req, res) => {
+    try {
+      const { topicId } = req.body;
+      const topic =
+        topicId &&
+        (await Topic.findOne({ _id: topicId, lessonId: req.lesson._id }));
+      if (topicId && !(topic && (await canSeeTopic(req.user, topic)))) {
+        return res
+          .status(400)
+          .json({ error: "Topic does not belong to this lesson" });
+      }
+
+      const thread = await Thread.create({
+        courseId: req.lesson.courseId,
+        lessonId: req.lesson._id,
+        topicId,
+        userId: req.user._id,
+        title: req.body.title,
+        body: req.body.body,
+      });
+      res.status(201).json(toPublicPost(thread, req.user, req.canModerate));
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * @openapi
+ * /api/threads/{id}:
+ *   get:
+ *     summary: Get a discussion thread with its edit history
+ *     tags:
+ *       - Discussions
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The thread; reports are included for moderators
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not enrolled in the course
+ *       404:
+ *         description: Thread not found
+ */
+router.get(
+  "/threads/:id",
+  authenticateToken,
+  validate({ params: idParams("id") }),
+  loadThread,
+  async (req, res) => {
+    try {
+      await req.thread.populate("userId", "name profilePhoto");
+      res.status(200).json(toPublicPost(req.thread, req.user, req.canModerate));
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * @openapi
+ * /api/threads/{id}:
+ *   put:
+ *     summary: Edit a thread (its author, or a moderator)
+ *     description: The previous version is kept in the thread's edit history.
+ *     tags:
+ *       - Discussions
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Thread updated
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the author, or the thread is locked
+ *       404:
+ *         description: Thread not found
+ */
+router.put(
+  "/threads/:id",
+  authenticateToken,
+  validate({ params: idParams("id"), body: object({ title, body }) }),
+  loadThread,
+  auditModeration("thread.update", Thread, (req) => req.thread),
+  async (req, res) => {
+    try {
+      const { thread } = req;
+      if (!isAuthor(req, thread) && !req.canModerate) {
+        return res
+          .status(403)
+          .json({ error: "You can only edit your own posts" });
+      }
+      if (thread.locked && !req.canModerate) {
+        return res.status(403).json({ error: "This thread is locked" });
+      }
+
+      if (applyEdit(thread, req.body, req.user)) await thread.save();
+      res.status(200).json(toPublicPost(thread, req.user, req.canModerate));
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * @openapi
+ * /api/threads/{id}:
+ *   delete:
+ *     summary: Delete a thread and its replies (its author, or a moderator)
+ *     tags:
+ *       - Discussions
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Thread deleted
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the author
+ *       404:
+ *         description: Thread not found
+ */
+router.delete(
+  "/threads/:id",
+  authenticateToken,
+  validate({ params: idParams("id") }),
+  loadThread,
+  auditModeration("thread.delete", Thread, (req) => req.thread),
+  async (req, res) => {
+    try {
+      if (!isAuthor(req, req.thread) && !req.canModerate) {
+        return res
+          .status(403)
+          .json({ error: "You can only delete your own posts" });
+      }
+      await deleteThreads({ _id: req.thread._id });
+      res.status(200).json({ message: "Thread deleted successfully" });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * @openapi
+ * /api/threads/{id}/moderation:
+ *   put:
+ *     summary: Pin or lock a thread (admins and the course's instructor)
+ *     description: Locked threads take no new replies and can only be edited by moderators.
+ *     tags:
+ *       - Discussions
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Thread updated
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not a moderator of the course
+ *       404:
+ *         description: Thread not found
+ */
+router.put(
+  "/threads/:id/moderation",
+  authenticateToken,
+  validate({
+    params: idParams("id"),
+    body: object({
+      pinned: boolean({ description: "Keep the thread at the top" }),
+      locked: boolean({ description: "Close the thread to new replies" }),
+      clearReports: boolean({ description: "Dismiss the thread's reports" }),
+    }),
+  }),
+  loadThread,
+  requireModerator,
+  audit("thread.moderate", Thread),
+  async (req, res) => {
+    try {
+      const { pinned, locked, clearReports } = req.body;
+      const { thread } = req;
+      if (pinned !== undefined) thread.pinned = pinned;
+      if (locked !== undefined) thread.locked = locked;
+      if (clearReports) {
+        thread.reports = [];
+        thread.reportCount = 0;
+      }
+      await thread.save();
+      res.status(200).json(toPublicPost(thread, req.user, req.canModerate));
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * @openapi
+ * /api/threads/{id}/upvote:
+ *   post:
+ *     summary: Upvote a thread
+ *     tags:
+ *       - Discussions
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The thread's upvote count
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not enrolled in the course
+ *       404:
+ *         description: Thread not found
+ *   delete:
+ *     summary: Take back an upvote on a thread
+ *     tags:
+ *       - Discussions
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The thread's upvote count
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not enrolled in the course
+ *       404:
+ *         description: Thread not found
+ */
+["post", "delete"].forEach((method) => {
+  router[method](
+    "/threads/:id/upvote",
+    authenticateToken,
+    validate({ params: idParams("id") }),
+    loadThread,
+    async (req, res) => {
+      try {
+        const thread = await setUpvote(
+          Thread,
+          req.thread._id,
+          req.user._id,
+          method === "post"
+        );
+        res.status(200).json({
+          upvoteCount: thread.upvoteCount,
+          upvoted: method === "post",
+        });
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    }
+  );
+});
+
+/**
+ * @openapi
+ * /api/threads/{id}/report:
+ *   post:
+ *     summary: Report a thread to the moderators
+ *     tags:
+ *       - Discussions
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Report received (each user can report a thread once)
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not enrolled in the course
+ *       404:
+ *         description: Thread not found
+ */
+router.post(
+  "/threads/:id/report",
+  authenticateToken,
+  validate({ params: idParams("id"), body: reportBody }),
+  loadThread,
+  async (req, res) => {
+    try {
+      await reportPost(Thread, req.thread._id, req.user._id, req.body.reason);
+      res
+        .status(200)
+        .json({ message: "Thanks, the moderators will take a look" });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * @openapi
+ * /api/threads/{id}/replies:
+ *   get:
+ *     summary: List the replies of a thread, oldest first
+ *     tags:
+ *       - Discussions
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Replies ({ data, pagination })
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not enrolled in the course
+ *       404:
+ *         description: Thread not found
+ */
+router.get(
+  "/threads/:id/replies",
+  authenticateToken,
+  validate({ params: idParams("id"), query: listQuery(REPLY_FILTERS) }),
+  loadThread,
+  async (req, res) => {
+    try {
+      const result = await paginate(Reply, req, {
+        baseFilter: { threadId: req.thread._id },
+        filters: REPLY_FILTERS,
+        sortable: ["createdAt", "upvoteCount"],
+        defaultSort: "createdAt",
+        populate: { path: "userId", select: "name profilePhoto" },
+      });
+      result.data = result.data.map((reply) =>
+        toPublicPost(reply, req.user, req.canModerate)
+      );
+      res.status(200).json(result);
+    } catch (error) {
+      res.status(error.status || 400).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * @openapi
+ * /api/threads/{id}/replies:
+ *   post:
+ *     summary: Reply to a thread
+ *     tags:
+ *       - Discussions
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Reply created
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not enrolled in the course, or the thread is locked
+ *       404:
+ *         description: Thread not found
+ */
+router.post(
+  "/threads/:id/replies",
+  authenticateToken,
+  validate({
+    params: idParams("id"),
+    body: object({ body }, { required: ["body"] }),
+  }),
+  loadThread,
+  async (req, res) => {
+    try {
+      if (req.thread.locked && !req.canModerate) {
+        return res.status(403).json({ error: "This thread is locked" });
+      }
+      const reply = await addReply(req.thread, req.user, req.body.body);
+      res.status(201).json(toPublicPost(reply, req.user, req.canModerate));
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * @openapi
+ * /api/replies/{id}:
+ *   put:
+ *     summary: Edit a reply (its author, or a moderator)
+ *     description: The previous version is kept in the reply's edit history.
+ *     tags:
+ *       - Discussions
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Reply updated
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the author, or the thread is locked
+ *       404:
+ *         description: Reply not found
+ */
+router.put(
+  "/replies/:id",
+  authenticateToken,
+  validate({ params: idParams("id"), body: object({ body }) }),
+  loadReply,
+  auditModeration("reply.update", Reply, (req) => req.reply),
+  async (req, res) => {
+    try {
+      const { reply } = req;
+      if (!isAuthor(req, reply) && !req.canModerate) {
+        return res
+          .status(403)
+          .json({ error: "You can only edit your own posts" });
+      }
+      if (req.thread.locked && !req.canModerate) {
+        return res.status(403).json({ error: "This thread is locked" });
+      }
+
+      if (applyEdit(reply, req.body, req.user)) await reply.save();
+      res.status(200).json(toPublicPost(reply, req.user, req.canModerate));
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * @openapi
+ * /api/replies/{id}:
+ *   delete:
+ *     summary: Delete a reply (its author, or a moderator)
+ *     tags:
+ *       - Discussions
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Reply deleted
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the author
+ *       404:
+ *         description: Reply not found
+ */
+router.delete(
+  "/replies/:id",
+  authenticateToken,
+  validate({ params: idParams("id") }),
+  loadReply,
+  auditModeration("reply.delete", Reply, (req) => req.reply),
+  async (req, res) => {
+    try {
+      if (!isAuthor(req, req.reply) && !req.canModerate) {
+        return res
+          .status(403)
+          .json({ error: "You can only delete your own posts" });
+      }
+      await deleteReply(req.reply);
+      res.status(200).json({ message: "Reply deleted successfully" });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * @openapi
+ * /api/replies/{id}/upvote:
+ *   post:
+ *     summary: Upvote a reply
+ *     tags:
+ *       - Discussions
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The reply's upvote count
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not enrolled in the course
+ *       404:
+ *         description: Reply not found
+ *   delete:
+ *     summary: Take back an upvote on a reply
+ *     tags:
+ *       - Discussions
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The reply's upvote count
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not enrolled in the course
+ *       404:
+ *         description: Reply not found
+ */
+["post", "delete"].forEach((method) => {
+  router[method](
+    "/replies/:id/upvote",
+    authenticateToken,
+    validate({ params: idParams("id") }),
+    loadReply,
+    async (req, res) => {
+      try {
+        const reply = await setUpvote(
+          Reply,
+          req.reply._id,
+          req.user._id,
+          method === "post"
+        );
+        res.status(200).json({
+          upvoteCount: reply.upvoteCount,
+          upvoted: method === "post",
+        });
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    }
+  );
+});
+
+/**
+ * @openapi
+ * /api/replies/{id}/report:
+ *   post:
+ *     summary: Report a reply to the moderators
+ *     tags:
+ *       - Discussions
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Report received (each user can report a reply once)
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not enrolled in the course
+ *       404:
+ *         description: Reply not found
+ */
+router.post(
+  "/replies/:id/report",
+  authenticateToken,
+  validate({ params: idParams("id"), body: reportBody }),
+  loadReply,
+  async (req, res) => {
+    try {
+      await reportPost(Reply, req.reply._id, req.user._id, req.body.reason);
+      res
+        .status(200)
+        .json({ message: "Thanks, the moderators will take a look" });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * @openapi
+ * /api/replies/{id}/accept:
+ *   post:
+ *     summary: Mark a reply as the thread's accepted answer (admins and the course's instructor)
+ *     description: Replaces any previously accepted answer.
+ *     tags:
+ *       - Discussions
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The updated thread
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not a moderator of the course
+ *       404:
+ *         description: Reply not found
+ *   delete:
+ *     summary: Unmark the thread's accepted answer (admins and the course's instructor)
+ *     tags:
+ *       - Discussions
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The updated thread
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not a moderator of the course
+ *       404:
+ *         description: Reply not found
+ */
+["post", "delete"].forEach((method) => {
+  router[method](
+    "/replies/:id/accept",
+    authenticateToken,
+    validate({ params: idParams("id") }),
+    loadReply,
+    requireModerator,
+    audit(
+      `thread.${method === "post" ? "accept" : "unaccept"}`,
+      Thread,
+      (req) => req.reply.threadId
+    ),
+    async (req, res) => {
+      try {
+        const { thread, reply } = req;
+        if (method === "post") {
+          thread.acceptedReplyId = reply._id;
+        } else if (String(thread.acceptedReplyId) === String(reply._id)) {
+          thread.acceptedReplyId = undefined;
+        }
+        await thread.save();
+        res.status(200).json(toPublicPost(thread, req.user, req.canModerate));
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    }
+  );
+});
+
+module.exports = router;
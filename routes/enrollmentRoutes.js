@@ -0,0 +1,223 @@
+const express = require("express");
+const router = express.Router();
+const Course = require("../models/course");
+const Enrollment = require("../models/enrollment");
+const User = require("../models/User");
+const {
+  authenticateToken,
+  authorize,
+} = require("../middleware/authMiddleware");
+const { paginate } = require("../utils/queryHelper");
+const { validate } = require("../middleware/validationMiddleware");
+const { idParams, listQuery } = require("../utils/schema");
+const { isLive, publishedContent } = require("../utils/publishing");
+const { publishToUser } = require("../utils/realtime");
+
+/**
+ * @openapi
+ * /api/courses/{id}/enroll:
+ *   post:
+ *     summary: Enroll the authenticated user in a free course
+ *     tags:
+ *       - Enrollments
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Enrolled successfully
+ *       401:
+ *         description: Unauthorized
+ *       402:
+ *         description: The course is paid; buy it with /api/courses/{id}/checkout
+ *       404:
+ *         description: Course not found
+ *       409:
+ *         description: Already enrolled
+ */
+router.post(
+  "/courses/:id/enroll",
+  authenticateToken,
+  validate({ params: idParams("id") }),
+  async (req, res) => {
+    try {
+      const course = await Course.findById(req.params.id);
+      if (!course || !isLive(course)) {
+        return res.status(404).json({ error: "Course not found" });
+      }
+
+      // Paid courses are enrolled in once their order is paid. The price is
+      // the one last published, as at checkout.
+      const { price } = await publishedContent(req.user, "courses", course);
+      if (price > 0) {
+        return res.status(402).json({
+          error: "This course must be purchased through checkout",
+        });
+      }
+
+      let enrollment;
+      try {
+        enrollment = await Enrollment.create({
+          userId: req.user._id,
+          courseId: course._id,
+        });
+      } catch (err) {
+        // Already enrolled, possibly by a concurrent request
+        if (err.code !== 11000) throw err;
+        return res
+          .status(409)
+          .json({ error: "Already enrolled in this course" });
+      }
+
+      // Keep the user's course list in sync with the enrollment
+      await User.updateOne(
+        { _id: req.user._id },
+        { $addToSet: { courses: course._id } }
+      );
+
+      await publishToUser(req.user._id, "enrollment.changed", {
+        courseId: course._id,
+        enrolled: true,
+      });
+      res.status(201).json(enrollment);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * @openapi
+ * /api/courses/{id}/enroll:
+ *   delete:
+ *     summary: Unenroll the authenticated user from a course
+ *     tags:
+ *       - Enrollments
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Unenrolled successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Not enrolled in this course
+ */
+router.delete(
+  "/courses/:id/enroll",
+  authenticateToken,
+  validate({ params: idParams("id") }),
+  async (req, res) => {
+    try {
+      const enrollment = await Enrollment.findOneAndDelete({
+        userId: req.user._id,
+        courseId: req.params.id,
+      });
+      if (!enrollment) {
+        return res.status(404).json({ error: "Not enrolled in this course" });
+      }
+
+      await User.updateOne(
+        { _id: req.user._id },
+        { $pull: { courses: enrollment.courseId } }
+      );
+
+      await publishToUser(req.user._id, "enrollment.changed", {
+        courseId: enrollment.courseId,
+        enrolled: false,
+      });
+      res.status(200).json({ message: "Unenrolled successfully" });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * @openapi
+ * /api/profile/courses:
+ *   get:
+ *     summary: List the courses the authenticated user is enrolled in
+ *     tags:
+ *       - Enrollments
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: A list of enrolled courses with their enrollment date
+ *       401:
+ *         description: Unauthorized
+ */
+router.get("/profile/courses", authenticateToken, async (req, res) => {
+  try {
+    const enrollments = await Enrollment.find({ userId: req.user._id })
+      .populate("courseId")
+      .sort({ enrolledAt: -1 });
+
+    // Skip enrollments whose course has since been deleted
+    const courses = enrollments
+      .filter((enrollment) => enrollment.courseId)
+      .map((enrollment) => ({
+        course: enrollment.courseId,
+        enrolledAt: enrollment.enrolledAt,
+      }));
+
+    res.status(200).json(courses);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * @openapi
+ * /api/admin/courses/{id}/enrollments:
+ *   get:
+ *     summary: List the users enrolled in a course (admin only)
+ *     tags:
+ *       - Enrollments
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The course roster, paginated ({ data, pagination })
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Course not found
+ */
+router.get(
+  "/admin/courses/:id/enrollments",
+  authenticateToken,
+  authorize("enrollments:read"),
+  validate({
+    params: idParams("id"),
+    query: listQuery({ enrolledAt: "date" }),
+  }),
+  async (req, res) => {
+    try {
+      const course = await Course.findById(req.params.id);
+      if (!course) return res.status(404).json({ error: "Course not found" });
+
+      const { data, pagination } = await paginate(Enrollment, req, {
+        baseFilter: { courseId: course._id },
+        filters: { enrolledAt: "date" },
+        sortable: ["enrolledAt"],
+        defaultSort: "enrolledAt",
+        populate: { path: "userId", select: "name email role" },
+      });
+
+      res.status(200).json({
+        data: data.map((enrollment) => ({
+          user: enrollment.userId,
+          enrolledAt: enrollment.enrolledAt,
+        })),
+        pagination,
+      });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+module.exports = router;
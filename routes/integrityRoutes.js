@@ -0,0 +1,98 @@
+const express = require("express");
+const router = express.Router();
+const {
+  authenticateToken,
+  authorize,
+} = require("../middleware/authMiddleware");
+const {
+  findIntegrityIssues,
+  repairIntegrityIssues,
+} = require("../utils/contentIntegrity");
+const { recordAuditEvent } = require("../utils/audit");
+
+/**
+ * @openapi
+ * /api/admin/integrity:
+ *   get:
+ *     summary: Report orphaned or inconsistent content (admin only)
+ *     description: >
+ *       Finds lessons without a course, topics without a lesson, Lesson.topics
+ *       entries that do not match the topics of the lesson, enrollments,
+ *       progress and quizzes pointing at deleted content, images that are
+ *       missing from storage and stored files nothing refers to (once they
+ *       are older than UNREFERENCED_FILE_GRACE_MS, a day by default, so
+ *       fresh uploads are left alone). Fix them with
+ *       POST /api/admin/integrity/repair.
+ *     tags:
+ *       - Integrity
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The integrity report
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+router.get(
+  "/admin/integrity",
+  authenticateToken,
+  authorize("integrity:manage"),
+  async (req, res) => {
+    try {
+      res.status(200).json(await findIntegrityIssues());
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * @openapi
+ * /api/admin/integrity/repair:
+ *   post:
+ *     summary: Fix everything the integrity report finds (admin only)
+ *     description: >
+ *       Deletes orphaned content with everything that hangs off it, rebuilds
+ *       the topic lists of lessons, clears references to missing files and
+ *       removes stored files nothing refers to. The repair is recorded in
+ *       the audit log.
+ *     tags:
+ *       - Integrity
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: What was repaired (repaired) and the report after repairing
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+router.post(
+  "/admin/integrity/repair",
+  authenticateToken,
+  authorize("integrity:manage"),
+  async (req, res) => {
+    try {
+      const report = await findIntegrityIssues();
+      if (report.ok) return res.status(200).json(report);
+
+      await repairIntegrityIssues(report);
+      const after = await findIntegrityIssues();
+      // Not about a single document, so audit() does not fit
+      await recordAuditEvent(req, {
+        action: "integrity.repair",
+        entity: "Integrity",
+        before: report,
+        after: after.summary,
+      });
+      res.status(200).json({ repaired: report, ...after });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+module.exports = router;
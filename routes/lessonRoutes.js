@@ -1,40 +1,91 @@
 const express = require("express");
 const router = express.Router();
+const Course = require("../models/course");
 const Lesson = require("../models/lesson");
 const Topic = require("../models/topic");
 const {
   authenticateToken,
-  authorizeRoles,
+  authorize,
 } = require("../middleware/authMiddleware"); // Assuming you have these middlewares
+const {
+  isEnrolled,
+  enrolledCourses,
+  requireEnrollment,
+} = require("../middleware/enrollmentMiddleware");
+const { paginate } = require("../utils/queryHelper");
+const {
+  isPermutationOf,
+  applyOrder,
+  ORDER_SORT,
+} = require("../utils/ordering");
+const {
+  requireCourse,
+  requireLesson,
+  requireLessonTopics,
+  deleteLessonTree,
+  moveLessonToCourse,
+} = require("../utils/contentIntegrity");
+const { withTransaction } = require("../utils/transaction");
+const { uploadImage } = require("../middleware/uploadMiddleware");
+const { saveImage, removeMedia } = require("../utils/media");
+const {
+  contentSchema,
+  resolveContent,
+  withHtml,
+  formatQuery,
+} = require("../utils/contentBlocks");
+const { canOnCourse, courseOfLesson } = require("../utils/permissions");
+const {
+  liveFilter,
+  visibleLessonFilter,
+  canSeeLesson,
+  publishedContent,
+  publishedListQuery,
+  removeReplacedMedia,
+} = require("../utils/publishing");
+const { validate } = require("../middleware/validationMiddleware");
+const { audit } = require("../middleware/auditMiddleware");
+const {
+  string,
+  integer,
+  objectId,
+  array,
+  object,
+  idParams,
+  listQuery,
+} = require("../utils/schema");
+
+const LESSON_FILTERS = {
+  courseId: "objectId",
+  title: "string",
+  status: "string",
+};
+
+const lessonFields = {
+  title: string({ minLength: 1 }),
+  description: string(),
+  courseId: objectId({ description: "The course the lesson belongs to" }),
+  content: contentSchema(),
+};
+
+// Apply ?format=html to one lesson or a list of lessons
+const formatted = (req, lessons) => {
+  if (req.query.format !== "html") return lessons;
+  return Array.isArray(lessons) ? lessons.map(withHtml) : withHtml(lessons);
+};
 
 /**
  * @openapi
  * /api/lessons:
  *   post:
- *     summary: Create a new lesson (admin only)
+ *     summary: Create a new lesson (admins and the course's instructor)
  *     tags:
  *       - Lessons
  *     security:
  *       - BearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               title:
- *                 type: string
- *                 description: The title of the lesson
- *               description:
- *                 type: string
- *                 description: A brief description of the lesson
- *               courseId:
- *                 type: string
- *                 description: The ID of the course to which the lesson belongs
  *     responses:
  *       201:
- *         description: Lesson created successfully
+ *         description: Lesson created as a draft
  *       400:
  *         description: Invalid input
  *       401:
@@ -45,14 +96,32 @@ const {
 router.post(
   "/lessons",
   authenticateToken,
-  authorizeRoles("admin"),
+  validate({
+    body: object(
+      {
+        ...lessonFields,
+        order: integer({
+          minimum: 0,
+          description: "Position in the course; appended at the end if omitted",
+        }),
+      },
+      { required: ["title", "description", "courseId"] }
+    ),
+  }),
+  authorize("lessons:manage", (req) => req.body.courseId),
+  audit("lesson.create", Lesson),
   async (req, res) => {
     try {
-      const lesson = new Lesson(req.body);
+      await requireCourse(req.body.courseId);
+      const lesson = new Lesson({
+        ...req.body,
+        // A new lesson has no images yet, so image blocks are refused
+        content: req.body.content && resolveContent(req.body.content).content,
+      });
       await lesson.save();
       res.status(201).json(lesson);
     } catch (error) {
-      res.status(400).json({ error: error.message });
+      res.status(error.status || 400).json({ error: error.message });
     }
   }
 );
@@ -62,24 +131,62 @@ router.post(
  * /api/lessons:
  *   get:
  *     summary: List all lessons (accessible by both users and admins)
+ *     description: Learners see the published lessons of the published courses they are enrolled in; admins see every lesson and instructors also the lessons of their courses. Content edited since it was published is shown, filtered and sorted as published to those who cannot preview it.
  *     tags:
  *       - Lessons
  *     security:
  *       - BearerAuth: []
  *     responses:
  *       200:
- *         description: A list of lessons
+ *         description: A paginated list of lessons ({ data, pagination })
+ *       400:
+ *         description: Invalid query parameters
  *       401:
  *         description: Unauthorized
  */
-router.get("/lessons", authenticateToken, async (req, res) => {
-  try {
-    const lessons = await Lesson.find();
-    res.status(200).json(lessons);
-  } catch (error) {
-    res.status(400).json({ error: error.message });
+router.get(
+  "/lessons",
+  authenticateToken,
+  validate({ query: listQuery(LESSON_FILTERS, formatQuery) }),
+  async (req, res) => {
+    try {
+      const listing = await publishedListQuery(
+        req.user,
+        "lessons",
+        req.query,
+        LESSON_FILTERS
+      );
+      const lessons = await paginate(Lesson, req, {
+        baseFilter: {
+          $and: [
+            await visibleLessonFilter(
+              req.user,
+              await enrolledCourses(req.user)
+            ),
+            listing.filter,
+          ],
+        },
+        filters: listing.filters,
+        sortPaths: listing.sortPaths,
+        sortable: ["title", "courseId", "order"],
+        selectable: [
+          "title",
+          "description",
+          "courseId",
+          "topics",
+          "content",
+          "order",
+          "status",
+          "publishedAt",
+        ],
+      });
+      const shown = await publishedContent(req.user, "lessons", lessons.data);
+      res.status(200).json({ ...lessons, data: formatted(req, shown) });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
   }
-});
+);
 
 /**
  * @openapi
@@ -90,69 +197,48 @@ router.get("/lessons", authenticateToken, async (req, res) => {
  *       - Lessons
  *     security:
  *       - BearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
  *     responses:
  *       200:
  *         description: Lesson found
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (not enrolled in the course)
  *       404:
  *         description: Lesson not found
  */
-router.get("/lessons/:id", authenticateToken, async (req, res) => {
-  try {
-    const lesson = await Lesson.findById(req.params.id);
-    if (!lesson) return res.status(404).json({ error: "Lesson not found" });
-    res.status(200).json(lesson);
-  } catch (error) {
-    res.status(400).json({ error: error.message });
+router.get(
+  "/lessons/:id",
+  authenticateToken,
+  validate({ params: idParams("id"), query: object(formatQuery) }),
+  async (req, res) => {
+    try {
+      const lesson = await Lesson.findById(req.params.id);
+      if (!lesson || !(await canSeeLesson(req.user, lesson))) {
+        return res.status(404).json({ error: "Lesson not found" });
+      }
+      if (!(await isEnrolled(req.user, lesson.courseId))) {
+        return res
+          .status(403)
+          .json({ error: "You are not enrolled in this course" });
+      }
+      const shown = await publishedContent(req.user, "lessons", lesson);
+      res.status(200).json(formatted(req, shown));
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
   }
-});
+);
 
 /**
  * @openapi
  * /api/lessons/{id}:
  *   put:
- *     summary: Update a specific lesson by ID (admin only)
+ *     summary: Update a specific lesson by ID (admins and the course's instructor)
  *     tags:
  *       - Lessons
  *     security:
  *       - BearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               title:
- *                 type: string
- *                 description: The title of the lesson
- *               description:
- *                 type: string
- *                 description: A brief description of the lesson
- *               courseId:
- *                 type: string
- *                 description: The ID of the course to which the lesson belongs
- *               topics:
- *                 type: array
- *                 items:
- *                   type: string
- *                   description: An array of topic IDs
- *               content:
- *                 type: string
- *                 description: The full content of the lesson
  *     responses:
  *       200:
  *         description: Lesson updated successfully
@@ -168,54 +254,155 @@ router.get("/lessons/:id", authenticateToken, async (req, res) => {
 router.put(
   "/lessons/:id",
   authenticateToken,
-  authorizeRoles("admin"),
+  validate({
+    params: idParams("id"),
+    body: object({
+      ...lessonFields,
+      courseId: objectId({ description: "Move the lesson to this course" }),
+      topics: array(objectId(), {
+        description: "Every topic of the lesson, in the new order",
+      }),
+    }),
+  }),
+  authorize("lessons:manage", async (req) => [
+    await courseOfLesson(req.params.id),
+    req.body.courseId, // When moving the lesson
+  ]),
+  audit("lesson.update", Lesson),
   async (req, res) => {
     try {
-      const { title, description, courseId, topics, content } = req.body;
+      const { title, description, courseId, topics } = req.body;
 
-      const updatedLesson = await Lesson.findByIdAndUpdate(
-        req.params.id,
-        {
-          title,
-          description,
-          courseId,
-          topics,
-          content, // Updating the content as well
-        },
-        { new: true, runValidators: true } // Return the updated document and validate fields
-      );
+      let content;
+      let removed = [];
+      const updatedLesson = await withTransaction(async (session) => {
+        const lesson = await requireLesson(req.params.id, session);
 
-      if (!updatedLesson)
-        return res.status(404).json({ error: "Lesson not found" });
+        // Image blocks keep the images the lesson already has
+        if (req.body.content !== undefined) {
+          ({ content, removed } = resolveContent(
+            req.body.content,
+            lesson.content
+          ));
+        }
 
+        // Moving the lesson to another course
+        if (courseId && String(courseId) !== String(lesson.courseId)) {
+          await requireCourse(courseId, session);
+          await moveLessonToCourse(lesson, courseId, session);
+        }
+
+        // The topics array can be reordered but must keep naming exactly
+        // the topics that belong to this lesson
+        if (topics !== undefined) {
+          await requireLessonTopics(lesson._id, topics, session);
+          await applyOrder(Topic, topics, session);
+        }
+
+        return Lesson.findByIdAndUpdate(
+          lesson._id,
+          {
+            title,
+            description,
+            topics,
+            content, // Updating the content as well
+          },
+          { new: true, runValidators: true, session } // Return the updated document and validate fields
+        );
+      });
+
+      // Images dropped from the content
+      await removeReplacedMedia("lessons", updatedLesson._id, removed);
       res.status(200).json(updatedLesson);
     } catch (error) {
-      res.status(400).json({ error: error.message });
+      res.status(error.status || 400).json({ error: error.message });
     }
   }
 );
 
+/**
+ * @openapi
+ * /api/lessons/{id}/content/images:
+ *   post:
+ *     summary: Add an image block to a lesson's content (admins and the course's instructor)
+ *     description: >
+ *       The image is stored with its thumbnails and an image block is
+ *       inserted at position (at the end by default). To move or drop image
+ *       blocks afterwards, send the content back with PUT /api/lessons/{id},
+ *       naming each image by its key; images left out are deleted.
+ *     tags:
+ *       - Lessons
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Image added; returns the lesson
+ *       400:
+ *         description: No image uploaded, or not an image
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Lesson not found
+ *       413:
+ *         description: Image too large
+ */
+router.post(
+  "/lessons/:id/content/images",
+  authenticateToken,
+  validate({ params: idParams("id") }),
+  authorize("lessons:manage", (req) => courseOfLesson(req.params.id)),
+  uploadImage("image"),
+  validate({
+    body: object({
+      alt: string({ description: "Text describing the image" }),
+      caption: string(),
+      position: integer({
+        minimum: 0,
+        description: "Index of the new block; appended at the end if omitted",
+      }),
+    }),
+  }),
+  audit("lesson.add_image", Lesson),
+  async (req, res) => {
+    let image;
+    try {
+      if (!req.file) {
+        return res.status(400).json({ error: "An image file is required" });
+      }
+      const lesson = await requireLesson(req.params.id);
+      const { alt, caption, position = lesson.content.length } = req.body;
+
+      image = await saveImage(req.file, "lessons");
+      lesson.content.splice(Math.min(position, lesson.content.length), 0, {
+        type: "image",
+        image,
+        alt,
+        caption,
+      });
+      await lesson.save();
+      res.status(201).json(lesson);
+    } catch (error) {
+      // Don't keep an image the lesson does not use
+      await removeMedia([image]);
+      res.status(error.status || 400).json({ error: error.message });
+    }
+  }
+);
 
 /**
  * @openapi
  * /api/lessons/{id}:
  *   delete:
- *     summary: Delete a specific lesson by ID (admin only)
+ *     summary: Delete a specific lesson with its topics, quizzes and images (admins and the course's instructor)
  *     tags:
  *       - Lessons
  *     security:
  *       - BearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
  *     responses:
  *       200:
  *         description: Lesson deleted successfully
- *       400:
- *         description: Invalid ID
  *       401:
  *         description: Unauthorized
  *       403:
@@ -226,15 +413,15 @@ router.put(
 router.delete(
   "/lessons/:id",
   authenticateToken,
-  authorizeRoles("admin"),
+  validate({ params: idParams("id") }),
+  authorize("lessons:manage", (req) => courseOfLesson(req.params.id)),
+  audit("lesson.delete", Lesson),
   async (req, res) => {
     try {
-      const lesson = await Lesson.findByIdAndDelete(req.params.id);
+      // Removes the lesson's topics, quizzes, progress and images too
+      const lesson = await deleteLessonTree(req.params.id);
       if (!lesson) return res.status(404).json({ error: "Lesson not found" });
 
-      // Optionally, delete associated topics
-      await Topic.deleteMany({ _id: { $in: lesson.topics } });
-
       res.status(200).json({ message: "Lesson deleted successfully" });
     } catch (error) {
       res.status(400).json({ error: error.message });
@@ -247,33 +434,124 @@ router.delete(
  * /api/lessons/{id}/topics:
  *   get:
  *     summary: Get all topics for a specific lesson (accessible by both users and admins)
+ *     description: Learners see the published topics; admins and the course's instructor see drafts too.
  *     tags:
  *       - Lessons
  *     security:
  *       - BearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
  *     responses:
  *       200:
  *         description: A list of topics for the specified lesson
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (not enrolled in the course)
  *       404:
  *         description: Lesson not found
  */
-router.get("/lessons/:id/topics", authenticateToken, async (req, res) => {
-  try {
-    const lesson = await Lesson.findById(req.params.id).populate("topics");
-    if (!lesson) return res.status(404).json({ error: "Lesson not found" });
-    res.status(200).json(lesson.topics);
-  } catch (error) {
-    res.status(400).json({ error: error.message });
+router.get(
+  "/lessons/:id/topics",
+  authenticateToken,
+  validate({ params: idParams("id") }),
+  async (req, res) => {
+    try {
+      const lesson = await Lesson.findById(req.params.id);
+      if (!lesson || !(await canSeeLesson(req.user, lesson))) {
+        return res.status(404).json({ error: "Lesson not found" });
+      }
+      if (!(await isEnrolled(req.user, lesson.courseId))) {
+        return res
+          .status(403)
+          .json({ error: "You are not enrolled in this course" });
+      }
+
+      const preview = await canOnCourse(
+        req.user,
+        "content:preview",
+        lesson.courseId
+      );
+      await lesson.populate({
+        path: "topics",
+        match: preview ? {} : liveFilter(),
+      });
+      res
+        .status(200)
+        .json(await publishedContent(req.user, "topics", lesson.topics));
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
   }
-});
+);
+
+/**
+ * @openapi
+ * /api/admin/lessons/{id}/topics/order:
+ *   put:
+ *     summary: Reorder the topics of a lesson (admins and the course's instructor)
+ *     tags:
+ *       - Lessons
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Topics reordered; returns the ordered topics
+ *       400:
+ *         description: topicIds must list every topic of the lesson exactly once
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Lesson not found
+ */
+router.put(
+  "/admin/lessons/:id/topics/order",
+  authenticateToken,
+  validate({
+    params: idParams("id"),
+    body: object(
+      {
+        topicIds: array(objectId(), {
+          description: "Every topic of the lesson, in the new order",
+        }),
+      },
+      { required: ["topicIds"] }
+    ),
+  }),
+  authorize("topics:manage", (req) => courseOfLesson(req.params.id)),
+  audit("lesson.reorder_topics", Lesson),
+  async (req, res) => {
+    try {
+      const lesson = await Lesson.findById(req.params.id);
+      if (!lesson) return res.status(404).json({ error: "Lesson not found" });
+
+      const { topicIds } = req.body;
+      const topics = await Topic.find({ lessonId: lesson._id }, "_id");
+      if (!isPermutationOf(topicIds, topics)) {
+        return res.status(400).json({
+          error: "topicIds must list every topic of the lesson exactly once",
+        });
+      }
+
+      await withTransaction(async (session) => {
+        await applyOrder(Topic, topicIds, session);
+        // Keep Lesson.topics in the same order as the topics themselves
+        await Lesson.updateOne(
+          { _id: lesson._id },
+          { topics: topicIds },
+          { session }
+        );
+      });
+
+      const ordered = await Topic.find({ lessonId: lesson._id }).sort(
+        ORDER_SORT
+      );
+      res.status(200).json(ordered);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
 
 module.exports = router;
 
@@ -282,34 +560,47 @@ module.exports = router;
  * /api/lessons/course/{courseId}:
  *   get:
  *     summary: Get all lessons for a specific course by courseId
+ *     description: Learners see the published lessons of a published course; admins and the course's instructor see drafts too.
  *     tags:
  *       - Lessons
  *     security:
  *       - BearerAuth: []
- *     parameters:
- *       - in: path
- *         name: courseId
- *         required: true
- *         schema:
- *           type: string
- *         description: The ID of the course to which the lessons belong
  *     responses:
  *       200:
  *         description: A list of lessons for the specified course
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (not enrolled in the course)
  *       404:
  *         description: Course or lessons not found
  */
-router.get("/lessons/course/:courseId", authenticateToken, async (req, res) => {
-  try {
-    const lessons = await Lesson.find({ courseId: req.params.courseId });
-    if (!lessons.length)
-      return res
-        .status(404)
-        .json({ error: "No lessons found for this course" });
-    res.status(200).json(lessons);
-  } catch (error) {
-    res.status(400).json({ error: error.message });
+router.get(
+  "/lessons/course/:courseId",
+  authenticateToken,
+  validate({ params: idParams("courseId"), query: object(formatQuery) }),
+  requireEnrollment("courseId"),
+  async (req, res) => {
+    try {
+      const { courseId } = req.params;
+      const preview = await canOnCourse(req.user, "content:preview", courseId);
+      const shown = preview ? {} : liveFilter();
+      const courseShown =
+        preview || (await Course.exists({ _id: courseId, ...liveFilter() }));
+      const lessons = courseShown
+        ? await Lesson.find({ courseId, ...shown }).sort(ORDER_SORT)
+        : [];
+      if (!lessons.length)
+        return res
+          .status(404)
+          .json({ error: "No lessons found for this course" });
+      res
+        .status(200)
+        .json(
+          formatted(req, await publishedContent(req.user, "lessons", lessons))
+        );
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
   }
-});
+);
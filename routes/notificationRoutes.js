@@ -0,0 +1,279 @@
+const express = require("express");
+const router = express.Router();
+const Notification = require("../models/notification");
+const { authenticateToken } = require("../middleware/authMiddleware");
+const { paginate } = require("../utils/queryHelper");
+const {
+  NOTIFICATION_TYPES,
+  DIGEST_FREQUENCIES,
+  inboxFilter,
+  unreadCount,
+  getPreferences,
+  updatePreferences,
+} = require("../utils/notifications");
+const { publishToUser } = require("../utils/realtime");
+const { validate } = require("../middleware/validationMiddleware");
+const {
+  string,
+  boolean,
+  object,
+  idParams,
+  listQuery,
+} = require("../utils/schema");
+
+const NOTIFICATION_FILTERS = { type: "string", courseId: "objectId" };
+
+/**
+ * @openapi
+ * /api/notifications:
+ *   get:
+ *     summary: List the authenticated user's notifications
+ *     description: >
+ *       Users are notified when a lesson or topic is published in a course
+ *       they are enrolled in, when they are enrolled in or removed from a
+ *       course by a purchase, refund or admin, and when someone replies to
+ *       their discussion thread. Pass unread=true for unread ones only.
+ *     tags:
+ *       - Notifications
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Notifications, newest first ({ data, pagination, unreadCount })
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  "/notifications",
+  authenticateToken,
+  validate({
+    query: listQuery(NOTIFICATION_FILTERS, {
+      unread: boolean({ description: "Only unread notifications" }),
+    }),
+  }),
+  async (req, res) => {
+    try {
+      const result = await paginate(Notification, req, {
+        baseFilter: {
+          ...inboxFilter(req.user._id),
+          ...(req.query.unread ? { readAt: null } : {}),
+        },
+        filters: NOTIFICATION_FILTERS,
+        sortable: ["notifyAt"],
+        defaultSort: "-notifyAt",
+      });
+      res
+        .status(200)
+        .json({ ...result, unreadCount: await unreadCount(req.user._id) });
+    } catch (error) {
+      res.status(error.status || 400).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * @openapi
+ * /api/notifications/unread-count:
+ *   get:
+ *     summary: Count the authenticated user's unread notifications
+ *     tags:
+ *       - Notifications
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: "{ unreadCount }"
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  "/notifications/unread-count",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      res.status(200).json({ unreadCount: await unreadCount(req.user._id) });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * @openapi
+ * /api/notifications/read-all:
+ *   put:
+ *     summary: Mark all of the authenticated user's notifications read
+ *     tags:
+ *       - Notifications
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: "{ updated }, the number of notifications marked read"
+ *       401:
+ *         description: Unauthorized
+ */
+router.put("/notifications/read-all", authenticateToken, async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { ...inboxFilter(req.user._id), readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+    await publishToUser(req.user._id, "notification.read", { all: true });
+    res.status(200).json({ updated: result.modifiedCount });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * @openapi
+ * /api/notifications/preferences:
+ *   get:
+ *     summary: Get the authenticated user's notification preferences
+ *     tags:
+ *       - Notifications
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Whether each type of notification is enabled, and the email digest frequency
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  "/notifications/preferences",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      res.status(200).json(await getPreferences(req.user._id));
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * @openapi
+ * /api/notifications/preferences:
+ *   put:
+ *     summary: Update the authenticated user's notification preferences
+ *     description: >
+ *       Disabled types are not added to the inbox. With an email digest,
+ *       unread notifications are emailed daily or weekly. Types left out
+ *       keep their setting.
+ *     tags:
+ *       - Notifications
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The updated preferences
+ *       401:
+ *         description: Unauthorized
+ */
+router.put(
+  "/notifications/preferences",
+  authenticateToken,
+  validate({
+    body: object({
+      types: object(
+        Object.fromEntries(NOTIFICATION_TYPES.map((type) => [type, boolean()])),
+        { description: "Whether each type of notification is wanted" }
+      ),
+      emailDigest: string({ enum: DIGEST_FREQUENCIES }),
+    }),
+  }),
+  async (req, res) => {
+    try {
+      res.status(200).json(await updatePreferences(req.user._id, req.body));
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * @openapi
+ * /api/notifications/{id}/read:
+ *   put:
+ *     summary: Mark a notification read
+ *     tags:
+ *       - Notifications
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The notification
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Notification not found
+ */
+router.put(
+  "/notifications/:id/read",
+  authenticateToken,
+  validate({ params: idParams("id") }),
+  async (req, res) => {
+    try {
+      const filter = { ...inboxFilter(req.user._id), _id: req.params.id };
+      // Keep the time it was first read
+      await Notification.updateOne(
+        { ...filter, readAt: null },
+        { $set: { readAt: new Date() } }
+      );
+      const notification = await Notification.findOne(filter);
+      if (!notification) {
+        return res.status(404).json({ error: "Notification not found" });
+      }
+      await publishToUser(req.user._id, "notification.read", {
+        id: notification._id,
+      });
+      res.status(200).json(notification);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * @openapi
+ * /api/notifications/{id}:
+ *   delete:
+ *     summary: Dismiss a notification
+ *     tags:
+ *       - Notifications
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Notification dismissed
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Notification not found
+ */
+router.delete(
+  "/notifications/:id",
+  authenticateToken,
+  validate({ params: idParams("id") }),
+  async (req, res) => {
+    try {
+      const result = await Notification.deleteOne({
+        ...inboxFilter(req.user._id),
+        _id: req.params.id,
+      });
+      if (!result.deletedCount) {
+        return res.status(404).json({ error: "Notification not found" });
+      }
+      await publishToUser(req.user._id, "notification.dismissed", {
+        id: req.params.id,
+      });
+      res.status(200).json({ message: "Notification dismissed" });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,298 @@
+const express = require("express");
+const router = express.Router();
+const Course = require("../models/course");
+const Order = require("../models/order");
+const {
+  authenticateToken,
+  authorize,
+} = require("../middleware/authMiddleware");
+const { paginate } = require("../utils/queryHelper");
+const { getPaymentProvider } = require("../utils/payments");
+const {
+  checkout,
+  handlePaymentEvent,
+  refundOrder,
+} = require("../utils/orders");
+const { validate } = require("../middleware/validationMiddleware");
+const { audit } = require("../middleware/auditMiddleware");
+const {
+  string,
+  number,
+  object,
+  idParams,
+  listQuery,
+} = require("../utils/schema");
+const { can } = require("../utils/permissions");
+const { isLive, publishedContent } = require("../utils/publishing");
+
+const ORDER_FILTERS = { status: "string", createdAt: "date", total: "number" };
+const ADMIN_ORDER_FILTERS = {
+  ...ORDER_FILTERS,
+  userId: "objectId",
+  courseId: "objectId",
+};
+
+/**
+ * @openapi
+ * /api/courses/{id}/checkout:
+ *   post:
+ *     summary: Start buying a course
+ *     description: >
+ *       Creates a pending order for the course price, less any coupon, and
+ *       starts a payment with the payment provider. Complete the payment at
+ *       checkoutUrl; the order is marked paid and the user enrolled when the
+ *       provider's webhook arrives. Orders with nothing to pay are paid
+ *       immediately. A user's pending order for the course is returned
+ *       again instead of starting a second payment.
+ *     tags:
+ *       - Orders
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       201:
+ *         description: The order, with checkoutUrl while payment is pending
+ *       400:
+ *         description: Invalid coupon
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Course not found
+ *       409:
+ *         description: Already enrolled, or a pending order with another coupon exists
+ *       502:
+ *         description: The payment provider could not start the payment
+ *       503:
+ *         description: Payments are not configured
+ */
+router.post(
+  "/courses/:id/checkout",
+  authenticateToken,
+  validate({
+    params: idParams("id"),
+    body: object({ couponCode: string() }),
+  }),
+  async (req, res) => {
+    try {
+      const course = await Course.findById(req.params.id);
+      if (!course || !isLive(course)) {
+        return res.status(404).json({ error: "Course not found" });
+      }
+
+      // Charged at the price last published, the one the user was shown
+      const order = await checkout(
+        req.user,
+        await publishedContent(req.user, "courses", course),
+        req.body.couponCode
+      );
+      res.status(201).json(order);
+    } catch (error) {
+      res.status(error.status || 400).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * @openapi
+ * /api/payments/webhook:
+ *   post:
+ *     summary: Receive payment events from the payment provider
+ *     description: >
+ *       Called by the payment provider, not by clients. The request must be
+ *       signed by the provider (for the mock provider, an x-mock-signature
+ *       header made with PAYMENT_WEBHOOK_SECRET). payment.succeeded marks the
+ *       order paid and enrolls the user; payment.failed marks it failed.
+ *       Events are idempotent.
+ *     tags:
+ *       - Orders
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Event received
+ *       400:
+ *         description: Invalid signature or payload
+ *       503:
+ *         description: Payments are not configured
+ */
+router.post("/payments/webhook", async (req, res) => {
+  try {
+    const event = getPaymentProvider().parseWebhook(req.rawBody, req.headers);
+    const order = await handlePaymentEvent(event);
+    res.status(200).json({ received: true, orderId: order ? order._id : null });
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message });
+  }
+});
+
+/**
+ * @openapi
+ * /api/orders:
+ *   get:
+ *     summary: Purchase history of the authenticated user
+ *     tags:
+ *       - Orders
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The user's orders, newest first ({ data, pagination })
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  "/orders",
+  authenticateToken,
+  validate({ query: listQuery(ORDER_FILTERS) }),
+  async (req, res) => {
+    try {
+      const result = await paginate(Order, req, {
+        baseFilter: { userId: req.user._id },
+        filters: ORDER_FILTERS,
+        sortable: ["createdAt", "total"],
+        defaultSort: "-createdAt",
+        populate: { path: "courseId", select: "title price" },
+      });
+      res.status(200).json(result);
+    } catch (error) {
+      res.status(error.status || 400).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * @openapi
+ * /api/orders/{id}:
+ *   get:
+ *     summary: Get one of the authenticated user's orders (admins can get any)
+ *     tags:
+ *       - Orders
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The order
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Order not found
+ */
+router.get(
+  "/orders/:id",
+  authenticateToken,
+  validate({ params: idParams("id") }),
+  async (req, res) => {
+    try {
+      const filter = { _id: req.params.id };
+      if (!can(req.user, "orders:manage")) filter.userId = req.user._id;
+
+      const order = await Order.findOne(filter).populate(
+        "courseId",
+        "title price"
+      );
+      if (!order) return res.status(404).json({ error: "Order not found" });
+      res.status(200).json(order);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * @openapi
+ * /api/admin/orders:
+ *   get:
+ *     summary: List all orders (admin only)
+ *     tags:
+ *       - Orders
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Orders, newest first ({ data, pagination })
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+router.get(
+  "/admin/orders",
+  authenticateToken,
+  authorize("orders:manage"),
+  validate({ query: listQuery(ADMIN_ORDER_FILTERS) }),
+  async (req, res) => {
+    try {
+      const result = await paginate(Order, req, {
+        filters: ADMIN_ORDER_FILTERS,
+        sortable: ["createdAt", "total"],
+        defaultSort: "-createdAt",
+        populate: [
+          { path: "userId", select: "name email" },
+          { path: "courseId", select: "title price" },
+        ],
+      });
+      res.status(200).json(result);
+    } catch (error) {
+      res.status(error.status || 400).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * @openapi
+ * /api/admin/orders/{id}/refund:
+ *   post:
+ *     summary: Refund an order (admin only)
+ *     description: >
+ *       Refunds the given amount, or everything not yet refunded. A full
+ *       refund also removes the enrollment the order granted.
+ *     tags:
+ *       - Orders
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The refunded order
+ *       400:
+ *         description: Invalid amount
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: The order is not paid, or another refund changed it meanwhile
+ *       502:
+ *         description: The payment provider rejected the refund
+ *       503:
+ *         description: Payments are not configured
+ */
+router.post(
+  "/admin/orders/:id/refund",
+  authenticateToken,
+  authorize("orders:manage"),
+  validate({
+    params: idParams("id"),
+    body: object({
+      amount: number({
+        minimum: 0.01,
+        description: "Amount to refund; everything not yet refunded if omitted",
+      }),
+      reason: string(),
+    }),
+  }),
+  audit("order.refund", Order),
+  async (req, res) => {
+    try {
+      const order = await Order.findById(req.params.id);
+      if (!order) return res.status(404).json({ error: "Order not found" });
+
+      const { amount, reason } = req.body;
+      const refunded = await refundOrder(order, { amount, reason });
+      res.status(200).json(refunded);
+    } catch (error) {
+      res.status(error.status || 400).json({ error: error.message });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,281 @@
+const express = require("express");
+const router = express.Router();
+const Course = require("../models/course");
+const Enrollment = require("../models/enrollment");
+const Lesson = require("../models/lesson");
+const Topic = require("../models/topic");
+const User = require("../models/User");
+const {
+  authenticateToken,
+  authorize,
+} = require("../middleware/authMiddleware");
+const {
+  isEnrolled,
+  requireEnrollment,
+} = require("../middleware/enrollmentMiddleware");
+const {
+  STATUSES,
+  recordProgress,
+  getCourseProgress,
+} = require("../utils/progress");
+const { validate } = require("../middleware/validationMiddleware");
+const {
+  number,
+  string,
+  objectId,
+  object,
+  idParams,
+} = require("../utils/schema");
+const { can } = require("../utils/permissions");
+const { canSeeLesson, canSeeTopic } = require("../utils/publishing");
+const { issueCertificate } = require("../utils/certificates");
+const { publishToUser } = require("../utils/realtime");
+
+const validateProgress = validate({
+  params: idParams("id"),
+  body: object({
+    status: string({
+      enum: STATUSES,
+      description: "Mark the item as started or completed",
+    }),
+    timeSpent: number({
+      minimum: 0,
+      description: "Seconds spent since the last update (added to the total)",
+    }),
+    lastPosition: number({
+      minimum: 0,
+      description: "Where the learner left off (e.g. video timestamp)",
+    }),
+  }),
+});
+
+// The course certificate, issued when a completion finishes the course. A
+// failure is logged rather than failing the progress update: the user can
+// still claim the certificate later.
+const certificateFor = async (user, courseId, status) => {
+  if (status !== "completed") return null;
+  try {
+    return await issueCertificate(user, courseId);
+  } catch (err) {
+    console.error("Failed to issue certificate:", err);
+    return null;
+  }
+};
+
+const withCertificate = (progress, certificate) =>
+  certificate ? { ...progress.toJSON(), certificate } : progress;
+
+/**
+ * @openapi
+ * /api/lessons/{id}/progress:
+ *   post:
+ *     summary: Record progress on a lesson for the authenticated user
+ *     tags:
+ *       - Progress
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Progress recorded, with the course certificate once the course is complete
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not enrolled in the lesson's course
+ *       404:
+ *         description: Lesson not found
+ */
+router.post(
+  "/lessons/:id/progress",
+  authenticateToken,
+  validateProgress,
+  async (req, res) => {
+    try {
+      const lesson = await Lesson.findById(req.params.id);
+      if (!lesson || !(await canSeeLesson(req.user, lesson))) {
+        return res.status(404).json({ error: "Lesson not found" });
+      }
+      if (!(await isEnrolled(req.user, lesson.courseId))) {
+        return res
+          .status(403)
+          .json({ error: "You are not enrolled in this course" });
+      }
+
+      const progress = await recordProgress(
+        {
+          userId: req.user._id,
+          courseId: lesson.courseId,
+          lessonId: lesson._id,
+        },
+        req.body
+      );
+      const certificate = await certificateFor(
+        req.user,
+        lesson.courseId,
+        req.body.status
+      );
+      const updated = withCertificate(progress, certificate);
+      // Keep the user's other devices in sync
+      await publishToUser(req.user._id, "progress.updated", updated);
+      res.status(200).json(updated);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * @openapi
+ * /api/topics/{id}/progress:
+ *   post:
+ *     summary: Record progress on a topic for the authenticated user
+ *     tags:
+ *       - Progress
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Progress recorded, with the course certificate once the course is complete
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not enrolled in the topic's course
+ *       404:
+ *         description: Topic or lesson not found
+ */
+router.post(
+  "/topics/:id/progress",
+  authenticateToken,
+  validateProgress,
+  async (req, res) => {
+    try {
+      const topic = await Topic.findById(req.params.id);
+      if (!topic || !(await canSeeTopic(req.user, topic))) {
+        return res.status(404).json({ error: "Topic not found" });
+      }
+      const lesson = await Lesson.findById(topic.lessonId);
+      if (!lesson) return res.status(404).json({ error: "Lesson not found" });
+      if (!(await isEnrolled(req.user, lesson.courseId))) {
+        return res
+          .status(403)
+          .json({ error: "You are not enrolled in this course" });
+      }
+
+      const progress = await recordProgress(
+        {
+          userId: req.user._id,
+          courseId: lesson.courseId,
+          lessonId: lesson._id,
+          topicId: topic._id,
+        },
+        req.body
+      );
+      const certificate = await certificateFor(
+        req.user,
+        lesson.courseId,
+        req.body.status
+      );
+      const updated = withCertificate(progress, certificate);
+      // Keep the user's other devices in sync
+      await publishToUser(req.user._id, "progress.updated", updated);
+      res.status(200).json(updated);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * @openapi
+ * /api/courses/{id}/progress:
+ *   get:
+ *     summary: Get course completion for the authenticated user (admins may pass userId)
+ *     tags:
+ *       - Progress
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Completion percentage and per-lesson progress
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Course not found
+ */
+router.get(
+  "/courses/:id/progress",
+  authenticateToken,
+  validate({
+    params: idParams("id"),
+    query: object({
+      userId: objectId({ description: "Another user's progress (admin only)" }),
+    }),
+  }),
+  requireEnrollment("id"),
+  async (req, res) => {
+    try {
+      let userId = req.user._id;
+      if (req.query.userId) {
+        if (!can(req.user, "progress:read")) {
+          return res
+            .status(403)
+            .json({ error: "Access denied. Insufficient permissions." });
+        }
+        userId = req.query.userId;
+      }
+
+      const course = await Course.findById(req.params.id);
+      if (!course) return res.status(404).json({ error: "Course not found" });
+
+      const progress = await getCourseProgress(userId, course._id);
+      res.status(200).json(progress);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * @openapi
+ * /api/admin/users/{id}/progress:
+ *   get:
+ *     summary: Get a user's progress in every course they are enrolled in (admin only)
+ *     tags:
+ *       - Progress
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Progress for each enrolled course
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: User not found
+ */
+router.get(
+  "/admin/users/:id/progress",
+  authenticateToken,
+  authorize("progress:read"),
+  validate({ params: idParams("id") }),
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.params.id);
+      if (!user) return res.status(404).json({ error: "User not found" });
+
+      const enrollments = await Enrollment.find({ userId: user._id });
+      const progress = await Promise.all(
+        enrollments.map((enrollment) =>
+          getCourseProgress(user._id, enrollment.courseId)
+        )
+      );
+      res.status(200).json(progress);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,171 @@
+const express = require("express");
+const router = express.Router();
+const {
+  authenticateToken,
+  authorize,
+} = require("../middleware/authMiddleware");
+const { canOnCourse } = require("../utils/permissions");
+const {
+  STATUSES,
+  CONTENT_TYPES,
+  transitionPermission,
+  changeStatus,
+  diffContent,
+  removeSupersededMedia,
+} = require("../utils/publishing");
+const { notifyStatusChange } = require("../utils/notifications");
+const { validate } = require("../middleware/validationMiddleware");
+const { audit } = require("../middleware/auditMiddleware");
+const { string, objectId, object } = require("../utils/schema");
+
+const contentParams = object(
+  {
+    type: string({ enum: Object.keys(CONTENT_TYPES) }),
+    id: objectId(),
+  },
+  { required: ["type", "id"] }
+);
+
+// authorize() with the permission to edit the type of content in the URL
+const authorizeContent = (req, res, next) => {
+  const { permission, courseOf } = CONTENT_TYPES[req.params.type];
+  authorize(permission, () => courseOf(req.params.id))(req, res, next);
+};
+
+// Load req.params.id as req.content, with its published version
+const loadContent = async (req, res, next) => {
+  try {
+    const { Model, name } = CONTENT_TYPES[req.params.type];
+    req.content = await Model.findById(req.params.id).select(
+      "+publishedVersion"
+    );
+    if (!req.content) {
+      return res.status(404).json({ error: `${name} not found` });
+    }
+    next();
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+/**
+ * @openapi
+ * /api/admin/content/{type}/{id}/status:
+ *   put:
+ *     summary: Move a course, lesson or topic through the publishing workflow
+ *     description: >
+ *       Content starts as a draft and is seen by learners once published
+ *       (lessons and topics also need their course, and topics their lesson,
+ *       to be published). Learners keep seeing the version last published
+ *       until the content is published again. The course's instructor can move content between
+ *       draft and in_review; publishing, scheduling with publishAt, archiving
+ *       and taking published content back to draft are for admins.
+ *       Allowed moves: draft to in_review, published or archived; in_review
+ *       to draft, published or archived; published to draft or archived;
+ *       archived to draft.
+ *     tags:
+ *       - Publishing
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Status changed; returns the content
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Content not found
+ *       409:
+ *         description: The content cannot move from its current status to this one
+ */
+router.put(
+  "/admin/content/:type/:id/status",
+  authenticateToken,
+  validate({
+    params: contentParams,
+    body: object(
+      {
+        status: string({ enum: STATUSES }),
+        publishAt: string({
+          format: "date-time",
+          description:
+            "Publish at this time instead of now (only with status published)",
+        }),
+      },
+      { required: ["status"] }
+    ),
+  }),
+  authorizeContent,
+  loadContent,
+  audit("content.status", (req) => CONTENT_TYPES[req.params.type].Model),
+  async (req, res) => {
+    try {
+      const { type } = req.params;
+      const { status, publishAt } = req.body;
+      const content = req.content;
+
+      const permission = transitionPermission(type, content.status, status);
+      const courseId = await CONTENT_TYPES[type].courseOf(content._id);
+      if (!(await canOnCourse(req.user, permission, courseId))) {
+        return res
+          .status(403)
+          .json({ error: "Only admins can publish or archive content" });
+      }
+
+      // Only the first publish is announced to learners
+      const firstPublish = status === "published" && !content.publishedVersion;
+      const previousVersion = content.publishedVersion;
+      changeStatus(type, content, status, publishAt);
+      await content.save();
+      if (status === "published" && previousVersion) {
+        await removeSupersededMedia(previousVersion, content);
+      }
+      await notifyStatusChange(type, content, firstPublish);
+
+      const json = content.toJSON();
+      delete json.publishedVersion;
+      res.status(200).json(json);
+    } catch (error) {
+      res.status(error.status || 400).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * @openapi
+ * /api/admin/content/{type}/{id}/diff:
+ *   get:
+ *     summary: Show what changed in a course, lesson or topic since it was last published (admins and the course's instructor)
+ *     tags:
+ *       - Publishing
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: "{ status, publishedAt, live, everPublished, changes: [{ field, published, current }] }"
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Content not found
+ */
+router.get(
+  "/admin/content/:type/:id/diff",
+  authenticateToken,
+  validate({ params: contentParams }),
+  authorize("content:preview", (req) =>
+    CONTENT_TYPES[req.params.type].courseOf(req.params.id)
+  ),
+  loadContent,
+  async (req, res) => {
+    try {
+      res.status(200).json(diffContent(req.params.type, req.content));
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+module.exports = router;
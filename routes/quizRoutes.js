@@ -0,0 +1,605 @@
+const express = require("express");
+const router = express.Router();
+const Quiz = require("../models/quiz");
+const QuizAttempt = require("../models/quizAttempt");
+const Lesson = require("../models/lesson");
+const Topic = require("../models/topic");
+const {
+  authenticateToken,
+  authorize,
+} = require("../middleware/authMiddleware");
+const { isEnrolled } = require("../middleware/enrollmentMiddleware");
+const { gradeQuiz, toPublicQuiz } = require("../utils/quizGrading");
+const { canSeeLesson, canSeeTopic } = require("../utils/publishing");
+const { validate } = require("../middleware/validationMiddleware");
+const { audit } = require("../middleware/auditMiddleware");
+const {
+  string,
+  number,
+  integer,
+  boolean,
+  objectId,
+  array,
+  object,
+  idParams,
+} = require("../utils/schema");
+
+// Work out the course, lesson and (optional) topic a quiz is attached to.
+// Returns { error, status } when the references do not line up.
+const resolveQuizParent = async ({ topicId, lessonId }) => {
+  let topic;
+  if (topicId) {
+    topic = await Topic.findById(topicId);
+    if (!topic) return { status: 404, error: "Topic not found" };
+    if (lessonId && String(topic.lessonId) !== String(lessonId)) {
+      return { status: 400, error: "Topic does not belong to this lesson" };
+    }
+    lessonId = topic.lessonId;
+  }
+  if (!lessonId) {
+    return { status: 400, error: "Either topicId or lessonId is required" };
+  }
+
+  const lesson = await Lesson.findById(lessonId);
+  if (!lesson) return { status: 404, error: "Lesson not found" };
+
+  return {
+    courseId: lesson.courseId,
+    lessonId: lesson._id,
+    topicId: topic ? topic._id : undefined,
+  };
+};
+
+// Quizzes are shown with the topic, or else the lesson, they belong to
+const canSeeQuiz = async (user, quiz) => {
+  if (quiz.topicId) {
+    const topic = await Topic.findById(quiz.topicId);
+    return !!topic && canSeeTopic(user, topic);
+  }
+  const lesson = await Lesson.findById(quiz.lessonId);
+  return !!lesson && canSeeLesson(user, lesson);
+};
+
+// Load req.params.id as req.quiz, refusing users who cannot see it or are
+// not enrolled in its course
+const loadQuiz = async (req, res, next) => {
+  try {
+    const quiz = await Quiz.findById(req.params.id);
+    if (!quiz || !(await canSeeQuiz(req.user, quiz))) {
+      return res.status(404).json({ error: "Quiz not found" });
+    }
+    if (!(await isEnrolled(req.user, quiz.courseId))) {
+      return res
+        .status(403)
+        .json({ error: "You are not enrolled in this course" });
+    }
+    req.quiz = quiz;
+    next();
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+const quizQuestion = object(
+  {
+    _id: objectId({ description: "Keep when editing an existing question" }),
+    type: string({
+      enum: ["single_choice", "multiple_choice", "true_false", "short_answer"],
+    }),
+    prompt: string(),
+    points: number({ minimum: 0, default: 1 }),
+    options: array(string(), {
+      description: "Choices for single/multiple choice questions",
+    }),
+    correctOptions: array(integer({ minimum: 0 }), {
+      description: "Indexes of the correct options",
+    }),
+    correctAnswer: boolean({ description: "Answer for true/false questions" }),
+    acceptedAnswers: array(string(), {
+      description: "Accepted short answers (literal or regex patterns)",
+    }),
+    matchMode: string({ enum: ["exact", "regex"] }),
+    caseSensitive: boolean(),
+  },
+  { required: ["type", "prompt"] }
+);
+
+// Fields an admin can set on a quiz
+const quizFields = {
+  title: string({ minLength: 1 }),
+  description: string(),
+  lessonId: objectId({
+    description: "Lesson the quiz belongs to (implied by topicId)",
+  }),
+  topicId: objectId({ description: "Topic the quiz belongs to (optional)" }),
+  passingScore: number({
+    minimum: 0,
+    maximum: 100,
+    description: "Percentage needed to pass (default 70)",
+  }),
+  maxAttempts: integer({
+    minimum: 0,
+    description: "Attempts allowed per user, 0 for unlimited",
+  }),
+  questions: array(quizQuestion),
+};
+
+/**
+ * @openapi
+ * /api/admin/quizzes:
+ *   post:
+ *     summary: Create a quiz for a lesson or topic (admin only)
+ *     tags:
+ *       - Quizzes
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Quiz created successfully
+ *       400:
+ *         description: Invalid questions, or the lesson and topic do not match
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Lesson or topic not found
+ */
+router.post(
+  "/admin/quizzes",
+  authenticateToken,
+  authorize("quizzes:manage"),
+  validate({ body: object(quizFields, { required: ["title"] }) }),
+  audit("quiz.create", Quiz),
+  async (req, res) => {
+    try {
+      const { title, description, passingScore, maxAttempts, questions } =
+        req.body;
+      const parent = await resolveQuizParent(req.body);
+      if (parent.error) {
+        return res.status(parent.status).json({ error: parent.error });
+      }
+
+      const quiz = new Quiz({
+        title,
+        description,
+        passingScore,
+        maxAttempts,
+        questions,
+        courseId: parent.courseId,
+        lessonId: parent.lessonId,
+        topicId: parent.topicId,
+      });
+      await quiz.save();
+      res.status(201).json(quiz);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * @openapi
+ * /api/admin/quizzes/{id}:
+ *   get:
+ *     summary: Get a quiz including its answer key (admin only)
+ *     tags:
+ *       - Quizzes
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Quiz found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Quiz not found
+ */
+router.get(
+  "/admin/quizzes/:id",
+  authenticateToken,
+  authorize("quizzes:manage"),
+  validate({ params: idParams("id") }),
+  async (req, res) => {
+    try {
+      const quiz = await Quiz.findById(req.params.id);
+      if (!quiz) return res.status(404).json({ error: "Quiz not found" });
+      res.status(200).json(quiz);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * @openapi
+ * /api/admin/quizzes/{id}:
+ *   put:
+ *     summary: Update a quiz (admin only)
+ *     tags:
+ *       - Quizzes
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Quiz updated successfully
+ *       400:
+ *         description: Invalid questions, or the lesson and topic do not match
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Quiz, lesson or topic not found
+ */
+router.put(
+  "/admin/quizzes/:id",
+  authenticateToken,
+  authorize("quizzes:manage"),
+  validate({ params: idParams("id"), body: object(quizFields) }),
+  audit("quiz.update", Quiz),
+  async (req, res) => {
+    try {
+      const quiz = await Quiz.findById(req.params.id);
+      if (!quiz) return res.status(404).json({ error: "Quiz not found" });
+
+      const { title, description, passingScore, maxAttempts, questions } =
+        req.body;
+      const updateData = {
+        title,
+        description,
+        passingScore,
+        maxAttempts,
+        questions,
+      };
+
+      // Re-attach the quiz if it was moved to another lesson or topic
+      if (req.body.topicId || req.body.lessonId) {
+        const parent = await resolveQuizParent(req.body);
+        if (parent.error) {
+          return res.status(parent.status).json({ error: parent.error });
+        }
+        Object.assign(updateData, parent);
+      }
+
+      Object.keys(updateData).forEach((key) => {
+        if (updateData[key] !== undefined) quiz.set(key, updateData[key]);
+      });
+      await quiz.save(); // save() so the question validators run
+      res.status(200).json(quiz);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * @openapi
+ * /api/admin/quizzes/{id}:
+ *   delete:
+ *     summary: Delete a quiz and its attempts (admin only)
+ *     tags:
+ *       - Quizzes
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Quiz deleted successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Quiz not found
+ */
+router.delete(
+  "/admin/quizzes/:id",
+  authenticateToken,
+  authorize("quizzes:manage"),
+  validate({ params: idParams("id") }),
+  audit("quiz.delete", Quiz),
+  async (req, res) => {
+    try {
+      const quiz = await Quiz.findByIdAndDelete(req.params.id);
+      if (!quiz) return res.status(404).json({ error: "Quiz not found" });
+      await QuizAttempt.deleteMany({ quizId: quiz._id });
+      res.status(200).json({ message: "Quiz deleted successfully" });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * @openapi
+ * /api/admin/quizzes/{id}/attempts:
+ *   get:
+ *     summary: List every user's attempts at a quiz (admin only)
+ *     tags:
+ *       - Quizzes
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: A list of attempts
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+router.get(
+  "/admin/quizzes/:id/attempts",
+  authenticateToken,
+  authorize("quizzes:manage"),
+  validate({ params: idParams("id") }),
+  async (req, res) => {
+    try {
+      const attempts = await QuizAttempt.find({ quizId: req.params.id })
+        .populate("userId", "name email")
+        .sort({ submittedAt: -1 });
+      res.status(200).json(attempts);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * @openapi
+ * /api/lessons/{id}/quizzes:
+ *   get:
+ *     summary: List the quizzes of a lesson, including its topics' quizzes
+ *     tags:
+ *       - Quizzes
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: A list of quizzes without answers
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not enrolled in the lesson's course
+ *       404:
+ *         description: Lesson not found
+ */
+router.get(
+  "/lessons/:id/quizzes",
+  authenticateToken,
+  validate({ params: idParams("id") }),
+  async (req, res) => {
+    try {
+      const lesson = await Lesson.findById(req.params.id);
+      if (!lesson || !(await canSeeLesson(req.user, lesson))) {
+        return res.status(404).json({ error: "Lesson not found" });
+      }
+      if (!(await isEnrolled(req.user, lesson.courseId))) {
+        return res
+          .status(403)
+          .json({ error: "You are not enrolled in this course" });
+      }
+
+      const quizzes = await Quiz.find({ lessonId: lesson._id });
+      res.status(200).json(quizzes.map(toPublicQuiz));
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * @openapi
+ * /api/topics/{id}/quizzes:
+ *   get:
+ *     summary: List the quizzes attached to a topic
+ *     tags:
+ *       - Quizzes
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: A list of quizzes without answers
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not enrolled in the topic's course
+ *       404:
+ *         description: Topic not found
+ */
+router.get(
+  "/topics/:id/quizzes",
+  authenticateToken,
+  validate({ params: idParams("id") }),
+  async (req, res) => {
+    try {
+      const topic = await Topic.findById(req.params.id);
+      if (!topic || !(await canSeeTopic(req.user, topic))) {
+        return res.status(404).json({ error: "Topic not found" });
+      }
+
+      const lesson = await Lesson.findById(topic.lessonId);
+      if (!lesson) return res.status(404).json({ error: "Lesson not found" });
+      if (!(await isEnrolled(req.user, lesson.courseId))) {
+        return res
+          .status(403)
+          .json({ error: "You are not enrolled in this course" });
+      }
+
+      const quizzes = await Quiz.find({ topicId: topic._id });
+      res.status(200).json(quizzes.map(toPublicQuiz));
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * @openapi
+ * /api/quizzes/{id}:
+ *   get:
+ *     summary: Get a quiz to take (answers are not included)
+ *     tags:
+ *       - Quizzes
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Quiz found, with the user's attempt count
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not enrolled in the quiz's course
+ *       404:
+ *         description: Quiz not found
+ */
+router.get(
+  "/quizzes/:id",
+  authenticateToken,
+  validate({ params: idParams("id") }),
+  loadQuiz,
+  async (req, res) => {
+    try {
+      const attemptsUsed = await QuizAttempt.countDocuments({
+        quizId: req.quiz._id,
+        userId: req.user._id,
+      });
+      res.status(200).json({ ...toPublicQuiz(req.quiz), attemptsUsed });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * @openapi
+ * /api/quizzes/{id}/attempts:
+ *   post:
+ *     summary: Submit answers to a quiz and get it graded
+ *     tags:
+ *       - Quizzes
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       201:
+ *         description: The graded attempt (correct answers are not revealed)
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not enrolled, or no attempts left
+ *       404:
+ *         description: Quiz not found
+ */
+router.post(
+  "/quizzes/:id/attempts",
+  authenticateToken,
+  validate({
+    params: idParams("id"),
+    body: object({
+      answers: array(
+        object(
+          {
+            questionId: objectId(),
+            response: {
+              description:
+                "Option index, array of option indexes, boolean or text, depending on the question type",
+            },
+          },
+          { required: ["questionId"] }
+        )
+      ),
+    }),
+  }),
+  loadQuiz,
+  async (req, res) => {
+    try {
+      const { answers } = req.body;
+      const quiz = req.quiz;
+      const previousAttempts = await QuizAttempt.countDocuments({
+        quizId: quiz._id,
+        userId: req.user._id,
+      });
+      if (quiz.maxAttempts && previousAttempts >= quiz.maxAttempts) {
+        return res
+          .status(403)
+          .json({ error: "Maximum number of attempts reached" });
+      }
+
+      const result = gradeQuiz(quiz, answers);
+      const attempt = new QuizAttempt({
+        quizId: quiz._id,
+        userId: req.user._id,
+        attemptNumber: previousAttempts + 1,
+        ...result,
+      });
+      await attempt.save();
+
+      res.status(201).json({
+        attemptId: attempt._id,
+        attemptNumber: attempt.attemptNumber,
+        score: attempt.score,
+        maxScore: attempt.maxScore,
+        percentage: attempt.percentage,
+        passed: attempt.passed,
+        attemptsRemaining: quiz.maxAttempts
+          ? quiz.maxAttempts - attempt.attemptNumber
+          : null,
+        results: attempt.answers.map(
+          ({ questionId, correct, pointsAwarded }) => ({
+            questionId,
+            correct,
+            pointsAwarded,
+          })
+        ),
+      });
+    } catch (error) {
+      // Two submissions racing for the same attempt number
+      if (error.code === 11000) {
+        return res
+          .status(409)
+          .json({ error: "Another attempt is being submitted" });
+      }
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * @openapi
+ * /api/quizzes/{id}/attempts:
+ *   get:
+ *     summary: Get the authenticated user's attempt history for a quiz
+ *     tags:
+ *       - Quizzes
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: A list of the user's attempts, newest first
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not enrolled in the quiz's course
+ *       404:
+ *         description: Quiz not found
+ */
+router.get(
+  "/quizzes/:id/attempts",
+  authenticateToken,
+  validate({ params: idParams("id") }),
+  loadQuiz,
+  async (req, res) => {
+    try {
+      const attempts = await QuizAttempt.find(
+        { quizId: req.quiz._id, userId: req.user._id },
+        "attemptNumber score maxScore percentage passed submittedAt answers.questionId answers.correct answers.pointsAwarded"
+      ).sort({ attemptNumber: -1 });
+      res.status(200).json(attempts);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+module.exports = router;
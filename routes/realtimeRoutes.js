@@ -0,0 +1,131 @@
+const express = require("express");
+const router = express.Router();
+const jwt = require("jsonwebtoken");
+const Session = require("../models/session");
+const { authenticateToken } = require("../middleware/authMiddleware");
+const { subscribeUser } = require("../utils/realtime");
+const { validate } = require("../middleware/validationMiddleware");
+const { string, object } = require("../utils/schema");
+
+// Time between keep-alive comments, which also stop proxies from closing
+// quiet streams
+const HEARTBEAT_MS = Number(process.env.EVENT_STREAM_HEARTBEAT_MS) || 25000;
+// How long clients wait before reconnecting to a dropped stream
+const RETRY_MS = 3000;
+// The longest delay setTimeout accepts
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+// EventSource cannot send headers, so browsers pass the access token in the
+// query string instead. Such URLs can end up in proxy and server logs, which
+// is why the token is short-lived and the stream ends when it expires.
+const tokenFromQuery = (req, res, next) => {
+  if (!req.headers.authorization && req.query.token) {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+};
+
+const writeEvent = (res, type, data) =>
+  res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+
+/**
+ * @openapi
+ * /api/events:
+ *   get:
+ *     summary: Stream real-time events to the authenticated user
+ *     description: >
+ *       A Server-Sent Events stream (open it with EventSource, passing the
+ *       access token as the token query parameter, or with an Authorization
+ *       header). It starts with a "ready" event, then sends
+ *       "content.changed" ({ action, entity, id, courseId, live }) when
+ *       content of a course the user can see changes, and "progress.updated",
+ *       "enrollment.changed", "notification.created", "notification.read"
+ *       and "notification.dismissed" for the user's own changes, made on any
+ *       of their devices. A "stream.closed" event ({ reason }) ends the
+ *       stream when the access token expires or the session is revoked:
+ *       reconnect with a fresh token. Needs the long-lived server (npm
+ *       start); it is not available on AWS Lambda.
+ *     tags:
+ *       - Real-time
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The event stream (text/event-stream)
+ *       401:
+ *         description: Unauthorized
+ *       501:
+ *         description: Not available on AWS Lambda
+ */
+router.get(
+  "/events",
+  validate({
+    query: object({
+      token: string({ description: "The access token, for EventSource" }),
+    }),
+  }),
+  tokenFromQuery,
+  authenticateToken,
+  (req, res) => {
+    // Lambda buffers responses until they end, so a stream never arrives
+    if (process.env.AWS_LAMBDA_FUNCTION_NAME) {
+      return res.status(501).json({
+        error: "Real-time events are not available on this deployment",
+      });
+    }
+
+    res.status(200).set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no", // Don't let nginx hold events back
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RETRY_MS}\n\n`);
+    writeEvent(res, "ready", { userId: req.user._id });
+
+    const unsubscribe = subscribeUser(req.user, (event) =>
+      writeEvent(res, event.type, event.data)
+    );
+    let closed = false;
+    let heartbeat;
+    let expiry;
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      clearInterval(heartbeat);
+      clearTimeout(expiry);
+      unsubscribe();
+      res.end();
+    };
+    // End the stream, telling the client why
+    const end = (reason) => {
+      if (closed) return;
+      writeEvent(res, "stream.closed", { reason });
+      close();
+    };
+    res.on("close", close);
+
+    const { exp } = jwt.decode(req.headers.authorization.split(" ")[1]);
+    if (exp) {
+      expiry = setTimeout(
+        () => end("token.expired"),
+        Math.min(exp * 1000 - Date.now(), MAX_TIMEOUT_MS)
+      );
+    }
+    heartbeat = setInterval(async () => {
+      res.write(": heartbeat\n\n");
+      try {
+        const session = await Session.findById(
+          req.authSession._id,
+          "revokedAt"
+        );
+        if (!session || session.revokedAt) end("session.revoked");
+      } catch (err) {
+        // Checked again on the next heartbeat
+      }
+    }, HEARTBEAT_MS);
+  }
+);
+
+module.exports = router;
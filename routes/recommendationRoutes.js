@@ -0,0 +1,93 @@
+const express = require("express");
+const router = express.Router();
+const Course = require("../models/course");
+const { authenticateToken } = require("../middleware/authMiddleware");
+const { parseLimit, MAX_LIMIT } = require("../utils/queryHelper");
+const {
+  recommendForUser,
+  similarCourses,
+} = require("../utils/recommendations");
+const { validate } = require("../middleware/validationMiddleware");
+const { integer, object, idParams } = require("../utils/schema");
+
+const limitQuery = object({
+  limit: integer({
+    minimum: 1,
+    maximum: MAX_LIMIT,
+    description: "Number of courses",
+  }),
+});
+
+/**
+ * @openapi
+ * /api/recommendations:
+ *   get:
+ *     summary: Recommended courses for the authenticated user
+ *     description: >
+ *       Ranks the courses the user is not enrolled in with the trained
+ *       recommendation model (npm run train:recommendations). Users with too
+ *       little history, or any user before a model has been trained, get
+ *       the most popular courses; strategy says which was used.
+ *     tags:
+ *       - Recommendations
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: "{ strategy: personalized | popular, courses: [{ course, score }] }"
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  "/recommendations",
+  authenticateToken,
+  validate({ query: limitQuery }),
+  async (req, res) => {
+    try {
+      const limit = parseLimit(req.query.limit);
+      res.status(200).json(await recommendForUser(req.user._id, limit));
+    } catch (error) {
+      res.status(error.status || 400).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * @openapi
+ * /api/courses/{id}/similar:
+ *   get:
+ *     summary: Courses similar to a course
+ *     description: >
+ *       Courses whose learners overlap most with this course's, according to
+ *       the trained recommendation model. Falls back to the most popular
+ *       courses when the model does not know the course yet.
+ *     tags:
+ *       - Recommendations
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: "{ strategy: similar | popular, courses: [{ course, score }] }"
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Course not found
+ */
+router.get(
+  "/courses/:id/similar",
+  authenticateToken,
+  validate({ params: idParams("id"), query: limitQuery }),
+  async (req, res) => {
+    try {
+      const limit = parseLimit(req.query.limit);
+      const course = await Course.findById(req.params.id, "_id");
+      if (!course) return res.status(404).json({ error: "Course not found" });
+
+      res.status(200).json(await similarCourses(course._id, limit));
+    } catch (error) {
+      res.status(error.status || 400).json({ error: error.message });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,308 @@
+const express = require("express");
+const router = express.Router();
+const Course = require("../models/course");
+const Review = require("../models/review");
+const {
+  authenticateToken,
+  authorize,
+} = require("../middleware/authMiddleware");
+const { paginate } = require("../utils/queryHelper");
+const { can } = require("../utils/permissions");
+const { createReview, refreshCourseRating } = require("../utils/reviews");
+const { validate } = require("../middleware/validationMiddleware");
+const { audit, auditModeration } = require("../middleware/auditMiddleware");
+const {
+  string,
+  integer,
+  boolean,
+  object,
+  idParams,
+  listQuery,
+} = require("../utils/schema");
+
+const REVIEW_FILTERS = { rating: "number", createdAt: "date" };
+const ADMIN_REVIEW_FILTERS = {
+  ...REVIEW_FILTERS,
+  courseId: "objectId",
+  userId: "objectId",
+  hidden: "boolean",
+  flagged: "boolean",
+};
+
+// Fields the author of a review can set
+const reviewFields = {
+  rating: integer({ minimum: 1, maximum: 5, description: "Stars, 1 to 5" }),
+  text: string({ maxLength: 5000 }),
+};
+
+// Load req.params.id as req.review
+const loadReview = async (req, res, next) => {
+  try {
+    req.review = await Review.findById(req.params.id);
+    if (!req.review) return res.status(404).json({ error: "Review not found" });
+    next();
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+/**
+ * @openapi
+ * /api/courses/{id}/reviews:
+ *   post:
+ *     summary: Review a course the authenticated user is enrolled in
+ *     description: Each user can review a course once; edit the review to change it.
+ *     tags:
+ *       - Reviews
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Review created; the course's rating is updated
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not enrolled in the course
+ *       404:
+ *         description: Course not found
+ *       409:
+ *         description: The user has already reviewed the course
+ */
+router.post(
+  "/courses/:id/reviews",
+  authenticateToken,
+  validate({
+    params: idParams("id"),
+    body: object(reviewFields, { required: ["rating"] }),
+  }),
+  async (req, res) => {
+    try {
+      const course = await Course.findById(req.params.id, "_id");
+      if (!course) return res.status(404).json({ error: "Course not found" });
+
+      const review = await createReview(req.user, course, req.body);
+      res.status(201).json(review);
+    } catch (error) {
+      res.status(error.status || 400).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * @openapi
+ * /api/courses/{id}/reviews:
+ *   get:
+ *     summary: List the reviews of a course
+ *     description: Hidden reviews are left out. Sort by createdAt or rating.
+ *     tags:
+ *       - Reviews
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Reviews, newest first ({ data, pagination })
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  "/courses/:id/reviews",
+  authenticateToken,
+  validate({ params: idParams("id"), query: listQuery(REVIEW_FILTERS) }),
+  async (req, res) => {
+    try {
+      const result = await paginate(Review, req, {
+        baseFilter: { courseId: req.params.id, hidden: false },
+        filters: REVIEW_FILTERS,
+        sortable: ["createdAt", "rating"],
+        defaultSort: "-createdAt",
+        selectable: ["rating", "text", "userId", "createdAt", "updatedAt"],
+        defaultSelect: "-hidden -flagged -moderationNote",
+        populate: { path: "userId", select: "name profilePhoto" },
+      });
+      res.status(200).json(result);
+    } catch (error) {
+      res.status(error.status || 400).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * @openapi
+ * /api/reviews/{id}:
+ *   put:
+ *     summary: Edit the authenticated user's review
+ *     tags:
+ *       - Reviews
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Review updated; the course's rating is updated
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the author of the review
+ *       404:
+ *         description: Review not found
+ */
+router.put(
+  "/reviews/:id",
+  authenticateToken,
+  validate({ params: idParams("id"), body: object(reviewFields) }),
+  async (req, res) => {
+    try {
+      const review = await Review.findById(req.params.id);
+      if (!review) return res.status(404).json({ error: "Review not found" });
+      if (String(review.userId) !== String(req.user._id)) {
+        return res
+          .status(403)
+          .json({ error: "You can only edit your own review" });
+      }
+
+      review.set(req.body);
+      await review.save();
+      await refreshCourseRating(review.courseId);
+      res.status(200).json(review);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * @openapi
+ * /api/reviews/{id}:
+ *   delete:
+ *     summary: Delete a review (its author or an admin)
+ *     tags:
+ *       - Reviews
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Review deleted; the course's rating is updated
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the author of the review
+ *       404:
+ *         description: Review not found
+ */
+router.delete(
+  "/reviews/:id",
+  authenticateToken,
+  validate({ params: idParams("id") }),
+  loadReview,
+  auditModeration("review.delete", Review, (req) => req.review),
+  async (req, res) => {
+    try {
+      const { review } = req;
+      if (
+        String(review.userId) !== String(req.user._id) &&
+        !can(req.user, "reviews:moderate")
+      ) {
+        return res
+          .status(403)
+          .json({ error: "You can only delete your own review" });
+      }
+
+      await review.deleteOne();
+      await refreshCourseRating(review.courseId);
+      res.status(200).json({ message: "Review deleted successfully" });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * @openapi
+ * /api/admin/reviews:
+ *   get:
+ *     summary: List reviews for moderation (admin only)
+ *     description: Includes hidden reviews. Filter with flagged=true to find the ones marked for a closer look.
+ *     tags:
+ *       - Reviews
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Reviews, newest first ({ data, pagination })
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+router.get(
+  "/admin/reviews",
+  authenticateToken,
+  authorize("reviews:moderate"),
+  validate({ query: listQuery(ADMIN_REVIEW_FILTERS) }),
+  async (req, res) => {
+    try {
+      const result = await paginate(Review, req, {
+        filters: ADMIN_REVIEW_FILTERS,
+        sortable: ["createdAt", "rating"],
+        defaultSort: "-createdAt",
+        populate: [
+          { path: "userId", select: "name email" },
+          { path: "courseId", select: "title" },
+        ],
+      });
+      res.status(200).json(result);
+    } catch (error) {
+      res.status(error.status || 400).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * @openapi
+ * /api/admin/reviews/{id}:
+ *   put:
+ *     summary: Hide, show or flag a review (admin only)
+ *     description: Hidden reviews no longer count towards the course's rating.
+ *     tags:
+ *       - Reviews
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Review updated
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Review not found
+ */
+router.put(
+  "/admin/reviews/:id",
+  authenticateToken,
+  authorize("reviews:moderate"),
+  validate({
+    params: idParams("id"),
+    body: object({
+      hidden: boolean({ description: "Hide the review from learners" }),
+      flagged: boolean({ description: "Mark the review for a closer look" }),
+      moderationNote: string({ description: "Visible to admins only" }),
+    }),
+  }),
+  audit("review.moderate", Review),
+  async (req, res) => {
+    try {
+      const review = await Review.findByIdAndUpdate(req.params.id, req.body, {
+        new: true,
+        runValidators: true,
+      });
+      if (!review) return res.status(404).json({ error: "Review not found" });
+
+      await refreshCourseRating(review.courseId);
+      res.status(200).json(review);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+module.exports = router;
@@ -4,51 +4,66 @@ const Topic = require("../models/topic");
 const Lesson = require("../models/lesson");
 const {
   authenticateToken,
-  authorizeRoles,
+  authorize,
+  requirePermission,
 } = require("../middleware/authMiddleware");
-const path = require("path");
-const multer = require("multer");
+const { paginate } = require("../utils/queryHelper");
+const {
+  requireLesson,
+  deleteTopicTree,
+  moveTopicToLesson,
+} = require("../utils/contentIntegrity");
+const { withTransaction } = require("../utils/transaction");
+const {
+  isEnrolled,
+  enrolledCourses,
+} = require("../middleware/enrollmentMiddleware");
+const { courseOfLesson, courseOfTopic } = require("../utils/permissions");
+const {
+  visibleTopicFilter,
+  canSeeTopic,
+  publishedContent,
+  publishedListQuery,
+  removeReplacedMedia,
+} = require("../utils/publishing");
+const { uploadImage } = require("../middleware/uploadMiddleware");
+const { saveImage, removeMedia } = require("../utils/media");
+const { validate } = require("../middleware/validationMiddleware");
+const { audit } = require("../middleware/auditMiddleware");
+const {
+  string,
+  objectId,
+  object,
+  idParams,
+  listQuery,
+} = require("../utils/schema");
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, "uploads/"); // Ensure this folder exists
-  },
-  filename: (req, file, cb) => {
-    cb(null, Date.now() + path.extname(file.originalname)); // Appending the extension
-  },
-});
+const TOPIC_FILTERS = {
+  lessonId: "objectId",
+  title: "string",
+  status: "string",
+};
 
-const upload = multer({ storage: storage });
+// Fields an admin or instructor can set on a topic (the image is uploaded
+// as a file)
+const topicFields = {
+  title: string({ minLength: 1 }),
+  description: string(),
+  lessonId: objectId({ description: "The lesson the topic belongs to" }),
+};
 
 /**
  * @openapi
  * /api/admin/topics:
  *   post:
- *     summary: Add a new topic (admin only)
+ *     summary: Add a new topic (admins and the course's instructor)
  *     tags:
  *       - Topics
  *     security:
  *       - BearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         multipart/form-data:
- *           schema:
- *             type: object
- *             properties:
- *               title:
- *                 type: string
- *               description:
- *                 type: string
- *               lessonId:
- *                 type: string
- *               image:
- *                 type: string
- *                 format: binary
  *     responses:
  *       201:
- *         description: Topic created successfully
+ *         description: Topic created as a draft
  *       400:
  *         description: Invalid input
  *       401:
@@ -59,29 +74,43 @@ const upload = multer({ storage: storage });
 router.post(
   "/admin/topics",
   authenticateToken,
-  authorizeRoles("admin"),
-  upload.single("image"), // Ensure the upload middleware is used
+  // The lesson, and so the course, is only known once the body is parsed
+  requirePermission("topics:manage"),
+  uploadImage("image"), // Ensure the upload middleware is used
+  validate({
+    body: object(topicFields, {
+      required: ["title", "description", "lessonId"],
+    }),
+  }),
+  authorize("topics:manage", (req) => courseOfLesson(req.body.lessonId)),
+  audit("topic.create", Topic),
   async (req, res) => {
+    let image;
     try {
       const { title, description, lessonId } = req.body;
-      const image = req.file ? req.file.path : null; // Get the image path
+      // Store the image and its thumbnails
+      image = req.file ? await saveImage(req.file, "topics") : undefined;
 
-      // Create a new topic
-      const topic = new Topic({ title, description, lessonId, image });
-      await topic.save();
+      const topic = await withTransaction(async (session) => {
+        // Check the lesson before creating anything
+        const lesson = await requireLesson(lessonId, session);
 
-      // Find the lesson and add the topic to its topics array
-      const lesson = await Lesson.findById(lessonId);
-      if (!lesson) {
-        console.log("Lesson not found:", lessonId); // Logging for debugging
-        return res.status(404).json({ error: "Lesson not found" });
-      }
-      lesson.topics.push(topic._id);
-      await lesson.save();
+        // Create a new topic and add it to the lesson's topics array
+        const topic = new Topic({ title, description, lessonId, image });
+        await topic.save({ session });
+        await Lesson.updateOne(
+          { _id: lesson._id },
+          { $push: { topics: topic._id } },
+          { session }
+        );
+        return topic;
+      });
       res.status(201).json(topic);
     } catch (error) {
       console.error("Error creating topic:", error); // Add logging
-      res.status(400).json({ error: error.message });
+      // Don't keep the image of a topic that was not created
+      await removeMedia([image]);
+      res.status(error.status || 400).json({ error: error.message });
     }
   }
 );
@@ -91,20 +120,58 @@ router.post(
  * /api/topics:
  *   get:
  *     summary: List all topics (admin and users)
+ *     description: Learners see the published topics of published lessons of the published courses they are enrolled in; admins see every topic and instructors also the topics of their courses. Content edited since it was published is shown, filtered and sorted as published to those who cannot preview it.
  *     tags:
  *       - Topics
+ *     security:
+ *       - BearerAuth: []
  *     responses:
  *       200:
- *         description: A list of topics
+ *         description: A paginated list of topics ({ data, pagination })
+ *       400:
+ *         description: Invalid query parameters
  */
-router.get("/topics", authenticateToken, async (req, res) => {
-  try {
-    const topics = await Topic.find();
-    res.status(200).json(topics);
-  } catch (error) {
-    res.status(400).json({ error: error.message });
+router.get(
+  "/topics",
+  authenticateToken,
+  validate({ query: listQuery(TOPIC_FILTERS) }),
+  async (req, res) => {
+    try {
+      const listing = await publishedListQuery(
+        req.user,
+        "topics",
+        req.query,
+        TOPIC_FILTERS
+      );
+      const topics = await paginate(Topic, req, {
+        baseFilter: {
+          $and: [
+            await visibleTopicFilter(req.user, await enrolledCourses(req.user)),
+            listing.filter,
+          ],
+        },
+        filters: listing.filters,
+        sortPaths: listing.sortPaths,
+        sortable: ["title", "lessonId", "order"],
+        selectable: [
+          "title",
+          "description",
+          "lessonId",
+          "image",
+          "order",
+          "status",
+          "publishedAt",
+        ],
+      });
+      res.status(200).json({
+        ...topics,
+        data: await publishedContent(req.user, "topics", topics.data),
+      });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
   }
-});
+);
 
 /**
  * @openapi
@@ -113,86 +180,121 @@ router.get("/topics", authenticateToken, async (req, res) => {
  *     summary: Get a topic by ID (admin and users)
  *     tags:
  *       - Topics
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
+ *     security:
+ *       - BearerAuth: []
  *     responses:
  *       200:
  *         description: Topic found successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (not enrolled in the course)
  *       404:
  *         description: Topic not found
  */
-router.get("/topics/:id", authenticateToken, async (req, res) => {
-  try {
-    const topic = await Topic.findById(req.params.id);
-    if (!topic) return res.status(404).json({ error: "Topic not found" });
-    res.status(200).json(topic);
-  } catch (error) {
-    res.status(400).json({ error: error.message });
+router.get(
+  "/topics/:id",
+  authenticateToken,
+  validate({ params: idParams("id") }),
+  async (req, res) => {
+    try {
+      const topic = await Topic.findById(req.params.id);
+      if (!topic || !(await canSeeTopic(req.user, topic))) {
+        return res.status(404).json({ error: "Topic not found" });
+      }
+      if (!(await isEnrolled(req.user, await courseOfLesson(topic.lessonId)))) {
+        return res
+          .status(403)
+          .json({ error: "You are not enrolled in this course" });
+      }
+      res.status(200).json(await publishedContent(req.user, "topics", topic));
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
   }
-});
+);
 
 /**
  * @openapi
  * /api/admin/topics/{id}:
  *   put:
- *     summary: Update a topic with an optional image (admin only)
+ *     summary: Update a topic with an optional image (admins and the course's instructor)
  *     tags:
  *       - Topics
  *     security:
  *       - BearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *     requestBody:
- *       required: true
- *       content:
- *         multipart/form-data:
- *           schema:
- *             type: object
- *             properties:
- *               title:
- *                 type: string
- *               description:
- *                 type: string
- *               lessonId:
- *                 type: string
- *               image:
- *                 type: string
- *                 format: binary
  *     responses:
  *       200:
  *         description: Topic updated successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Topic or lesson not found
  */
 router.put(
   "/admin/topics/:id",
   authenticateToken,
-  authorizeRoles("admin"),
-  upload.single("image"), // Use multer for single file upload
+  validate({ params: idParams("id") }),
+  authorize("topics:manage", (req) => courseOfTopic(req.params.id)),
+  uploadImage("image"), // Use multer for single file upload
+  validate({
+    body: object({
+      ...topicFields,
+      lessonId: objectId({ description: "Move the topic to this lesson" }),
+    }),
+  }),
+  // When moving the topic
+  authorize(
+    "topics:manage",
+    (req) => req.body.lessonId && courseOfLesson(req.body.lessonId)
+  ),
+  audit("topic.update", Topic),
   async (req, res) => {
+    let image;
     try {
       const { title, description, lessonId } = req.body;
-      const image = req.file ? req.file.path : null;
+      image = req.file ? await saveImage(req.file, "topics") : undefined;
 
-      const updatedData = { title, description, lessonId };
+      const updatedData = { title, description };
       if (image) {
         updatedData.image = image; // Include the image if there's a new upload
       }
 
-      const topic = await Topic.findByIdAndUpdate(req.params.id, updatedData, {
-        new: true,
+      const result = await withTransaction(async (session) => {
+        const previous = await Topic.findById(req.params.id).session(session);
+        if (!previous) return null;
+
+        // Moving the topic to another lesson
+        if (lessonId && String(lessonId) !== String(previous.lessonId)) {
+          const lesson = await requireLesson(lessonId, session);
+          await moveTopicToLesson(previous, lesson, session);
+          updatedData.lessonId = lesson._id;
+        }
+
+        const topic = await Topic.findByIdAndUpdate(previous._id, updatedData, {
+          new: true,
+          session,
+        });
+        return { previous, topic };
       });
 
-      if (!topic) return res.status(404).json({ error: "Topic not found" });
-      res.status(200).json(topic);
+      if (!result) {
+        await removeMedia([image]);
+        return res.status(404).json({ error: "Topic not found" });
+      }
+
+      // The replaced image is no longer referenced
+      if (image && result.previous.image) {
+        await removeReplacedMedia("topics", result.topic._id, [
+          result.previous.image,
+        ]);
+      }
+      res.status(200).json(result.topic);
     } catch (error) {
-      res.status(400).json({ error: error.message });
+      await removeMedia([image]);
+      res.status(error.status || 400).json({ error: error.message });
     }
   }
 );
@@ -201,39 +303,33 @@ router.put(
  * @openapi
  * /api/admin/topics/{id}:
  *   delete:
- *     summary: Delete a topic (admin only)
+ *     summary: Delete a topic (admins and the course's instructor)
  *     tags:
  *       - Topics
  *     security:
  *       - BearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
  *     responses:
  *       200:
  *         description: Topic deleted successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
  *       404:
  *         description: Topic not found
  */
 router.delete(
   "/admin/topics/:id",
   authenticateToken,
-  authorizeRoles("admin"),
+  validate({ params: idParams("id") }),
+  authorize("topics:manage", (req) => courseOfTopic(req.params.id)),
+  audit("topic.delete", Topic),
   async (req, res) => {
     try {
-      const topic = await Topic.findByIdAndDelete(req.params.id);
+      // Also removes the topic from its lesson, with its quizzes and image
+      const topic = await deleteTopicTree(req.params.id);
       if (!topic) return res.status(404).json({ error: "Topic not found" });
 
-      // Optionally, remove the topic from the lesson as well
-      const lesson = await Lesson.findById(topic.lessonId);
-      if (lesson) {
-        lesson.topics.pull(topic._id);
-        await lesson.save();
-      }
-
       res.status(200).json({ message: "Topic deleted successfully" });
     } catch (error) {
       res.status(400).json({ error: error.message });
@@ -1,68 +1,81 @@
 const express = require("express");
 const router = express.Router();
+const User = require("../models/User");
 const userController = require("../controllers/userController");
 const {
   authenticateToken,
-  authorizeRoles,
+  authorize,
 } = require("../middleware/authMiddleware");
+const { validate } = require("../middleware/validationMiddleware");
+const { audit } = require("../middleware/auditMiddleware");
+const {
+  rateLimit,
+  byIp,
+  byEmail,
+} = require("../middleware/rateLimitMiddleware");
+const { RATE_LIMITS } = require("../utils/rateLimit");
+const {
+  string,
+  objectId,
+  array,
+  object,
+  boolean,
+  idParams,
+  listQuery,
+} = require("../utils/schema");
+const { ROLES } = require("../utils/permissions");
+
+const USER_FILTERS = {
+  role: "string",
+  email: "string",
+  name: "string",
+  emailVerified: "boolean",
+};
+
+const email = (options = {}) =>
+  string({ format: "email", example: "johndoe@example.com", ...options });
+const password = (options = {}) =>
+  string({ format: "password", minLength: 1, ...options });
+
+// Profile fields a user gives when signing up
+const userFields = {
+  name: string({
+    minLength: 1,
+    description: "The name of the user",
+    example: "John Doe",
+  }),
+  email: email({ description: "The email of the user" }),
+  password: password({
+    description: "The password for the user",
+    example: "strongPassword123",
+  }),
+  profilePhoto: string({
+    description: "URL for the user's profile photo (optional)",
+    example: "https://example.com/profile.jpg",
+  }),
+  phoneNumber: string({
+    description: "Phone number of the user (optional)",
+    example: "+1234567890",
+  }),
+  knowledge: string({
+    description: "Additional knowledge of the user (optional)",
+    example: "Web development, React, Node.js",
+  }),
+};
 
 /**
  * @openapi
  * /api/signup:
  *   post:
  *     summary: Signup a new user
+ *     description: >
+ *       New accounts always get the user role; only admins can create
+ *       instructors or admins (POST /api/users).
  *     tags:
  *       - Users
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - name
- *               - email
- *               - password
- *             properties:
- *               name:
- *                 type: string
- *                 description: The name of the user
- *                 example: John Doe
- *               email:
- *                 type: string
- *                 description: The email of the user
- *                 example: johndoe@example.com
- *               password:
- *                 type: string
- *                 description: The password for the user
- *                 format: password
- *                 example: strongPassword123
- *               role:
- *                 type: string
- *                 description: Role of the user (either 'user' or 'admin')
- *                 enum: [user, admin]
- *                 example: user
- *               profilePhoto:
- *                 type: string
- *                 description: URL for the user's profile photo (optional)
- *                 example: https://example.com/profile.jpg
- *               phoneNumber:
- *                 type: string
- *                 description: Phone number of the user (optional)
- *                 example: +1234567890
- *               courses:
- *                 type: array
- *                 items:
- *                   type: string
- *                 description: List of course names or IDs (optional)
- *                 example: ["course1", "course2"]
- *               knowledge:
- *                 type: string
- *                 description: Additional knowledge of the user (optional)
- *                 example: Web development, React, Node.js
  *     responses:
  *       201:
- *         description: User created successfully
+ *         description: User created successfully; a verification email is sent and the user can log in once verified
  *         content:
  *           application/json:
  *             schema:
@@ -70,7 +83,7 @@ const {
  *               properties:
  *                 message:
  *                   type: string
- *                   example: User created successfully
+ *                   example: User created successfully. Please check your email to verify your account.
  *                 user:
  *                   type: object
  *                   properties:
@@ -96,7 +109,8 @@ const {
  *                       type: array
  *                       items:
  *                         type: string
- *                       example: ["course1", "course2"]
+ *                       description: IDs of the courses the user is enrolled in
+ *                       example: []
  *                     knowledge:
  *                       type: string
  *                       example: Web development, React, Node.js
@@ -110,9 +124,17 @@ const {
  *                 error:
  *                   type: string
  *                   example: Invalid email or password
+ *       429:
+ *         description: Too many signups from this address; retry after Retry-After seconds
  */
-router.post("/signup", userController.signup);
-
+router.post(
+  "/signup",
+  validate({
+    body: object(userFields, { required: ["name", "email", "password"] }),
+  }),
+  rateLimit("signup-ip", RATE_LIMITS.signupPerIp, byIp),
+  userController.signup
+);
 
 /**
  * @openapi
@@ -121,26 +143,33 @@ router.post("/signup", userController.signup);
  *     summary: Login an existing user
  *     tags:
  *       - Users
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               email:
- *                 type: string
- *                 description: The email of the user
- *               password:
- *                 type: string
- *                 description: The password for the user
  *     responses:
  *       200:
  *         description: Login successful
  *       400:
  *         description: Invalid email or password
+ *       403:
+ *         description: Email address not verified yet
+ *       423:
+ *         description: >
+ *           The account is locked after repeated failed logins; returns
+ *           lockedUntil. Each lockout since the last successful login lasts
+ *           twice as long as the previous one, and the user is emailed.
+ *       429:
+ *         description: Too many login attempts from this address or for this account; retry after Retry-After seconds
  */
-router.post("/login", userController.login);
+router.post(
+  "/login",
+  validate({
+    body: object(
+      { email: string(), password: string() },
+      { required: ["email", "password"] }
+    ),
+  }),
+  rateLimit("login-ip", RATE_LIMITS.loginPerIp, byIp),
+  rateLimit("login-account", RATE_LIMITS.loginPerAccount, byEmail),
+  userController.login
+);
 
 /**
  * @openapi
@@ -153,7 +182,7 @@ router.post("/login", userController.login);
  *       - BearerAuth: []
  *     responses:
  *       200:
- *         description: A list of users
+ *         description: A paginated list of users ({ data, pagination })
  *       401:
  *         description: Unauthorized
  *       403:
@@ -162,7 +191,8 @@ router.post("/login", userController.login);
 router.get(
   "/users",
   authenticateToken,
-  authorizeRoles("admin"),
+  authorize("users:manage"),
+  validate({ query: listQuery(USER_FILTERS) }),
   userController.getAllUsers
 );
 
@@ -175,22 +205,6 @@ router.get(
  *       - Users
  *     security:
  *       - BearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               name:
- *                 type: string
- *                 description: The name of the user
- *               email:
- *                 type: string
- *                 description: The email of the user
- *               password:
- *                 type: string
- *                 description: The password for the user
  *     responses:
  *       201:
  *         description: User created successfully
@@ -202,35 +216,198 @@ router.get(
 router.post(
   "/users",
   authenticateToken,
-  authorizeRoles("admin"),
+  authorize("users:manage"),
+  validate({
+    body: object(
+      {
+        ...userFields,
+        role: string({
+          enum: ROLES,
+          description: "Role of the user",
+          example: "user",
+        }),
+        courses: array(objectId(), {
+          description: "IDs of courses to enroll the user in (optional)",
+        }),
+      },
+      { required: ["name", "email", "password"] }
+    ),
+  }),
+  audit("user.create", User),
   userController.createUser
 );
 
 /**
  * @openapi
- * /api/profile:
+ * /api/admin/lockouts:
  *   get:
- *     summary: Get the profile of the authenticated user
+ *     summary: List locked accounts, or with locked=false accounts with failed logins since their last lockout or login
  *     tags:
  *       - Users
  *     security:
  *       - BearerAuth: []
  *     responses:
  *       200:
- *         description: User profile
+ *         description: A paginated list of users with their failed logins and lockout ({ data, pagination })
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+router.get(
+  "/admin/lockouts",
+  authenticateToken,
+  authorize("users:manage"),
+  validate({
+    query: listQuery(
+      { email: "string", lockedUntil: "date", lastFailedLoginAt: "date" },
+      {
+        locked: boolean({
+          description:
+            "false to list accounts with failed logins instead of locked accounts",
+        }),
+      }
+    ),
+  }),
+  userController.getLockouts
+);
+
+/**
+ * @openapi
+ * /api/admin/lockouts/{id}:
+ *   delete:
+ *     summary: Unlock a user's account and reset their failed logins and login rate limit
+ *     tags:
+ *       - Users
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Lockout cleared
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: User not found
+ */
+router.delete(
+  "/admin/lockouts/:id",
+  authenticateToken,
+  authorize("users:manage"),
+  validate({ params: idParams("id") }),
+  audit("user.unlock", User),
+  userController.clearLockout
+);
+
+/**
+ * @openapi
+ * /api/email/verify:
+ *   post:
+ *     summary: Verify an email address with the token from the verification email
+ *     tags:
+ *       - Auth
+ *     responses:
+ *       200:
+ *         description: Email verified; returns an access token and refresh token
+ *       400:
+ *         description: Invalid or expired verification token
  */
+router.post(
+  "/email/verify",
+  validate({ body: object({ token: string() }, { required: ["token"] }) }),
+  userController.verifyEmail
+);
 
+/**
+ * @openapi
+ * /api/email/verify/resend:
+ *   post:
+ *     summary: Send a new verification email
+ *     tags:
+ *       - Auth
+ *     responses:
+ *       200:
+ *         description: An email was sent if the account needs verification
+ */
+router.post(
+  "/email/verify/resend",
+  validate({ body: object({ email: email() }, { required: ["email"] }) }),
+  userController.resendVerification
+);
+
+/**
+ * @openapi
+ * /api/password/forgot:
+ *   post:
+ *     summary: Request a password reset email
+ *     tags:
+ *       - Auth
+ *     responses:
+ *       200:
+ *         description: A reset link was sent if the account exists
+ */
+router.post(
+  "/password/forgot",
+  validate({ body: object({ email: email() }, { required: ["email"] }) }),
+  userController.forgotPassword
+);
 
+/**
+ * @openapi
+ * /api/password/reset:
+ *   post:
+ *     summary: Set a new password with a reset token
+ *     description: The token can only be used once. All sessions of the user are revoked.
+ *     tags:
+ *       - Auth
+ *     responses:
+ *       200:
+ *         description: Password reset
+ *       400:
+ *         description: Invalid or expired reset token
+ */
+router.post(
+  "/password/reset",
+  validate({
+    body: object(
+      {
+        token: string(),
+        password: password({ description: "The new password" }),
+      },
+      { required: ["token", "password"] }
+    ),
+  }),
+  userController.resetPassword
+);
 
-const tokenBlacklist = [];
+/**
+ * @openapi
+ * /api/token/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new access token
+ *     description: The refresh token is rotated on every use; the old one stops working.
+ *     tags:
+ *       - Auth
+ *     responses:
+ *       200:
+ *         description: A new access token and refresh token
+ *       401:
+ *         description: Invalid or expired refresh token
+ */
+router.post(
+  "/token/refresh",
+  validate({
+    body: object({ refreshToken: string() }, { required: ["refreshToken"] }),
+  }),
+  userController.refreshToken
+);
 
 /**
  * @openapi
  * /api/logout:
  *   post:
- *     summary: Logout a user (invalidate the token)
+ *     summary: Logout a user (revoke the current session)
  *     tags:
  *       - Auth
  *     security:
@@ -238,26 +415,86 @@ const tokenBlacklist = [];
  *     responses:
  *       200:
  *         description: Logout successful
- *       400:
- *         description: Token required
+ *       401:
+ *         description: Unauthorized
  *       403:
- *         description: Token has been blacklisted
+ *         description: Session has already been revoked
+ */
+router.post("/logout", authenticateToken, userController.logout);
+
+/**
+ * @openapi
+ * /api/logout/all:
+ *   post:
+ *     summary: Logout from all devices (revoke every session of the user)
+ *     tags:
+ *       - Auth
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All sessions revoked
+ *       401:
+ *         description: Unauthorized
  */
-router.post("/logout", authenticateToken, (req, res) => {
-  const token = req.headers["authorization"]?.split(" ")[1];
-  if (token) {
-    tokenBlacklist.push(token); // Add token to blacklist
-    return res.status(200).json({ message: "Logout successful" });
-  }
-  return res.status(400).json({ message: "Token required" });
-});
+router.post("/logout/all", authenticateToken, userController.logoutAll);
 
+/**
+ * @openapi
+ * /api/sessions:
+ *   get:
+ *     summary: List the active sessions (devices) of the authenticated user
+ *     tags:
+ *       - Auth
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: A list of sessions, the current one flagged with current=true
+ *       401:
+ *         description: Unauthorized
+ */
+router.get("/sessions", authenticateToken, userController.getSessions);
 
-router.get("/profile", authenticateToken, (req, res) => {
-  console.log("Profile route accessed");
-  console.log("Authenticated user:", req.user);
+/**
+ * @openapi
+ * /api/sessions/{id}:
+ *   delete:
+ *     summary: Revoke one of the authenticated user's sessions
+ *     tags:
+ *       - Auth
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Session not found
+ */
+router.delete(
+  "/sessions/:id",
+  authenticateToken,
+  validate({ params: idParams("id") }),
+  userController.revokeSession
+);
 
-  res.json(req.user); // Respond with the user's data
-});
+/**
+ * @openapi
+ * /api/profile:
+ *   get:
+ *     summary: Get the profile of the authenticated user
+ *     tags:
+ *       - Users
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: User profile
+ *       401:
+ *         description: Unauthorized
+ */
+router.get("/profile", authenticateToken, userController.getProfile);
 
 module.exports = router;
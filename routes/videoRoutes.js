@@ -0,0 +1,472 @@
+const express = require("express");
+const router = express.Router();
+const {
+  authenticateToken,
+  authorize,
+} = require("../middleware/authMiddleware");
+const {
+  uploadVideo,
+  uploadCaptions,
+} = require("../middleware/uploadMiddleware");
+const { isEnrolled } = require("../middleware/enrollmentMiddleware");
+const { validate } = require("../middleware/validationMiddleware");
+const { audit } = require("../middleware/auditMiddleware");
+const {
+  CONTENT_TYPES,
+  canSeeLesson,
+  canSeeTopic,
+  publishedContent,
+  removeReplacedMedia,
+} = require("../utils/publishing");
+const { removeMedia } = require("../utils/media");
+const {
+  MEDIA_URL_TTL,
+  contentTypeOf,
+  saveVideo,
+  saveCaptions,
+  signMediaUrl,
+  verifyMediaUrl,
+} = require("../utils/video");
+const { getStorage } = require("../utils/storage");
+const {
+  string,
+  integer,
+  boolean,
+  objectId,
+  object,
+} = require("../utils/schema");
+
+// Lessons and topics can have a video
+const VIDEO_TYPES = ["lessons", "topics"];
+const canSee = { lessons: canSeeLesson, topics: canSeeTopic };
+
+const contentParams = (extra = {}) =>
+  object(
+    {
+      type: string({ enum: VIDEO_TYPES }),
+      id: objectId(),
+      ...extra,
+    },
+    { required: ["type", "id", ...Object.keys(extra)] }
+  );
+
+const LANGUAGE_PATTERN = "^[a-zA-Z]{2,3}(-[a-zA-Z0-9]{2,8})*$";
+
+// authorize() with the permission to edit the type of content in the URL
+const authorizeContent = (req, res, next) => {
+  const { permission, courseOf } = CONTENT_TYPES[req.params.type];
+  authorize(permission, () => courseOf(req.params.id))(req, res, next);
+};
+
+const contentModel = (req) => CONTENT_TYPES[req.params.type].Model;
+
+// The lesson or topic in the URL, or a 404 error
+const findContent = async (req) => {
+  const { Model, name } = CONTENT_TYPES[req.params.type];
+  const content = await Model.findById(req.params.id);
+  if (!content) {
+    const error = new Error(`${name} not found`);
+    error.status = 404;
+    throw error;
+  }
+  return content;
+};
+
+const noVideo = (res) =>
+  res.status(404).json({ error: "This content has no video" });
+
+/**
+ * @openapi
+ * /api/admin/content/{type}/{id}/video:
+ *   put:
+ *     summary: Upload or replace the video of a lesson or topic (admins and the course's instructor)
+ *     description: >
+ *       The video is stored privately and streamed to enrolled learners
+ *       through signed URLs (GET /api/content/{type}/{id}/video). MP4, WebM
+ *       and Ogg videos are accepted, up to MAX_VIDEO_SIZE bytes (500 MB by
+ *       default). Captions already attached are kept for the new video.
+ *     tags:
+ *       - Videos
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Video stored; returns the lesson or topic
+ *       400:
+ *         description: No video uploaded, or not a supported video
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Lesson or topic not found
+ *       413:
+ *         description: Video too large
+ */
+router.put(
+  "/admin/content/:type/:id/video",
+  authenticateToken,
+  // Checked before the upload so large files are not received for nothing
+  validate({ params: contentParams() }),
+  authorizeContent,
+  uploadVideo("video"),
+  audit("content.set_video", contentModel),
+  async (req, res) => {
+    let video;
+    try {
+      if (!req.file) {
+        return res.status(400).json({ error: "A video file is required" });
+      }
+      const content = await findContent(req);
+
+      video = await saveVideo(req.file);
+      const previous = content.video && content.video.toObject();
+      content.video = {
+        ...video,
+        captions: previous ? previous.captions : [],
+      };
+      await content.save();
+
+      // The replaced file is no longer referenced (its captions still are)
+      if (previous) {
+        await removeReplacedMedia(req.params.type, content._id, [
+          { key: previous.key },
+        ]);
+      }
+      res.status(200).json(content);
+    } catch (error) {
+      // Don't keep a video nothing uses
+      await removeMedia([video]);
+      res.status(error.status || 400).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * @openapi
+ * /api/admin/content/{type}/{id}/video:
+ *   delete:
+ *     summary: Remove the video of a lesson or topic with its captions (admins and the course's instructor)
+ *     tags:
+ *       - Videos
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Video removed; returns the lesson or topic
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Lesson or topic not found, or it has no video
+ */
+router.delete(
+  "/admin/content/:type/:id/video",
+  authenticateToken,
+  validate({ params: contentParams() }),
+  authorizeContent,
+  audit("content.remove_video", contentModel),
+  async (req, res) => {
+    try {
+      const content = await findContent(req);
+      const video = content.video;
+      if (!video) return noVideo(res);
+
+      content.video = undefined;
+      await content.save();
+      await removeReplacedMedia(req.params.type, content._id, [video]);
+      res.status(200).json(content);
+    } catch (error) {
+      res.status(error.status || 400).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * @openapi
+ * /api/admin/content/{type}/{id}/video/captions:
+ *   post:
+ *     summary: Attach a WebVTT caption track to the video of a lesson or topic (admins and the course's instructor)
+ *     description: >
+ *       A track in the same language as an existing one replaces it. Making
+ *       a track the default unsets the previous default.
+ *     tags:
+ *       - Videos
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Captions attached; returns the lesson or topic
+ *       400:
+ *         description: No caption file uploaded, or not a WebVTT file
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Lesson or topic not found, or it has no video
+ *       413:
+ *         description: Caption file too large
+ */
+router.post(
+  "/admin/content/:type/:id/video/captions",
+  authenticateToken,
+  validate({ params: contentParams() }),
+  authorizeContent,
+  uploadCaptions("captions"),
+  validate({
+    body: object(
+      {
+        language: string({
+          pattern: LANGUAGE_PATTERN,
+          description: "BCP 47 language tag, e.g. en or pt-BR",
+        }),
+        label: string({
+          minLength: 1,
+          description: "Name of the track in the player, e.g. English",
+        }),
+        default: boolean({ description: "Show this track by default" }),
+      },
+      { required: ["language", "label"] }
+    ),
+  }),
+  audit("content.add_captions", contentModel),
+  async (req, res) => {
+    let key;
+    try {
+      if (!req.file) {
+        return res.status(400).json({ error: "A caption file is required" });
+      }
+      const content = await findContent(req);
+      if (!content.video) return noVideo(res);
+
+      const { language, label } = req.body;
+      const isDefault = !!req.body.default;
+      key = await saveCaptions(req.file);
+
+      const captions = content.video.captions;
+      const replaced = captions.find(
+        (caption) => caption.language.toLowerCase() === language.toLowerCase()
+      );
+      const replacedKey = replaced && replaced.key;
+      if (isDefault) captions.forEach((caption) => (caption.isDefault = false));
+      if (replaced) captions.pull(replaced);
+      captions.push({ language, label, key, isDefault });
+      await content.save();
+
+      if (replacedKey) {
+        await removeReplacedMedia(req.params.type, content._id, [
+          { key: replacedKey },
+        ]);
+      }
+      res.status(201).json(content);
+    } catch (error) {
+      await removeMedia([{ key }]);
+      res.status(error.status || 400).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * @openapi
+ * /api/admin/content/{type}/{id}/video/captions/{language}:
+ *   delete:
+ *     summary: Remove a caption track from the video of a lesson or topic (admins and the course's instructor)
+ *     tags:
+ *       - Videos
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Captions removed; returns the lesson or topic
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Lesson or topic not found, or no captions in this language
+ */
+router.delete(
+  "/admin/content/:type/:id/video/captions/:language",
+  authenticateToken,
+  validate({
+    params: contentParams({ language: string({ pattern: LANGUAGE_PATTERN }) }),
+  }),
+  authorizeContent,
+  audit("content.remove_captions", contentModel),
+  async (req, res) => {
+    try {
+      const content = await findContent(req);
+      const language = req.params.language.toLowerCase();
+      const caption =
+        content.video &&
+        content.video.captions.find(
+          (track) => track.language.toLowerCase() === language
+        );
+      if (!caption) {
+        return res.status(404).json({ error: "No captions in this language" });
+      }
+
+      const { key } = caption;
+      content.video.captions.pull(caption);
+      await content.save();
+      await removeReplacedMedia(req.params.type, content._id, [{ key }]);
+      res.status(200).json(content);
+    } catch (error) {
+      res.status(error.status || 400).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * @openapi
+ * /api/content/{type}/{id}/video:
+ *   get:
+ *     summary: Get signed URLs for watching the video of a lesson or topic
+ *     description: >
+ *       Only users enrolled in the course (and its admins and instructor)
+ *       can watch. The URLs of the video and of each caption track expire
+ *       after MEDIA_URL_TTL seconds (two hours by default); ask again for
+ *       fresh ones. They support HTTP Range requests, so players can seek.
+ *     tags:
+ *       - Videos
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The video's signed URL, type, size and caption tracks
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not enrolled in the course
+ *       404:
+ *         description: Lesson or topic not found, or it has no video
+ */
+router.get(
+  "/content/:type/:id/video",
+  authenticateToken,
+  validate({ params: contentParams() }),
+  async (req, res) => {
+    try {
+      const { type, id } = req.params;
+      const content = await CONTENT_TYPES[type].Model.findById(id);
+      if (!content || !(await canSee[type](req.user, content))) {
+        return res
+          .status(404)
+          .json({ error: `${CONTENT_TYPES[type].name} not found` });
+      }
+      const courseId = await CONTENT_TYPES[type].courseOf(content._id);
+      if (!(await isEnrolled(req.user, courseId))) {
+        return res
+          .status(403)
+          .json({ error: "You are not enrolled in this course" });
+      }
+      // Learners watch the video as last published
+      const { video } = await publishedContent(req.user, type, content);
+      if (!video) return noVideo(res);
+
+      res.status(200).json({
+        ...signMediaUrl(video.key),
+        contentType: video.contentType,
+        size: video.size,
+        captions: video.captions.map((caption) => ({
+          language: caption.language,
+          label: caption.label,
+          isDefault: caption.isDefault,
+          url: signMediaUrl(caption.key).url,
+        })),
+      });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * @openapi
+ * /api/media/stream:
+ *   get:
+ *     summary: Stream a private video or caption file through a signed URL
+ *     description: >
+ *       The URLs are handed out by GET /api/content/{type}/{id}/video; no
+ *       token is needed. Send a Range header (e.g. bytes=1000-) to get part
+ *       of the file.
+ *     tags:
+ *       - Videos
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: The whole file
+ *       206:
+ *         description: The requested range of the file
+ *       403:
+ *         description: The URL is invalid or has expired
+ *       404:
+ *         description: The file no longer exists
+ *       416:
+ *         description: The range is outside the file
+ */
+router.get(
+  "/media/stream",
+  validate({
+    query: object(
+      {
+        key: string(),
+        expires: integer({ description: "Expiry time, in Unix seconds" }),
+        signature: string(),
+      },
+      { required: ["key", "expires", "signature"] }
+    ),
+  }),
+  async (req, res) => {
+    try {
+      const { key } = req.query;
+      if (!verifyMediaUrl(req.query)) {
+        return res
+          .status(403)
+          .json({ error: "This link is invalid or has expired" });
+      }
+      const storage = getStorage();
+      const stat = await storage.stat(key);
+      if (!stat) return res.status(404).json({ error: "File not found" });
+
+      res.set({
+        "Accept-Ranges": "bytes",
+        "Content-Type": contentTypeOf(key),
+        "Cache-Control": `private, max-age=${MEDIA_URL_TTL}`,
+      });
+
+      // Only the first range is served when several are asked for; a
+      // malformed Range header is ignored
+      const ranges = req.range(stat.size, { combine: true });
+      if (ranges === -1) {
+        res.set("Content-Range", `bytes */${stat.size}`);
+        return res.status(416).end();
+      }
+      let start = 0;
+      let end = stat.size - 1;
+      if (Array.isArray(ranges) && ranges.type === "bytes") {
+        ({ start, end } = ranges[0]);
+        res
+          .status(206)
+          .set("Content-Range", `bytes ${start}-${end}/${stat.size}`);
+      }
+      res.set("Content-Length", String(end - start + 1));
+      if (req.method === "HEAD" || stat.size === 0) return res.end();
+
+      const stream = await storage.getStream(key, { start, end });
+      stream.on("error", (err) => {
+        console.error(`Failed to stream ${key}:`, err);
+        res.destroy(err);
+      });
+      // Stop reading when the player goes away, e.g. after seeking
+      res.on("close", () => stream.destroy());
+      stream.pipe(res);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+module.exports = router;
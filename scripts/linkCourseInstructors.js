@@ -0,0 +1,61 @@
+// Links courses created before instructor accounts existed to their owner:
+// a course without an instructorId is given the instructor user whose name
+// matches its free-form `instructor` name. Courses with no match, or with
+// several instructors of that name, are listed and left to an admin to
+// assign. Safe to run more than once.
+//
+// Usage: npm run migrate:course-instructors
+require("dotenv").config();
+const mongoose = require("mongoose");
+const connectDB = require("../config/db");
+const Course = require("../models/course");
+const User = require("../models/User");
+
+const migrate = async () => {
+  await connectDB();
+
+  const cursor = Course.find(
+    { instructorId: { $exists: false } },
+    "title instructor"
+  ).cursor();
+  let linked = 0;
+  const unresolved = [];
+
+  for await (const course of cursor) {
+    const name = (course.instructor || "").trim();
+    const instructors = name
+      ? await User.find({ role: "instructor", name }, "_id").limit(2)
+      : [];
+    if (instructors.length !== 1) {
+      unresolved.push({
+        course,
+        reason: instructors.length
+          ? "several instructors have this name"
+          : "no instructor has this name",
+      });
+      continue;
+    }
+
+    await Course.updateOne(
+      { _id: course._id },
+      { $set: { instructorId: instructors[0]._id } }
+    );
+    linked++;
+  }
+
+  console.log(`Courses linked: ${linked}`);
+  if (unresolved.length) {
+    console.log("Courses left without an instructor account:");
+    unresolved.forEach(({ course, reason }) => {
+      const name = JSON.stringify(course.instructor);
+      console.log(`  course ${course._id} (${name}): ${reason}`);
+    });
+  }
+};
+
+migrate()
+  .catch((err) => {
+    console.error("Migration failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,90 @@
+// Moves legacy course and topic images (a file path such as
+// "uploads/1700000000000.png") into the configured storage driver, with
+// thumbnails, and replaces the path with the stored media object. Legacy
+// files are removed once migrated. Safe to run more than once.
+//
+// Usage: npm run migrate:images
+require("dotenv").config();
+const fs = require("fs/promises");
+const path = require("path");
+const mongoose = require("mongoose");
+const connectDB = require("../config/db");
+const Course = require("../models/course");
+const Topic = require("../models/topic");
+const { saveImage } = require("../utils/media");
+
+const ROOT = path.resolve(__dirname, "..");
+
+const migrateModel = async (Model, folder, report) => {
+  // Read the raw documents: the schema would drop the legacy strings
+  const cursor = Model.collection.find({ image: { $type: "string" } });
+
+  for await (const doc of cursor) {
+    const legacyPath = path.resolve(ROOT, doc.image);
+    let buffer;
+    try {
+      buffer = await fs.readFile(legacyPath);
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+      // Nothing left to migrate; drop the dangling reference
+      await Model.collection.updateOne(
+        { _id: doc._id },
+        { $unset: { image: 1 } }
+      );
+      report.missing.push({
+        model: Model.modelName,
+        _id: doc._id,
+        image: doc.image,
+      });
+      continue;
+    }
+
+    let media;
+    try {
+      media = await saveImage({ buffer }, folder);
+    } catch (err) {
+      report.failed.push({
+        model: Model.modelName,
+        _id: doc._id,
+        image: doc.image,
+        error: err.message,
+      });
+      continue;
+    }
+    await Model.collection.updateOne(
+      { _id: doc._id },
+      { $set: { image: media } }
+    );
+    await fs.unlink(legacyPath).catch(() => {});
+    report.migrated++;
+  }
+};
+
+const migrate = async () => {
+  await connectDB();
+
+  const report = { migrated: 0, missing: [], failed: [] };
+  await migrateModel(Course, "courses", report);
+  await migrateModel(Topic, "topics", report);
+
+  console.log(`Images migrated: ${report.migrated}`);
+  if (report.missing.length) {
+    console.log("Images whose file no longer exists (reference removed):");
+    report.missing.forEach(({ model, _id, image }) =>
+      console.log(`  ${model} ${_id}: ${image}`)
+    );
+  }
+  if (report.failed.length) {
+    console.log("Images that could not be migrated (left as is):");
+    report.failed.forEach(({ model, _id, image, error }) =>
+      console.log(`  ${model} ${_id}: ${image} (${error})`)
+    );
+  }
+};
+
+migrate()
+  .catch((err) => {
+    console.error("Migration failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,49 @@
+// Converts lesson content saved as a single string, from before content was
+// made of blocks, into one markdown block (empty content becomes no
+// blocks). The published version recorded for a lesson is converted the
+// same way so the publishing diff does not report a change. Safe to run
+// more than once.
+//
+// Usage: npm run migrate:lesson-content
+require("dotenv").config();
+const mongoose = require("mongoose");
+const connectDB = require("../config/db");
+const Lesson = require("../models/lesson");
+
+const toBlocks = (text) => (text ? [{ type: "markdown", text }] : []);
+
+const migrate = async () => {
+  await connectDB();
+
+  // Read through the driver: the model would refuse string content
+  const cursor = Lesson.collection.find(
+    {
+      $or: [
+        { content: { $type: "string" } },
+        { "publishedVersion.content": { $type: "string" } },
+      ],
+    },
+    { projection: { content: 1, "publishedVersion.content": 1 } }
+  );
+  let converted = 0;
+  for await (const lesson of cursor) {
+    const update = {};
+    if (typeof lesson.content === "string") {
+      update.content = toBlocks(lesson.content);
+    }
+    const published = lesson.publishedVersion;
+    if (published && typeof published.content === "string") {
+      update["publishedVersion.content"] = toBlocks(published.content);
+    }
+    await Lesson.collection.updateOne({ _id: lesson._id }, { $set: update });
+    converted++;
+  }
+  console.log(`Lessons converted: ${converted}`);
+};
+
+migrate()
+  .catch((err) => {
+    console.error("Migration failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,84 @@
+// Migrates legacy User.courses entries (free-form strings holding either a
+// course ID or a course title) to ObjectId references and creates the
+// matching Enrollment documents. Safe to run more than once.
+//
+// Usage: npm run migrate:user-courses
+require("dotenv").config();
+const mongoose = require("mongoose");
+const connectDB = require("../config/db");
+const Course = require("../models/course");
+const Enrollment = require("../models/enrollment");
+const User = require("../models/User");
+
+// Resolve a legacy entry to a course ID, or null if no course matches
+const resolveCourseId = async (entry) => {
+  if (entry instanceof mongoose.Types.ObjectId) {
+    return (await Course.exists({ _id: entry })) ? entry : null;
+  }
+  if (typeof entry !== "string" || !entry.trim()) return null;
+
+  if (mongoose.isValidObjectId(entry)) {
+    const byId = await Course.findById(entry, "_id");
+    if (byId) return byId._id;
+  }
+  const byTitle = await Course.findOne({ title: entry.trim() }, "_id");
+  return byTitle ? byTitle._id : null;
+};
+
+const migrate = async () => {
+  await connectDB();
+
+  // Read the raw documents so the new schema does not try to cast the
+  // legacy strings before we get a chance to resolve them
+  const cursor = User.collection.find({ "courses.0": { $exists: true } });
+  let usersUpdated = 0;
+  let enrollmentsCreated = 0;
+  const unresolved = [];
+
+  for await (const user of cursor) {
+    const courseIds = [];
+    for (const entry of user.courses) {
+      const courseId = await resolveCourseId(entry);
+      if (!courseId) {
+        unresolved.push({ userId: user._id, entry });
+        continue;
+      }
+      if (!courseIds.some((id) => id.equals(courseId))) {
+        courseIds.push(courseId);
+      }
+    }
+
+    for (const courseId of courseIds) {
+      const result = await Enrollment.updateOne(
+        { userId: user._id, courseId },
+        {
+          $setOnInsert: { userId: user._id, courseId, enrolledAt: new Date() },
+        },
+        { upsert: true }
+      );
+      enrollmentsCreated += result.upsertedCount;
+    }
+
+    await User.collection.updateOne(
+      { _id: user._id },
+      { $set: { courses: courseIds } }
+    );
+    usersUpdated++;
+  }
+
+  console.log(`Users updated: ${usersUpdated}`);
+  console.log(`Enrollments created: ${enrollmentsCreated}`);
+  if (unresolved.length) {
+    console.log("Entries that did not match any course (dropped):");
+    unresolved.forEach(({ userId, entry }) =>
+      console.log(`  user ${userId}: ${JSON.stringify(entry)}`)
+    );
+  }
+};
+
+migrate()
+  .catch((err) => {
+    console.error("Migration failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,41 @@
+// Publishes the courses, lessons and topics created before the publishing
+// workflow existed, so learners keep seeing them: content without a status
+// is marked published now, with its current version recorded as the
+// published one. New content starts as a draft. Safe to run more than once.
+//
+// Usage: npm run migrate:publish-existing
+require("dotenv").config();
+const mongoose = require("mongoose");
+const connectDB = require("../config/db");
+const { CONTENT_TYPES, contentVersion } = require("../utils/publishing");
+
+const migrate = async () => {
+  await connectDB();
+  const publishedAt = new Date();
+
+  for (const [type, { Model, name }] of Object.entries(CONTENT_TYPES)) {
+    const cursor = Model.find({ status: { $exists: false } }).cursor();
+    let published = 0;
+    for await (const doc of cursor) {
+      await Model.updateOne(
+        { _id: doc._id, status: { $exists: false } },
+        {
+          $set: {
+            status: "published",
+            publishedAt,
+            publishedVersion: contentVersion(type, doc),
+          },
+        }
+      );
+      published++;
+    }
+    console.log(`${name}s published: ${published}`);
+  }
+};
+
+migrate()
+  .catch((err) => {
+    console.error("Migration failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,24 @@
+// Emails users who asked for a daily or weekly digest the unread
+// notifications they have not been emailed yet. Users are only emailed
+// once their digest is due, so run it at least hourly, e.g. from cron:
+//
+//   0 * * * * cd /path/to/app && npm run notifications:digest
+//
+// Usage: npm run notifications:digest
+require("dotenv").config();
+const mongoose = require("mongoose");
+const connectDB = require("../config/db");
+const { sendDigests } = require("../utils/notifications");
+
+const run = async () => {
+  await connectDB();
+  const sent = await sendDigests();
+  console.log(`Digests sent: ${sent}`);
+};
+
+run()
+  .catch((err) => {
+    console.error("Sending digests failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,48 @@
+// Trains the course recommendation model on the current enrollments and
+// progress and saves its weights, replacing the previous model. Run it
+// periodically (e.g. nightly); the API picks up the new model within a few
+// minutes.
+//
+// Usage: npm run train:recommendations [-- --epochs=200 --factors=32]
+require("dotenv").config();
+const mongoose = require("mongoose");
+const connectDB = require("../config/db");
+const {
+  TRAINING_DEFAULTS,
+  trainRecommendations,
+} = require("../utils/recommendations");
+
+// Read --name=value overrides for the training options
+const parseOptions = (args) => {
+  const options = {};
+  args.forEach((arg) => {
+    const match = /^--(\w+)=(.+)$/.exec(arg);
+    if (match && match[1] in TRAINING_DEFAULTS) {
+      options[match[1]] = Number(match[2]);
+    }
+  });
+  return options;
+};
+
+const train = async () => {
+  await connectDB();
+
+  const started = Date.now();
+  const result = await trainRecommendations(
+    parseOptions(process.argv.slice(2))
+  );
+  console.log(`Users: ${result.users}`);
+  console.log(`Courses: ${result.courses}`);
+  console.log(`Interactions: ${result.interactions}`);
+  if (result.loss !== undefined) {
+    console.log(`Final loss: ${result.loss.toFixed(4)}`);
+  }
+  console.log(`Trained in ${((Date.now() - started) / 1000).toFixed(1)}s`);
+};
+
+train()
+  .catch((err) => {
+    console.error("Training failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,225 @@
+const mongoose = require('mongoose');
+const AuditEvent = require('../models/auditEvent');
+const Course = require('../models/course');
+const Review = require('../models/review');
+const { audit, auditModeration } = require('../middleware/auditMiddleware');
+const { snapshot } = require('../utils/audit');
+
+const admin = {
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Admin',
+  role: 'admin',
+};
+
+const mockFindById = (...docs) => {
+  const spy = jest.spyOn(Course, 'findById');
+  docs.forEach((doc) =>
+    spy.mockReturnValueOnce({ lean: () => Promise.resolve(doc) })
+  );
+  return spy;
+};
+
+// Run the middleware, then a handler responding with `status` and `body`.
+// Resolves once the response has been sent.
+const runAudited = async (middleware, req, status, body) => {
+  const send = jest.fn();
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json: send,
+  };
+  const next = jest.fn();
+  await middleware(req, res, next);
+  expect(next).toHaveBeenCalled();
+  res.status(status).json(body);
+  await new Promise((resolve) => setImmediate(resolve));
+  return send;
+};
+
+const request = (fields = {}) => ({
+  user: admin,
+  method: 'PUT',
+  originalUrl: '/api/admin/courses/1',
+  params: {},
+  body: {},
+  headers: { 'user-agent': 'jest' },
+  ip: '10.0.0.1',
+  ...fields,
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('snapshot', () => {
+  it('should make a plain copy without passwords', () => {
+    const id = new mongoose.Types.ObjectId();
+    expect(snapshot({ _id: id, name: 'Ada', password: 'hash' })).toEqual({
+      _id: String(id),
+      name: 'Ada',
+    });
+  });
+
+  it('should leave out tokens and their hashes, however deep', () => {
+    expect(
+      snapshot({
+        userId: 'u1',
+        refreshTokenHash: 'hash',
+        body: { token: 'abc', password: 'new' },
+        tokens: [{ tokenHash: 'hash', purpose: 'reset' }],
+      })
+    ).toEqual({ userId: 'u1', body: {}, tokens: [{ purpose: 'reset' }] });
+  });
+
+  it('should return null when there is nothing to record', () => {
+    expect(snapshot(undefined)).toBeNull();
+    expect(snapshot(null)).toBeNull();
+  });
+});
+
+describe('AuditEvent', () => {
+  it('should refuse updates and deletions', async () => {
+    await expect(
+      AuditEvent.updateOne({}, { action: 'course.delete' })
+    ).rejects.toThrow('append-only');
+    await expect(AuditEvent.deleteMany({})).rejects.toThrow('append-only');
+  });
+
+  it('should refuse saving an existing event again', async () => {
+    const event = AuditEvent.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      actorId: admin._id,
+      action: 'course.update',
+      entity: 'Course',
+    });
+    event.action = 'course.delete';
+    await expect(event.save()).rejects.toThrow('append-only');
+  });
+});
+
+describe('audit middleware', () => {
+  it('should record the target before and after a change', async () => {
+    const id = String(new mongoose.Types.ObjectId());
+    mockFindById({ _id: id, price: 10 }, { _id: id, price: 20 });
+    const create = jest.spyOn(AuditEvent, 'create').mockResolvedValue({});
+
+    const send = await runAudited(
+      audit('course.update', Course),
+      request({ params: { id }, body: { price: 20 } }),
+      200,
+      { _id: id, price: 20 }
+    );
+
+    expect(send).toHaveBeenCalledWith({ _id: id, price: 20 });
+    expect(create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        actorId: admin._id,
+        actorRole: 'admin',
+        action: 'course.update',
+        entity: 'Course',
+        entityId: id,
+        before: { _id: id, price: 10 },
+        after: { _id: id, price: 20 },
+        request: {
+          method: 'PUT',
+          path: '/api/admin/courses/1',
+          body: { price: 20 },
+        },
+        ip: '10.0.0.1',
+      })
+    );
+  });
+
+  it('should take the ID of a created document from the response', async () => {
+    const id = new mongoose.Types.ObjectId();
+    const findById = mockFindById({ _id: String(id), title: 'New' });
+    const create = jest.spyOn(AuditEvent, 'create').mockResolvedValue({});
+
+    await runAudited(audit('course.create', Course), request(), 201, {
+      _id: id,
+      title: 'New',
+    });
+
+    expect(findById).toHaveBeenCalledWith(id);
+    expect(create.mock.calls[0][0]).toMatchObject({
+      entityId: id,
+      before: null,
+      after: { title: 'New' },
+    });
+  });
+
+  it('should not record failed requests', async () => {
+    const id = String(new mongoose.Types.ObjectId());
+    mockFindById(null);
+    const create = jest.spyOn(AuditEvent, 'create');
+
+    const send = await runAudited(
+      audit('course.delete', Course),
+      request({ params: { id } }),
+      404,
+      { error: 'Course not found' }
+    );
+
+    expect(send).toHaveBeenCalledWith({ error: 'Course not found' });
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it('should still respond when the event cannot be written', async () => {
+    const id = String(new mongoose.Types.ObjectId());
+    mockFindById({ _id: id }, null);
+    jest.spyOn(AuditEvent, 'create').mockRejectedValue(new Error('down'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const send = await runAudited(
+      audit('course.delete', Course),
+      request({ params: { id } }),
+      200,
+      { message: 'Course deleted successfully' }
+    );
+
+    expect(send).toHaveBeenCalledWith({
+      message: 'Course deleted successfully',
+    });
+  });
+});
+
+describe('auditModeration', () => {
+  const deleteReview = auditModeration(
+    'review.delete',
+    Review,
+    (req) => req.review
+  );
+
+  it("should record moderators removing other users' posts", async () => {
+    const id = String(new mongoose.Types.ObjectId());
+    const review = { _id: id, userId: new mongoose.Types.ObjectId() };
+    jest
+      .spyOn(Review, 'findById')
+      .mockReturnValueOnce({ lean: () => Promise.resolve(review) })
+      .mockReturnValueOnce({ lean: () => Promise.resolve(null) });
+    const create = jest.spyOn(AuditEvent, 'create').mockResolvedValue({});
+
+    await runAudited(
+      deleteReview,
+      request({ method: 'DELETE', params: { id }, review }),
+      200,
+      { message: 'Review deleted successfully' }
+    );
+
+    expect(create.mock.calls[0][0]).toMatchObject({
+      action: 'review.delete',
+      entity: 'Review',
+      before: { _id: id },
+      after: null,
+    });
+  });
+
+  it('should not record authors removing their own posts', async () => {
+    const create = jest.spyOn(AuditEvent, 'create');
+    const review = { _id: 'r1', userId: admin._id };
+
+    await runAudited(deleteReview, request({ review }), 200, {});
+    expect(create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,150 @@
+const mongoose = require('mongoose');
+const Certificate = require('../models/certificate');
+const Course = require('../models/course');
+const Enrollment = require('../models/enrollment');
+const Lesson = require('../models/lesson');
+const Progress = require('../models/progress');
+const Topic = require('../models/topic');
+const { setStorage } = require('../utils/storage');
+const { changeStatus } = require('../utils/publishing');
+const {
+  generateCode,
+  normalizeCode,
+  verificationUrl,
+  renderCertificate,
+  issueCertificate,
+} = require('../utils/certificates');
+
+describe('generateCode', () => {
+  it('should generate four groups of four unambiguous characters', () => {
+    const code = generateCode();
+    expect(code).toMatch(/^[2-9A-HJ-NP-Z]{4}(-[2-9A-HJ-NP-Z]{4}){3}$/);
+  });
+
+  it('should generate a different code each time', () => {
+    const codes = new Set(Array.from({ length: 50 }, generateCode));
+    expect(codes.size).toBe(50);
+  });
+});
+
+describe('normalizeCode', () => {
+  it('should accept codes in lower case, with spaces or without dashes', () => {
+    expect(normalizeCode('7kq4-m2xd-9pwa-hc3t')).toBe('7KQ4-M2XD-9PWA-HC3T');
+    expect(normalizeCode('7KQ4M2XD9PWAHC3T')).toBe('7KQ4-M2XD-9PWA-HC3T');
+    expect(normalizeCode(' 7KQ4 M2XD 9PWA HC3T ')).toBe('7KQ4-M2XD-9PWA-HC3T');
+  });
+
+  it('should leave generated codes unchanged', () => {
+    const code = generateCode();
+    expect(normalizeCode(code)).toBe(code);
+  });
+
+  it('should return an empty string for input without a code', () => {
+    expect(normalizeCode('--')).toBe('');
+  });
+});
+
+describe('verificationUrl', () => {
+  const appUrl = process.env.APP_URL;
+  afterEach(() => {
+    if (appUrl === undefined) delete process.env.APP_URL;
+    else process.env.APP_URL = appUrl;
+  });
+
+  it('should point at the public verify endpoint', () => {
+    process.env.APP_URL = 'https://learn.example.com';
+    expect(verificationUrl('7KQ4-M2XD-9PWA-HC3T')).toBe(
+      'https://learn.example.com/api/certificates/verify/7KQ4-M2XD-9PWA-HC3T'
+    );
+  });
+});
+
+describe('renderCertificate', () => {
+  it('should render a PDF', async () => {
+    const pdf = await renderCertificate({
+      code: '7KQ4-M2XD-9PWA-HC3T',
+      recipientName: 'Ada Lovelace',
+      courseTitle: 'Analytical Engines 101',
+      instructor: 'Charles Babbage',
+      issuedAt: new Date('2024-05-01T12:00:00Z'),
+    });
+    expect(Buffer.isBuffer(pdf)).toBe(true);
+    expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+  });
+
+  it('should render without an instructor', async () => {
+    const pdf = await renderCertificate({
+      code: '7KQ4-M2XD-9PWA-HC3T',
+      recipientName: 'Ada Lovelace',
+      courseTitle: 'Analytical Engines 101',
+      issuedAt: new Date(),
+    });
+    expect(pdf.length).toBeGreaterThan(0);
+  });
+});
+
+describe('Certificate model', () => {
+  it('should require the recipient, course and code', () => {
+    const errors = new Certificate({}).validateSync().errors;
+    ['userId', 'courseId', 'code', 'recipientName', 'courseTitle'].forEach(
+      (field) => expect(errors[field]).toBeDefined()
+    );
+  });
+
+  it('should link to its PDF', () => {
+    const certificate = new Certificate({
+      userId: new mongoose.Types.ObjectId(),
+      courseId: new mongoose.Types.ObjectId(),
+      code: '7KQ4-M2XD-9PWA-HC3T',
+      recipientName: 'Ada Lovelace',
+      courseTitle: 'Analytical Engines 101',
+      file: {
+        key: 'certificates/7KQ4-M2XD-9PWA-HC3T.pdf',
+        contentType: 'application/pdf',
+        size: 1024,
+      },
+    });
+    expect(certificate.validateSync()).toBeUndefined();
+    expect(certificate.toJSON().file.url).toMatch(
+      /certificates\/7KQ4-M2XD-9PWA-HC3T\.pdf$/
+    );
+  });
+});
+
+describe('issueCertificate', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('should name the course as it was published', async () => {
+    const user = { _id: new mongoose.Types.ObjectId(), role: 'user' };
+    const course = new Course({
+      title: 'Node.js',
+      instructor: 'Ada',
+      price: 0,
+    });
+    changeStatus('courses', course, 'published');
+    course.title = 'Node.js (draft)';
+    course.instructor = 'Grace';
+    const lesson = { _id: new mongoose.Types.ObjectId(), topics: [] };
+
+    jest.spyOn(Certificate, 'findOne').mockResolvedValue(null);
+    jest.spyOn(Course, 'findById').mockResolvedValue(course);
+    jest.spyOn(Course, 'distinct').mockResolvedValue([]);
+    jest.spyOn(Course, 'find').mockReturnValue({
+      lean: async () => [
+        { _id: course._id, publishedVersion: course.publishedVersion },
+      ],
+    });
+    jest.spyOn(Enrollment, 'exists').mockResolvedValue({ _id: 'e1' });
+    jest.spyOn(Lesson, 'find').mockResolvedValue([lesson]);
+    jest
+      .spyOn(Progress, 'find')
+      .mockResolvedValue([{ lessonId: lesson._id, status: 'completed' }]);
+    jest.spyOn(Topic, 'distinct').mockResolvedValue([]);
+    jest.spyOn(Certificate, 'create').mockImplementation(async (doc) => doc);
+    setStorage({ put: async () => {} });
+
+    const certificate = await issueCertificate(user, course._id);
+    expect(certificate.courseTitle).toBe('Node.js');
+    expect(certificate.instructor).toBe('Ada');
+  });
+});
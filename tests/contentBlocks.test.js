@@ -0,0 +1,173 @@
+const Lesson = require('../models/lesson');
+const { validate } = require('../middleware/validationMiddleware');
+const { object } = require('../utils/schema');
+const { setStorage, createLocalDriver } = require('../utils/storage');
+const {
+  contentSchema,
+  resolveContent,
+  renderBlock,
+  withHtml,
+} = require('../utils/contentBlocks');
+
+const media = (key) => ({
+  key,
+  thumbnails: [{ size: 'small', key: `${key}-small.webp`, width: 150 }],
+});
+
+describe('content block validation', () => {
+  const middleware = validate({ body: object({ content: contentSchema() }) });
+  const run = (content) => {
+    const req = { body: { content } };
+    const res = {
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        this.body = body;
+        return this;
+      },
+    };
+    const next = jest.fn();
+    middleware(req, res, next);
+    return { req, res, next };
+  };
+
+  it('should accept every type of block, keeping only its fields', () => {
+    const { req, next } = run([
+      { type: 'markdown', text: '# Hi', code: 'dropped' },
+      { type: 'code', code: 'let a;', language: 'javascript' },
+      { type: 'image', image: { key: 'lessons/a.png', url: 'x' }, alt: 'A' },
+      { type: 'video', url: 'https://cdn.example.com/a.mp4' },
+      { type: 'embed', url: 'https://www.youtube.com/embed/1' },
+      { type: 'callout', text: 'Careful' },
+    ]);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.body.content[0]).toEqual({ type: 'markdown', text: '# Hi' });
+    expect(req.body.content[2].image).toEqual({ key: 'lessons/a.png' });
+    expect(req.body.content[5].variant).toBe('info');
+  });
+
+  it('should refuse unknown types and incomplete blocks', () => {
+    const { res, next } = run([
+      { type: 'audio', url: 'https://example.com/a.mp3' },
+      { type: 'code', language: 'js' },
+      { type: 'video', url: 'javascript:alert(1)' },
+    ]);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(422);
+    expect(res.body.errors.map((error) => error.field)).toEqual([
+      'content.0',
+      'content.1.code',
+      'content.2.url',
+    ]);
+  });
+});
+
+describe('resolveContent', () => {
+  const current = [
+    { type: 'image', image: media('lessons/a.png') },
+    { type: 'image', image: media('lessons/b.png') },
+  ];
+
+  it('should keep the images the lesson has and report dropped ones', () => {
+    const { content, removed } = resolveContent(
+      [
+        { type: 'markdown', text: 'Intro' },
+        { type: 'image', image: { key: 'lessons/b.png' }, alt: 'B' },
+      ],
+      current
+    );
+
+    expect(content[1]).toEqual({
+      type: 'image',
+      image: media('lessons/b.png'),
+      alt: 'B',
+    });
+    expect(removed).toEqual([media('lessons/a.png')]);
+  });
+
+  it('should refuse images the lesson does not have', () => {
+    expect(() =>
+      resolveContent([{ type: 'image', image: { key: 'courses/c.png' } }])
+    ).toThrow('unknown image courses/c.png');
+  });
+
+  it('should refuse embedding pages from other hosts', () => {
+    expect(() =>
+      resolveContent([{ type: 'embed', url: 'https://evil.example.com/' }])
+    ).toThrow('can be embedded');
+  });
+});
+
+describe('HTML rendering', () => {
+  beforeAll(() =>
+    setStorage(createLocalDriver({ root: '/tmp', baseUrl: 'http://cdn.test' }))
+  );
+
+  it('should render markdown without passing raw HTML through', () => {
+    const html = renderBlock({
+      type: 'markdown',
+      text: '**Bold** <script>alert(1)</script> [x](javascript:alert(1))',
+    });
+    expect(html).toContain('<strong>Bold</strong>');
+    expect(html).not.toContain('<script>');
+    expect(html).not.toContain('href="javascript:');
+  });
+
+  it('should escape code and keep its language', () => {
+    expect(renderBlock({ type: 'code', code: '<b>', language: 'html' })).toBe(
+      '<pre><code class="language-html">&lt;b&gt;</code></pre>'
+    );
+  });
+
+  it('should render images with their thumbnails and captions', () => {
+    const html = renderBlock({
+      type: 'image',
+      image: media('lessons/a.png'),
+      alt: 'A "quoted" alt',
+      caption: 'Figure 1',
+    });
+    expect(html).toContain('src="http://cdn.test/uploads/lessons/a.png"');
+    expect(html).toContain(
+      'srcset="http://cdn.test/uploads/lessons/a.png-small.webp 150w"'
+    );
+    expect(html).toContain('alt="A &quot;quoted&quot; alt"');
+    expect(html).toContain('<figcaption>Figure 1</figcaption>');
+  });
+
+  it('should only frame pages from allowed hosts', () => {
+    expect(
+      renderBlock({ type: 'embed', url: 'https://www.youtube.com/embed/1' })
+    ).toContain('<iframe src="https://www.youtube.com/embed/1"');
+    expect(
+      renderBlock({ type: 'embed', url: 'https://evil.example.com/' })
+    ).toBe('<a href="https://evil.example.com/">https://evil.example.com/</a>');
+  });
+
+  it('should render callouts around their markdown', () => {
+    expect(
+      renderBlock({
+        type: 'callout',
+        variant: 'warning',
+        title: 'Heads up',
+        text: 'Back up *first*',
+      })
+    ).toBe(
+      '<aside class="callout callout-warning"><p class="callout-title">Heads up</p><p>Back up <em>first</em></p>\n</aside>'
+    );
+  });
+
+  it('should add the HTML of each block to a lesson', () => {
+    const lesson = new Lesson({
+      title: 'Intro',
+      description: 'Start',
+      content: [{ type: 'markdown', text: 'Hello' }],
+    });
+    expect(withHtml(lesson).content).toEqual([
+      { type: 'markdown', text: 'Hello', html: '<p>Hello</p>\n' },
+    ]);
+  });
+});
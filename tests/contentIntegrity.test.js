@@ -0,0 +1,348 @@
+jest.mock('../utils/transaction', () => ({
+  withTransaction: (fn) => mockDb.transaction(fn),
+}));
+
+const Certificate = require('../models/certificate');
+const Course = require('../models/course');
+const Enrollment = require('../models/enrollment');
+const Lesson = require('../models/lesson');
+const Progress = require('../models/progress');
+const Quiz = require('../models/quiz');
+const QuizAttempt = require('../models/quizAttempt');
+const Reply = require('../models/reply');
+const Review = require('../models/review');
+const Thread = require('../models/thread');
+const Topic = require('../models/topic');
+const User = require('../models/User');
+const { setStorage } = require('../utils/storage');
+const {
+  deleteCourseTree,
+  findIntegrityIssues,
+  repairIntegrityIssues,
+} = require('../utils/contentIntegrity');
+
+const MODELS = {
+  Certificate,
+  Course,
+  Enrollment,
+  Lesson,
+  Progress,
+  Quiz,
+  QuizAttempt,
+  Reply,
+  Review,
+  Thread,
+  Topic,
+  User,
+};
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+// Whether `doc` matches a filter of equalities and $in conditions, the way
+// MongoDB matches them on scalar and array fields
+const matches = (doc, filter) =>
+  Object.entries(filter).every(([field, condition]) => {
+    const values = [].concat(doc[field] ?? null).map(String);
+    const wanted =
+      condition && condition.$in ? condition.$in : [condition ?? null];
+    return wanted.some((value) => values.includes(String(value)));
+  });
+
+const applyUpdate = (doc, update) => {
+  Object.entries(update.$pull || {}).forEach(([field, condition]) => {
+    const removed = (
+      condition && condition.$in ? condition.$in : [condition]
+    ).map(String);
+    doc[field] = (doc[field] || []).filter(
+      (value) => !removed.includes(String(value))
+    );
+  });
+  Object.entries(update.$addToSet || {}).forEach(([field, value]) => {
+    doc[field] = doc[field] || [];
+    if (!doc[field].map(String).includes(String(value))) doc[field].push(value);
+  });
+  Object.keys(update.$unset || {}).forEach((field) => delete doc[field]);
+};
+
+// An in-memory database whose transactions, like MongoDB's, only keep the
+// writes made with their session once the whole transaction succeeded
+const createFakeDb = () => {
+  const db = { data: {}, pending: null };
+
+  const collection = (name, session) =>
+    (session && db.pending ? db.pending : db.data)[name];
+  // Writes made outside the transaction take effect straight away
+  const write = (name, session, change) => {
+    if (session && db.pending) return change(db.pending[name]);
+    change(db.data[name]);
+    if (db.pending) change(db.pending[name]);
+  };
+
+  const query = (read) => {
+    let session = null;
+    const q = {
+      session(value) {
+        session = value;
+        return q;
+      },
+      lean: () => q,
+      cursor: () =>
+        (async function* () {
+          yield* read(session);
+        })(),
+      then: (resolve, reject) =>
+        Promise.resolve()
+          .then(() => read(session))
+          .then(resolve, reject),
+    };
+    return q;
+  };
+
+  db.load = (data) => {
+    db.data = Object.fromEntries(
+      Object.keys(MODELS).map((name) => [name, clone(data[name] || [])])
+    );
+  };
+
+  db.install = () =>
+    Object.entries(MODELS).forEach(([name, Model]) => {
+      const find = (filter) => (session) =>
+        clone(collection(name, session).filter((doc) => matches(doc, filter)));
+      jest
+        .spyOn(Model, 'find')
+        .mockImplementation((filter = {}) => query(find(filter)));
+      jest
+        .spyOn(Model, 'findById')
+        .mockImplementation((id) =>
+          query((session) => find({ _id: id })(session)[0] || null)
+        );
+      jest
+        .spyOn(Model, 'deleteMany')
+        .mockImplementation(async (filter, { session } = {}) =>
+          write(name, session, (docs) => {
+            const kept = docs.filter((doc) => !matches(doc, filter));
+            docs.splice(0, docs.length, ...kept);
+          })
+        );
+      const update =
+        (many) =>
+        async (filter, changes, { session } = {}) =>
+          write(name, session, (docs) =>
+            docs
+              .filter((doc) => matches(doc, filter))
+              .slice(0, many ? undefined : 1)
+              .forEach((doc) => applyUpdate(doc, changes))
+          );
+      jest.spyOn(Model, 'updateMany').mockImplementation(update(true));
+      jest.spyOn(Model, 'updateOne').mockImplementation(update(false));
+    });
+
+  db.transaction = async (fn) => {
+    db.pending = clone(db.data);
+    try {
+      const result = await fn({ transaction: true });
+      db.data = db.pending;
+      return result;
+    } finally {
+      db.pending = null;
+    }
+  };
+
+  db.ids = (name) => db.data[name].map((doc) => doc._id);
+  return db;
+};
+
+const mockDb = createFakeDb();
+
+// Storage holding `keys`, all last modified `modifiedAt`
+const createFakeStorage = (keys, modifiedAt = new Date(0)) => {
+  const files = new Set(keys);
+  return {
+    files,
+    exists: async (key) => files.has(key),
+    list: async () => [...files],
+    stat: async (key) => (files.has(key) ? { size: 1, modifiedAt } : null),
+    delete: async (key) => {
+      files.delete(key);
+    },
+  };
+};
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('deleteCourseTree', () => {
+  const tree = () => ({
+    Course: [
+      { _id: 'c1', image: { key: 'courses/c1.png' } },
+      { _id: 'c2', image: { key: 'courses/c2.png' } },
+    ],
+    Lesson: [
+      {
+        _id: 'l1',
+        courseId: 'c1',
+        topics: ['t1'],
+        content: [{ type: 'image', image: { key: 'lessons/l1.png' } }],
+        video: { key: 'private/videos/l1.mp4' },
+      },
+      { _id: 'l2', courseId: 'c2', topics: [] },
+    ],
+    Topic: [{ _id: 't1', lessonId: 'l1', image: { key: 'topics/t1.png' } }],
+    Quiz: [
+      { _id: 'q1', courseId: 'c1', lessonId: 'l1' },
+      { _id: 'q2', courseId: 'c1', lessonId: 'l1', topicId: 't1' },
+      { _id: 'q3', courseId: 'c2', lessonId: 'l2' },
+    ],
+    QuizAttempt: [
+      { _id: 'a1', quizId: 'q1' },
+      { _id: 'a3', quizId: 'q3' },
+    ],
+    Progress: [
+      { _id: 'p1', courseId: 'c1', lessonId: 'l1', topicId: null },
+      { _id: 'p2', courseId: 'c1', lessonId: 'l1', topicId: 't1' },
+      { _id: 'p3', courseId: 'c2', lessonId: 'l2', topicId: null },
+    ],
+    Enrollment: [
+      { _id: 'e1', courseId: 'c1' },
+      { _id: 'e2', courseId: 'c2' },
+    ],
+    Review: [{ _id: 'r1', courseId: 'c1' }],
+    Thread: [{ _id: 'th1', courseId: 'c1', lessonId: 'l1', topicId: 't1' }],
+    Reply: [{ _id: 'rp1', threadId: 'th1' }],
+    User: [{ _id: 'u1', courses: ['c1', 'c2'] }],
+  });
+  const files = [
+    'courses/c1.png',
+    'courses/c2.png',
+    'lessons/l1.png',
+    'private/videos/l1.mp4',
+    'topics/t1.png',
+  ];
+
+  let storage;
+  beforeEach(() => {
+    mockDb.load(tree());
+    mockDb.install();
+    storage = createFakeStorage(files);
+    setStorage(storage);
+  });
+
+  it('should delete the course with everything that hangs off it', async () => {
+    const course = await deleteCourseTree('c1');
+
+    expect(course._id).toBe('c1');
+    expect(mockDb.ids('Course')).toEqual(['c2']);
+    expect(mockDb.ids('Lesson')).toEqual(['l2']);
+    expect(mockDb.ids('Topic')).toEqual([]);
+    expect(mockDb.ids('Quiz')).toEqual(['q3']);
+    expect(mockDb.ids('QuizAttempt')).toEqual(['a3']);
+    expect(mockDb.ids('Progress')).toEqual(['p3']);
+    expect(mockDb.ids('Enrollment')).toEqual(['e2']);
+    expect(mockDb.ids('Review')).toEqual([]);
+    expect(mockDb.ids('Thread')).toEqual([]);
+    expect(mockDb.ids('Reply')).toEqual([]);
+    expect(mockDb.data.User[0].courses).toEqual(['c2']);
+    expect([...storage.files]).toEqual(['courses/c2.png']);
+  });
+
+  it('should leave data and files intact when the transaction fails', async () => {
+    Course.deleteMany.mockRejectedValue(new Error('write conflict'));
+
+    await expect(deleteCourseTree('c1')).rejects.toThrow('write conflict');
+    expect(mockDb.data).toEqual(
+      Object.fromEntries(
+        Object.keys(MODELS).map((name) => [name, tree()[name] || []])
+      )
+    );
+    expect([...storage.files]).toEqual(files);
+  });
+
+  it('should return null for a missing course', async () => {
+    expect(await deleteCourseTree('c9')).toBeNull();
+    expect(mockDb.ids('Course')).toEqual(['c1', 'c2']);
+  });
+});
+
+describe('repairIntegrityIssues', () => {
+  beforeEach(() => {
+    mockDb.load({
+      Course: [{ _id: 'c1', image: { key: 'courses/missing.png' } }],
+      Lesson: [
+        { _id: 'l1', courseId: 'c1', topics: ['t1', 't9'] },
+        { _id: 'l8', courseId: 'gone', topics: [] },
+        { _id: 'l9', courseId: 'gone', topics: [] },
+      ],
+      Topic: [{ _id: 't1', lessonId: 'l1' }],
+      Enrollment: [
+        { _id: 'e8', courseId: 'gone' },
+        { _id: 'e9', courseId: 'gone' },
+      ],
+    });
+    mockDb.install();
+  });
+
+  it('should only fix the issues it was given', async () => {
+    const storage = createFakeStorage(['old/a.png', 'old/b.png']);
+    setStorage(storage);
+
+    await repairIntegrityIssues({
+      orphanLessons: [{ _id: 'l9' }],
+      orphanTopics: [],
+      danglingTopicRefs: [{ lessonId: 'l1', topicId: 't9' }],
+      unlistedTopics: [],
+      orphanEnrollments: [{ _id: 'e9' }],
+      orphanProgress: [],
+      orphanQuizzes: [],
+      missingFiles: [
+        {
+          model: 'Course',
+          _id: 'c1',
+          field: 'image',
+          key: 'courses/missing.png',
+        },
+      ],
+      unreferencedFiles: ['old/a.png'],
+    });
+
+    expect(mockDb.ids('Lesson')).toEqual(['l1', 'l8']);
+    expect(mockDb.data.Lesson[0].topics).toEqual(['t1']);
+    expect(mockDb.ids('Enrollment')).toEqual(['e8']);
+    expect(mockDb.data.Course[0]).not.toHaveProperty('image');
+    expect([...storage.files]).toEqual(['old/b.png']);
+  });
+});
+
+describe('findIntegrityIssues', () => {
+  it('should limit how many files it checks in storage at once', async () => {
+    const lessons = Array.from({ length: 50 }, (_, i) => ({
+      _id: `l${i}`,
+      courseId: 'c1',
+      topics: [],
+      content: [{ type: 'image', image: { key: `lessons/${i}.png` } }],
+    }));
+    mockDb.load({ Course: [{ _id: 'c1' }], Lesson: lessons });
+    mockDb.install();
+    Object.values(MODELS).forEach((Model) =>
+      jest.spyOn(Model, 'aggregate').mockResolvedValue([])
+    );
+
+    let checking = 0;
+    let mostAtOnce = 0;
+    const storage = createFakeStorage(['lessons/0.png', 'stray.png']);
+    setStorage({
+      ...storage,
+      exists: async (key) => {
+        checking++;
+        mostAtOnce = Math.max(mostAtOnce, checking);
+        await new Promise((resolve) => setImmediate(resolve));
+        checking--;
+        return storage.exists(key);
+      },
+    });
+
+    const report = await findIntegrityIssues();
+    expect(mostAtOnce).toBeGreaterThan(1);
+    expect(mostAtOnce).toBeLessThanOrEqual(8);
+    expect(report.summary.missingFiles).toBe(49);
+    expect(report.unreferencedFiles).toEqual(['stray.png']);
+  });
+});
@@ -0,0 +1,291 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+const AdmZip = require('adm-zip');
+const Course = require('../models/course');
+const Lesson = require('../models/lesson');
+const Topic = require('../models/topic');
+const User = require('../models/User');
+const { setStorage, createLocalDriver } = require('../utils/storage');
+const {
+  ARCHIVE_FORMAT,
+  ARCHIVE_VERSION,
+  exportCourse,
+  readArchive,
+  importCourse,
+} = require('../utils/courseArchive');
+
+const admin = { _id: new mongoose.Types.ObjectId(), role: 'admin' };
+const instructor = {
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Grace',
+  role: 'instructor',
+};
+
+const png = () =>
+  sharp({
+    create: { width: 20, height: 20, channels: 3, background: '#336699' },
+  })
+    .png()
+    .toBuffer();
+
+const manifest = (fields = {}) => ({
+  format: ARCHIVE_FORMAT,
+  version: ARCHIVE_VERSION,
+  course: {
+    title: 'Node.js Basics',
+    description: 'Learn Node',
+    instructor: 'Grace',
+    price: 10,
+  },
+  lessons: [
+    {
+      title: 'Intro',
+      description: 'Getting started',
+      topics: [
+        { title: 'Install', description: 'Install Node' },
+        { title: 'Hello', description: 'Hello world' },
+      ],
+    },
+  ],
+  ...fields,
+});
+
+const zipOf = (files) => {
+  const zip = new AdmZip();
+  Object.entries(files).forEach(([name, data]) =>
+    zip.addFile(
+      name,
+      Buffer.isBuffer(data) ? data : Buffer.from(JSON.stringify(data))
+    )
+  );
+  return zip.toBuffer();
+};
+
+const sorted = (docs) => ({ sort: () => Promise.resolve(docs) });
+
+describe('course archives', () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'archive-test-'));
+  const storage = createLocalDriver({ root, baseUrl: 'http://cdn.test' });
+
+  beforeAll(() => setStorage(storage));
+  afterAll(() => fs.rmSync(root, { recursive: true, force: true }));
+  afterEach(() => jest.restoreAllMocks());
+
+  it('should export a course with its lessons, topics and images', async () => {
+    await storage.put('courses/cover.png', await png());
+    const courseId = new mongoose.Types.ObjectId();
+    const lessonIds = [
+      new mongoose.Types.ObjectId(),
+      new mongoose.Types.ObjectId(),
+    ];
+    jest.spyOn(Course, 'findById').mockResolvedValue({
+      _id: courseId,
+      title: 'Node.js Basics!',
+      description: 'Learn Node',
+      instructor: 'Grace',
+      instructorId: instructor._id,
+      price: 10,
+      image: { key: 'courses/cover.png' },
+    });
+    jest
+      .spyOn(User, 'findById')
+      .mockResolvedValue({ email: 'grace@example.com' });
+    jest.spyOn(Lesson, 'find').mockReturnValue(
+      sorted([
+        {
+          _id: lessonIds[0],
+          title: 'Intro',
+          description: 'Start',
+          content: [
+            { type: 'markdown', text: 'Hi' },
+            { type: 'image', image: { key: 'courses/cover.png' }, alt: 'C' },
+          ],
+        },
+        { _id: lessonIds[1], title: 'Next', description: 'More' },
+      ])
+    );
+    jest.spyOn(Topic, 'find').mockReturnValue(
+      sorted([
+        { lessonId: lessonIds[1], title: 'B', description: 'b' },
+        {
+          lessonId: lessonIds[1],
+          title: 'C',
+          description: 'c',
+          image: { key: 'topics/missing.png' },
+        },
+      ])
+    );
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const { fileName, archive } = await exportCourse(courseId);
+
+    expect(fileName).toBe('node-js-basics.zip');
+    const { manifest: read, images } = await readArchive(archive);
+    expect(read.course).toEqual({
+      title: 'Node.js Basics!',
+      description: 'Learn Node',
+      instructor: 'Grace',
+      instructorEmail: 'grace@example.com',
+      price: 10,
+      image: 'images/course.png',
+    });
+    expect(read.lessons.map((lesson) => lesson.topics.length)).toEqual([0, 2]);
+    expect(read.lessons[1].topics[1]).toEqual({ title: 'C', description: 'c' });
+    expect(read.lessons[0].content).toEqual([
+      { type: 'markdown', text: 'Hi' },
+      { type: 'image', image: 'images/lesson-1-block-2.png', alt: 'C' },
+    ]);
+    expect([...images.keys()]).toEqual([
+      'images/course.png',
+      'images/lesson-1-block-2.png',
+    ]);
+  });
+
+  it('should read version 1 archives with string content', async () => {
+    const old = manifest({ version: 1 });
+    old.lessons[0].content = 'Some *markdown*';
+
+    const { manifest: read } = await readArchive(
+      zipOf({ 'manifest.json': old })
+    );
+
+    expect(read.lessons[0].content).toEqual([
+      { type: 'markdown', text: 'Some *markdown*' },
+    ]);
+  });
+
+  it('should answer 404 for a missing course', async () => {
+    jest.spyOn(Course, 'findById').mockResolvedValue(null);
+    await expect(
+      exportCourse(new mongoose.Types.ObjectId())
+    ).rejects.toMatchObject({ status: 404 });
+  });
+
+  it('should refuse files that are not ZIP archives', async () => {
+    await expect(readArchive(Buffer.from('nope'))).rejects.toMatchObject({
+      status: 400,
+    });
+  });
+
+  it('should report every problem of an archive at once', async () => {
+    const bad = manifest();
+    delete bad.course.price;
+    await expect(
+      readArchive(zipOf({ 'manifest.json': bad }))
+    ).rejects.toMatchObject({
+      status: 422,
+      details: { errors: [expect.objectContaining({ field: 'course.price' })] },
+    });
+
+    const withImages = manifest();
+    withImages.course.image = 'images/course.png';
+    withImages.lessons[0].topics[0].image = 'images/topic.png';
+    const error = await readArchive(
+      zipOf({
+        'manifest.json': withImages,
+        'images/topic.png': Buffer.from('not an image'),
+      })
+    ).catch((err) => err);
+    expect(error.details.errors.map((entry) => entry.field)).toEqual([
+      'course.image',
+      'lessons.0.topics.0.image',
+    ]);
+  });
+
+  it('should report conflicts in a dry run without writing anything', async () => {
+    jest.spyOn(Course, 'exists').mockResolvedValue({ _id: 'existing' });
+    jest.spyOn(User, 'findOne').mockResolvedValue(null);
+    const create = jest.spyOn(Course, 'create');
+    const archive = manifest();
+    archive.course.instructorEmail = 'nobody@example.com';
+    archive.lessons.push({ title: 'Intro', description: 'Again' });
+
+    const result = await importCourse(
+      zipOf({ 'manifest.json': archive }),
+      admin,
+      { dryRun: true }
+    );
+
+    expect(result).toMatchObject({ dryRun: true, lessons: 2, topics: 2 });
+    expect(result.conflicts.map((conflict) => conflict.field)).toEqual([
+      'course.title',
+      'lessons.1.title',
+      'course.instructorEmail',
+    ]);
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it('should refuse to import conflicting archives unless forced', async () => {
+    jest.spyOn(Course, 'exists').mockResolvedValue({ _id: 'existing' });
+    await expect(
+      importCourse(zipOf({ 'manifest.json': manifest() }), instructor)
+    ).rejects.toMatchObject({
+      status: 409,
+      details: {
+        conflicts: [expect.objectContaining({ field: 'course.title' })],
+      },
+    });
+  });
+
+  it('should rebuild the tree with new IDs and linked topics', async () => {
+    jest.spyOn(Course, 'exists').mockResolvedValue(null);
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue({
+      withTransaction: (fn) => fn(),
+      endSession: async () => {},
+    });
+    const courses = jest
+      .spyOn(Course, 'create')
+      .mockImplementation(async (docs) => docs);
+    const lessons = jest.spyOn(Lesson, 'create').mockResolvedValue([]);
+    const topics = jest.spyOn(Topic, 'create').mockResolvedValue([]);
+    const archive = manifest();
+    archive.course.image = 'images/course.png';
+    archive.lessons[0].content = [
+      { type: 'image', image: 'images/course.png' },
+    ];
+
+    const result = await importCourse(
+      zipOf({ 'manifest.json': archive, 'images/course.png': await png() }),
+      instructor
+    );
+
+    const [course] = courses.mock.calls[0][0];
+    const [lesson] = lessons.mock.calls[0][0];
+    const created = topics.mock.calls[0][0];
+    expect(result).toMatchObject({ dryRun: false, images: 1, conflicts: [] });
+    expect(result.course).toBe(course);
+    expect(course.instructorId).toBe(instructor._id);
+    expect(course.image.key).toMatch(/^courses\//);
+    expect(lesson.content[0].image.key).toMatch(/^lessons\//);
+    expect(lesson.courseId).toBe(course._id);
+    expect(lesson.topics).toEqual(created.map((topic) => topic._id));
+    expect(created.map((topic) => [topic.title, topic.order])).toEqual([
+      ['Install', 0],
+      ['Hello', 1],
+    ]);
+    expect(created.every((topic) => topic.lessonId === lesson._id)).toBe(true);
+  });
+
+  it('should remove stored images when the import fails', async () => {
+    jest.spyOn(Course, 'exists').mockResolvedValue(null);
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue({
+      withTransaction: (fn) => fn(),
+      endSession: async () => {},
+    });
+    jest.spyOn(Course, 'create').mockRejectedValue(new Error('down'));
+    const archive = manifest();
+    archive.lessons[0].topics[0].image = 'images/topic.png';
+    const before = await storage.list();
+
+    await expect(
+      importCourse(
+        zipOf({ 'manifest.json': archive, 'images/topic.png': await png() }),
+        instructor
+      )
+    ).rejects.toThrow('down');
+    expect(await storage.list()).toEqual(before);
+  });
+});
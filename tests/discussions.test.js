@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const Course = require('../models/course');
+const Enrollment = require('../models/enrollment');
+const Lesson = require('../models/lesson');
+const Session = require('../models/session');
+const Thread = require('../models/thread');
+const Topic = require('../models/topic');
+const Reply = require('../models/reply');
+const User = require('../models/User');
+const { applyEdit, toPublicPost } = require('../utils/discussions');
+const discussionRoutes = require('../routes/discussionRoutes');
+
+const author = { _id: new mongoose.Types.ObjectId() };
+const moderator = { _id: new mongoose.Types.ObjectId() };
+
+const thread = () =>
+  new Thread({
+    courseId: new mongoose.Types.ObjectId(),
+    lessonId: new mongoose.Types.ObjectId(),
+    userId: author._id,
+    title: 'How do closures work?',
+    body: 'I do not get it',
+    upvotes: [moderator._id],
+    upvoteCount: 1,
+    reports: [{ userId: moderator._id, reason: 'spam' }],
+    reportCount: 1,
+  });
+
+describe('applyEdit', () => {
+  it('should keep the previous version in the edit history', () => {
+    const post = thread();
+    expect(applyEdit(post, { body: 'Solved it' }, moderator)).toBe(true);
+
+    expect(post.body).toBe('Solved it');
+    expect(post.edits).toHaveLength(1);
+    expect(post.edits[0]).toMatchObject({
+      title: 'How do closures work?',
+      body: 'I do not get it',
+    });
+    expect(String(post.edits[0].editedBy)).toBe(String(moderator._id));
+  });
+
+  it('should not record edits that change nothing', () => {
+    const post = thread();
+    expect(
+      applyEdit(post, { title: post.title, body: undefined }, author)
+    ).toBe(false);
+    expect(post.edits).toHaveLength(0);
+  });
+
+  it('should edit replies, which have no title', () => {
+    const reply = new Reply({
+      threadId: new mongoose.Types.ObjectId(),
+      userId: author._id,
+      body: 'First',
+    });
+    applyEdit(reply, { body: 'Second' }, author);
+    expect(reply.edits[0].body).toBe('First');
+    expect(reply.edits[0].title).toBeUndefined();
+  });
+});
+
+describe('toPublicPost', () => {
+  it("should replace the voters with the user's own vote", () => {
+    const json = toPublicPost(thread(), moderator, false);
+    expect(json.upvoted).toBe(true);
+    expect(json.upvotes).toBeUndefined();
+    expect(toPublicPost(thread(), author, false).upvoted).toBe(false);
+  });
+
+  it('should only show reports to moderators', () => {
+    expect(toPublicPost(thread(), author, false).reports).toBeUndefined();
+    expect(toPublicPost(thread(), moderator, true).reports).toHaveLength(1);
+  });
+});
+
+describe('GET /api/lessons/:id/threads', () => {
+  const app = express();
+  app.use('/api', discussionRoutes);
+  const secret = process.env.JWT_SECRET;
+  const lesson = {
+    _id: new mongoose.Types.ObjectId(),
+    courseId: new mongoose.Types.ObjectId(),
+    status: 'published',
+    publishedAt: new Date(0),
+  };
+  const liveTopic = new mongoose.Types.ObjectId();
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = 'test-secret';
+  });
+  afterAll(() => {
+    if (secret === undefined) delete process.env.JWT_SECRET;
+    else process.env.JWT_SECRET = secret;
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  // The filter the threads were listed with, for a user with `role`
+  const listedWith = async (role) => {
+    const user = { _id: new mongoose.Types.ObjectId(), role };
+    const session = { _id: new mongoose.Types.ObjectId(), userId: user._id };
+    jest.spyOn(Session, 'findById').mockResolvedValue(session);
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    jest.spyOn(Lesson, 'findById').mockResolvedValue(lesson);
+    jest.spyOn(Course, 'exists').mockResolvedValue({ _id: lesson.courseId });
+    jest.spyOn(Enrollment, 'exists').mockResolvedValue({ _id: 'e1' });
+    jest.spyOn(Topic, 'distinct').mockResolvedValue([liveTopic]);
+    const count = jest.spyOn(Thread, 'countDocuments').mockResolvedValue(0);
+    const query = {
+      skip: () => query,
+      sort: () => query,
+      limit: () => query,
+      populate: () => query,
+      then: (resolve) => resolve([]),
+    };
+    jest.spyOn(Thread, 'find').mockReturnValue(query);
+
+    const token = jwt.sign({ id: user._id, sid: session._id }, 'test-secret');
+    const res = await request(app)
+      .get(`/api/lessons/${lesson._id}/threads`)
+      .set('Authorization', `Bearer ${token}`);
+    expect(res.statusCode).toBe(200);
+    return count.mock.calls[0][0];
+  };
+
+  it('should leave out threads about topics learners cannot see', async () => {
+    expect(await listedWith('user')).toEqual({
+      lessonId: lesson._id,
+      $or: [{ topicId: null }, { topicId: { $in: [liveTopic] } }],
+    });
+    expect(Topic.distinct).toHaveBeenCalledWith(
+      '_id',
+      expect.objectContaining({ lessonId: lesson._id, status: 'published' })
+    );
+  });
+
+  it("should list every thread to the course's instructor", async () => {
+    expect(await listedWith('instructor')).toEqual({ lessonId: lesson._id });
+  });
+});
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const Course = require('../models/course');
+const Enrollment = require('../models/enrollment');
+const Session = require('../models/session');
+const User = require('../models/User');
+const { changeStatus } = require('../utils/publishing');
+const enrollmentRoutes = require('../routes/enrollmentRoutes');
+
+describe('POST /api/courses/:id/enroll', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', enrollmentRoutes);
+  const secret = process.env.JWT_SECRET;
+  const user = { _id: new mongoose.Types.ObjectId(), role: 'user' };
+  const session = { _id: new mongoose.Types.ObjectId(), userId: user._id };
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = 'test-secret';
+  });
+  afterAll(() => {
+    if (secret === undefined) delete process.env.JWT_SECRET;
+    else process.env.JWT_SECRET = secret;
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  // A live course published at `price`, then edited to `draftPrice`
+  const liveCourse = (price, draftPrice = price) => {
+    const course = new Course({ title: 'Node.js', instructor: 'Ada', price });
+    changeStatus('courses', course, 'published');
+    course.price = draftPrice;
+    jest.spyOn(Course, 'findById').mockResolvedValue(course);
+    jest.spyOn(Course, 'distinct').mockResolvedValue([]);
+    jest.spyOn(Course, 'find').mockReturnValue({
+      lean: async () => [
+        { _id: course._id, publishedVersion: course.publishedVersion },
+      ],
+    });
+    return course;
+  };
+
+  const enroll = (course) => {
+    jest.spyOn(Session, 'findById').mockResolvedValue(session);
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    const token = jwt.sign({ id: user._id, sid: session._id }, 'test-secret');
+    return request(app)
+      .post(`/api/courses/${course._id}/enroll`)
+      .set('Authorization', `Bearer ${token}`);
+  };
+
+  it('should charge the published price, not a draft one', async () => {
+    const create = jest.spyOn(Enrollment, 'create');
+    const res = await enroll(liveCourse(50, 0));
+    expect(res.statusCode).toBe(402);
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it('should answer 409 when a concurrent request enrolled first', async () => {
+    jest
+      .spyOn(Enrollment, 'create')
+      .mockRejectedValue(Object.assign(new Error('dup'), { code: 11000 }));
+    const res = await enroll(liveCourse(0));
+    expect(res.statusCode).toBe(409);
+    expect(res.body.error).toBe('Already enrolled in this course');
+  });
+});
@@ -0,0 +1,47 @@
+// Nothing listens on this port, so every connection attempt fails quickly
+process.env.MONGO_URI = 'mongodb://127.0.0.1:9/elearning-test';
+process.env.MONGO_CONNECT_TIMEOUT_MS = '200';
+
+const mongoose = require('mongoose');
+const { handler } = require('../handler');
+
+const invoke = (method, path, body) =>
+  handler(
+    {
+      version: '2.0',
+      rawPath: path,
+      rawQueryString: '',
+      headers: { 'content-type': 'application/json' },
+      requestContext: { http: { method, path, sourceIp: '127.0.0.1' } },
+      body,
+      isBase64Encoded: false,
+    },
+    {}
+  );
+
+describe('serverless handler', () => {
+  beforeAll(() => jest.spyOn(console, 'error').mockImplementation(() => {}));
+  afterAll(() => {
+    console.error.mockRestore();
+    return mongoose.disconnect();
+  });
+
+  it('should answer 503 when the database is unreachable', async () => {
+    const response = await invoke('GET', '/api/courses');
+    expect(response.statusCode).toEqual(503);
+    expect(JSON.parse(response.body).error).toMatch('Database unavailable');
+  });
+
+  it('should retry the connection on the next request', async () => {
+    const spy = jest.spyOn(mongoose, 'connect');
+    await invoke('GET', '/api/courses');
+    expect(spy).toHaveBeenCalledTimes(1);
+    spy.mockRestore();
+  });
+
+  it('should answer malformed JSON with a JSON error', async () => {
+    const response = await invoke('POST', '/api/login', '{"email":');
+    expect(response.statusCode).toEqual(400);
+    expect(JSON.parse(response.body)).toHaveProperty('error');
+  });
+});
@@ -0,0 +1,59 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { sendMail, setTransport } = require('../utils/mailer');
+const createFileTransport = require('../utils/mailer/transports/fileTransport');
+
+describe('mailer', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mail-test-'));
+
+  beforeAll(() => setTransport(createFileTransport(dir)));
+  afterAll(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('should render a template and hand it to the transport', async () => {
+    const { file } = await sendMail('jane@example.com', 'passwordReset', {
+      name: 'Jane <script>',
+      link: 'http://localhost:3000/reset-password?token=abc',
+      expiresInMinutes: 60,
+    });
+    const message = JSON.parse(fs.readFileSync(file, 'utf8'));
+    expect(message.to).toEqual('jane@example.com');
+    expect(message.subject).toEqual('Reset your password');
+    expect(message.text).toContain('token=abc');
+    expect(message.html).toContain('Jane &lt;script&gt;');
+  });
+
+  it('should reject unknown templates', async () => {
+    await expect(sendMail('jane@example.com', 'nope', {})).rejects.toThrow(
+      'Unknown mail template'
+    );
+  });
+
+  describe('default transport', () => {
+    const env = { ...process.env };
+    afterEach(() => {
+      process.env = { ...env };
+    });
+
+    // A fresh mailer, as loaded by a new process
+    const loadMailer = () => {
+      let mailer;
+      jest.isolateModules(() => {
+        mailer = require('../utils/mailer');
+      });
+      return mailer;
+    };
+
+    it('should print mail while developing', () => {
+      delete process.env.MAIL_TRANSPORT;
+      process.env.NODE_ENV = 'development';
+      expect(loadMailer().getTransport().name).toBe('console');
+    });
+
+    it('should refuse to guess a transport in production', () => {
+      delete process.env.MAIL_TRANSPORT;
+      process.env.NODE_ENV = 'production';
+      expect(() => loadMailer().getTransport()).toThrow('MAIL_TRANSPORT');
+    });
+  });
+});
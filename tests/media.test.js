@@ -0,0 +1,95 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const Course = require('../models/course');
+const { setStorage, createLocalDriver } = require('../utils/storage');
+const { saveImage, removeMedia, mediaKeys } = require('../utils/media');
+
+describe('media', () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'media-test-'));
+  const storage = createLocalDriver({ root, baseUrl: 'http://cdn.test' });
+
+  beforeAll(() => setStorage(storage));
+  afterAll(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  const png = (width, height) =>
+    sharp({
+      create: { width, height, channels: 3, background: '#336699' },
+    })
+      .png()
+      .toBuffer();
+
+  it('should store an image with its thumbnails', async () => {
+    const media = await saveImage({ buffer: await png(1000, 500) }, 'courses');
+    expect(media.key).toMatch(/^courses\/.+\.png$/);
+    expect(media.contentType).toEqual('image/png');
+    expect(media.width).toEqual(1000);
+    expect(media.thumbnails.map((thumb) => [thumb.size, thumb.width])).toEqual([
+      ['small', 150],
+      ['medium', 400],
+      ['large', 800],
+    ]);
+    for (const key of mediaKeys(media)) {
+      expect(await storage.exists(key)).toBe(true);
+    }
+
+    await removeMedia([media]);
+    expect(await storage.list()).toEqual([]);
+  });
+
+  it('should not enlarge small images', async () => {
+    const media = await saveImage({ buffer: await png(100, 100) }, 'topics');
+    expect(media.thumbnails.every((thumb) => thumb.width === 100)).toBe(true);
+    await removeMedia([media]);
+  });
+
+  it('should reject files that are not images', async () => {
+    await expect(
+      saveImage({ buffer: Buffer.from('not an image') }, 'courses')
+    ).rejects.toMatchObject({ status: 400 });
+    expect(await storage.list()).toEqual([]);
+  });
+
+  it('should tell when a stored file was last written', async () => {
+    const before = Date.now() - 1000;
+    await storage.put('notes/a.txt', 'x');
+    const stat = await storage.stat('notes/a.txt');
+    expect(stat.size).toBe(1);
+    expect(stat.modifiedAt.getTime()).toBeGreaterThan(before);
+    await storage.delete('notes/a.txt');
+  });
+
+  it('should refuse keys outside the storage root', async () => {
+    await expect(storage.put('../escape.txt', 'x')).rejects.toThrow(
+      'Invalid storage key'
+    );
+  });
+
+  it('should expose public URLs when serialized', () => {
+    const course = new Course({
+      title: 'Course',
+      image: {
+        key: 'courses/a.png',
+        thumbnails: [{ size: 'small', key: 'courses/a-small.webp' }],
+      },
+    });
+    const { image } = course.toJSON();
+    expect(image.url).toEqual('http://cdn.test/uploads/courses/a.png');
+    expect(image.thumbnails).toEqual({
+      small: 'http://cdn.test/uploads/courses/a-small.webp',
+    });
+  });
+
+  it('should find the thumbnails of images kept as JSON', () => {
+    const course = new Course({
+      title: 'Course',
+      image: {
+        key: 'courses/a.png',
+        thumbnails: [{ size: 'small', key: 'courses/a-small.webp' }],
+      },
+    });
+    const json = JSON.parse(JSON.stringify(course.image));
+    expect(mediaKeys(json)).toEqual(mediaKeys(course.image));
+  });
+});
@@ -0,0 +1,252 @@
+const mongoose = require('mongoose');
+const Course = require('../models/course');
+const Lesson = require('../models/lesson');
+const Enrollment = require('../models/enrollment');
+const Notification = require('../models/notification');
+const NotificationPreference = require('../models/notificationPreference');
+const { setTransport } = require('../utils/mailer');
+const {
+  notifyUsers,
+  notifyStatusChange,
+  notifyReply,
+  updatePreferences,
+  sendDigests,
+} = require('../utils/notifications');
+
+const id = () => new mongoose.Types.ObjectId();
+const hoursAgo = (hours) => new Date(Date.now() - hours * 3600 * 1000);
+
+// Make Notification.insertMany resolve to what it was given
+const captureInserts = () =>
+  jest
+    .spyOn(Notification, 'insertMany')
+    .mockImplementation(async (docs) => docs);
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('notifyUsers', () => {
+  it('should skip users who muted the type', async () => {
+    const [ada, bob] = [id(), id()];
+    jest.spyOn(NotificationPreference, 'distinct').mockResolvedValue([bob]);
+    const insert = captureInserts();
+
+    const created = await notifyUsers([ada, bob, ada], {
+      type: 'enrollment.granted',
+      title: 'You are enrolled in Node.js Basics',
+    });
+
+    expect(created.map((doc) => doc.userId)).toEqual([String(ada)]);
+    expect(insert).toHaveBeenCalledTimes(1);
+  });
+
+  it('should log failures instead of throwing', async () => {
+    jest.spyOn(NotificationPreference, 'distinct').mockResolvedValue([]);
+    jest.spyOn(Notification, 'insertMany').mockRejectedValue(new Error('down'));
+    const log = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(
+      notifyUsers([id()], { type: 'discussion.reply', title: 'Hi' })
+    ).resolves.toEqual([]);
+    expect(log).toHaveBeenCalled();
+  });
+});
+
+describe('notifyStatusChange', () => {
+  const course = new Course({
+    title: 'Node.js Basics',
+    description: 'Learn Node.js',
+    instructor: 'Ada',
+    price: 0,
+    status: 'published',
+    publishedAt: hoursAgo(48),
+  });
+  const lesson = new Lesson({
+    title: 'Streams',
+    description: 'Reading and writing',
+    courseId: course._id,
+    status: 'published',
+    publishedAt: hoursAgo(1),
+  });
+  const learners = [id(), id()];
+
+  beforeEach(() => {
+    jest.spyOn(Course, 'findById').mockResolvedValue(course);
+    jest.spyOn(Enrollment, 'distinct').mockResolvedValue(learners);
+    jest.spyOn(NotificationPreference, 'distinct').mockResolvedValue([]);
+  });
+
+  it('should tell enrolled learners about a newly published lesson', async () => {
+    const insert = captureInserts();
+    await notifyStatusChange('lessons', lesson, true);
+
+    const docs = insert.mock.calls[0][0];
+    expect(docs.map((doc) => doc.userId)).toEqual(learners.map(String));
+    expect(docs[0]).toMatchObject({
+      type: 'lesson.published',
+      title: 'New lesson: Streams',
+      body: 'In Node.js Basics',
+      courseId: course._id,
+      lessonId: lesson._id,
+      notifyAt: lesson.publishedAt,
+    });
+  });
+
+  it('should announce scheduled content when it goes live', async () => {
+    const insert = captureInserts();
+    const publishAt = new Date(Date.now() + 3600 * 1000);
+    const scheduled = new Lesson({
+      ...lesson.toObject(),
+      _id: id(),
+      publishedAt: publishAt,
+    });
+    await notifyStatusChange('lessons', scheduled, true);
+    expect(insert.mock.calls[0][0][0].notifyAt).toEqual(publishAt);
+  });
+
+  it('should not announce republished content again', async () => {
+    const insert = captureInserts();
+    await notifyStatusChange('lessons', lesson, false);
+    await notifyStatusChange('courses', course, true);
+    expect(insert).not.toHaveBeenCalled();
+  });
+
+  it('should not announce topics of unpublished lessons', async () => {
+    const insert = captureInserts();
+    jest
+      .spyOn(Lesson, 'findById')
+      .mockResolvedValue(new Lesson({ ...lesson.toObject(), status: 'draft' }));
+    await notifyStatusChange(
+      'topics',
+      { _id: id(), lessonId: lesson._id, status: 'published' },
+      true
+    );
+    expect(insert).not.toHaveBeenCalled();
+  });
+
+  it('should withdraw pending announcements of content taken down', async () => {
+    const remove = jest
+      .spyOn(Notification, 'deleteMany')
+      .mockResolvedValue({ deletedCount: 2 });
+    const draft = new Lesson({ ...lesson.toObject(), status: 'draft' });
+    await notifyStatusChange('lessons', draft, false);
+    expect(remove.mock.calls[0][0]).toMatchObject({
+      lessonId: lesson._id,
+      notifyAt: { $gt: expect.any(Date) },
+    });
+  });
+});
+
+describe('notifyReply', () => {
+  const thread = {
+    _id: id(),
+    userId: id(),
+    courseId: id(),
+    lessonId: id(),
+    title: 'Backpressure?',
+  };
+
+  it('should tell the author of the thread', async () => {
+    jest.spyOn(NotificationPreference, 'distinct').mockResolvedValue([]);
+    const insert = captureInserts();
+    await notifyReply(
+      thread,
+      { _id: id(), body: 'x'.repeat(300) },
+      { _id: id(), name: 'Grace' }
+    );
+
+    const [doc] = insert.mock.calls[0][0];
+    expect(doc.userId).toEqual(String(thread.userId));
+    expect(doc.title).toBe('Grace replied to "Backpressure?"');
+    expect(doc.body).toHaveLength(201);
+  });
+
+  it('should not notify authors of their own replies', async () => {
+    const insert = captureInserts();
+    await notifyReply(
+      thread,
+      { _id: id(), body: 'Solved it' },
+      { _id: thread.userId, name: 'Ada' }
+    );
+    expect(insert).not.toHaveBeenCalled();
+  });
+});
+
+describe('updatePreferences', () => {
+  it('should only change the types it is given', async () => {
+    const userId = id();
+    jest
+      .spyOn(NotificationPreference, 'findOne')
+      .mockResolvedValue({ muted: ['discussion.reply'], emailDigest: 'off' });
+    const update = jest
+      .spyOn(NotificationPreference, 'findOneAndUpdate')
+      .mockImplementation(async (filter, { $set }) => ({
+        emailDigest: 'off',
+        ...$set,
+      }));
+
+    const preferences = await updatePreferences(userId, {
+      types: { 'lesson.published': false },
+      emailDigest: 'weekly',
+    });
+
+    expect(update.mock.calls[0][1].$set.muted).toEqual([
+      'discussion.reply',
+      'lesson.published',
+    ]);
+    expect(preferences.types).toMatchObject({
+      'lesson.published': false,
+      'discussion.reply': false,
+      'topic.published': true,
+    });
+    expect(preferences.emailDigest).toBe('weekly');
+  });
+});
+
+describe('sendDigests', () => {
+  const sent = [];
+  beforeAll(() =>
+    setTransport({ send: async (message) => sent.push(message) })
+  );
+
+  it('should email due users their unread notifications once', async () => {
+    const user = { _id: id(), name: 'Ada <3', email: 'ada@example.com' };
+    const preference = { _id: id(), userId: user, emailDigest: 'daily' };
+    jest.spyOn(NotificationPreference, 'find').mockImplementation((filter) => ({
+      populate: async () =>
+        filter.emailDigest === 'daily' ? [preference] : [],
+    }));
+    const listed = {
+      _id: id(),
+      title: 'New lesson: Streams',
+      body: 'In Node.js Basics',
+    };
+    jest.spyOn(Notification, 'find').mockReturnValue({
+      sort: () => ({ limit: async () => [listed] }),
+    });
+    jest.spyOn(Notification, 'countDocuments').mockResolvedValue(3);
+    const markEmailed = jest
+      .spyOn(Notification, 'updateMany')
+      .mockResolvedValue({});
+    const markSent = jest
+      .spyOn(NotificationPreference, 'updateOne')
+      .mockResolvedValue({});
+
+    const now = new Date();
+    expect(await sendDigests(now)).toBe(1);
+
+    expect(sent[0].to).toBe('ada@example.com');
+    expect(sent[0].subject).toBe('Your daily notification digest');
+    expect(sent[0].text).toContain('- New lesson: Streams (In Node.js Basics)');
+    expect(sent[0].text).toContain('And 2 more in your inbox.');
+    expect(sent[0].html).toContain('Ada &lt;3');
+    // The two left out of the mail are still due
+    expect(markEmailed).toHaveBeenCalledWith(
+      { _id: { $in: [listed._id] } },
+      { $set: { emailedAt: now } }
+    );
+    expect(markSent).toHaveBeenCalledWith(
+      { _id: preference._id },
+      { $set: { lastDigestAt: now } }
+    );
+  });
+});
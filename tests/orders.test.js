@@ -0,0 +1,370 @@
+jest.mock('../utils/transaction', () => ({
+  withTransaction: (fn) => fn(null),
+}));
+
+const mongoose = require('mongoose');
+const Coupon = require('../models/coupon');
+const Enrollment = require('../models/enrollment');
+const Order = require('../models/order');
+const {
+  priceWithCoupon,
+  checkCoupon,
+  checkout,
+  refundOrder,
+} = require('../utils/orders');
+const { createMockProvider, setPaymentProvider } = require('../utils/payments');
+const { signPayload } = require('../utils/payments/providers/mockProvider');
+
+describe('priceWithCoupon', () => {
+  it('should charge the full price without a coupon', () => {
+    expect(priceWithCoupon(49.99, null)).toEqual({
+      subtotal: 49.99,
+      discount: 0,
+      total: 49.99,
+    });
+  });
+
+  it('should apply percentage discounts rounded to cents', () => {
+    expect(priceWithCoupon(49.99, { type: 'percentage', value: 15 })).toEqual({
+      subtotal: 49.99,
+      discount: 7.5,
+      total: 42.49,
+    });
+  });
+
+  it('should never discount more than the price', () => {
+    expect(priceWithCoupon(20, { type: 'fixed', value: 25 })).toEqual({
+      subtotal: 20,
+      discount: 20,
+      total: 0,
+    });
+  });
+});
+
+describe('checkCoupon', () => {
+  const courseId = '64b000000000000000000001';
+  const coupon = (overrides) => ({
+    active: true,
+    maxRedemptions: 0,
+    redemptions: 0,
+    courseIds: [],
+    ...overrides,
+  });
+
+  it('should accept a valid coupon', () => {
+    expect(() => checkCoupon(coupon(), courseId)).not.toThrow();
+  });
+
+  it('should reject unknown, inactive, expired or used up coupons', () => {
+    expect(() => checkCoupon(null, courseId)).toThrow('Invalid coupon code');
+    expect(() => checkCoupon(coupon({ active: false }), courseId)).toThrow(
+      'Invalid coupon code'
+    );
+    expect(() =>
+      checkCoupon(coupon({ expiresAt: new Date(Date.now() - 1000) }), courseId)
+    ).toThrow('expired');
+    expect(() =>
+      checkCoupon(coupon({ maxRedemptions: 2, redemptions: 2 }), courseId)
+    ).toThrow('fully redeemed');
+  });
+
+  it('should only apply to the listed courses', () => {
+    const restricted = coupon({ courseIds: ['64b000000000000000000002'] });
+    expect(() => checkCoupon(restricted, courseId)).toThrow(
+      'does not apply to this course'
+    );
+  });
+});
+
+describe('mock payment provider', () => {
+  const provider = createMockProvider({ webhookSecret: 'secret' });
+  const body = JSON.stringify({
+    id: 'evt_1',
+    type: 'payment.succeeded',
+    data: { paymentId: 'mock_pay_1' },
+  });
+
+  it('should accept correctly signed webhooks', () => {
+    const headers = { 'x-mock-signature': signPayload(body, 'secret') };
+    expect(provider.parseWebhook(Buffer.from(body), headers)).toEqual({
+      id: 'evt_1',
+      type: 'payment.succeeded',
+      paymentId: 'mock_pay_1',
+    });
+  });
+
+  it('should reject bad or stale signatures', () => {
+    const forged = { 'x-mock-signature': signPayload(body, 'wrong') };
+    expect(() => provider.parseWebhook(Buffer.from(body), forged)).toThrow(
+      'Invalid webhook signature'
+    );
+
+    const old = Math.floor(Date.now() / 1000) - 3600;
+    const stale = { 'x-mock-signature': signPayload(body, 'secret', old) };
+    expect(() => provider.parseWebhook(Buffer.from(body), stale)).toThrow(
+      'Invalid webhook signature'
+    );
+    expect(() => provider.parseWebhook(Buffer.from(body), {})).toThrow(
+      'Invalid webhook signature'
+    );
+  });
+});
+
+describe('payment provider setup', () => {
+  const env = { ...process.env };
+  afterEach(() => {
+    process.env = { ...env };
+    jest.restoreAllMocks();
+  });
+
+  // The provider a new process would pick
+  const loadProvider = () => {
+    let provider;
+    jest.isolateModules(() => {
+      provider = require('../utils/payments').getPaymentProvider();
+    });
+    return provider;
+  };
+
+  it('should require a webhook secret', () => {
+    delete process.env.PAYMENT_WEBHOOK_SECRET;
+    expect(() => createMockProvider()).toThrow('PAYMENT_WEBHOOK_SECRET');
+  });
+
+  it('should only use the mock provider in production when enabled', () => {
+    delete process.env.PAYMENT_PROVIDER;
+    process.env.PAYMENT_WEBHOOK_SECRET = 'secret';
+    process.env.NODE_ENV = 'production';
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    expect(() => loadProvider()).toThrow(
+      expect.objectContaining({
+        message: 'Payments are not configured',
+        status: 503,
+      })
+    );
+    expect(console.error.mock.calls[0][1]).toMatch(
+      'disabled outside development'
+    );
+
+    process.env.PAYMENT_MOCK_ENABLED = 'true';
+    expect(loadProvider().name).toBe('mock');
+  });
+});
+
+describe('refundOrder', () => {
+  let stored;
+  const paidOrder = () => ({
+    _id: new mongoose.Types.ObjectId(),
+    status: 'paid',
+    total: 50,
+    refundedAmount: 0,
+    provider: 'mock',
+    paymentId: 'mock_pay_1',
+    currency: 'usd',
+  });
+
+  // Order updates applied to `stored` the way MongoDB would
+  beforeEach(() => {
+    stored = paidOrder();
+    jest
+      .spyOn(Order, 'findOneAndUpdate')
+      .mockImplementation(async (filter, { $set }) => {
+        const matches = ['status', 'refundedAmount'].every(
+          (field) => filter[field] === stored[field]
+        );
+        if (!matches) return null;
+        Object.assign(stored, $set);
+        return { ...stored };
+      });
+    jest.spyOn(Order, 'findById').mockImplementation(async () => ({
+      ...stored,
+    }));
+    jest
+      .spyOn(Order, 'findByIdAndUpdate')
+      .mockImplementation(async () => ({ ...stored }));
+    jest.spyOn(Enrollment, 'deleteOne').mockResolvedValue({ deletedCount: 0 });
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  it('should never refund more than the total concurrently', async () => {
+    setPaymentProvider({
+      name: 'mock',
+      refundPayment: async () => ({ refundId: 'mock_ref_1' }),
+    });
+    const order = { ...stored };
+    const results = await Promise.allSettled([
+      refundOrder(order, { amount: 30 }),
+      refundOrder(order, { amount: 30 }),
+    ]);
+
+    expect(results.map((result) => result.status).sort()).toEqual([
+      'fulfilled',
+      'rejected',
+    ]);
+    expect(stored.refundedAmount).toBe(30);
+    expect(stored.status).toBe('partially_refunded');
+  });
+
+  it('should release the amount when the provider rejects the refund', async () => {
+    setPaymentProvider({
+      name: 'mock',
+      refundPayment: async () => {
+        throw new Error('declined');
+      },
+    });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(refundOrder({ ...stored }, {})).rejects.toMatchObject({
+      status: 502,
+    });
+    expect(stored.refundedAmount).toBe(0);
+    expect(stored.status).toBe('paid');
+  });
+});
+
+describe('checkout', () => {
+  const user = { _id: new mongoose.Types.ObjectId() };
+  const course = { _id: new mongoose.Types.ObjectId(), price: 50 };
+  const pendingOrder = (fields) => ({
+    _id: new mongoose.Types.ObjectId(),
+    status: 'pending',
+    paymentId: 'mock_pay_1',
+    checkoutUrl: 'https://pay.example.com/1',
+    createdAt: new Date(),
+    ...fields,
+  });
+
+  let createPayment;
+  beforeEach(() => {
+    createPayment = jest.fn();
+    setPaymentProvider({ name: 'mock', createPayment });
+    jest.spyOn(Enrollment, 'exists').mockResolvedValue(null);
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  it('should return the pending order instead of paying twice', async () => {
+    const pending = pendingOrder();
+    jest.spyOn(Order, 'findOne').mockResolvedValue(pending);
+    const create = jest.spyOn(Order, 'create');
+
+    expect(await checkout(user, course)).toBe(pending);
+    expect(create).not.toHaveBeenCalled();
+    expect(createPayment).not.toHaveBeenCalled();
+  });
+
+  it('should refuse a pending order with another coupon', async () => {
+    jest
+      .spyOn(Order, 'findOne')
+      .mockResolvedValue(pendingOrder({ coupon: { code: 'SPRING' } }));
+    await expect(checkout(user, course)).rejects.toMatchObject({
+      status: 409,
+    });
+  });
+
+  it('should return the order a concurrent checkout created', async () => {
+    const pending = pendingOrder();
+    jest
+      .spyOn(Order, 'findOne')
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce(pending);
+    jest
+      .spyOn(Order, 'create')
+      .mockRejectedValue(Object.assign(new Error('dup'), { code: 11000 }));
+
+    expect(await checkout(user, course)).toBe(pending);
+    expect(createPayment).not.toHaveBeenCalled();
+  });
+
+  it('should refuse paid checkouts while payments are not configured', async () => {
+    const webhookSecret = process.env.PAYMENT_WEBHOOK_SECRET;
+    delete process.env.PAYMENT_WEBHOOK_SECRET;
+    setPaymentProvider(undefined);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(Order, 'findOne').mockResolvedValue(null);
+    const create = jest.spyOn(Order, 'create');
+
+    try {
+      await expect(checkout(user, course)).rejects.toMatchObject({
+        status: 503,
+      });
+      expect(create).not.toHaveBeenCalled();
+    } finally {
+      if (webhookSecret !== undefined) {
+        process.env.PAYMENT_WEBHOOK_SECRET = webhookSecret;
+      }
+    }
+  });
+
+  it('should fail orders abandoned before their payment started', async () => {
+    jest.spyOn(Order, 'findOne').mockResolvedValue(
+      pendingOrder({
+        paymentId: undefined,
+        createdAt: new Date(Date.now() - 3600 * 1000),
+      })
+    );
+    const fail = jest.spyOn(Order, 'findOneAndUpdate').mockResolvedValue({});
+    jest.spyOn(Order, 'create').mockRejectedValue(new Error('stop'));
+
+    await expect(checkout(user, course)).rejects.toThrow('stop');
+    expect(fail.mock.calls[0][1]).toEqual({ $set: { status: 'failed' } });
+  });
+
+  describe('with a coupon', () => {
+    let stored;
+    // Coupon updates applied to `stored` the way MongoDB would
+    beforeEach(() => {
+      stored = {
+        _id: new mongoose.Types.ObjectId(),
+        code: 'SPRING',
+        type: 'fixed',
+        value: 10,
+        active: true,
+        maxRedemptions: 1,
+        redemptions: 0,
+      };
+      jest.spyOn(Coupon, 'findOne').mockImplementation(async () => ({
+        ...stored,
+      }));
+      jest.spyOn(Coupon, 'findOneAndUpdate').mockImplementation(async () => {
+        if (stored.redemptions >= stored.maxRedemptions) return null;
+        stored.redemptions += 1;
+        return { ...stored };
+      });
+      jest.spyOn(Coupon, 'updateOne').mockImplementation(async () => {
+        stored.redemptions -= 1;
+        return {};
+      });
+      jest.spyOn(Order, 'findOne').mockResolvedValue(null);
+      jest
+        .spyOn(Order, 'create')
+        .mockImplementation(async (fields) => ({ ...fields, save: jest.fn() }));
+      createPayment.mockResolvedValue({ paymentId: 'mock_pay_1' });
+    });
+
+    it('should not redeem it past its limit concurrently', async () => {
+      const results = await Promise.allSettled([
+        checkout(user, course, 'spring'),
+        checkout({ _id: new mongoose.Types.ObjectId() }, course, 'spring'),
+      ]);
+
+      expect(results.map((result) => result.status).sort()).toEqual([
+        'fulfilled',
+        'rejected',
+      ]);
+      expect(stored.redemptions).toBe(1);
+    });
+
+    it('should give the redemption back when the payment fails', async () => {
+      createPayment.mockRejectedValue(new Error('down'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      jest.spyOn(Order, 'findOneAndUpdate').mockResolvedValue({
+        coupon: { couponId: stored._id, code: stored.code },
+      });
+
+      await expect(checkout(user, course, 'spring')).rejects.toMatchObject({
+        status: 502,
+      });
+      expect(stored.redemptions).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,131 @@
+const Course = require('../models/course');
+const {
+  authorize,
+  requirePermission,
+} = require('../middleware/authMiddleware');
+const { permissionFor, can, ownsCourses } = require('../utils/permissions');
+
+const admin = { _id: '64b000000000000000000001', role: 'admin' };
+const instructor = { _id: '64b000000000000000000002', role: 'instructor' };
+const learner = { _id: '64b000000000000000000003', role: 'user' };
+const ownCourse = {
+  _id: '64c000000000000000000001',
+  instructorId: instructor._id,
+};
+const otherCourse = {
+  _id: '64c000000000000000000002',
+  instructorId: admin._id,
+};
+
+const run = async (middleware, req) => {
+  const res = {
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+  const next = jest.fn();
+  await middleware(req, res, next);
+  return { res, next };
+};
+
+describe('permissionFor', () => {
+  it('should grant admins every course', () => {
+    expect(permissionFor(admin, 'courses:update')).toBe('any');
+    expect(can(admin, 'coupons:manage')).toBe(true);
+  });
+
+  it('should limit instructors to their own courses', () => {
+    expect(permissionFor(instructor, 'courses:create')).toBe('any');
+    expect(permissionFor(instructor, 'lessons:manage')).toBe('own');
+    expect(can(instructor, 'courses:assign')).toBe(false);
+  });
+
+  it('should refuse learners', () => {
+    expect(permissionFor(learner, 'topics:manage')).toBeNull();
+  });
+
+  it('should reject unknown permissions', () => {
+    expect(() => permissionFor(admin, 'courses:sell')).toThrow(
+      'Unknown permission'
+    );
+  });
+});
+
+describe('ownsCourses', () => {
+  it('should require the user to teach every course', () => {
+    expect(ownsCourses(instructor, [ownCourse])).toBe(true);
+    expect(ownsCourses(instructor, [ownCourse, otherCourse])).toBe(false);
+    expect(ownsCourses(instructor, [{ _id: ownCourse._id }])).toBe(false);
+  });
+});
+
+describe('authorize', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('should let admins through without looking up ownership', async () => {
+    const findCourseIds = jest.fn();
+    const { next } = await run(authorize('courses:update', findCourseIds), {
+      user: admin,
+      params: {},
+    });
+    expect(next).toHaveBeenCalled();
+    expect(findCourseIds).not.toHaveBeenCalled();
+  });
+
+  it('should refuse roles without the permission', async () => {
+    const { res, next } = await run(authorize('courses:create'), {
+      user: learner,
+    });
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(403);
+  });
+
+  it("should let instructors manage their own course's content", async () => {
+    jest.spyOn(Course, 'find').mockResolvedValue([ownCourse]);
+    const { next } = await run(
+      authorize('lessons:manage', (req) => req.params.id),
+      { user: instructor, params: { id: ownCourse._id } }
+    );
+    expect(next).toHaveBeenCalled();
+  });
+
+  it("should refuse instructors another instructor's course", async () => {
+    jest.spyOn(Course, 'find').mockResolvedValue([ownCourse, otherCourse]);
+    const { res, next } = await run(
+      authorize('lessons:manage', () => [ownCourse._id, otherCourse._id]),
+      { user: instructor }
+    );
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(403);
+    expect(res.body.message).toMatch('your own courses');
+  });
+
+  it('should refuse ownership checks without a course to check', async () => {
+    const { res } = await run(authorize('courses:update'), {
+      user: instructor,
+    });
+    expect(res.statusCode).toBe(403);
+  });
+});
+
+describe('requirePermission', () => {
+  it('should let instructors through before their course is known', async () => {
+    const { next } = await run(requirePermission('topics:manage'), {
+      user: instructor,
+    });
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('should refuse roles without the permission', async () => {
+    const { res, next } = await run(requirePermission('topics:manage'), {
+      user: learner,
+    });
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(403);
+  });
+});
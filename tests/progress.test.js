@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const Course = require('../models/course');
+const Lesson = require('../models/lesson');
+const Progress = require('../models/progress');
+const Session = require('../models/session');
+const User = require('../models/User');
+const { summarizeProgress, recordProgress } = require('../utils/progress');
+const progressRoutes = require('../routes/progressRoutes');
+
+const lessons = [
+  { _id: 'l1', title: 'Intro', topics: ['t1', 't2'] },
+  { _id: 'l2', title: 'Setup', topics: [] },
+  { _id: 'l3', title: 'Deep dive', topics: ['t3', 't4'] },
+];
+
+describe('summarizeProgress', () => {
+  it('should report zero when nothing has been started', () => {
+    const summary = summarizeProgress(lessons, []);
+    expect(summary.totalUnits).toEqual(5);
+    expect(summary.completionPercentage).toEqual(0);
+    expect(summary.lessons.map((l) => l.status)).toEqual([
+      'not_started',
+      'not_started',
+      'not_started',
+    ]);
+  });
+
+  it('should count completed topics and topic-less lessons', () => {
+    const summary = summarizeProgress(lessons, [
+      { lessonId: 'l1', topicId: 't1', status: 'completed', timeSpent: 30 },
+      { lessonId: 'l1', topicId: 't2', status: 'started', timeSpent: 10 },
+      { lessonId: 'l2', topicId: null, status: 'completed', timeSpent: 5 },
+    ]);
+    expect(summary.completedUnits).toEqual(2);
+    expect(summary.completionPercentage).toEqual(40);
+    expect(summary.timeSpent).toEqual(45);
+    expect(summary.lessons[0]).toMatchObject({
+      status: 'started',
+      completedTopics: 1,
+      totalTopics: 2,
+    });
+    expect(summary.lessons[1].status).toEqual('completed');
+  });
+
+  it('should complete every topic of a completed lesson', () => {
+    const summary = summarizeProgress(lessons, [
+      { lessonId: 'l3', topicId: null, status: 'completed', timeSpent: 0 },
+    ]);
+    expect(summary.completedUnits).toEqual(2);
+    expect(summary.lessons[2]).toMatchObject({
+      status: 'completed',
+      completedTopics: 2,
+    });
+  });
+
+  it('should return zero for a course without lessons', () => {
+    expect(summarizeProgress([], []).completionPercentage).toEqual(0);
+  });
+});
+
+describe('recordProgress', () => {
+  const target = {
+    userId: new mongoose.Types.ObjectId(),
+    courseId: new mongoose.Types.ObjectId(),
+    lessonId: new mongoose.Types.ObjectId(),
+  };
+  afterEach(() => jest.restoreAllMocks());
+
+  it('should add time and complete the record in a single upsert', async () => {
+    const update = jest
+      .spyOn(Progress, 'findOneAndUpdate')
+      .mockResolvedValue({});
+    await recordProgress(target, {
+      status: 'completed',
+      timeSpent: 30,
+      lastPosition: 12,
+    });
+
+    expect(update).toHaveBeenCalledTimes(1);
+    const [filter, changes, options] = update.mock.calls[0];
+    expect(filter).toEqual({
+      userId: target.userId,
+      lessonId: target.lessonId,
+      topicId: null,
+    });
+    expect(changes).toEqual({
+      $setOnInsert: { courseId: target.courseId },
+      $inc: { timeSpent: 30 },
+      $set: { lastPosition: 12, status: 'completed' },
+      $min: { completedAt: expect.any(Date) },
+    });
+    expect(options).toMatchObject({ upsert: true, new: true });
+  });
+
+  it('should never move a record back to started', async () => {
+    const update = jest
+      .spyOn(Progress, 'findOneAndUpdate')
+      .mockResolvedValue({});
+    await recordProgress(target, { status: 'started', timeSpent: 5 });
+    expect(update.mock.calls[0][1]).toEqual({
+      $setOnInsert: { courseId: target.courseId },
+      $inc: { timeSpent: 5 },
+    });
+  });
+});
+
+describe('POST /api/lessons/:id/progress', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', progressRoutes);
+  const secret = process.env.JWT_SECRET;
+  const user = { _id: new mongoose.Types.ObjectId(), role: 'user' };
+  const session = { _id: new mongoose.Types.ObjectId(), userId: user._id };
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = 'test-secret';
+  });
+  afterAll(() => {
+    if (secret === undefined) delete process.env.JWT_SECRET;
+    else process.env.JWT_SECRET = secret;
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  it('should not record progress on lessons learners cannot see', async () => {
+    jest.spyOn(Session, 'findById').mockResolvedValue(session);
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    jest.spyOn(Lesson, 'findById').mockResolvedValue({
+      _id: new mongoose.Types.ObjectId(),
+      courseId: new mongoose.Types.ObjectId(),
+      status: 'draft',
+    });
+    jest.spyOn(Course, 'exists').mockResolvedValue(null);
+    const record = jest.spyOn(Progress, 'findOneAndUpdate');
+
+    const token = jwt.sign({ id: user._id, sid: session._id }, 'test-secret');
+    const res = await request(app)
+      .post(`/api/lessons/${new mongoose.Types.ObjectId()}/progress`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ status: 'completed' });
+    expect(res.statusCode).toBe(404);
+    expect(record).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,284 @@
+const mongoose = require('mongoose');
+const Course = require('../models/course');
+const Lesson = require('../models/lesson');
+const {
+  isLive,
+  transitionPermission,
+  changeStatus,
+  diffVersions,
+  diffContent,
+  visibleCourseFilter,
+  visibleLessonFilter,
+  canSeeCourse,
+  publishedContent,
+  publishedListQuery,
+} = require('../utils/publishing');
+
+const admin = { _id: '64b000000000000000000001', role: 'admin' };
+const instructor = { _id: '64b000000000000000000002', role: 'instructor' };
+const learner = { _id: '64b000000000000000000003', role: 'user' };
+
+const newCourse = (fields = {}) =>
+  new Course({
+    title: 'Node.js Basics',
+    description: 'Learn Node.js',
+    instructor: 'Ada',
+    price: 10,
+    ...fields,
+  });
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('isLive', () => {
+  const past = new Date(Date.now() - 60000);
+  const future = new Date(Date.now() + 60000);
+
+  it('should only show published content whose publish date has come', () => {
+    expect(isLive({ status: 'published', publishedAt: past })).toBe(true);
+    expect(isLive({ status: 'published', publishedAt: future })).toBe(false);
+    expect(isLive({ status: 'published' })).toBe(false);
+  });
+
+  it('should hide drafts, content in review and archived content', () => {
+    ['draft', 'in_review', 'archived'].forEach((status) =>
+      expect(isLive({ status, publishedAt: past })).toBe(false)
+    );
+  });
+});
+
+describe('transitionPermission', () => {
+  it('should let editors move content between draft and review', () => {
+    expect(transitionPermission('lessons', 'draft', 'in_review')).toBe(
+      'lessons:manage'
+    );
+    expect(transitionPermission('courses', 'in_review', 'draft')).toBe(
+      'courses:update'
+    );
+  });
+
+  it('should keep publishing and archiving for publishers', () => {
+    expect(transitionPermission('topics', 'in_review', 'published')).toBe(
+      'content:publish'
+    );
+    expect(transitionPermission('topics', 'published', 'draft')).toBe(
+      'content:publish'
+    );
+    expect(transitionPermission('courses', 'draft', 'archived')).toBe(
+      'content:publish'
+    );
+  });
+});
+
+describe('changeStatus', () => {
+  it('should start content as a draft', () => {
+    expect(newCourse().status).toBe('draft');
+    expect(new Lesson().status).toBe('draft');
+  });
+
+  it('should publish now and record the published version', () => {
+    const course = newCourse();
+    changeStatus('courses', course, 'published');
+    expect(course.status).toBe('published');
+    expect(isLive(course)).toBe(true);
+    expect(course.publishedVersion).toMatchObject({
+      title: 'Node.js Basics',
+      price: 10,
+    });
+  });
+
+  it('should schedule a publish date', () => {
+    const course = newCourse();
+    const publishAt = new Date(Date.now() + 86400000).toISOString();
+    changeStatus('courses', course, 'published', publishAt);
+    expect(course.publishedAt.toISOString()).toBe(publishAt);
+    expect(isLive(course)).toBe(false);
+  });
+
+  it('should refuse moves the workflow does not allow', () => {
+    const course = newCourse({ status: 'archived' });
+    expect(() => changeStatus('courses', course, 'published')).toThrow(
+      expect.objectContaining({ status: 409 })
+    );
+    expect(course.status).toBe('archived');
+  });
+
+  it('should only take a publish date when publishing', () => {
+    const course = newCourse();
+    expect(() =>
+      changeStatus('courses', course, 'in_review', new Date().toISOString())
+    ).toThrow('publishAt');
+  });
+});
+
+describe('diffVersions', () => {
+  it('should list the fields that changed', () => {
+    expect(
+      diffVersions(
+        { title: 'Old', price: 10, image: null },
+        { title: 'New', price: 10, image: null }
+      )
+    ).toEqual([{ field: 'title', published: 'Old', current: 'New' }]);
+  });
+
+  it('should compare nested values', () => {
+    const image = { key: 'courses/a.png', size: 10 };
+    expect(diffVersions({ image }, { image: { ...image } })).toEqual([]);
+    expect(
+      diffVersions({ image }, { image: { ...image, key: 'courses/b.png' } })
+    ).toHaveLength(1);
+  });
+
+  it('should count every field with a value as new before the first publish', () => {
+    expect(
+      diffVersions(undefined, { title: 'New', image: null }).map(
+        (change) => change.field
+      )
+    ).toEqual(['title']);
+  });
+});
+
+describe('diffContent', () => {
+  it('should show changes made since publishing', () => {
+    const course = newCourse();
+    changeStatus('courses', course, 'published');
+    course.price = 20;
+    course.instructorId = new mongoose.Types.ObjectId();
+
+    const diff = diffContent('courses', course);
+    expect(diff).toMatchObject({ status: 'published', everPublished: true });
+    expect(diff.changes.map((change) => change.field)).toEqual([
+      'instructorId',
+      'price',
+    ]);
+    expect(diff.changes[1]).toEqual({
+      field: 'price',
+      published: 10,
+      current: 20,
+    });
+  });
+});
+
+describe('visibility', () => {
+  it('should show admins every course', async () => {
+    expect(await visibleCourseFilter(admin)).toEqual({});
+    expect(await canSeeCourse(admin, newCourse())).toBe(true);
+  });
+
+  it('should show learners live courses only', async () => {
+    const filter = await visibleCourseFilter(learner);
+    expect(filter.$or[0]).toMatchObject({ status: 'published' });
+    expect(filter.$or[1]).toEqual({ _id: { $in: [] } });
+
+    const course = newCourse();
+    expect(await canSeeCourse(learner, course)).toBe(false);
+    changeStatus('courses', course, 'published');
+    expect(await canSeeCourse(learner, course)).toBe(true);
+  });
+
+  it("should let instructors preview their own courses' drafts", async () => {
+    const ownCourseId = new mongoose.Types.ObjectId();
+    jest.spyOn(Course, 'distinct').mockResolvedValue([ownCourseId]);
+    const filter = await visibleCourseFilter(instructor);
+    expect(filter.$or[1]).toEqual({ _id: { $in: [ownCourseId] } });
+    expect(Course.distinct).toHaveBeenCalledWith('_id', {
+      instructorId: instructor._id,
+    });
+  });
+
+  it('should only list live lessons of the courses learners are enrolled in', async () => {
+    const enrolled = [new mongoose.Types.ObjectId()];
+    const distinct = jest.spyOn(Course, 'distinct').mockResolvedValue(enrolled);
+
+    const filter = await visibleLessonFilter(learner, enrolled);
+    expect(distinct.mock.calls[0][1]).toMatchObject({
+      status: 'published',
+      _id: { $in: enrolled },
+    });
+    expect(filter.$or[0].courseId).toEqual({ $in: enrolled });
+    expect(filter.$or[1]).toEqual({ courseId: { $in: [] } });
+  });
+});
+
+describe('publishedContent', () => {
+  // A published course edited since, as loaded by a route
+  const editedCourse = () => {
+    const course = newCourse();
+    changeStatus('courses', course, 'published');
+    course.title = 'Node.js Basics (draft)';
+    course.price = 99;
+    jest.spyOn(Course, 'find').mockReturnValue({
+      lean: async () => [
+        { _id: course._id, publishedVersion: course.publishedVersion },
+      ],
+    });
+    return course;
+  };
+
+  it('should show learners the version last published', async () => {
+    const shown = await publishedContent(learner, 'courses', editedCourse());
+    expect(shown).toMatchObject({ title: 'Node.js Basics', price: 10 });
+    expect(shown).not.toHaveProperty('publishedVersion');
+  });
+
+  it("should show the course's editors its current version", async () => {
+    const course = editedCourse();
+    course.instructorId = instructor._id;
+    jest.spyOn(Course, 'distinct').mockResolvedValue([course._id]);
+
+    const [shown] = await publishedContent(instructor, 'courses', [course]);
+    expect(shown).toMatchObject({ title: 'Node.js Basics (draft)', price: 99 });
+    expect(await publishedContent(admin, 'courses', course)).toMatchObject({
+      price: 99,
+    });
+  });
+});
+
+describe('publishedListQuery', () => {
+  const filters = { title: 'string', price: 'number', status: 'string' };
+  const query = { title: { contains: 'node' }, status: 'published' };
+
+  it('should match learners against published values only', async () => {
+    const listing = await publishedListQuery(
+      learner,
+      'courses',
+      query,
+      filters
+    );
+    expect(listing.filter).toEqual({
+      $and: [
+        {
+          'publishedVersion.title': { $regex: 'node', $options: 'i' },
+        },
+      ],
+    });
+    expect(listing.filters).toEqual({ status: 'string' });
+    expect(listing.sortPaths).toMatchObject({
+      title: 'publishedVersion.title',
+      price: 'publishedVersion.price',
+    });
+  });
+
+  it("should match the current values of the instructor's own courses", async () => {
+    const ownCourseId = new mongoose.Types.ObjectId();
+    jest.spyOn(Course, 'distinct').mockResolvedValue([ownCourseId]);
+    const listing = await publishedListQuery(instructor, 'lessons', query, {
+      title: 'string',
+      courseId: 'objectId',
+    });
+
+    const title = { $regex: 'node', $options: 'i' };
+    expect(listing.filter.$and[0].$or).toEqual([
+      { courseId: { $in: [ownCourseId] }, title },
+      { courseId: { $nin: [ownCourseId] }, 'publishedVersion.title': title },
+    ]);
+    expect(listing.filters).toEqual({ courseId: 'objectId' });
+  });
+
+  it('should leave lists of admins alone', async () => {
+    expect(await publishedListQuery(admin, 'courses', query, filters)).toEqual({
+      filter: {},
+      filters,
+      sortPaths: {},
+    });
+  });
+});
@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+const Course = require('../models/course');
+const {
+  buildFilter,
+  parseSort,
+  parseFields,
+  encodeCursor,
+  decodeCursor,
+  paginate,
+} = require('../utils/queryHelper');
+
+describe('buildFilter', () => {
+  const filters = { price: 'number', title: 'string', courseId: 'objectId' };
+
+  it('should ignore parameters that are not whitelisted', () => {
+    expect(buildFilter({ secret: 'x', page: '2' }, filters)).toEqual({});
+  });
+
+  it('should cast equality and range filters', () => {
+    const id = new mongoose.Types.ObjectId().toString();
+    const filter = buildFilter(
+      { price: { gte: '10', lte: '50' }, courseId: id },
+      filters
+    );
+    expect(filter.price).toEqual({ $gte: 10, $lte: 50 });
+    expect(String(filter.courseId)).toEqual(id);
+  });
+
+  it('should escape "contains" matches', () => {
+    expect(buildFilter({ title: { contains: 'C++' } }, filters)).toEqual({
+      title: { $regex: 'C\\+\\+', $options: 'i' },
+    });
+  });
+
+  it('should reject unknown operators and bad values', () => {
+    expect(() => buildFilter({ price: { $where: '1' } }, filters)).toThrow(
+      'Unsupported operator'
+    );
+    expect(() => buildFilter({ price: 'cheap' }, filters)).toThrow(
+      'price must be a number'
+    );
+    expect(() => buildFilter({ courseId: 'nope' }, filters)).toThrow(
+      'courseId must be a valid ID'
+    );
+  });
+});
+
+describe('parseSort', () => {
+  it('should default and add an _id tie-breaker', () => {
+    expect(parseSort(undefined, [], '_id')).toEqual([['_id', 1]]);
+    expect(parseSort('-price,title', ['price', 'title'])).toEqual([
+      ['price', -1],
+      ['title', 1],
+      ['_id', 1],
+    ]);
+  });
+
+  it('should only sort on allowed fields', () => {
+    expect(() => parseSort('password', ['title'])).toThrow(
+      'Cannot sort by password'
+    );
+  });
+});
+
+describe('parseFields', () => {
+  it('should fall back to the default projection', () => {
+    expect(parseFields(undefined, ['title'], '-password')).toEqual('-password');
+  });
+
+  it('should only allow selectable fields', () => {
+    expect(parseFields('title,price', ['title', 'price'])).toEqual(
+      'title price'
+    );
+    expect(() => parseFields('password', ['title'])).toThrow('Unknown fields');
+  });
+});
+
+describe('cursors', () => {
+  it('should round-trip', () => {
+    const id = new mongoose.Types.ObjectId();
+    expect(decodeCursor(encodeCursor(42, id))).toEqual({
+      v: 42,
+      id: String(id),
+    });
+  });
+
+  it('should reject garbage', () => {
+    expect(() => decodeCursor('garbage')).toThrow('Invalid cursor');
+  });
+});
+
+describe('paginate', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('should sort on the paths given for fields', async () => {
+    const calls = {};
+    const find = {
+      sort(sort) {
+        calls.sort = sort;
+        return find;
+      },
+      select(select) {
+        calls.select = select;
+        return find;
+      },
+      limit: () => find,
+      then: (resolve) => resolve([]),
+    };
+    jest.spyOn(Course, 'countDocuments').mockResolvedValue(0);
+    jest.spyOn(Course, 'find').mockReturnValue(find);
+
+    await paginate(
+      Course,
+      { query: { sort: '-title', cursor: '' }, originalUrl: '/api/courses' },
+      {
+        sortable: ['title'],
+        sortPaths: { title: 'publishedVersion.title' },
+      }
+    );
+    expect(calls.sort).toEqual([
+      ['publishedVersion.title', -1],
+      ['_id', -1],
+    ]);
+    // The cursor reads the sort value from the hidden published version
+    expect(calls.select).toBe('+publishedVersion');
+  });
+});
@@ -0,0 +1,90 @@
+const { isCorrect, gradeQuiz, toPublicQuiz } = require('../utils/quizGrading');
+
+const single = {
+  _id: 'q1',
+  type: 'single_choice',
+  points: 1,
+  options: ['a', 'b', 'c'],
+  correctOptions: [1],
+};
+const multiple = {
+  _id: 'q2',
+  type: 'multiple_choice',
+  points: 2,
+  options: ['a', 'b', 'c'],
+  correctOptions: [0, 2],
+};
+const trueFalse = { _id: 'q3', type: 'true_false', points: 1, correctAnswer: false };
+const exact = {
+  _id: 'q4',
+  type: 'short_answer',
+  points: 1,
+  acceptedAnswers: ['Paris'],
+  matchMode: 'exact',
+  caseSensitive: false,
+};
+const regex = {
+  _id: 'q5',
+  type: 'short_answer',
+  points: 1,
+  acceptedAnswers: ['colou?r'],
+  matchMode: 'regex',
+  caseSensitive: true,
+};
+
+describe('isCorrect', () => {
+  it('should grade single choice questions', () => {
+    expect(isCorrect(single, 1)).toBe(true);
+    expect(isCorrect(single, '1')).toBe(true);
+    expect(isCorrect(single, 0)).toBe(false);
+  });
+
+  it('should require the exact set for multiple choice questions', () => {
+    expect(isCorrect(multiple, [2, 0])).toBe(true);
+    expect(isCorrect(multiple, [0])).toBe(false);
+    expect(isCorrect(multiple, [0, 1, 2])).toBe(false);
+  });
+
+  it('should grade true/false questions', () => {
+    expect(isCorrect(trueFalse, false)).toBe(true);
+    expect(isCorrect(trueFalse, 'false')).toBe(true);
+    expect(isCorrect(trueFalse, 'no')).toBe(false);
+  });
+
+  it('should match short answers exactly or by pattern', () => {
+    expect(isCorrect(exact, '  paris ')).toBe(true);
+    expect(isCorrect(exact, 'Lyon')).toBe(false);
+    expect(isCorrect(regex, 'color')).toBe(true);
+    expect(isCorrect(regex, 'Colour')).toBe(false);
+    expect(isCorrect(regex, 'colors')).toBe(false);
+  });
+
+  it('should treat a missing answer as wrong', () => {
+    expect(isCorrect(single, undefined)).toBe(false);
+  });
+});
+
+describe('gradeQuiz', () => {
+  const quiz = { passingScore: 60, questions: [single, multiple, trueFalse] };
+
+  it('should score weighted points and decide pass/fail', () => {
+    const result = gradeQuiz(quiz, [
+      { questionId: 'q1', response: 1 },
+      { questionId: 'q2', response: [0, 2] },
+    ]);
+    expect(result.score).toEqual(3);
+    expect(result.maxScore).toEqual(4);
+    expect(result.percentage).toEqual(75);
+    expect(result.passed).toBe(true);
+    expect(result.answers[2]).toMatchObject({ correct: false, pointsAwarded: 0 });
+  });
+});
+
+describe('toPublicQuiz', () => {
+  it('should not leak answer keys', () => {
+    const publicQuiz = toPublicQuiz({ questions: [single, trueFalse, regex] });
+    const serialized = JSON.stringify(publicQuiz);
+    expect(serialized).not.toMatch(/correctOptions|correctAnswer|acceptedAnswers/);
+    expect(publicQuiz.questions[0].options).toEqual(['a', 'b', 'c']);
+  });
+});
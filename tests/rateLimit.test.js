@@ -0,0 +1,192 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const {
+  parseRateLimit,
+  setRateLimitStore,
+  createMemoryStore,
+} = require('../utils/rateLimit');
+const { rateLimit, byEmail } = require('../middleware/rateLimitMiddleware');
+const {
+  LOCKOUT_THRESHOLD,
+  lockoutDuration,
+  isLocked,
+  recordFailedLogin,
+} = require('../utils/lockout');
+
+const MINUTE = 60 * 1000;
+
+const response = () => ({
+  statusCode: 200,
+  headers: {},
+  set(name, value) {
+    if (typeof name === 'object') Object.assign(this.headers, name);
+    else this.headers[name] = value;
+    return this;
+  },
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json: jest.fn(),
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  setRateLimitStore(undefined);
+});
+
+describe('parseRateLimit', () => {
+  it('should read "<max>/<minutes>"', () => {
+    expect(parseRateLimit('3/10', '1/1')).toEqual({
+      max: 3,
+      windowMs: 10 * MINUTE,
+    });
+  });
+
+  it('should fall back on missing or malformed values', () => {
+    expect(parseRateLimit(undefined, '5/60')).toEqual({
+      max: 5,
+      windowMs: 60 * MINUTE,
+    });
+    expect(parseRateLimit('lots', '5/60').max).toBe(5);
+  });
+});
+
+describe('memory store', () => {
+  it('should count hits per key within the window', async () => {
+    const store = createMemoryStore();
+    await store.increment('a', MINUTE);
+    const hits = await store.increment('a', MINUTE);
+    expect(hits.count).toBe(2);
+    expect((await store.increment('b', MINUTE)).count).toBe(1);
+
+    await store.reset('a');
+    expect((await store.increment('a', MINUTE)).count).toBe(1);
+  });
+
+  it('should start a new window once the last one ended', async () => {
+    const store = createMemoryStore();
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+    await store.increment('a', MINUTE);
+    Date.now.mockReturnValue(now + MINUTE);
+
+    const hits = await store.increment('a', MINUTE);
+    expect(hits.count).toBe(1);
+    expect(hits.resetAt.getTime()).toBe(now + 2 * MINUTE);
+  });
+
+  it('should drop ended windows of keys that are not hit again', async () => {
+    jest.useFakeTimers();
+    try {
+      const store = createMemoryStore({ sweepInterval: MINUTE });
+      await store.increment('a', MINUTE);
+      await store.increment('b', 3 * MINUTE);
+      const drop = jest.spyOn(Map.prototype, 'delete');
+
+      jest.advanceTimersByTime(2 * MINUTE);
+      expect(drop.mock.calls).toEqual([['a']]);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
+
+describe('rateLimit middleware', () => {
+  const limiter = rateLimit(
+    'login-account',
+    { max: 2, windowMs: MINUTE },
+    byEmail
+  );
+  const request = (email) => ({ body: { email } });
+
+  it('should answer 429 with Retry-After beyond the limit', async () => {
+    setRateLimitStore(createMemoryStore());
+    const next = jest.fn();
+
+    for (let i = 0; i < 2; i++) {
+      await limiter(request('Ada@Example.com'), response(), next);
+    }
+    expect(next).toHaveBeenCalledTimes(2);
+
+    const res = response();
+    await limiter(request('ada@example.com '), res, next);
+    expect(next).toHaveBeenCalledTimes(2);
+    expect(res.statusCode).toBe(429);
+    expect(res.headers['RateLimit-Remaining']).toBe('0');
+    expect(Number(res.headers['Retry-After'])).toBeGreaterThan(0);
+    expect(res.json).toHaveBeenCalledWith(
+      expect.objectContaining({ retryAfter: expect.any(Number) })
+    );
+  });
+
+  it('should count each account separately', async () => {
+    setRateLimitStore(createMemoryStore());
+    const next = jest.fn();
+    for (let i = 0; i < 3; i++) {
+      await limiter(request('ada@example.com'), response(), next);
+    }
+    await limiter(request('bob@example.com'), response(), next);
+    expect(next).toHaveBeenCalledTimes(3);
+  });
+
+  it('should let requests through when the store fails', async () => {
+    setRateLimitStore({
+      increment: () => Promise.reject(new Error('down')),
+    });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const next = jest.fn();
+
+    await limiter(request('ada@example.com'), response(), next);
+    expect(next).toHaveBeenCalled();
+  });
+});
+
+describe('lockout', () => {
+  it('should double each lockout up to the maximum', () => {
+    expect(lockoutDuration(0)).toBe(15 * MINUTE);
+    expect(lockoutDuration(1)).toBe(30 * MINUTE);
+    expect(lockoutDuration(20)).toBe(24 * 60 * MINUTE);
+  });
+
+  it('should only treat future lockouts as locked', () => {
+    const now = new Date();
+    expect(isLocked({}, now)).toBe(false);
+    expect(isLocked({ lockedUntil: new Date(now - 1) }, now)).toBe(false);
+    expect(isLocked({ lockedUntil: new Date(+now + MINUTE) }, now)).toBe(true);
+  });
+
+  it('should lock the account at the threshold', async () => {
+    const _id = new mongoose.Types.ObjectId();
+    const now = new Date();
+    jest.spyOn(User, 'updateOne').mockResolvedValue({});
+    const findOneAndUpdate = jest
+      .spyOn(User, 'findOneAndUpdate')
+      .mockResolvedValueOnce({
+        _id,
+        failedLoginAttempts: LOCKOUT_THRESHOLD,
+        lockoutCount: 1,
+      })
+      .mockResolvedValueOnce({ _id, lockoutCount: 2 });
+
+    const { locked } = await recordFailedLogin({ _id }, now);
+
+    expect(locked).toBe(true);
+    expect(findOneAndUpdate.mock.calls[1][1].$set.lockedUntil).toEqual(
+      new Date(now.getTime() + 30 * MINUTE)
+    );
+  });
+
+  it('should not lock the account below the threshold', async () => {
+    const _id = new mongoose.Types.ObjectId();
+    jest.spyOn(User, 'updateOne').mockResolvedValue({});
+    const findOneAndUpdate = jest
+      .spyOn(User, 'findOneAndUpdate')
+      .mockResolvedValue({ _id, failedLoginAttempts: 1 });
+
+    const { locked } = await recordFailedLogin({ _id });
+
+    expect(locked).toBe(false);
+    expect(findOneAndUpdate).toHaveBeenCalledTimes(1);
+  });
+});
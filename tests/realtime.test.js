@@ -0,0 +1,293 @@
+const mongoose = require('mongoose');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const Course = require('../models/course');
+const Lesson = require('../models/lesson');
+const Session = require('../models/session');
+const User = require('../models/User');
+const {
+  setEventBus,
+  createMemoryBus,
+  publishEvent,
+} = require('../utils/events');
+const {
+  publishToUser,
+  publishContentChange,
+  subscribeUser,
+} = require('../utils/realtime');
+const realtimeRoutes = require('../routes/realtimeRoutes');
+
+const id = () => new mongoose.Types.ObjectId();
+const hoursAgo = (hours) => new Date(Date.now() - hours * 3600 * 1000);
+const live = { status: 'published', publishedAt: hoursAgo(1) };
+const draft = { status: 'draft' };
+
+// Let queued deliveries run
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+let bus;
+beforeEach(() => {
+  bus = createMemoryBus();
+  setEventBus(bus);
+});
+afterEach(() => jest.restoreAllMocks());
+
+describe('memory bus', () => {
+  it('should deliver events until the listener unsubscribes', async () => {
+    const received = [];
+    const unsubscribe = bus.subscribe((event) => received.push(event));
+    await bus.publish({ topic: 'user:1', type: 'ping', data: {} });
+    unsubscribe();
+    await bus.publish({ topic: 'user:1', type: 'ping', data: {} });
+    expect(received).toHaveLength(1);
+  });
+
+  it('should keep delivering when a listener fails', async () => {
+    const log = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const received = [];
+    bus.subscribe(() => {
+      throw new Error('broken client');
+    });
+    bus.subscribe((event) => received.push(event));
+    await bus.publish({ topic: 'user:1', type: 'ping', data: {} });
+    expect(received).toHaveLength(1);
+    expect(log).toHaveBeenCalled();
+  });
+});
+
+describe('publishEvent', () => {
+  it('should publish plain JSON', async () => {
+    const received = [];
+    bus.subscribe((event) => received.push(event));
+    const courseId = id();
+    await publishEvent('course:1', 'content.changed', { courseId });
+    expect(received[0].data.courseId).toBe(String(courseId));
+  });
+
+  it('should log failures instead of throwing', async () => {
+    setEventBus({
+      publish: async () => {
+        throw new Error('down');
+      },
+    });
+    const log = jest.spyOn(console, 'error').mockImplementation(() => {});
+    await expect(publishToUser(id(), 'ping', {})).resolves.toBeUndefined();
+    expect(log).toHaveBeenCalled();
+  });
+});
+
+describe('publishContentChange', () => {
+  const courseId = id();
+  const lesson = { _id: id(), courseId, ...live };
+
+  const changes = () => {
+    const received = [];
+    bus.subscribe((event) => received.push(event));
+    return received;
+  };
+
+  it('should flag changes learners can see as live', async () => {
+    const received = changes();
+    jest.spyOn(Course, 'exists').mockResolvedValue({ _id: courseId });
+    await publishContentChange({
+      action: 'lesson.update',
+      entity: 'Lesson',
+      entityId: lesson._id,
+      before: lesson,
+      after: { ...lesson, title: 'Streams' },
+    });
+
+    expect(received[0]).toEqual({
+      topic: `course:${courseId}`,
+      type: 'content.changed',
+      data: {
+        action: 'lesson.update',
+        entity: 'Lesson',
+        id: String(lesson._id),
+        courseId: String(courseId),
+        live: true,
+      },
+    });
+  });
+
+  it('should tell learners about content taken down', async () => {
+    const received = changes();
+    jest.spyOn(Course, 'exists').mockResolvedValue({ _id: courseId });
+    await publishContentChange({
+      action: 'content.status',
+      entity: 'Lesson',
+      entityId: lesson._id,
+      before: lesson,
+      after: { ...lesson, ...draft },
+    });
+    expect(received[0].data.live).toBe(true);
+  });
+
+  it('should not flag drafts or content of draft lessons as live', async () => {
+    const received = changes();
+    jest.spyOn(Course, 'exists').mockResolvedValue({ _id: courseId });
+    jest.spyOn(Lesson, 'findById').mockResolvedValue({ ...lesson, ...draft });
+    const topic = { _id: id(), lessonId: lesson._id, ...live };
+    await publishContentChange({
+      action: 'topic.update',
+      entity: 'Topic',
+      entityId: topic._id,
+      before: topic,
+      after: topic,
+    });
+    await publishContentChange({
+      action: 'lesson.create',
+      entity: 'Lesson',
+      entityId: lesson._id,
+      before: null,
+      after: { ...lesson, ...draft },
+    });
+
+    expect(received.map((event) => event.data.live)).toEqual([false, false]);
+    expect(received[0].data.courseId).toBe(String(courseId));
+  });
+
+  it('should ignore changes to anything but course content', async () => {
+    const received = changes();
+    await publishContentChange({
+      action: 'user.update',
+      entity: 'User',
+      entityId: id(),
+      before: {},
+      after: {},
+    });
+    expect(received).toEqual([]);
+  });
+});
+
+describe('subscribeUser', () => {
+  const ownCourse = String(id());
+  const otherCourse = String(id());
+  const contentChanged = (courseId, isLive) => ({
+    topic: `course:${courseId}`,
+    type: 'content.changed',
+    data: { entity: 'Lesson', courseId, live: isLive },
+  });
+
+  // The events `user` receives out of a series published to everyone
+  const receivedBy = async (user) => {
+    const received = [];
+    const unsubscribe = subscribeUser(user, (event) => received.push(event));
+    await bus.publish({
+      topic: `user:${user._id}`,
+      type: 'progress.updated',
+      data: {},
+    });
+    await bus.publish({
+      topic: `user:${id()}`,
+      type: 'progress.updated',
+      data: {},
+    });
+    await bus.publish(contentChanged(otherCourse, true));
+    await bus.publish(contentChanged(ownCourse, false));
+    await bus.publish(contentChanged(otherCourse, false));
+    await flush();
+    unsubscribe();
+    return received;
+  };
+
+  it('should send learners their own events and live content', async () => {
+    const received = await receivedBy({ _id: id(), role: 'user' });
+    expect(received.map((event) => event.topic)).toEqual([
+      expect.stringMatching(/^user:/),
+      `course:${otherCourse}`,
+    ]);
+  });
+
+  it('should send instructors drafts of the courses they teach', async () => {
+    jest.spyOn(Course, 'distinct').mockResolvedValue([ownCourse]);
+    const received = await receivedBy({ _id: id(), role: 'instructor' });
+    expect(received.map((event) => event.data.live)).toEqual([
+      undefined,
+      true,
+      false,
+    ]);
+    expect(received[2].data.courseId).toBe(ownCourse);
+  });
+
+  it('should send admins every content change', async () => {
+    const received = await receivedBy({ _id: id(), role: 'admin' });
+    expect(received).toHaveLength(4);
+  });
+
+  it('should stop sending once closed', async () => {
+    const send = jest.fn();
+    const user = { _id: id(), role: 'user' };
+    subscribeUser(user, send)();
+    await bus.publish({
+      topic: `user:${user._id}`,
+      type: 'progress.updated',
+      data: {},
+    });
+    await flush();
+    expect(send).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /api/events', () => {
+  const app = express();
+  app.use('/api', realtimeRoutes);
+  const secret = process.env.JWT_SECRET;
+  const user = { _id: id(), name: 'Ada', role: 'user' };
+  const session = { _id: id(), userId: user._id };
+  let server;
+  let base;
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = 'test-secret';
+    server = app.listen(0);
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+  afterAll(() => {
+    if (secret === undefined) delete process.env.JWT_SECRET;
+    else process.env.JWT_SECRET = secret;
+    server.closeAllConnections();
+    return new Promise((resolve) => server.close(resolve));
+  });
+  beforeEach(() => {
+    jest.spyOn(Session, 'findById').mockResolvedValue(session);
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+  });
+
+  const token = () =>
+    jwt.sign({ id: user._id, sid: session._id }, process.env.JWT_SECRET, {
+      expiresIn: '15m',
+    });
+
+  // Read the stream until it contains `text`
+  const readUntil = async (reader, text) => {
+    const decoder = new TextDecoder();
+    let body = '';
+    while (!body.includes(text)) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      body += decoder.decode(value, { stream: true });
+    }
+    return body;
+  };
+
+  it('should stream the events of the user authenticated by the query', async () => {
+    const response = await fetch(`${base}/api/events?token=${token()}`);
+    expect(response.status).toBe(200);
+    expect(response.headers.get('content-type')).toMatch(/^text\/event-stream/);
+
+    const reader = response.body.getReader();
+    const opening = await readUntil(reader, 'event: ready');
+    expect(opening).toContain('retry: 3000');
+
+    await publishToUser(user._id, 'notification.read', { all: true });
+    const body = await readUntil(reader, 'notification.read');
+    expect(body).toContain('event: notification.read\ndata: {"all":true}\n\n');
+    await reader.cancel();
+  });
+
+  it('should refuse clients without a token', async () => {
+    const response = await fetch(`${base}/api/events`);
+    expect(response.status).toBe(401);
+  });
+});
@@ -0,0 +1,82 @@
+const {
+  buildInteractions,
+  trainModel,
+  prepareModel,
+  rankForUser,
+  rankSimilar,
+} = require('../utils/recommendations');
+
+describe('buildInteractions', () => {
+  it('should score enrollments and completed progress per user and course', () => {
+    const interactions = buildInteractions(
+      [
+        { userId: 'u1', courseId: 'c1' },
+        { userId: 'u1', courseId: 'c2' },
+      ],
+      [
+        { userId: 'u1', courseId: 'c1', status: 'completed' },
+        { userId: 'u1', courseId: 'c1', status: 'completed' },
+        { userId: 'u1', courseId: 'c2', status: 'started' },
+      ]
+    );
+    expect(interactions).toEqual([
+      { userId: 'u1', courseId: 'c1', score: 0.8 },
+      { userId: 'u1', courseId: 'c2', score: 0.6 },
+    ]);
+  });
+});
+
+describe('trained model', () => {
+  // Two groups of learners: web developers and data scientists
+  const groups = {
+    web: ['html', 'css', 'react'],
+    data: ['python', 'pandas', 'ml'],
+  };
+  const interactions = [];
+  Object.entries(groups).forEach(([group, courses]) => {
+    for (let n = 0; n < 6; n++) {
+      courses.forEach((courseId) => {
+        interactions.push({ userId: `${group}${n}`, courseId, score: 1 });
+      });
+    }
+  });
+  // A web developer who has not taken react yet
+  interactions.push({ userId: 'newWeb', courseId: 'html', score: 1 });
+  interactions.push({ userId: 'newWeb', courseId: 'css', score: 1 });
+
+  let model;
+  beforeAll(async () => {
+    model = prepareModel(
+      await trainModel(interactions, { factors: 4, epochs: 200 })
+    );
+  });
+
+  it('should save an embedding per user and course', () => {
+    expect(model.userFactors).toHaveLength(13);
+    expect(model.courseFactors).toHaveLength(6);
+    expect(model.courseFactors[0]).toHaveLength(4);
+  });
+
+  it('should recommend courses taken by similar learners', () => {
+    const ranked = rankForUser(model, 'newWeb', ['html', 'css']);
+    expect(ranked[0].courseId).toEqual('react');
+    expect(ranked.map(({ courseId }) => courseId)).not.toContain('html');
+  });
+
+  it('should fold in users who joined after training', () => {
+    const ranked = rankForUser(model, 'someoneNew', ['python', 'pandas']);
+    expect(ranked[0].courseId).toEqual('ml');
+    expect(rankForUser(model, 'someoneNew', [])).toBeNull();
+  });
+
+  it('should find similar courses', () => {
+    const similar = rankSimilar(model, 'pandas');
+    expect(
+      similar
+        .slice(0, 2)
+        .map(({ courseId }) => courseId)
+        .sort()
+    ).toEqual(['ml', 'python']);
+    expect(rankSimilar(model, 'unknown')).toBeNull();
+  });
+});
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+const Review = require('../models/review');
+const { ratingSummary } = require('../utils/reviews');
+
+describe('ratingSummary', () => {
+  it('should average the ratings to two decimals', () => {
+    expect(ratingSummary(14, 3)).toEqual({
+      ratingAverage: 4.67,
+      ratingCount: 3,
+    });
+  });
+
+  it('should report 0 for a course without ratings', () => {
+    expect(ratingSummary(0, 0)).toEqual({ ratingAverage: 0, ratingCount: 0 });
+  });
+});
+
+describe('Review model', () => {
+  const review = (rating) =>
+    new Review({
+      courseId: new mongoose.Types.ObjectId(),
+      userId: new mongoose.Types.ObjectId(),
+      rating,
+    });
+
+  it('should accept 1 to 5 whole stars', () => {
+    expect(review(1).validateSync()).toBeUndefined();
+    expect(review(5).validateSync()).toBeUndefined();
+  });
+
+  it('should reject other ratings', () => {
+    expect(review(0).validateSync().errors.rating).toBeDefined();
+    expect(review(6).validateSync().errors.rating).toBeDefined();
+    expect(review(4.5).validateSync().errors.rating.message).toMatch(
+      'whole number'
+    );
+  });
+
+  it('should start visible and unflagged', () => {
+    expect(review(3)).toMatchObject({ hidden: false, flagged: false });
+  });
+});
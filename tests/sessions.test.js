@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const Session = require('../models/session');
+const { hashToken, rotateSession } = require('../utils/sessions');
+
+const req = { ip: '127.0.0.1', headers: { 'user-agent': 'jest' } };
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('rotateSession', () => {
+  const sessionId = new mongoose.Types.ObjectId();
+
+  it('should swap the refresh token in a single update', async () => {
+    const update = jest
+      .spyOn(Session, 'findOneAndUpdate')
+      .mockImplementation(async (filter, { $set }) => ({
+        _id: sessionId,
+        ...$set,
+      }));
+
+    const rotated = await rotateSession(`${sessionId}.secret`, req);
+
+    const [filter, { $set }] = update.mock.calls[0];
+    expect(filter).toMatchObject({
+      _id: String(sessionId),
+      refreshTokenHash: hashToken('secret'),
+      revokedAt: null,
+    });
+    const [id, secret] = rotated.refreshToken.split('.');
+    expect(id).toBe(String(sessionId));
+    expect($set.refreshTokenHash).toBe(hashToken(secret));
+    expect($set.userAgent).toBe('jest');
+  });
+
+  it('should revoke the session when the token was already used', async () => {
+    jest.spyOn(Session, 'findOneAndUpdate').mockResolvedValue(null);
+    const revoke = jest.spyOn(Session, 'updateOne').mockResolvedValue({});
+
+    expect(await rotateSession(`${sessionId}.stale`, req)).toBeNull();
+    expect(revoke).toHaveBeenCalledWith(
+      { _id: String(sessionId), revokedAt: null },
+      { $set: { revokedAt: expect.any(Date) } }
+    );
+  });
+
+  it('should refuse malformed tokens', async () => {
+    const update = jest.spyOn(Session, 'findOneAndUpdate');
+    expect(await rotateSession('not-a-token', req)).toBeNull();
+    expect(await rotateSession('123.secret', req)).toBeNull();
+    expect(update).not.toHaveBeenCalled();
+  });
+});
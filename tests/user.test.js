@@ -1,19 +1,99 @@
+jest.mock('../config/db', () => jest.fn(async () => {}));
+
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
 const request = require('supertest');
-const app = require('../server'); // Update this to match your server entry point
+const User = require('../models/User');
+const Session = require('../models/session');
+const AuthToken = require('../models/authToken');
+const { setTransport } = require('../utils/mailer');
+const app = require('../app');
+
+const id = () => new mongoose.Types.ObjectId();
+
+// A signed-in user with `role`, whose session and account the auth
+// middleware will find
+const signIn = (role) => {
+  const user = new User({
+    name: 'Ada',
+    email: 'ada@example.com',
+    password: 'secret123',
+    role,
+  });
+  const session = { _id: id(), userId: user._id };
+  jest.spyOn(Session, 'findById').mockResolvedValue(session);
+  jest.spyOn(User, 'findById').mockResolvedValue(user);
+  return jwt.sign({ id: user._id, sid: session._id }, process.env.JWT_SECRET);
+};
+
+const secret = process.env.JWT_SECRET;
+beforeAll(() => {
+  process.env.JWT_SECRET = 'test-secret';
+});
+afterAll(() => {
+  if (secret === undefined) delete process.env.JWT_SECRET;
+  else process.env.JWT_SECRET = secret;
+});
+afterEach(() => jest.restoreAllMocks());
 
 describe('GET /api/users', () => {
-  it('should fetch all users', async () => {
+  it('should require a token', async () => {
     const res = await request(app).get('/api/users');
-    expect(res.statusCode).toEqual(200);
-    expect(res.body).toBeInstanceOf(Array);
+    expect(res.statusCode).toEqual(401);
+  });
+
+  it('should refuse users who cannot manage users', async () => {
+    const res = await request(app)
+      .get('/api/users')
+      .set('Authorization', `Bearer ${signIn('user')}`);
+    expect(res.statusCode).toEqual(403);
   });
 });
 
 describe('POST /api/users', () => {
-  it('should create a new user', async () => {
-    const newUser = { name: 'John Doe', email: 'john@example.com' };
-    const res = await request(app).post('/api/users').send(newUser);
+  it('should refuse users who cannot manage users', async () => {
+    const save = jest.spyOn(User.prototype, 'save');
+    const res = await request(app)
+      .post('/api/users')
+      .set('Authorization', `Bearer ${signIn('instructor')}`)
+      .send({ name: 'John Doe', email: 'john@example.com', password: 'x' });
+    expect(res.statusCode).toEqual(403);
+    expect(save).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/signup', () => {
+  it('should always create learners', async () => {
+    setTransport({ send: async () => {} });
+    jest.spyOn(User, 'findOne').mockResolvedValue(null);
+    const save = jest
+      .spyOn(User.prototype, 'save')
+      .mockImplementation(async function () {
+        return this;
+      });
+    jest.spyOn(AuthToken, 'deleteMany').mockResolvedValue({});
+    jest.spyOn(AuthToken, 'create').mockResolvedValue({});
+
+    const res = await request(app).post('/api/signup').send({
+      name: 'Mallory',
+      email: 'mallory@example.com',
+      password: 'secret123',
+      role: 'admin',
+    });
     expect(res.statusCode).toEqual(201);
-    expect(res.body).toHaveProperty('name', 'John Doe');
+    expect(save.mock.contexts[0].role).toBe('user');
+  });
+});
+
+describe('GET /api/profile', () => {
+  it('should not send the password hash or lockout state', async () => {
+    const res = await request(app)
+      .get('/api/profile')
+      .set('Authorization', `Bearer ${signIn('user')}`);
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.email).toBe('ada@example.com');
+    expect(res.body).not.toHaveProperty('password');
+    expect(res.body).not.toHaveProperty('failedLoginAttempts');
+    expect(res.body).not.toHaveProperty('lockedUntil');
   });
 });
@@ -0,0 +1,177 @@
+const { validate } = require('../middleware/validationMiddleware');
+const {
+  string,
+  number,
+  boolean,
+  objectId,
+  object,
+  idParams,
+  listQuery,
+} = require('../utils/schema');
+const { buildApiDocs } = require('../utils/apiDocs');
+
+const run = (middleware, req) => {
+  const res = {
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+  const next = jest.fn();
+  middleware(req, res, next);
+  return { res, next };
+};
+
+describe('validate middleware', () => {
+  const middleware = validate({
+    params: idParams('id'),
+    query: listQuery({ price: 'number' }),
+    body: object(
+      { title: string({ minLength: 1 }), price: number({ minimum: 0 }) },
+      { required: ['title'] }
+    ),
+  });
+  const id = '64b7f1c2a1b2c3d4e5f60718';
+
+  it('should pass valid requests on, coercing and stripping fields', () => {
+    const req = {
+      params: { id },
+      query: { page: '2', price: { gte: '10' } },
+      body: { title: 'Node', price: '19.5', author: 'someone' },
+    };
+    const { next } = run(middleware, req);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.query.page).toBe(2);
+    expect(req.query.price).toEqual({ gte: '10' });
+    expect(req.body).toEqual({ title: 'Node', price: 19.5 });
+  });
+
+  it('should answer 422 listing every invalid field', () => {
+    const { res, next } = run(middleware, {
+      params: { id: 'not-an-id' },
+      query: { limit: '0' },
+      body: { price: -1 },
+    });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(422);
+    expect(res.body.error).toBe('Validation failed');
+    expect(
+      res.body.errors.map(({ in: location, field }) => [location, field])
+    ).toEqual([
+      ['params', 'id'],
+      ['query', 'limit'],
+      ['body', 'title'],
+      ['body', 'price'],
+    ]);
+  });
+
+  it('should treat a missing body as empty', () => {
+    const req = { params: {}, query: {} };
+    const { next } = run(validate({ body: object({ note: string() }) }), req);
+    expect(next).toHaveBeenCalled();
+    expect(req.body).toEqual({});
+  });
+});
+
+describe('buildApiDocs', () => {
+  const routerWith = (path, method, handlers) => ({
+    stack: [
+      {
+        route: {
+          path,
+          methods: { [method]: true },
+          stack: handlers.map((handle) => ({ handle })),
+        },
+      },
+    ],
+  });
+
+  it('should document parameters and bodies from the validators', () => {
+    const spec = { paths: { '/api/items/{id}': { put: { responses: {} } } } };
+    const router = routerWith('/items/:id', 'put', [
+      validate({
+        params: idParams('id'),
+        query: object({ expand: string() }),
+        body: object({ owner: objectId() }, { required: ['owner'] }),
+      }),
+      () => {},
+    ]);
+
+    expect(buildApiDocs(spec, '/api', [router])).toEqual([]);
+    const operation = spec.paths['/api/items/{id}'].put;
+    expect(
+      operation.parameters.map(({ in: location, name, required }) => [
+        location,
+        name,
+        required,
+      ])
+    ).toEqual([
+      ['path', 'id', true],
+      ['query', 'expand', false],
+    ]);
+    expect(operation.requestBody.required).toBe(true);
+    expect(
+      operation.requestBody.content['application/json'].schema.properties.owner
+    ).toEqual(objectId());
+    expect(operation.responses[422]).toBeDefined();
+  });
+
+  it('should document upload fields as multipart bodies', () => {
+    const upload = () => {};
+    upload.uploadField = 'image';
+    const spec = { paths: { '/api/items': { post: { responses: {} } } } };
+    buildApiDocs(spec, '/api', [
+      routerWith('/items', 'post', [
+        upload,
+        validate({ body: object({ title: string() }) }),
+      ]),
+    ]);
+
+    const { schema } =
+      spec.paths['/api/items'].post.requestBody.content['multipart/form-data'];
+    expect(schema.properties.image.format).toBe('binary');
+  });
+
+  it('should document uploads that are the whole body', () => {
+    const upload = () => {};
+    upload.uploadField = 'archive';
+    upload.uploadDescription = 'ZIP archive';
+    const spec = { paths: { '/api/items': { post: { responses: {} } } } };
+    buildApiDocs(spec, '/api', [
+      routerWith('/items', 'post', [
+        upload,
+        validate({ query: object({ dryRun: boolean() }) }),
+      ]),
+    ]);
+
+    const { schema } =
+      spec.paths['/api/items'].post.requestBody.content['multipart/form-data'];
+    expect(schema.properties).toEqual({
+      archive: { type: 'string', format: 'binary', description: 'ZIP archive' },
+    });
+  });
+
+  it('should report routes without an @openapi comment', () => {
+    const spec = { paths: {} };
+    const router = routerWith('/items', 'get', [() => {}]);
+    expect(buildApiDocs(spec, '/api', [router])).toEqual(['GET /api/items']);
+  });
+
+  it('should leave no route of the app undocumented', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const app = require('../app');
+    expect(console.warn).not.toHaveBeenCalled();
+    console.warn.mockRestore();
+
+    const signup = app.locals.apiDocs.paths['/api/signup'].post;
+    expect(
+      signup.requestBody.content['application/json'].schema.required
+    ).toEqual(['name', 'email', 'password']);
+  });
+});
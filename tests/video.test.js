@@ -0,0 +1,189 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { setStorage, createLocalDriver } = require('../utils/storage');
+const {
+  saveVideo,
+  saveCaptions,
+  signMediaUrl,
+  verifyMediaUrl,
+} = require('../utils/video');
+const videoRoutes = require('../routes/videoRoutes');
+
+describe('videos', () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'video-test-'));
+  const uploads = fs.mkdtempSync(path.join(os.tmpdir(), 'video-uploads-'));
+  const storage = createLocalDriver({ root, baseUrl: 'http://cdn.test' });
+  const secret = process.env.MEDIA_URL_SECRET;
+
+  beforeAll(() => {
+    process.env.MEDIA_URL_SECRET = 'test-secret';
+    setStorage(storage);
+  });
+  afterAll(() => {
+    if (secret === undefined) delete process.env.MEDIA_URL_SECRET;
+    else process.env.MEDIA_URL_SECRET = secret;
+    fs.rmSync(root, { recursive: true, force: true });
+    fs.rmSync(uploads, { recursive: true, force: true });
+  });
+
+  // An upload as multer's disk storage hands it over
+  const upload = (bytes) => {
+    const file = path.join(uploads, `upload-${Math.random()}`);
+    fs.writeFileSync(file, bytes);
+    return { path: file, size: bytes.length };
+  };
+  const mp4 = Buffer.concat([
+    Buffer.from([0, 0, 0, 0x18]),
+    Buffer.from('ftypisom'),
+    Buffer.alloc(100, 7),
+  ]);
+
+  describe('uploads', () => {
+    it('should store videos privately, recognising them by content', async () => {
+      const video = await saveVideo(upload(mp4));
+      expect(video.key).toMatch(/^private\/videos\/.+\.mp4$/);
+      expect(video.contentType).toBe('video/mp4');
+      expect(video.size).toBe(mp4.length);
+      expect(await storage.get(video.key)).toEqual(mp4);
+
+      const webm = await saveVideo(
+        upload(Buffer.from([0x1a, 0x45, 0xdf, 0xa3, 1, 2, 3, 4, 5, 6, 7, 8]))
+      );
+      expect(webm.contentType).toBe('video/webm');
+    });
+
+    it('should refuse files that are not videos', async () => {
+      await expect(
+        saveVideo(upload(Buffer.from('definitely not a video')))
+      ).rejects.toMatchObject({ status: 400 });
+    });
+
+    it('should only accept WebVTT captions', async () => {
+      const key = await saveCaptions({
+        buffer: Buffer.from('\uFEFFWEBVTT\n\n00:00.000 --> 00:01.000\nHi\n'),
+      });
+      expect(key).toMatch(/^private\/captions\/.+\.vtt$/);
+
+      await expect(
+        saveCaptions({
+          buffer: Buffer.from('1\n00:00:00,000 --> 00:00:01,000'),
+        })
+      ).rejects.toThrow('WebVTT');
+      await expect(
+        saveCaptions({ buffer: Buffer.from('WEBVTTX\n') })
+      ).rejects.toThrow('WebVTT');
+    });
+  });
+
+  describe('signed URLs', () => {
+    const queryOf = (url) => Object.fromEntries(new URL(url).searchParams);
+
+    it('should accept URLs it signed until they expire', () => {
+      const { url, expiresAt } = signMediaUrl('private/videos/a.mp4');
+      expect(url).toMatch(
+        /\/api\/media\/stream\?key=private%2Fvideos%2Fa\.mp4/
+      );
+      expect(expiresAt.getTime()).toBeGreaterThan(Date.now());
+      expect(verifyMediaUrl(queryOf(url))).toBe(true);
+
+      const old = signMediaUrl('private/videos/a.mp4', Date.now() - 3 * 3600e3);
+      expect(verifyMediaUrl(queryOf(old.url))).toBe(false);
+    });
+
+    it('should refuse tampered URLs', () => {
+      const query = queryOf(signMediaUrl('private/videos/a.mp4').url);
+      expect(verifyMediaUrl({ ...query, key: 'private/videos/b.mp4' })).toBe(
+        false
+      );
+      expect(
+        verifyMediaUrl({ ...query, expires: String(Number(query.expires) + 1) })
+      ).toBe(false);
+      expect(verifyMediaUrl({ ...query, signature: 'abc' })).toBe(false);
+    });
+
+    it('should not sign with the JWT secret', () => {
+      const jwtSecret = process.env.JWT_SECRET;
+      delete process.env.MEDIA_URL_SECRET;
+      process.env.JWT_SECRET = 'jwt-secret';
+      try {
+        expect(() => signMediaUrl('private/videos/a.mp4')).toThrow(
+          'MEDIA_URL_SECRET must be set'
+        );
+      } finally {
+        process.env.MEDIA_URL_SECRET = 'test-secret';
+        if (jwtSecret === undefined) delete process.env.JWT_SECRET;
+        else process.env.JWT_SECRET = jwtSecret;
+      }
+    });
+  });
+
+  describe('streaming', () => {
+    const app = express();
+    app.use('/api', videoRoutes);
+    let server;
+    let base;
+    let key;
+
+    beforeAll(async () => {
+      ({ key } = await saveVideo(upload(mp4)));
+      server = app.listen(0);
+      base = `http://127.0.0.1:${server.address().port}`;
+    });
+    afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+    const stream = (headers = {}, url = signMediaUrl(key).url) => {
+      const { pathname, search } = new URL(url);
+      return fetch(`${base}${pathname}${search}`, { headers });
+    };
+
+    it('should stream the whole file', async () => {
+      const response = await stream();
+      expect(response.status).toBe(200);
+      expect(response.headers.get('accept-ranges')).toBe('bytes');
+      expect(response.headers.get('content-type')).toBe('video/mp4');
+      expect(Buffer.from(await response.arrayBuffer())).toEqual(mp4);
+    });
+
+    it('should serve the requested range', async () => {
+      const response = await stream({ Range: 'bytes=4-11' });
+      expect(response.status).toBe(206);
+      expect(response.headers.get('content-range')).toBe(
+        `bytes 4-11/${mp4.length}`
+      );
+      expect(response.headers.get('content-length')).toBe('8');
+      expect(Buffer.from(await response.arrayBuffer()).toString()).toBe(
+        'ftypisom'
+      );
+
+      const tail = await stream({ Range: 'bytes=-4' });
+      expect(tail.status).toBe(206);
+      expect(Buffer.from(await tail.arrayBuffer())).toEqual(mp4.subarray(-4));
+    });
+
+    it('should answer 416 to ranges outside the file', async () => {
+      const response = await stream({ Range: `bytes=${mp4.length + 10}-` });
+      expect(response.status).toBe(416);
+      expect(response.headers.get('content-range')).toBe(
+        `bytes */${mp4.length}`
+      );
+    });
+
+    it('should refuse unsigned or expired links', async () => {
+      const forged = new URL(signMediaUrl(key).url);
+      forged.searchParams.set('signature', '0'.repeat(64));
+      expect((await stream({}, forged.toString())).status).toBe(403);
+
+      const expired = signMediaUrl(key, Date.now() - 3 * 3600e3).url;
+      expect((await stream({}, expired)).status).toBe(403);
+    });
+
+    it('should answer 404 once the file is gone', async () => {
+      const { key: removed } = await saveVideo(upload(mp4));
+      const url = signMediaUrl(removed).url;
+      await storage.delete(removed);
+      expect((await stream({}, url)).status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,130 @@
+// Completes the OpenAPI spec written in the routes' @openapi comments with
+// what the routes actually accept. Summaries, tags and responses come from
+// the comments; path and query parameters and request bodies come from the
+// schemas given to validate() (middleware/validationMiddleware.js), so the
+// docs cannot drift from the validation.
+
+const VALIDATION_ERROR = {
+  type: "object",
+  properties: {
+    error: { type: "string", example: "Validation failed" },
+    errors: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          in: { type: "string", enum: ["params", "query", "body"] },
+          field: { type: "string", example: "price" },
+          message: { type: "string", example: "must be number" },
+        },
+      },
+    },
+  },
+};
+
+// "/courses/:id" -> "/courses/{id}"
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, "{$1}");
+
+const toParameters = (location, schema) =>
+  Object.entries(schema.properties || {}).map(([name, property]) => {
+    const { description, ...propertySchema } = property;
+    const isObject =
+      property.type === "object" ||
+      (property.anyOf || []).some((option) => option.type === "object");
+    return {
+      in: location,
+      name,
+      required: location === "path" || (schema.required || []).includes(name),
+      schema: propertySchema,
+      ...(description ? { description } : {}),
+      // Filters such as price[gte]=10
+      ...(isObject ? { style: "deepObject", explode: true } : {}),
+    };
+  });
+
+const toRequestBody = (schema, upload) => {
+  if (!upload) {
+    return {
+      required: !!(schema.required && schema.required.length),
+      content: { "application/json": { schema } },
+    };
+  }
+  return {
+    required: !!(schema.required && schema.required.length),
+    content: {
+      "multipart/form-data": {
+        schema: {
+          ...schema,
+          properties: {
+            ...schema.properties,
+            [upload.uploadField]: {
+              type: "string",
+              format: "binary",
+              description: upload.uploadDescription,
+            },
+          },
+        },
+      },
+    },
+  };
+};
+
+// Add the generated parts to `spec` for every route of `routers` mounted
+// under `prefix`. Returns the list of routes missing an @openapi comment.
+const buildApiDocs = (spec, prefix, routers) => {
+  spec.paths = spec.paths || {};
+  spec.components = spec.components || {};
+  spec.components.schemas = {
+    ...spec.components.schemas,
+    ValidationError: VALIDATION_ERROR,
+  };
+  const undocumented = [];
+
+  routers.forEach((router) => {
+    router.stack
+      .filter((layer) => layer.route)
+      .forEach(({ route }) => {
+        const path = prefix + toOpenApiPath(route.path);
+        const handlers = route.stack.map((layer) => layer.handle);
+        const validator = handlers.find((handler) => handler.schemas);
+        const upload = handlers.find((handler) => handler.uploadField);
+
+        Object.keys(route.methods).forEach((method) => {
+          const operation = spec.paths[path] && spec.paths[path][method];
+          if (!operation) {
+            undocumented.push(`${method.toUpperCase()} ${path}`);
+            return;
+          }
+          if (!validator) return;
+
+          const { params, query, body } = validator.schemas;
+          operation.parameters = [
+            ...(params ? toParameters("path", params) : []),
+            ...(query ? toParameters("query", query) : []),
+          ];
+          // An upload may be the whole body
+          if (body || upload) {
+            operation.requestBody = toRequestBody(
+              body || { type: "object", properties: {} },
+              upload
+            );
+          }
+          operation.responses = {
+            ...operation.responses,
+            422: {
+              description: "Invalid request",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/ValidationError" },
+                },
+              },
+            },
+          };
+        });
+      });
+  });
+
+  return undocumented;
+};
+
+module.exports = { buildApiDocs };
@@ -0,0 +1,62 @@
+const AuditEvent = require("../models/auditEvent");
+
+// Fields never copied into audit events, at any depth: passwords, and the
+// tokens (or their hashes) that sign users in, reset or verify accounts
+const REDACTED_FIELDS = [
+  "password",
+  "token",
+  "tokenHash",
+  "refreshToken",
+  "refreshTokenHash",
+  "resetToken",
+  "verificationToken",
+  "secret",
+];
+
+const redact = (value) => {
+  if (Array.isArray(value)) return value.map(redact);
+  if (!value || typeof value !== "object") return value;
+  return Object.fromEntries(
+    Object.entries(value)
+      .filter(([field]) => !REDACTED_FIELDS.includes(field))
+      .map(([field, nested]) => [field, redact(nested)])
+  );
+};
+
+// A plain copy of a document or request body for an audit event, without
+// secrets. null when there is nothing to record.
+const snapshot = (value) => {
+  if (value === null || value === undefined) return null;
+  return redact(JSON.parse(JSON.stringify(value)));
+};
+
+// Write an audit event for a change made by the user of `req`. Failures are
+// logged rather than thrown: by now the change itself has been made.
+const recordAuditEvent = async (
+  req,
+  { action, entity, entityId, before, after }
+) => {
+  try {
+    await AuditEvent.create({
+      actorId: req.user._id,
+      actorName: req.user.name,
+      actorRole: req.user.role,
+      action,
+      entity,
+      entityId,
+      before: snapshot(before),
+      after: snapshot(after),
+      request: {
+        method: req.method,
+        path: req.originalUrl,
+        body: snapshot(req.body),
+      },
+      ip: req.ip,
+      userAgent: req.headers["user-agent"],
+    });
+  } catch (err) {
+    console.error(`Failed to record audit event ${action}:`, err);
+  }
+};
+
+module.exports = { REDACTED_FIELDS, snapshot, recordAuditEvent };
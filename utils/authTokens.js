@@ -0,0 +1,50 @@
+const crypto = require("crypto");
+const AuthToken = require("../models/authToken");
+const { hashToken } = require("./sessions");
+
+const TOKEN_TTL_MINUTES = {
+  email_verification:
+    Number(process.env.EMAIL_VERIFICATION_TTL_MINUTES) || 24 * 60,
+  password_reset: Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 60,
+};
+
+// Issue a new token, invalidating any earlier unused token of the same type
+const createAuthToken = async (userId, type) => {
+  await AuthToken.deleteMany({ userId, type, usedAt: { $exists: false } });
+
+  const token = crypto.randomBytes(32).toString("hex");
+  await AuthToken.create({
+    userId,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + TOKEN_TTL_MINUTES[type] * 60 * 1000),
+  });
+  return token;
+};
+
+// Mark a token as used and return it, or null if it is unknown, expired or
+// already used. The update is atomic so a token can only be used once.
+const consumeAuthToken = (token, type) =>
+  AuthToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(String(token)),
+      type,
+      usedAt: { $exists: false },
+      expiresAt: { $gt: new Date() },
+    },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+
+// Build the link sent by email for a token
+const buildLink = (pathname, token) => {
+  const base = process.env.APP_URL || "http://localhost:3000";
+  return `${base}${pathname}?token=${encodeURIComponent(token)}`;
+};
+
+module.exports = {
+  TOKEN_TTL_MINUTES,
+  createAuthToken,
+  consumeAuthToken,
+  buildLink,
+};
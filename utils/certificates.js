@@ -0,0 +1,171 @@
+const crypto = require("crypto");
+const PDFDocument = require("pdfkit");
+const Certificate = require("../models/certificate");
+const Course = require("../models/course");
+const Enrollment = require("../models/enrollment");
+const { getCourseProgress } = require("./progress");
+const { publishedContent } = require("./publishing");
+const { getStorage } = require("./storage");
+
+// Digits and upper case letters, without the ones easily mistaken for
+// each other (0/O, 1/I) so codes can be typed from a printout
+const CODE_ALPHABET = "23456789ABCDEFGHJKLMNPQRSTUVWXYZ";
+const CODE_GROUPS = 4;
+const CODE_GROUP_LENGTH = 4;
+
+// A random code such as 7KQ4-M2XD-9PWA-HC3T
+const generateCode = () => {
+  const length = CODE_GROUPS * CODE_GROUP_LENGTH;
+  const chars = [...crypto.randomBytes(length)].map(
+    (byte) => CODE_ALPHABET[byte % CODE_ALPHABET.length]
+  );
+  const groups = [];
+  for (let i = 0; i < length; i += CODE_GROUP_LENGTH) {
+    groups.push(chars.slice(i, i + CODE_GROUP_LENGTH).join(""));
+  }
+  return groups.join("-");
+};
+
+// Accept codes typed in lower case, with spaces or without the dashes
+const normalizeCode = (code) => {
+  const chars = String(code)
+    .toUpperCase()
+    .replace(/[^0-9A-Z]/g, "");
+  const groups = chars.match(new RegExp(`.{1,${CODE_GROUP_LENGTH}}`, "g"));
+  return groups ? groups.join("-") : "";
+};
+
+const verificationUrl = (code) => {
+  const base = process.env.APP_URL || "http://localhost:3000";
+  return `${base}/api/certificates/verify/${code}`;
+};
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString("en-US", {
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+    timeZone: "UTC",
+  });
+
+// Render a certificate as a one page landscape PDF
+const renderCertificate = ({
+  code,
+  recipientName,
+  courseTitle,
+  instructor,
+  issuedAt,
+}) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: "A4",
+      layout: "landscape",
+      margin: 60,
+      info: { Title: `Certificate of Completion: ${courseTitle}` },
+    });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const { width, height } = doc.page;
+    const centered = { align: "center" };
+    doc
+      .rect(30, 30, width - 60, height - 60)
+      .lineWidth(3)
+      .stroke("#1f3a5f");
+
+    doc.moveDown(2);
+    doc
+      .font("Helvetica-Bold")
+      .fontSize(34)
+      .fillColor("#1f3a5f")
+      .text("Certificate of Completion", centered);
+    doc.moveDown(1.5);
+    doc
+      .font("Helvetica")
+      .fontSize(16)
+      .fillColor("#333333")
+      .text("This certifies that", centered);
+    doc.moveDown(0.5);
+    doc.font("Helvetica-Bold").fontSize(28).text(recipientName, centered);
+    doc.moveDown(0.5);
+    doc
+      .font("Helvetica")
+      .fontSize(16)
+      .text("has successfully completed the course", centered);
+    doc.moveDown(0.5);
+    doc.font("Helvetica-Bold").fontSize(22).text(courseTitle, centered);
+    doc.moveDown(1.5);
+    doc.font("Helvetica").fontSize(14);
+    if (instructor) doc.text(`Instructor: ${instructor}`, centered);
+    doc.text(`Issued on ${formatDate(issuedAt)}`, centered);
+
+    doc
+      .fontSize(10)
+      .fillColor("#666666")
+      .text(
+        `Certificate code ${code}. Verify at ${verificationUrl(code)}`,
+        60,
+        height - 90,
+        { width: width - 120, align: "center" }
+      );
+    doc.end();
+  });
+
+// Issue the user's certificate for a course once they have completed every
+// unit of it, rendering the PDF into the upload storage. Returns the
+// certificate they already have if there is one, and null while the course
+// is not complete. Safe to call on every completed lesson or topic.
+const issueCertificate = async (user, courseId) => {
+  const owner = { userId: user._id, courseId };
+  const existing = await Certificate.findOne(owner);
+  if (existing) return existing;
+
+  const [course, enrolled, progress] = await Promise.all([
+    Course.findById(courseId, "title instructor"),
+    Enrollment.exists(owner),
+    getCourseProgress(user._id, courseId),
+  ]);
+  if (!course || !enrolled) return null;
+  if (!progress.totalUnits || progress.completedUnits < progress.totalUnits) {
+    return null;
+  }
+
+  // As the learner was shown the course, not as it is being edited
+  const shown = await publishedContent(user, "courses", course);
+  const details = {
+    code: generateCode(),
+    recipientName: user.name,
+    courseTitle: shown.title,
+    instructor: shown.instructor,
+    issuedAt: new Date(),
+  };
+  const pdf = await renderCertificate(details);
+  const key = `certificates/${details.code}.pdf`;
+  const storage = getStorage();
+  await storage.put(key, pdf, "application/pdf");
+
+  try {
+    return await Certificate.create({
+      ...owner,
+      ...details,
+      file: { key, contentType: "application/pdf", size: pdf.length },
+    });
+  } catch (err) {
+    await storage.delete(key).catch((cleanupErr) => {
+      console.error(`Failed to remove ${key}:`, cleanupErr);
+    });
+    // Issued by a concurrent request in the meantime
+    if (err.code === 11000) return Certificate.findOne(owner);
+    throw err;
+  }
+};
+
+module.exports = {
+  generateCode,
+  normalizeCode,
+  verificationUrl,
+  renderCertificate,
+  issueCertificate,
+};
@@ -0,0 +1,277 @@
+const MarkdownIt = require("markdown-it");
+const sanitizeHtml = require("sanitize-html");
+const { getStorage } = require("./storage");
+const { string, array, object } = require("./schema");
+
+// Lesson content is a list of typed blocks (models/contentBlock.js). This
+// module holds their request schemas, the checks that need the database or
+// configuration, and the HTML rendering used for ?format=html.
+
+const BLOCK_TYPES = ["markdown", "code", "image", "video", "embed", "callout"];
+const CALLOUT_VARIANTS = ["info", "tip", "warning", "danger"];
+
+// Hosts whose pages may be embedded in a lesson, as a comma-separated
+// EMBED_HOSTS list
+const EMBED_HOSTS = (
+  process.env.EMBED_HOSTS ||
+  "www.youtube.com,www.youtube-nocookie.com,player.vimeo.com,codepen.io,codesandbox.io"
+)
+  .split(",")
+  .map((host) => host.trim().toLowerCase())
+  .filter(Boolean);
+
+class ContentError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "ContentError";
+    this.status = status;
+  }
+}
+
+const httpUrl = (options = {}) =>
+  string({ format: "uri", pattern: "^https?://", ...options });
+
+// The fields of each type of block. `image` is the schema of an image
+// block's image: a reference to an image of the lesson in API requests, a
+// file path in course archives.
+const blockFields = (image) => ({
+  markdown: [{ text: string() }, ["text"]],
+  code: [
+    {
+      code: string(),
+      language: string({
+        pattern: "^[A-Za-z0-9+#._-]{1,30}$",
+        description: "Language of the code, e.g. javascript",
+      }),
+      caption: string(),
+    },
+    ["code"],
+  ],
+  image: [{ image, alt: string(), caption: string() }, ["image"]],
+  video: [{ url: httpUrl(), caption: string() }, ["url"]],
+  embed: [
+    {
+      url: httpUrl({ description: `A page on ${EMBED_HOSTS.join(", ")}` }),
+      title: string(),
+      caption: string(),
+    },
+    ["url"],
+  ],
+  callout: [
+    {
+      variant: string({ enum: CALLOUT_VARIANTS, default: "info" }),
+      title: string(),
+      text: string({ description: "Markdown" }),
+    },
+    ["text"],
+  ],
+});
+
+// Schema of a list of content blocks. Each block is checked against the
+// fields of the type it names only.
+const contentSchema = (
+  image = object(
+    {
+      key: string({
+        description:
+          "Storage key of an image of the lesson, as returned when it was uploaded",
+      }),
+    },
+    { required: ["key"] }
+  ),
+  options = {}
+) =>
+  array(
+    {
+      type: "object",
+      required: ["type"],
+      discriminator: { propertyName: "type" },
+      oneOf: Object.entries(blockFields(image)).map(
+        ([type, [fields, required]]) =>
+          object(
+            { type: string({ enum: [type] }), ...fields },
+            { required: ["type", ...required] }
+          )
+      ),
+    },
+    {
+      description: `Content blocks, in display order. Types: ${BLOCK_TYPES.join(
+        ", "
+      )}`,
+      ...options,
+    }
+  );
+
+const plain = (value) => (value && value.toObject ? value.toObject() : value);
+
+// The stored images used by content blocks
+const contentImages = (blocks = []) =>
+  blocks
+    .filter((block) => block.type === "image" && block.image)
+    .map((block) => plain(block.image));
+
+const isEmbeddable = (url) => {
+  try {
+    return EMBED_HOSTS.includes(new URL(url).hostname.toLowerCase());
+  } catch (err) {
+    return false;
+  }
+};
+
+// The blocks to store for the content of a request, given the lesson's
+// `current` content. Image blocks must name an image the lesson already
+// has; new images are uploaded with POST /api/lessons/{id}/content/images.
+// Returns { content, removed } with the images the new content no longer
+// uses, to remove once it is saved.
+const resolveContent = (blocks, current = []) => {
+  const images = new Map(
+    contentImages(current).map((media) => [media.key, media])
+  );
+  const content = blocks.map((block, i) => {
+    if (block.type === "image") {
+      const media = images.get(block.image.key);
+      if (!media) {
+        throw new ContentError(
+          `content.${i}: unknown image ${block.image.key}; upload images with POST /api/lessons/{id}/content/images`
+        );
+      }
+      return { ...block, image: media };
+    }
+    if (block.type === "embed" && !isEmbeddable(block.url)) {
+      throw new ContentError(
+        `content.${i}: only pages from ${EMBED_HOSTS.join(
+          ", "
+        )} can be embedded`
+      );
+    }
+    return block;
+  });
+
+  const kept = new Set(contentImages(content).map((media) => media.key));
+  const removed = contentImages(current).filter(
+    (media) => !kept.has(media.key)
+  );
+  return { content, removed };
+};
+
+// ---------------------------------------------------------------------------
+// HTML rendering
+
+// Raw HTML in markdown is escaped rather than passed through
+const markdown = new MarkdownIt({ html: false, linkify: true });
+const escape = markdown.utils.escapeHtml;
+
+const withCaption = (html, caption) =>
+  caption
+    ? `<figure>${html}<figcaption>${escape(caption)}</figcaption></figure>`
+    : html;
+
+const renderImage = ({ image, alt, caption }) => {
+  const storage = getStorage();
+  const srcset = (image.thumbnails || [])
+    .filter((thumb) => thumb.width)
+    .map((thumb) => `${storage.url(thumb.key)} ${thumb.width}w`)
+    .join(", ");
+  return withCaption(
+    `<img src="${escape(storage.url(image.key))}" alt="${escape(alt || "")}"` +
+      (srcset ? ` srcset="${escape(srcset)}"` : "") +
+      ` loading="lazy">`,
+    caption
+  );
+};
+
+const renderers = {
+  markdown: ({ text }) => markdown.render(text || ""),
+  code: ({ code, language, caption }) =>
+    withCaption(
+      `<pre><code${
+        language ? ` class="language-${escape(language)}"` : ""
+      }>${escape(code || "")}</code></pre>`,
+      caption
+    ),
+  image: renderImage,
+  video: ({ url, caption }) =>
+    withCaption(
+      `<video src="${escape(url)}" controls preload="metadata"></video>`,
+      caption
+    ),
+  embed: ({ url, title, caption }) =>
+    withCaption(
+      isEmbeddable(url)
+        ? `<iframe src="${escape(url)}" title="${escape(title || "")}"` +
+            ` sandbox="allow-scripts allow-same-origin allow-presentation"` +
+            ` loading="lazy" allowfullscreen></iframe>`
+        : `<a href="${escape(url)}">${escape(title || url)}</a>`,
+      caption
+    ),
+  callout: ({ variant, title, text }) =>
+    `<aside class="callout callout-${escape(variant || "info")}">` +
+    (title ? `<p class="callout-title">${escape(title)}</p>` : "") +
+    markdown.render(text || "") +
+    "</aside>",
+};
+
+// Whatever the renderers produce is sanitized again, so a bug in one of
+// them (or in markdown-it) cannot inject scripts into learners' pages
+const SANITIZE_OPTIONS = {
+  allowedTags: [...sanitizeHtml.defaults.allowedTags, "img", "video", "iframe"],
+  allowedAttributes: {
+    a: ["href", "title"],
+    img: ["src", "alt", "srcset", "loading"],
+    video: ["src", "controls", "preload"],
+    iframe: ["src", "title", "sandbox", "loading", "allowfullscreen"],
+    code: ["class"],
+    aside: ["class"],
+    p: ["class"],
+    th: ["style"],
+    td: ["style"],
+  },
+  allowedClasses: {
+    code: [/^language-[A-Za-z0-9+#._-]+$/],
+    aside: ["callout", /^callout-[a-z]+$/],
+    p: ["callout-title"],
+  },
+  allowedStyles: {
+    th: { "text-align": [/^(left|right|center)$/] },
+    td: { "text-align": [/^(left|right|center)$/] },
+  },
+  allowedSchemes: ["http", "https", "mailto"],
+  allowedIframeHostnames: EMBED_HOSTS,
+};
+
+const renderBlock = (block) =>
+  sanitizeHtml(renderers[block.type](block), SANITIZE_OPTIONS);
+
+// A lesson as JSON with the rendered HTML of each content block in `html`
+const withHtml = (lesson) => {
+  const json = lesson.toJSON ? lesson.toJSON() : { ...lesson };
+  if (Array.isArray(lesson.content)) {
+    json.content = lesson.content.map((block, i) => ({
+      ...json.content[i],
+      html: renderBlock(block),
+    }));
+  }
+  return json;
+};
+
+// Query parameter of the lesson routes asking for rendered content
+const formatQuery = {
+  format: string({
+    enum: ["json", "html"],
+    description: "html adds the rendered, sanitized HTML of each content block",
+  }),
+};
+
+module.exports = {
+  BLOCK_TYPES,
+  CALLOUT_VARIANTS,
+  EMBED_HOSTS,
+  ContentError,
+  contentSchema,
+  contentImages,
+  isEmbeddable,
+  resolveContent,
+  renderBlock,
+  withHtml,
+  formatQuery,
+};
@@ -0,0 +1,568 @@
+const Certificate = require("../models/certificate");
+const Course = require("../models/course");
+const Lesson = require("../models/lesson");
+const Topic = require("../models/topic");
+const Enrollment = require("../models/enrollment");
+const Progress = require("../models/progress");
+const Quiz = require("../models/quiz");
+const QuizAttempt = require("../models/quizAttempt");
+const Review = require("../models/review");
+const Thread = require("../models/thread");
+const User = require("../models/User");
+const { withTransaction } = require("./transaction");
+const { isPermutationOf } = require("./ordering");
+const { getStorage } = require("./storage");
+const { mediaKeys, removeMedia } = require("./media");
+const { deleteThreads } = require("./discussions");
+const { contentImages } = require("./contentBlocks");
+const { versionMedia } = require("./publishing");
+
+class IntegrityError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "IntegrityError";
+    this.status = status;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Parent reference checks
+
+const requireCourse = async (courseId, session = null) => {
+  const course = courseId && (await Course.findById(courseId).session(session));
+  if (!course) throw new IntegrityError("Course not found", 404);
+  return course;
+};
+
+const requireLesson = async (lessonId, session = null) => {
+  const lesson = lessonId && (await Lesson.findById(lessonId).session(session));
+  if (!lesson) throw new IntegrityError("Lesson not found", 404);
+  return lesson;
+};
+
+// Make sure a lesson's topics array names exactly the topics of the lesson
+const requireLessonTopics = async (lessonId, topicIds, session = null) => {
+  const topics = await Topic.find({ lessonId }, "_id").session(session);
+  if (!isPermutationOf(topicIds, topics)) {
+    throw new IntegrityError(
+      "topics must list every topic of the lesson exactly once"
+    );
+  }
+};
+
+// ---------------------------------------------------------------------------
+// Cascading deletes. Each helper deletes the matching documents and
+// everything that hangs off them, returning the images and videos to
+// remove once the transaction has committed (with those only their
+// published versions still showed).
+
+const deleteQuizzes = async (filter, session) => {
+  const quizzes = await Quiz.find(filter, "_id").session(session);
+  const quizIds = quizzes.map((quiz) => quiz._id);
+  if (!quizIds.length) return;
+  await QuizAttempt.deleteMany({ quizId: { $in: quizIds } }, { session });
+  await Quiz.deleteMany({ _id: { $in: quizIds } }, { session });
+};
+
+const deleteTopics = async (filter, session) => {
+  const topics = await Topic.find(
+    filter,
+    "_id image video publishedVersion"
+  ).session(session);
+  const topicIds = topics.map((topic) => topic._id);
+  if (!topicIds.length) return [];
+
+  await deleteQuizzes({ topicId: { $in: topicIds } }, session);
+  await Progress.deleteMany({ topicId: { $in: topicIds } }, { session });
+  // Discussions about a topic stay with its lesson
+  await Thread.updateMany(
+    { topicId: { $in: topicIds } },
+    { $unset: { topicId: 1 } },
+    { session }
+  );
+  await Lesson.updateMany(
+    { topics: { $in: topicIds } },
+    { $pull: { topics: { $in: topicIds } } },
+    { session }
+  );
+  await Topic.deleteMany({ _id: { $in: topicIds } }, { session });
+  return topics.flatMap((topic) => [
+    topic.image,
+    topic.video,
+    ...versionMedia(topic.publishedVersion),
+  ]);
+};
+
+const deleteLessons = async (filter, session) => {
+  const lessons = await Lesson.find(
+    filter,
+    "_id content video publishedVersion"
+  ).session(session);
+  const lessonIds = lessons.map((lesson) => lesson._id);
+  if (!lessonIds.length) return [];
+
+  const files = await deleteTopics({ lessonId: { $in: lessonIds } }, session);
+  await deleteQuizzes({ lessonId: { $in: lessonIds } }, session);
+  await Progress.deleteMany({ lessonId: { $in: lessonIds } }, { session });
+  await deleteThreads({ lessonId: { $in: lessonIds } }, session);
+  await Lesson.deleteMany({ _id: { $in: lessonIds } }, { session });
+  return [
+    ...lessons.flatMap((lesson) => [
+      ...contentImages(lesson.content),
+      lesson.video,
+      ...versionMedia(lesson.publishedVersion),
+    ]),
+    ...files,
+  ];
+};
+
+const deleteCourses = async (filter, session) => {
+  const courses = await Course.find(
+    filter,
+    "_id image publishedVersion"
+  ).session(session);
+  const courseIds = courses.map((course) => course._id);
+  if (!courseIds.length) return [];
+
+  const files = await deleteLessons({ courseId: { $in: courseIds } }, session);
+  await deleteQuizzes({ courseId: { $in: courseIds } }, session);
+  await Progress.deleteMany({ courseId: { $in: courseIds } }, { session });
+  await Enrollment.deleteMany({ courseId: { $in: courseIds } }, { session });
+  await Review.deleteMany({ courseId: { $in: courseIds } }, { session });
+  await User.updateMany(
+    { courses: { $in: courseIds } },
+    { $pull: { courses: { $in: courseIds } } },
+    { session }
+  );
+  await Course.deleteMany({ _id: { $in: courseIds } }, { session });
+  return [
+    ...courses.flatMap((course) => [
+      course.image,
+      ...versionMedia(course.publishedVersion),
+    ]),
+    ...files,
+  ];
+};
+
+// Delete a course with its lessons, topics, quizzes, enrollments, progress,
+// reviews and images. Returns the deleted course, or null if it did not exist.
+const deleteCourseTree = async (courseId) => {
+  const result = await withTransaction(async (session) => {
+    const course = await Course.findById(courseId).session(session);
+    if (!course) return null;
+    return { course, files: await deleteCourses({ _id: course._id }, session) };
+  });
+  if (!result) return null;
+  await removeMedia(result.files);
+  return result.course;
+};
+
+// Delete a lesson with its topics, quizzes, progress, discussions and images
+const deleteLessonTree = async (lessonId) => {
+  const result = await withTransaction(async (session) => {
+    const lesson = await Lesson.findById(lessonId).session(session);
+    if (!lesson) return null;
+    return { lesson, files: await deleteLessons({ _id: lesson._id }, session) };
+  });
+  if (!result) return null;
+  await removeMedia(result.files);
+  return result.lesson;
+};
+
+// Delete a topic with its quizzes, progress and image, and unlink it from
+// its lesson
+const deleteTopicTree = async (topicId) => {
+  const result = await withTransaction(async (session) => {
+    const topic = await Topic.findById(topicId).session(session);
+    if (!topic) return null;
+    return { topic, files: await deleteTopics({ _id: topic._id }, session) };
+  });
+  if (!result) return null;
+  await removeMedia(result.files);
+  return result.topic;
+};
+
+// ---------------------------------------------------------------------------
+// Moving content to another parent
+
+// Move a lesson to the end of another course and point everything
+// denormalized on its children at the new course
+const moveLessonToCourse = async (lesson, courseId, session) => {
+  const last = await Lesson.findOne({ courseId }, "order")
+    .sort({ order: -1 })
+    .session(session);
+  const order = last && last.order !== undefined ? last.order + 1 : 0;
+  await Lesson.updateOne({ _id: lesson._id }, { courseId, order }, { session });
+  await Quiz.updateMany({ lessonId: lesson._id }, { courseId }, { session });
+  await Progress.updateMany(
+    { lessonId: lesson._id },
+    { courseId },
+    { session }
+  );
+  await Thread.updateMany({ lessonId: lesson._id }, { courseId }, { session });
+};
+
+// Move a topic from its lesson's topics array to another lesson's
+const moveTopicToLesson = async (topic, newLesson, session) => {
+  await Lesson.updateOne(
+    { _id: topic.lessonId },
+    { $pull: { topics: topic._id } },
+    { session }
+  );
+  await Lesson.updateOne(
+    { _id: newLesson._id },
+    { $addToSet: { topics: topic._id } },
+    { session }
+  );
+  const parent = { lessonId: newLesson._id, courseId: newLesson.courseId };
+  await Quiz.updateMany({ topicId: topic._id }, parent, { session });
+  await Progress.updateMany({ topicId: topic._id }, parent, { session });
+  await Thread.updateMany({ topicId: topic._id }, parent, { session });
+};
+
+// ---------------------------------------------------------------------------
+// Integrity report
+
+// Stored files only count as unreferenced once they are this old, so the
+// repair leaves alone uploads whose document is still being saved
+const UNREFERENCED_FILE_GRACE_MS =
+  Number(process.env.UNREFERENCED_FILE_GRACE_MS) || 24 * 60 * 60 * 1000;
+
+// The report reads the course tree this many documents at a time, and asks
+// storage about at most STORAGE_CHECKS files at once
+const BATCH_SIZE = 200;
+const STORAGE_CHECKS = Number(process.env.INTEGRITY_STORAGE_CHECKS) || 8;
+
+// Call fn(batch) with the documents of a cursor, `size` at a time
+const inBatches = async (cursor, size, fn) => {
+  let batch = [];
+  for await (const doc of cursor) {
+    batch.push(doc);
+    if (batch.length >= size) {
+      await fn(batch);
+      batch = [];
+    }
+  }
+  if (batch.length) await fn(batch);
+};
+
+// Run fn(item) for every item, `limit` at a time
+const forEachLimit = async (items, limit, fn) => {
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) await fn(items[next++]);
+  };
+  await Promise.all(
+    Array.from({ length: Math.min(limit, items.length) }, worker)
+  );
+};
+
+// Documents of `Model` with a reference to a document that does not exist.
+// `refs` maps each reference field to the model it points at; `optional`
+// fields may also be empty. The references are looked up in the database,
+// as the IDs of whole collections can outgrow a query.
+const findDangling = (Model, refs, { optional = [], projection }) =>
+  Model.aggregate([
+    ...Object.entries(refs).map(([field, Target]) => ({
+      $lookup: {
+        from: Target.collection.name,
+        localField: field,
+        foreignField: "_id",
+        pipeline: [{ $project: { _id: 1 } }],
+        as: `${field}Found`,
+      },
+    })),
+    {
+      $match: {
+        $or: Object.keys(refs).map((field) => ({
+          ...(optional.includes(field) && { [field]: { $ne: null } }),
+          [`${field}Found`]: { $size: 0 },
+        })),
+      },
+    },
+    { $project: projection },
+  ]);
+
+// Lesson.topics entries that point at missing topics or another lesson's
+const findDanglingTopicRefs = () =>
+  Lesson.aggregate([
+    { $project: { topics: 1 } },
+    { $unwind: "$topics" },
+    {
+      $lookup: {
+        from: Topic.collection.name,
+        localField: "topics",
+        foreignField: "_id",
+        pipeline: [{ $project: { lessonId: 1 } }],
+        as: "topic",
+      },
+    },
+    { $match: { $expr: { $ne: [{ $first: "$topic.lessonId" }, "$_id"] } } },
+    { $project: { _id: 0, lessonId: "$_id", topicId: "$topics" } },
+  ]);
+
+// Topics whose lesson exists but does not list them
+const findUnlistedTopics = () =>
+  Topic.aggregate([
+    { $project: { lessonId: 1 } },
+    {
+      $lookup: {
+        from: Lesson.collection.name,
+        localField: "lessonId",
+        foreignField: "_id",
+        pipeline: [{ $project: { topics: 1 } }],
+        as: "lesson",
+      },
+    },
+    { $match: { "lesson.0": { $exists: true } } },
+    {
+      $match: {
+        $expr: {
+          $not: {
+            $in: ["$_id", { $ifNull: [{ $first: "$lesson.topics" }, []] }],
+          },
+        },
+      },
+    },
+    { $project: { _id: 0, lessonId: 1, topicId: "$_id" } },
+  ]);
+
+// The images and videos a document references. `field` says where the
+// reference is kept, for the repair.
+const videoFiles = (model, doc) =>
+  doc.video
+    ? [
+        { model, _id: doc._id, field: "video", media: doc.video },
+        ...(doc.video.captions || []).map((caption) => ({
+          model,
+          _id: doc._id,
+          field: "captions",
+          media: caption,
+        })),
+      ]
+    : [];
+
+const MEDIA_SOURCES = [
+  {
+    Model: Course,
+    fields: "image publishedVersion",
+    files: (course) => [
+      { model: "Course", _id: course._id, field: "image", media: course.image },
+    ],
+  },
+  {
+    Model: Lesson,
+    fields: "content video publishedVersion",
+    files: (lesson) => [
+      ...contentImages(lesson.content).map((media) => ({
+        model: "Lesson",
+        _id: lesson._id,
+        field: "content",
+        media,
+      })),
+      ...videoFiles("Lesson", lesson),
+    ],
+  },
+  {
+    Model: Topic,
+    fields: "image video publishedVersion",
+    files: (topic) => [
+      { model: "Topic", _id: topic._id, field: "image", media: topic.image },
+      ...videoFiles("Topic", topic),
+    ],
+  },
+];
+
+// Images and videos referenced in the database against files in storage
+const findFileIssues = async () => {
+  const storage = getStorage();
+  const missingFiles = [];
+  const referencedKeys = new Set();
+  const reference = (media) =>
+    mediaKeys(media).forEach((key) => referencedKeys.add(key));
+
+  for (const { Model, fields, files } of MEDIA_SOURCES) {
+    const cursor = Model.find({}, fields).lean().cursor();
+    await inBatches(cursor, BATCH_SIZE, async (docs) => {
+      const referenced = docs.flatMap(files).filter(({ media }) => media);
+      referenced.forEach(({ media }) => reference(media));
+      // Published versions keep showing media an edit replaced
+      docs.forEach((doc) =>
+        versionMedia(doc.publishedVersion).forEach(reference)
+      );
+      await forEachLimit(referenced, STORAGE_CHECKS, async (file) => {
+        const { model, _id, field, media } = file;
+        const key = media.key;
+        if (!key || !(await storage.exists(key))) {
+          missingFiles.push({ model, _id, field, key: key || null });
+        }
+      });
+    });
+  }
+  // Certificate PDFs are kept even once their course is deleted
+  for await (const certificate of Certificate.find({}, "file")
+    .lean()
+    .cursor()) {
+    reference(certificate.file);
+  }
+
+  const cutoff = Date.now() - UNREFERENCED_FILE_GRACE_MS;
+  const candidates = (await storage.list()).filter(
+    (key) => !referencedKeys.has(key)
+  );
+  const unreferencedFiles = [];
+  await forEachLimit(candidates, STORAGE_CHECKS, async (key) => {
+    const stat = await storage.stat(key);
+    if (stat && stat.modifiedAt && stat.modifiedAt.getTime() <= cutoff) {
+      unreferencedFiles.push(key);
+    }
+  });
+  return { missingFiles, unreferencedFiles };
+};
+
+// Find orphaned and inconsistent content across the course tree
+const findIntegrityIssues = async () => {
+  const [
+    orphanLessons,
+    orphanTopics,
+    danglingTopicRefs,
+    unlistedTopics,
+    orphanEnrollments,
+    orphanProgress,
+    orphanQuizzes,
+  ] = await Promise.all([
+    findDangling(
+      Lesson,
+      { courseId: Course },
+      { projection: { title: 1, courseId: 1 } }
+    ),
+    findDangling(
+      Topic,
+      { lessonId: Lesson },
+      { projection: { title: 1, lessonId: 1 } }
+    ),
+    findDanglingTopicRefs(),
+    findUnlistedTopics(),
+    findDangling(
+      Enrollment,
+      { courseId: Course, userId: User },
+      { projection: { userId: 1, courseId: 1 } }
+    ),
+    findDangling(
+      Progress,
+      { courseId: Course, lessonId: Lesson, topicId: Topic, userId: User },
+      { optional: ["topicId"], projection: { userId: 1, courseId: 1 } }
+    ),
+    findDangling(
+      Quiz,
+      { courseId: Course, lessonId: Lesson, topicId: Topic },
+      {
+        optional: ["topicId"],
+        projection: { title: 1, courseId: 1, lessonId: 1, topicId: 1 },
+      }
+    ),
+  ]);
+  const { missingFiles, unreferencedFiles } = await findFileIssues();
+
+  const issues = {
+    orphanLessons,
+    orphanTopics,
+    danglingTopicRefs,
+    unlistedTopics,
+    orphanEnrollments,
+    orphanProgress,
+    orphanQuizzes,
+    missingFiles,
+    unreferencedFiles,
+  };
+  const summary = Object.fromEntries(
+    Object.entries(issues).map(([key, list]) => [key, list.length])
+  );
+  return {
+    summary,
+    ok: Object.values(summary).every((count) => count === 0),
+    ...issues,
+  };
+};
+
+// Fix everything findIntegrityIssues reports: orphans are deleted (with
+// their children), topic arrays are rebuilt, references to missing images
+// and videos are cleared and unreferenced files are removed
+const repairIntegrityIssues = async (issues) => {
+  const files = await withTransaction(async (session) => {
+    const removed = [
+      ...(await deleteLessons(
+        { _id: { $in: issues.orphanLessons.map((lesson) => lesson._id) } },
+        session
+      )),
+      ...(await deleteTopics(
+        { _id: { $in: issues.orphanTopics.map((topic) => topic._id) } },
+        session
+      )),
+    ];
+
+    for (const { lessonId, topicId } of issues.danglingTopicRefs) {
+      await Lesson.updateOne(
+        { _id: lessonId },
+        { $pull: { topics: topicId } },
+        { session }
+      );
+    }
+    for (const { lessonId, topicId } of issues.unlistedTopics) {
+      await Lesson.updateOne(
+        { _id: lessonId },
+        { $addToSet: { topics: topicId } },
+        { session }
+      );
+    }
+
+    await Enrollment.deleteMany(
+      { _id: { $in: issues.orphanEnrollments.map((e) => e._id) } },
+      { session }
+    );
+    await Progress.deleteMany(
+      { _id: { $in: issues.orphanProgress.map((p) => p._id) } },
+      { session }
+    );
+    await deleteQuizzes(
+      { _id: { $in: issues.orphanQuizzes.map((quiz) => quiz._id) } },
+      session
+    );
+
+    const models = { Course, Lesson, Topic };
+    const clearReference = {
+      // Drop the image blocks showing the missing image
+      content: (key) => ({
+        $pull: { content: { type: "image", "image.key": key } },
+      }),
+      captions: (key) => ({ $pull: { "video.captions": { key } } }),
+      image: () => ({ $unset: { image: 1 } }),
+      // The video's captions are removed as unreferenced files next time
+      video: () => ({ $unset: { video: 1 } }),
+    };
+    for (const { model, _id, field, key } of issues.missingFiles) {
+      await models[model].updateOne({ _id }, clearReference[field](key), {
+        session,
+      });
+    }
+    return removed;
+  });
+
+  await removeMedia(files);
+  const storage = getStorage();
+  await Promise.all(issues.unreferencedFiles.map((key) => storage.delete(key)));
+};
+
+module.exports = {
+  IntegrityError,
+  requireCourse,
+  requireLesson,
+  requireLessonTopics,
+  deleteCourseTree,
+  deleteLessonTree,
+  deleteTopicTree,
+  moveLessonToCourse,
+  moveTopicToLesson,
+  findIntegrityIssues,
+  repairIntegrityIssues,
+};
@@ -0,0 +1,462 @@
+const path = require("path");
+const mongoose = require("mongoose");
+const AdmZip = require("adm-zip");
+const Course = require("../models/course");
+const Lesson = require("../models/lesson");
+const Topic = require("../models/topic");
+const User = require("../models/User");
+const { getStorage } = require("./storage");
+const {
+  MAX_IMAGE_SIZE,
+  MediaError,
+  readImage,
+  saveImage,
+  removeMedia,
+} = require("./media");
+const { can } = require("./permissions");
+const { withTransaction } = require("./transaction");
+const { validator } = require("../middleware/validationMiddleware");
+const { contentSchema, isEmbeddable } = require("./contentBlocks");
+const { string, number, integer, array, object } = require("./schema");
+
+// A course archive is a ZIP file holding manifest.json, which describes the
+// course, its lessons and their topics in order, and the images the
+// manifest refers to under images/. IDs are not exported: an import always
+// creates new documents. Version 1 archives, from before lesson content
+// was made of blocks, can still be imported.
+const ARCHIVE_FORMAT = "e-learning-course";
+const ARCHIVE_VERSION = 2;
+const MANIFEST = "manifest.json";
+
+const MAX_ARCHIVE_SIZE =
+  Number(process.env.MAX_ARCHIVE_SIZE) || 50 * 1024 * 1024;
+// Refuse archives that unpack to much more than they weigh
+const MAX_UNPACKED_SIZE = 4 * MAX_ARCHIVE_SIZE;
+
+class ArchiveError extends Error {
+  // `details` is sent along with the message, e.g. { errors } or
+  // { conflicts }
+  constructor(message, status = 422, details = {}) {
+    super(message);
+    this.name = "ArchiveError";
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const imagePath = string({ pattern: "^images/[A-Za-z0-9._-]+$" });
+const title = string({ minLength: 1 });
+const description = string({ minLength: 1 });
+
+const manifestSchema = object(
+  {
+    format: string({ enum: [ARCHIVE_FORMAT] }),
+    version: integer({ enum: [1, ARCHIVE_VERSION] }),
+    exportedAt: string(),
+    course: object(
+      {
+        title,
+        description,
+        instructor: string({ minLength: 1 }),
+        instructorEmail: string(),
+        price: number({ minimum: 0 }),
+        image: imagePath,
+      },
+      { required: ["title", "description", "instructor", "price"] }
+    ),
+    lessons: array(
+      object(
+        {
+          title,
+          description,
+          content: contentSchema(imagePath),
+          topics: array(
+            object(
+              { title, description, image: imagePath },
+              { required: ["title", "description"] }
+            )
+          ),
+        },
+        { required: ["title", "description"] }
+      )
+    ),
+  },
+  { required: ["format", "version", "course", "lessons"] }
+);
+const checkManifest = validator(manifestSchema, "manifest");
+
+// "Intro to Node.js!" -> "intro-to-node-js"
+const archiveFileName = (course) =>
+  `${
+    course.title
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-|-$/g, "") || "course"
+  }.zip`;
+
+// Copy a stored image into the archive as images/<name>. Returns its path
+// in the archive, or undefined when there is no image to export.
+const addImage = async (zip, name, media) => {
+  if (!media || !media.key) return undefined;
+  const file = await getStorage().get(media.key);
+  if (!file) {
+    console.warn(`Image ${media.key} is missing from storage, not exported`);
+    return undefined;
+  }
+  const entry = `images/${name}${path.extname(media.key)}`;
+  zip.addFile(entry, file);
+  return entry;
+};
+
+// Pack a course with its lessons, topics and images, whatever their
+// publishing status. Resolves to { fileName, manifest, archive } with the
+// archive as a Buffer.
+const exportCourse = async (courseId) => {
+  const course = await Course.findById(courseId);
+  if (!course) throw new ArchiveError("Course not found", 404);
+  const [lessons, instructor] = await Promise.all([
+    Lesson.find({ courseId }).sort({ order: 1 }),
+    course.instructorId ? User.findById(course.instructorId, "email") : null,
+  ]);
+  const topics = await Topic.find({
+    lessonId: { $in: lessons.map((lesson) => lesson._id) },
+  }).sort({ order: 1 });
+
+  const zip = new AdmZip();
+  const manifest = {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    exportedAt: new Date().toISOString(),
+    course: {
+      title: course.title,
+      description: course.description,
+      instructor: course.instructor,
+      instructorEmail: instructor ? instructor.email : undefined,
+      price: course.price,
+      image: await addImage(zip, "course", course.image),
+    },
+    lessons: [],
+  };
+  for (const [i, lesson] of lessons.entries()) {
+    const lessonTopics = topics.filter(
+      (topic) => String(topic.lessonId) === String(lesson._id)
+    );
+    const entries = [];
+    for (const [j, topic] of lessonTopics.entries()) {
+      entries.push({
+        title: topic.title,
+        description: topic.description,
+        image: await addImage(
+          zip,
+          `lesson-${i + 1}-topic-${j + 1}`,
+          topic.image
+        ),
+      });
+    }
+    const content = [];
+    for (const [k, block] of (lesson.content || []).entries()) {
+      const { image, ...fields } = block.toObject ? block.toObject() : block;
+      if (block.type !== "image") {
+        content.push(fields);
+        continue;
+      }
+      const file = await addImage(zip, `lesson-${i + 1}-block-${k + 1}`, image);
+      if (file) content.push({ ...fields, image: file });
+    }
+    manifest.lessons.push({
+      title: lesson.title,
+      description: lesson.description,
+      content,
+      topics: entries,
+    });
+  }
+  zip.addFile(MANIFEST, Buffer.from(JSON.stringify(manifest, null, 2)));
+
+  return {
+    fileName: archiveFileName(course),
+    manifest,
+    archive: zip.toBuffer(),
+  };
+};
+
+// [field, path] of every image the manifest refers to
+const imageRefs = (manifest) =>
+  [
+    ["course.image", manifest.course.image],
+    ...manifest.lessons.flatMap((lesson, i) => [
+      ...(lesson.content || []).map((block, k) => [
+        `lessons.${i}.content.${k}.image`,
+        block.type === "image" && block.image,
+      ]),
+      ...(lesson.topics || []).map((topic, j) => [
+        `lessons.${i}.topics.${j}.image`,
+        topic.image,
+      ]),
+    ]),
+  ].filter(([, name]) => name);
+
+// Bring a manifest of an older version to the current one: version 1 kept
+// lesson content as a markdown string
+const upgradeManifest = (manifest) => {
+  if (manifest && manifest.version === 1 && Array.isArray(manifest.lessons)) {
+    manifest.lessons.forEach((lesson) => {
+      if (lesson && typeof lesson.content === "string") {
+        lesson.content = lesson.content
+          ? [{ type: "markdown", text: lesson.content }]
+          : [];
+      }
+    });
+  }
+  return manifest;
+};
+
+// Problems with embedded pages, which the manifest schema cannot see
+const embedErrors = (manifest) =>
+  manifest.lessons.flatMap((lesson, i) =>
+    (lesson.content || [])
+      .map((block, k) => [k, block])
+      .filter(([, block]) => block.type === "embed" && !isEmbeddable(block.url))
+      .map(([k, block]) => ({
+        in: "manifest",
+        field: `lessons.${i}.content.${k}.url`,
+        message: `${block.url} cannot be embedded`,
+      }))
+  );
+
+// Open an uploaded archive and check its manifest and images. Resolves to
+// { manifest, images } with the images' content by path. Every problem
+// found is reported at once in the error's details.errors.
+const readArchive = async (buffer) => {
+  let zip;
+  let entries;
+  try {
+    zip = new AdmZip(buffer);
+    entries = zip.getEntries();
+  } catch (err) {
+    throw new ArchiveError("Not a ZIP archive", 400);
+  }
+  const unpacked = entries.reduce((sum, entry) => sum + entry.header.size, 0);
+  if (unpacked > MAX_UNPACKED_SIZE) {
+    throw new ArchiveError(
+      `The archive unpacks to more than ${MAX_UNPACKED_SIZE} bytes`,
+      413
+    );
+  }
+
+  const manifestEntry = zip.getEntry(MANIFEST);
+  if (!manifestEntry) throw new ArchiveError(`The archive has no ${MANIFEST}`);
+  let manifest;
+  try {
+    manifest = upgradeManifest(
+      JSON.parse(manifestEntry.getData().toString("utf8"))
+    );
+  } catch (err) {
+    throw new ArchiveError(`${MANIFEST} is not valid JSON`);
+  }
+  const errors = checkManifest(manifest);
+  if (errors.length) {
+    throw new ArchiveError("Invalid course archive", 422, { errors });
+  }
+  errors.push(...embedErrors(manifest));
+
+  const images = new Map();
+  for (const [field, name] of imageRefs(manifest)) {
+    if (images.has(name)) continue;
+    const entry = zip.getEntry(name);
+    const problem = (message) =>
+      errors.push({ in: "manifest", field, message: `${name} ${message}` });
+    if (!entry || entry.isDirectory) {
+      problem("is missing from the archive");
+      continue;
+    }
+    if (entry.header.size > MAX_IMAGE_SIZE) {
+      problem(`is too large (max ${MAX_IMAGE_SIZE} bytes)`);
+      continue;
+    }
+    const data = entry.getData();
+    try {
+      await readImage(data);
+      images.set(name, data);
+    } catch (err) {
+      if (!(err instanceof MediaError)) throw err;
+      problem(`is not usable: ${err.message}`);
+    }
+  }
+  if (errors.length) {
+    throw new ArchiveError("Invalid course archive", 422, { errors });
+  }
+
+  return { manifest, images };
+};
+
+// Titles that appear more than once, as [index, title] of each repeat
+const repeatedTitles = (items) => {
+  const seen = new Set();
+  return items
+    .map((item, i) => [i, item.title])
+    .filter(([, itemTitle]) => {
+      if (!seen.has(itemTitle)) {
+        seen.add(itemTitle);
+        return false;
+      }
+      return true;
+    });
+};
+
+// Find who will own the imported course and what an admin should look at
+// before importing: content that would be duplicated and an instructor who
+// cannot be linked. Owners follow the course creation route: instructors
+// own what they import, admins get the archive's instructor when there is
+// one with that email.
+const findConflicts = async (manifest, user) => {
+  const conflicts = [];
+  const { course } = manifest;
+
+  if (await Course.exists({ title: course.title })) {
+    conflicts.push({
+      field: "course.title",
+      message: `A course titled "${course.title}" already exists`,
+    });
+  }
+  repeatedTitles(manifest.lessons).forEach(([i, lessonTitle]) =>
+    conflicts.push({
+      field: `lessons.${i}.title`,
+      message: `Lesson "${lessonTitle}" appears more than once`,
+    })
+  );
+  manifest.lessons.forEach((lesson, i) =>
+    repeatedTitles(lesson.topics || []).forEach(([j, topicTitle]) =>
+      conflicts.push({
+        field: `lessons.${i}.topics.${j}.title`,
+        message: `Topic "${topicTitle}" appears more than once in lesson "${lesson.title}"`,
+      })
+    )
+  );
+
+  let owner;
+  if (!can(user, "courses:assign")) {
+    owner = user;
+  } else if (course.instructorEmail) {
+    owner = await User.findOne({
+      email: course.instructorEmail,
+      role: "instructor",
+    });
+    if (!owner) {
+      conflicts.push({
+        field: "course.instructorEmail",
+        message: `No instructor has the email ${course.instructorEmail}; the course will have no instructor`,
+      });
+    }
+  }
+
+  return { owner, conflicts };
+};
+
+// Rebuild the course of an archive for `user`, with new IDs and every
+// course, lesson and topic as a draft. Conflicts stop the import unless
+// `force` is set; with `dryRun` the archive is only checked. Resolves to a
+// summary of what was (or would be) imported, with the created course.
+const importCourse = async (
+  buffer,
+  user,
+  { dryRun = false, force = false } = {}
+) => {
+  const { manifest, images } = await readArchive(buffer);
+  const { owner, conflicts } = await findConflicts(manifest, user);
+  const summary = {
+    title: manifest.course.title,
+    lessons: manifest.lessons.length,
+    topics: manifest.lessons.reduce(
+      (sum, lesson) => sum + (lesson.topics || []).length,
+      0
+    ),
+    images: images.size,
+    conflicts,
+  };
+  if (dryRun) return { dryRun: true, ...summary };
+  if (conflicts.length && !force) {
+    throw new ArchiveError(
+      "The archive conflicts with existing content; import it with force=true to go ahead anyway",
+      409,
+      { conflicts }
+    );
+  }
+
+  const stored = [];
+  const store = async (name, folder) => {
+    if (!name) return undefined;
+    const media = await saveImage({ buffer: images.get(name) }, folder);
+    stored.push(media);
+    return media;
+  };
+
+  try {
+    const courseId = new mongoose.Types.ObjectId();
+    const course = {
+      _id: courseId,
+      title: manifest.course.title,
+      description: manifest.course.description,
+      instructor: manifest.course.instructor,
+      instructorId: owner && owner._id,
+      price: manifest.course.price,
+      image: await store(manifest.course.image, "courses"),
+    };
+    const lessons = [];
+    const topics = [];
+    for (const [i, lesson] of manifest.lessons.entries()) {
+      const lessonId = new mongoose.Types.ObjectId();
+      const topicIds = [];
+      for (const [j, topic] of (lesson.topics || []).entries()) {
+        const topicId = new mongoose.Types.ObjectId();
+        topicIds.push(topicId);
+        topics.push({
+          _id: topicId,
+          lessonId,
+          title: topic.title,
+          description: topic.description,
+          image: await store(topic.image, "topics"),
+          order: j,
+        });
+      }
+      const content = [];
+      for (const block of lesson.content || []) {
+        content.push(
+          block.type === "image"
+            ? { ...block, image: await store(block.image, "lessons") }
+            : block
+        );
+      }
+      lessons.push({
+        _id: lessonId,
+        courseId,
+        title: lesson.title,
+        description: lesson.description,
+        content,
+        topics: topicIds,
+        order: i,
+      });
+    }
+
+    const created = await withTransaction(async (session) => {
+      const [newCourse] = await Course.create([course], { session });
+      await Lesson.create(lessons, { session, ordered: true });
+      await Topic.create(topics, { session, ordered: true });
+      return newCourse;
+    });
+    return { dryRun: false, ...summary, course: created };
+  } catch (err) {
+    // Don't keep the images of a course that was not imported
+    await removeMedia(stored);
+    throw err;
+  }
+};
+
+module.exports = {
+  ARCHIVE_FORMAT,
+  ARCHIVE_VERSION,
+  MAX_ARCHIVE_SIZE,
+  ArchiveError,
+  exportCourse,
+  readArchive,
+  importCourse,
+};
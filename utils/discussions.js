@@ -0,0 +1,102 @@
+const Thread = require("../models/thread");
+const Reply = require("../models/reply");
+const { withTransaction } = require("./transaction");
+const { notifyReply } = require("./notifications");
+
+// Record the current version of a thread or reply in its edit history and
+// apply the changes. Returns false when nothing actually changed.
+const applyEdit = (post, changes, editor) => {
+  const changed = Object.keys(changes).filter(
+    (field) => changes[field] !== undefined && changes[field] !== post[field]
+  );
+  if (!changed.length) return false;
+
+  post.edits.push({ title: post.title, body: post.body, editedBy: editor._id });
+  changed.forEach((field) => post.set(field, changes[field]));
+  return true;
+};
+
+// Add or remove a user's upvote. The filter makes each change apply at most
+// once, so upvoteCount stays in step with the upvotes array under
+// concurrent requests.
+const setUpvote = async (Model, id, userId, upvoted) => {
+  if (upvoted) {
+    await Model.updateOne(
+      { _id: id, upvotes: { $ne: userId } },
+      { $push: { upvotes: userId }, $inc: { upvoteCount: 1 } }
+    );
+  } else {
+    await Model.updateOne(
+      { _id: id, upvotes: userId },
+      { $pull: { upvotes: userId }, $inc: { upvoteCount: -1 } }
+    );
+  }
+  return Model.findById(id, "upvoteCount");
+};
+
+// Report a thread or reply to the moderators, once per user
+const reportPost = (Model, id, userId, reason) =>
+  Model.updateOne(
+    { _id: id, "reports.userId": { $ne: userId } },
+    { $push: { reports: { userId, reason } }, $inc: { reportCount: 1 } }
+  );
+
+// A post as sent to `user`: whether they upvoted it instead of the list of
+// voters, and reports only for moderators
+const toPublicPost = (post, user, canModerate) => {
+  const json = post.toJSON();
+  json.upvoted = (post.upvotes || []).some(
+    (id) => String(id) === String(user._id)
+  );
+  delete json.upvotes;
+  if (!canModerate) delete json.reports;
+  return json;
+};
+
+const addReply = async (thread, user, body) => {
+  const reply = await Reply.create({
+    threadId: thread._id,
+    userId: user._id,
+    body,
+  });
+  await Thread.updateOne(
+    { _id: thread._id },
+    { $inc: { replyCount: 1 }, lastActivityAt: reply.createdAt }
+  );
+  await notifyReply(thread, reply, user);
+  return reply;
+};
+
+const deleteReply = (reply) =>
+  withTransaction(async (session) => {
+    await Reply.deleteOne({ _id: reply._id }, { session });
+    await Thread.updateOne(
+      { _id: reply.threadId },
+      { $inc: { replyCount: -1 } },
+      { session }
+    );
+    await Thread.updateOne(
+      { _id: reply.threadId, acceptedReplyId: reply._id },
+      { $unset: { acceptedReplyId: 1 } },
+      { session }
+    );
+  });
+
+// Delete the threads matching `filter` with their replies
+const deleteThreads = async (filter, session = null) => {
+  const threads = await Thread.find(filter, "_id").session(session);
+  const threadIds = threads.map((thread) => thread._id);
+  if (!threadIds.length) return;
+  await Reply.deleteMany({ threadId: { $in: threadIds } }, { session });
+  await Thread.deleteMany({ _id: { $in: threadIds } }, { session });
+};
+
+module.exports = {
+  applyEdit,
+  setUpvote,
+  reportPost,
+  toPublicPost,
+  addReply,
+  deleteReply,
+  deleteThreads,
+};
@@ -0,0 +1,53 @@
+const createMemoryBus = require("./memoryBus");
+const createMongoBus = require("./mongoBus");
+
+const buses = {
+  memory: createMemoryBus,
+  mongo: createMongoBus,
+};
+
+let bus;
+
+// The bus is picked with EVENT_BUS (memory or mongo) on first use. Every bus
+// offers publish(event), resolving once the event is sent, and
+// subscribe(listener), calling listener(event) for every event published
+// from then on (by any instance sharing the bus) and returning a function
+// that unsubscribes. Events are { topic, type, data }, with JSON data.
+const getEventBus = () => {
+  if (!bus) {
+    const name = process.env.EVENT_BUS || "memory";
+    const factory = buses[name];
+    if (!factory) throw new Error(`Unknown event bus: ${name}`);
+    bus = factory();
+  }
+  return bus;
+};
+
+// Swap the bus, e.g. for Redis pub/sub or in tests
+const setEventBus = (customBus) => {
+  bus = customBus;
+};
+
+// Publish an event. Its data is turned into plain JSON (documents, IDs and
+// dates become what the API sends) so every bus delivers the same thing.
+// Like notifications, events never fail the change they are about: errors
+// are logged.
+const publishEvent = async (topic, type, data = {}) => {
+  try {
+    await getEventBus().publish({
+      topic,
+      type,
+      data: JSON.parse(JSON.stringify(data)),
+    });
+  } catch (err) {
+    console.error(`Failed to publish ${type} to ${topic}:`, err);
+  }
+};
+
+module.exports = {
+  getEventBus,
+  setEventBus,
+  publishEvent,
+  createMemoryBus,
+  createMongoBus,
+};
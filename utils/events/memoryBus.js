@@ -0,0 +1,27 @@
+// Delivers events to the subscribers in this process. Right for a single
+// server; when several instances run, use the mongo bus or a custom one so
+// events published by one reach the clients connected to another.
+const createMemoryBus = () => {
+  const listeners = new Set();
+
+  return {
+    name: "memory",
+
+    async publish(event) {
+      listeners.forEach((listener) => {
+        try {
+          listener(event);
+        } catch (err) {
+          console.error(`Event listener failed on ${event.type}:`, err);
+        }
+      });
+    },
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+};
+
+module.exports = createMemoryBus;
@@ -0,0 +1,102 @@
+const RealtimeEvent = require("../../models/realtimeEvent");
+
+// Passes events through a capped MongoDB collection so every instance of the
+// API shares them: publishing inserts the event and each instance with
+// subscribers tails the collection, delivering what the others (and itself)
+// published. Subscribers only receive events published after they started
+// listening.
+const createMongoBus = ({ retryDelayMs = 1000 } = {}) => {
+  const listeners = new Set();
+  let cursor = null;
+  let lastId = null;
+  let retry = null;
+  let starting = false;
+
+  const deliver = (doc) => {
+    lastId = doc._id;
+    const event = { topic: doc.topic, type: doc.type, data: doc.data };
+    listeners.forEach((listener) => {
+      try {
+        listener(event);
+      } catch (err) {
+        console.error(`Event listener failed on ${event.type}:`, err);
+      }
+    });
+  };
+
+  // Tail the collection while there are subscribers. The cursor ends when
+  // the connection drops (or straight away while the collection is empty),
+  // and is opened again after a delay from the last event delivered.
+  const tail = async () => {
+    retry = null;
+    if (!listeners.size || cursor || starting) return;
+    starting = true;
+    try {
+      if (!lastId) {
+        const newest = await RealtimeEvent.findOne({}, "_id")
+          .sort({ $natural: -1 })
+          .lean();
+        lastId = newest ? newest._id : null;
+      }
+      starting = false;
+      if (!listeners.size) {
+        lastId = null;
+        return;
+      }
+      const current = RealtimeEvent.find(lastId ? { _id: { $gt: lastId } } : {})
+        .tailable(true, { awaitData: true })
+        .lean()
+        .cursor();
+      cursor = current;
+
+      let ended = false;
+      const restart = () => {
+        if (ended) return;
+        ended = true;
+        if (cursor === current) cursor = null;
+        if (listeners.size && !retry) retry = setTimeout(tail, retryDelayMs);
+      };
+      current.on("data", deliver);
+      current.on("error", (err) => {
+        console.error("Event bus cursor failed:", err.message);
+        restart();
+      });
+      current.on("end", restart);
+      current.on("close", restart);
+    } catch (err) {
+      starting = false;
+      console.error("Failed to tail the event bus:", err.message);
+      if (listeners.size && !retry) retry = setTimeout(tail, retryDelayMs);
+    }
+  };
+
+  const stop = () => {
+    clearTimeout(retry);
+    retry = null;
+    lastId = null;
+    if (cursor) {
+      const current = cursor;
+      cursor = null;
+      current.close().catch(() => {});
+    }
+  };
+
+  return {
+    name: "mongo",
+
+    async publish({ topic, type, data }) {
+      await RealtimeEvent.create({ topic, type, data });
+    },
+
+    subscribe(listener) {
+      listeners.add(listener);
+      tail();
+      return () => {
+        listeners.delete(listener);
+        if (!listeners.size) stop();
+      };
+    },
+  };
+};
+
+module.exports = createMongoBus;
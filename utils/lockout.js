@@ -0,0 +1,87 @@
+const User = require("../models/User");
+const { getRateLimitStore, rateLimitKey } = require("./rateLimit");
+
+// Failed logins in a row that lock an account, how long the first lockout
+// lasts and the longest one. Each lockout since the last successful login
+// doubles the duration. Failures older than the base duration are
+// forgotten.
+const LOCKOUT_THRESHOLD = Number(process.env.LOCKOUT_THRESHOLD) || 5;
+const LOCKOUT_MINUTES = Number(process.env.LOCKOUT_MINUTES) || 15;
+const LOCKOUT_MAX_MINUTES = Number(process.env.LOCKOUT_MAX_MINUTES) || 24 * 60;
+
+const MINUTE = 60 * 1000;
+
+// How long the account is locked for its next lockout, given the number of
+// earlier lockouts
+const lockoutDuration = (lockoutCount) =>
+  Math.min(LOCKOUT_MINUTES * 2 ** lockoutCount, LOCKOUT_MAX_MINUTES) * MINUTE;
+
+const isLocked = (user, now = new Date()) =>
+  !!user.lockedUntil && user.lockedUntil > now;
+
+// Count a failed login. Returns the updated user and whether this failure
+// locked the account. The updates are atomic so that concurrent failures
+// lock the account once.
+const recordFailedLogin = async (user, now = new Date()) => {
+  // Start counting again after a quiet period
+  const quietSince = new Date(now.getTime() - LOCKOUT_MINUTES * MINUTE);
+  await User.updateOne(
+    { _id: user._id, lastFailedLoginAt: { $lt: quietSince } },
+    { $set: { failedLoginAttempts: 0 } }
+  );
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id },
+    { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: now } },
+    { new: true }
+  );
+  if (!updated || updated.failedLoginAttempts < LOCKOUT_THRESHOLD) {
+    return { user: updated, locked: false };
+  }
+
+  const locked = await User.findOneAndUpdate(
+    { _id: user._id, failedLoginAttempts: updated.failedLoginAttempts },
+    {
+      $set: {
+        failedLoginAttempts: 0,
+        lockedUntil: new Date(
+          now.getTime() + lockoutDuration(updated.lockoutCount || 0)
+        ),
+      },
+      $inc: { lockoutCount: 1 },
+    },
+    { new: true }
+  );
+  return { user: locked || updated, locked: !!locked };
+};
+
+// Forgets failed logins and lifts any lockout
+const CLEARED = {
+  $set: { failedLoginAttempts: 0, lockoutCount: 0 },
+  $unset: { lockedUntil: 1, lastFailedLoginAt: 1 },
+};
+
+// After a successful login
+const clearFailedLogins = (userId) => User.updateOne({ _id: userId }, CLEARED);
+
+// Lift a lockout for an admin: the failed login counters and the login
+// rate limit of the account are reset too. Returns the user, or null.
+const unlockUser = async (userId) => {
+  const user = await User.findByIdAndUpdate(userId, CLEARED, { new: true });
+  if (user) {
+    await getRateLimitStore().reset(
+      rateLimitKey("login-account", user.email.toLowerCase())
+    );
+  }
+  return user;
+};
+
+module.exports = {
+  LOCKOUT_THRESHOLD,
+  LOCKOUT_MINUTES,
+  LOCKOUT_MAX_MINUTES,
+  lockoutDuration,
+  isLocked,
+  recordFailedLogin,
+  clearFailedLogins,
+  unlockUser,
+};
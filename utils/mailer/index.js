@@ -0,0 +1,56 @@
+const createSmtpTransport = require("./transports/smtpTransport");
+const createFileTransport = require("./transports/fileTransport");
+const createConsoleTransport = require("./transports/consoleTransport");
+const { templates } = require("./templates");
+
+const transportFactories = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport,
+};
+
+let transport;
+
+// Printing mail is only a safe default while developing: elsewhere it
+// would put password reset and verification links in the server logs
+const defaultTransport = () => {
+  if (["development", "test"].includes(process.env.NODE_ENV)) return "console";
+  throw new Error(
+    "MAIL_TRANSPORT must be set unless NODE_ENV is development or test"
+  );
+};
+
+// The transport is picked with MAIL_TRANSPORT (smtp, file or console) the
+// first time mail is sent
+const getTransport = () => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || defaultTransport();
+    const factory = transportFactories[name];
+    if (!factory) throw new Error(`Unknown mail transport: ${name}`);
+    transport = factory();
+  }
+  return transport;
+};
+
+// Swap the transport, e.g. for a custom provider or in tests. Any object
+// with an async send(message) method will do.
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+// Render a template and send it
+const sendMail = async (to, templateName, data) => {
+  const template = templates[templateName];
+  if (!template) throw new Error(`Unknown mail template: ${templateName}`);
+
+  const { subject, text, html } = template(data);
+  return getTransport().send({
+    from: process.env.MAIL_FROM || "no-reply@elearning.local",
+    to,
+    subject,
+    text,
+    html,
+  });
+};
+
+module.exports = { sendMail, getTransport, setTransport };
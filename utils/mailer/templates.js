@@ -0,0 +1,83 @@
+// Email templates. Each template takes its data and returns the subject plus
+// a plain text and an HTML body.
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const layout = (body) =>
+  `<div style="font-family: sans-serif; line-height: 1.5">${body}</div>`;
+
+const templates = {
+  verifyEmail: ({ name, link }) => ({
+    subject: "Verify your email address",
+    text: `Hi ${name},\n\nPlease confirm your email address by opening the link below:\n\n${link}\n\nIf you did not sign up, you can ignore this email.`,
+    html: layout(
+      `<p>Hi ${escapeHtml(name)},</p>
+<p>Please confirm your email address by clicking the link below:</p>
+<p><a href="${escapeHtml(link)}">Verify email</a></p>
+<p>If you did not sign up, you can ignore this email.</p>`
+    ),
+  }),
+
+  passwordReset: ({ name, link, expiresInMinutes }) => ({
+    subject: "Reset your password",
+    text: `Hi ${name},\n\nSomeone asked to reset your password. Open the link below to choose a new one (valid for ${expiresInMinutes} minutes):\n\n${link}\n\nIf this wasn't you, you can ignore this email.`,
+    html: layout(
+      `<p>Hi ${escapeHtml(name)},</p>
+<p>Someone asked to reset your password. Click the link below to choose a new one (valid for ${expiresInMinutes} minutes):</p>
+<p><a href="${escapeHtml(link)}">Reset password</a></p>
+<p>If this wasn't you, you can ignore this email.</p>`
+    ),
+  }),
+
+  passwordChanged: ({ name }) => ({
+    subject: "Your password was changed",
+    text: `Hi ${name},\n\nYour password was just changed and you have been logged out of all devices. If this wasn't you, reset your password immediately.`,
+    html: layout(
+      `<p>Hi ${escapeHtml(name)},</p>
+<p>Your password was just changed and you have been logged out of all devices. If this wasn't you, reset your password immediately.</p>`
+    ),
+  }),
+
+  accountLocked: ({ name, lockedUntil }) => ({
+    subject: "Your account has been locked",
+    text: `Hi ${name},\n\nThere were too many failed attempts to log in to your account, so it is locked until ${lockedUntil}. If this wasn't you, someone may be trying to guess your password: consider resetting it once the lock ends.`,
+    html: layout(
+      `<p>Hi ${escapeHtml(name)},</p>
+<p>There were too many failed attempts to log in to your account, so it is locked until ${lockedUntil}.</p>
+<p>If this wasn't you, someone may be trying to guess your password: consider resetting it once the lock ends.</p>`
+    ),
+  }),
+
+  notificationDigest: ({ name, frequency, notifications, more, link }) => {
+    const items = notifications.map((notification) =>
+      notification.body
+        ? `${notification.title} (${notification.body})`
+        : notification.title
+    );
+    const moreText = more ? `And ${more} more in your inbox.` : "";
+    return {
+      subject: `Your ${frequency} notification digest`,
+      text: `Hi ${name},\n\nHere is what you missed:\n\n${items
+        .map((item) => `- ${item}`)
+        .join("\n")}\n\n${
+        moreText ? `${moreText}\n\n` : ""
+      }See all your notifications: ${link}\n\nYou can change how often you get this email in your notification preferences.`,
+      html: layout(
+        `<p>Hi ${escapeHtml(name)},</p>
+<p>Here is what you missed:</p>
+<ul>${items.map((item) => `<li>${escapeHtml(item)}</li>`).join("")}</ul>
+${moreText ? `<p>${moreText}</p>\n` : ""}<p><a href="${escapeHtml(
+          link
+        )}">See all your notifications</a></p>
+<p>You can change how often you get this email in your notification preferences.</p>`
+      ),
+    };
+  },
+};
+
+module.exports = { templates, escapeHtml };
@@ -0,0 +1,12 @@
+// Prints messages to the console instead of sending them
+const createConsoleTransport = () => ({
+  name: "console",
+  send: async (message) => {
+    console.log(
+      `[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${message.text}`
+    );
+    return {};
+  },
+});
+
+module.exports = createConsoleTransport;
@@ -0,0 +1,23 @@
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+
+// Writes each message as a JSON file instead of sending it. Handy for local
+// development and for tests that need to read the links out of an email.
+const createFileTransport = (
+  dir = process.env.MAIL_FILE_DIR || path.join(os.tmpdir(), "elearning-mail")
+) => ({
+  name: "file",
+  dir,
+  send: async (message) => {
+    await fs.mkdir(dir, { recursive: true });
+    const file = path.join(
+      dir,
+      `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`
+    );
+    await fs.writeFile(file, JSON.stringify(message, null, 2));
+    return { file };
+  },
+});
+
+module.exports = createFileTransport;
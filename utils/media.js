@@ -0,0 +1,137 @@
+const crypto = require("crypto");
+const sharp = require("sharp");
+const { getStorage } = require("./storage");
+
+// Image formats accepted for upload, by sharp format name
+const IMAGE_FORMATS = {
+  jpeg: { contentType: "image/jpeg", extension: "jpg" },
+  png: { contentType: "image/png", extension: "png" },
+  webp: { contentType: "image/webp", extension: "webp" },
+  gif: { contentType: "image/gif", extension: "gif" },
+};
+const IMAGE_CONTENT_TYPES = Object.values(IMAGE_FORMATS).map(
+  (format) => format.contentType
+);
+const MAX_IMAGE_SIZE = Number(process.env.MAX_IMAGE_SIZE) || 5 * 1024 * 1024;
+
+// Thumbnail widths, generated as WebP next to the original
+const THUMBNAIL_SIZES = { small: 150, medium: 400, large: 800 };
+
+class MediaError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "MediaError";
+    this.status = status;
+  }
+}
+
+const newKeyBase = (folder) =>
+  `${folder}/${Date.now()}-${crypto.randomBytes(6).toString("hex")}`;
+
+// The keys of an image's thumbnails. Images kept as JSON (in the published
+// versions of content) only have their thumbnails' URLs, so the keys are
+// worked out from the original's the way saveImage names them.
+const thumbnailKeys = (media) => {
+  const { thumbnails } = media;
+  if (!thumbnails) return [];
+  if (Array.isArray(thumbnails)) return thumbnails.map((thumb) => thumb.key);
+  const base = media.key.replace(/\.[^./]+$/, "");
+  return Object.keys(thumbnails).map((size) => `${base}-${size}.webp`);
+};
+
+// All storage keys belonging to a stored media object (an image with its
+// thumbnails, or a video with its captions)
+const mediaKeys = (media) =>
+  media && media.key
+    ? [
+        media.key,
+        ...thumbnailKeys(media),
+        ...(media.captions || []).map((caption) => caption.key),
+      ]
+    : [];
+
+// Remove stored media (originals and thumbnails). Failures are logged, not
+// thrown, so cleanup never hides the error that caused it.
+const removeMedia = async (mediaList) => {
+  const storage = getStorage();
+  const keys = new Set(mediaList.flatMap(mediaKeys));
+  await Promise.all(
+    [...keys].map((key) =>
+      storage.delete(key).catch((err) => {
+        console.error(`Failed to remove ${key}:`, err);
+      })
+    )
+  );
+};
+
+// Check that a buffer holds an image of an accepted format, judging by its
+// content rather than any name or type the client gave. Resolves to its
+// sharp metadata and format.
+const readImage = async (buffer) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (err) {
+    throw new MediaError("Not an image! Please upload only images.");
+  }
+  const format = IMAGE_FORMATS[metadata.format];
+  if (!format) {
+    throw new MediaError(
+      `Unsupported image type. Allowed: ${IMAGE_CONTENT_TYPES.join(", ")}`
+    );
+  }
+  return { metadata, format };
+};
+
+// Validate an uploaded image, store it with its thumbnails under `folder`
+// and return the media object to save on the document
+const saveImage = async (file, folder) => {
+  const { metadata, format } = await readImage(file.buffer);
+
+  const storage = getStorage();
+  const base = newKeyBase(folder);
+  const media = {
+    key: `${base}.${format.extension}`,
+    contentType: format.contentType,
+    size: file.buffer.length,
+    width: metadata.width,
+    height: metadata.height,
+    thumbnails: [],
+  };
+
+  try {
+    await storage.put(media.key, file.buffer, format.contentType);
+    for (const [size, width] of Object.entries(THUMBNAIL_SIZES)) {
+      const { data, info } = await sharp(file.buffer)
+        .rotate() // Respect EXIF orientation
+        .resize({ width, withoutEnlargement: true })
+        .webp()
+        .toBuffer({ resolveWithObject: true });
+      const key = `${base}-${size}.webp`;
+      await storage.put(key, data, "image/webp");
+      media.thumbnails.push({
+        size,
+        key,
+        width: info.width,
+        height: info.height,
+      });
+    }
+  } catch (err) {
+    await removeMedia([media]); // Don't leave half-stored images behind
+    throw err;
+  }
+
+  return media;
+};
+
+module.exports = {
+  IMAGE_CONTENT_TYPES,
+  MAX_IMAGE_SIZE,
+  THUMBNAIL_SIZES,
+  MediaError,
+  newKeyBase,
+  mediaKeys,
+  removeMedia,
+  readImage,
+  saveImage,
+};
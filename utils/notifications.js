@@ -0,0 +1,286 @@
+const Course = require("../models/course");
+const Lesson = require("../models/lesson");
+const Enrollment = require("../models/enrollment");
+const Notification = require("../models/notification");
+const NotificationPreference = require("../models/notificationPreference");
+const { sendMail } = require("./mailer");
+const { publishToUser } = require("./realtime");
+
+// Notifications are created by the code that makes the change (publishing,
+// orders, discussions), after it has been saved. Creating them never fails
+// the change: errors are logged and the change goes ahead.
+
+const NOTIFICATION_TYPES = Notification.schema.path("type").enumValues;
+const DIGEST_FREQUENCIES =
+  NotificationPreference.schema.path("emailDigest").enumValues;
+
+// Time between two digests
+const DIGEST_INTERVALS = {
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000,
+};
+// Notifications listed in one digest email; the rest are only counted
+const DIGEST_LIMIT = 20;
+
+const unique = (ids) => [...new Set(ids.map(String))];
+
+// Notify each user in `userIds` unless they muted this type. Connected
+// clients are told about notifications due now; scheduled ones show up in
+// the inbox when they are due. Resolves to the notifications created.
+const notifyUsers = async (userIds, notification) => {
+  try {
+    const ids = unique(userIds);
+    if (!ids.length) return [];
+    const muted = new Set(
+      (
+        await NotificationPreference.distinct("userId", {
+          userId: { $in: ids },
+          muted: notification.type,
+        })
+      ).map(String)
+    );
+    const recipients = ids.filter((id) => !muted.has(id));
+    if (!recipients.length) return [];
+    const created = await Notification.insertMany(
+      recipients.map((userId) => ({ ...notification, userId }))
+    );
+    const now = new Date();
+    await Promise.all(
+      created
+        .filter((doc) => !doc.notifyAt || doc.notifyAt <= now)
+        .map((doc) => publishToUser(doc.userId, "notification.created", doc))
+    );
+    return created;
+  } catch (err) {
+    console.error(`Failed to create ${notification.type} notifications:`, err);
+    return [];
+  }
+};
+
+const latest = (...dates) =>
+  new Date(
+    Math.max(...dates.filter(Boolean).map((date) => new Date(date).getTime()))
+  );
+
+// What learners of the course are told when a lesson or topic is first
+// published, or null when they cannot see it yet. Notifications are due
+// when the content and everything above it are live, so scheduled content
+// is announced when it goes live.
+const publishedNotification = async (type, content) => {
+  const lesson =
+    type === "lessons" ? content : await Lesson.findById(content.lessonId);
+  if (!lesson || lesson.status !== "published") return null;
+  const course = await Course.findById(lesson.courseId);
+  if (!course || course.status !== "published") return null;
+
+  const isTopic = type === "topics";
+  return {
+    type: isTopic ? "topic.published" : "lesson.published",
+    title: `New ${isTopic ? "topic" : "lesson"}: ${content.title}`,
+    body: isTopic
+      ? `In "${lesson.title}", ${course.title}`
+      : `In ${course.title}`,
+    courseId: course._id,
+    lessonId: lesson._id,
+    topicId: isTopic ? content._id : undefined,
+    notifyAt: latest(
+      course.publishedAt,
+      lesson.publishedAt,
+      content.publishedAt
+    ),
+  };
+};
+
+// Tell enrolled users about a lesson or topic published for the first time
+// (later publishes are edits and are not announced). When content is taken
+// down before its scheduled publish, the pending announcement is withdrawn.
+const notifyStatusChange = async (type, content, firstPublish) => {
+  if (!["lessons", "topics"].includes(type)) return;
+  try {
+    if (content.status !== "published") {
+      const field = type === "lessons" ? "lessonId" : "topicId";
+      await Notification.deleteMany({
+        [field]: content._id,
+        type: { $in: ["lesson.published", "topic.published"] },
+        notifyAt: { $gt: new Date() },
+      });
+      return;
+    }
+    if (!firstPublish) return;
+
+    const notification = await publishedNotification(type, content);
+    if (!notification) return;
+    const learners = await Enrollment.distinct("userId", {
+      courseId: notification.courseId,
+    });
+    await notifyUsers(learners, notification);
+  } catch (err) {
+    console.error(`Failed to notify about ${type} ${content._id}:`, err);
+  }
+};
+
+// Tell users they were enrolled in, or removed from, a course by someone
+// else (a payment, a refund or an admin)
+const notifyEnrollment = async (userIds, courseId, granted) => {
+  try {
+    const course = await Course.findById(courseId, "title");
+    if (!course) return;
+    await notifyUsers(userIds, {
+      type: granted ? "enrollment.granted" : "enrollment.revoked",
+      title: granted
+        ? `You are enrolled in ${course.title}`
+        : `You are no longer enrolled in ${course.title}`,
+      courseId: course._id,
+    });
+    await Promise.all(
+      unique(userIds).map((userId) =>
+        publishToUser(userId, "enrollment.changed", {
+          courseId: course._id,
+          enrolled: granted,
+        })
+      )
+    );
+  } catch (err) {
+    console.error(`Failed to notify about enrollment in ${courseId}:`, err);
+  }
+};
+
+// Tell the author of a thread that someone else replied to it
+const notifyReply = async (thread, reply, author) => {
+  if (String(thread.userId) === String(author._id)) return;
+  await notifyUsers([thread.userId], {
+    type: "discussion.reply",
+    title: `${author.name} replied to "${thread.title}"`,
+    body: reply.body.length > 200 ? `${reply.body.slice(0, 200)}…` : reply.body,
+    courseId: thread.courseId,
+    lessonId: thread.lessonId,
+    topicId: thread.topicId,
+    threadId: thread._id,
+    replyId: reply._id,
+  });
+};
+
+// ---------------------------------------------------------------------------
+// Inbox
+
+// The notifications a user can see now
+const inboxFilter = (userId, now = new Date()) => ({
+  userId,
+  notifyAt: { $lte: now },
+});
+
+const unreadCount = (userId) =>
+  Notification.countDocuments({ ...inboxFilter(userId), readAt: null });
+
+// A user's preferences as sent by the API: every type with whether it is
+// enabled, and the digest frequency
+const preferencesJson = (preference) => {
+  const muted = new Set(preference ? preference.muted : []);
+  return {
+    types: Object.fromEntries(
+      NOTIFICATION_TYPES.map((type) => [type, !muted.has(type)])
+    ),
+    emailDigest: preference ? preference.emailDigest : "off",
+    lastDigestAt: preference ? preference.lastDigestAt : null,
+  };
+};
+
+const getPreferences = async (userId) =>
+  preferencesJson(await NotificationPreference.findOne({ userId }));
+
+// Update the types a user wants (types missing from `types` keep their
+// setting) and their digest frequency
+const updatePreferences = async (userId, { types = {}, emailDigest }) => {
+  const current = await NotificationPreference.findOne({ userId });
+  const muted = new Set(current ? current.muted : []);
+  Object.entries(types).forEach(([type, enabled]) =>
+    enabled ? muted.delete(type) : muted.add(type)
+  );
+  const preference = await NotificationPreference.findOneAndUpdate(
+    { userId },
+    {
+      $set: {
+        muted: [...muted],
+        ...(emailDigest ? { emailDigest } : {}),
+      },
+    },
+    { new: true, upsert: true, runValidators: true }
+  );
+  return preferencesJson(preference);
+};
+
+// ---------------------------------------------------------------------------
+// Email digests
+
+// Email every user whose digest is due the unread notifications not yet
+// emailed to them. Meant to run regularly (at least hourly), e.g. with
+// `npm run notifications:digest` from cron. Resolves to the number of
+// emails sent.
+const sendDigests = async (now = new Date()) => {
+  const base = process.env.APP_URL || "http://localhost:3000";
+  let sent = 0;
+
+  for (const [frequency, interval] of Object.entries(DIGEST_INTERVALS)) {
+    const due = await NotificationPreference.find({
+      emailDigest: frequency,
+      $or: [
+        { lastDigestAt: { $exists: false } },
+        { lastDigestAt: null },
+        { lastDigestAt: { $lte: new Date(now - interval) } },
+      ],
+    }).populate("userId", "name email");
+
+    for (const preference of due) {
+      const user = preference.userId;
+      if (!user) continue; // The user is gone
+      try {
+        const filter = {
+          ...inboxFilter(user._id, now),
+          readAt: null,
+          emailedAt: null,
+        };
+        const [notifications, total] = await Promise.all([
+          Notification.find(filter).sort({ notifyAt: -1 }).limit(DIGEST_LIMIT),
+          Notification.countDocuments(filter),
+        ]);
+        if (notifications.length) {
+          await sendMail(user.email, "notificationDigest", {
+            name: user.name,
+            frequency,
+            notifications,
+            more: total - notifications.length,
+            link: `${base}/notifications`,
+          });
+          // Only what the mail listed; the rest waits for the next digest
+          await Notification.updateMany(
+            { _id: { $in: notifications.map((n) => n._id) } },
+            { $set: { emailedAt: now } }
+          );
+          sent++;
+        }
+        await NotificationPreference.updateOne(
+          { _id: preference._id },
+          { $set: { lastDigestAt: now } }
+        );
+      } catch (err) {
+        // Tried again on the next run
+        console.error(`Failed to send the digest of ${user.email}:`, err);
+      }
+    }
+  }
+  return sent;
+};
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  DIGEST_FREQUENCIES,
+  notifyUsers,
+  notifyStatusChange,
+  notifyEnrollment,
+  notifyReply,
+  inboxFilter,
+  unreadCount,
+  getPreferences,
+  updatePreferences,
+  sendDigests,
+};
@@ -0,0 +1,26 @@
+// Helpers for the admin reorder endpoints
+
+// True when `ids` names every document in `docs` exactly once
+const isPermutationOf = (ids, docs) => {
+  if (!Array.isArray(ids) || ids.length !== docs.length) return false;
+  const expected = new Set(docs.map((doc) => String(doc._id)));
+  const given = new Set(ids.map(String));
+  return (
+    given.size === ids.length && [...given].every((id) => expected.has(id))
+  );
+};
+
+// Save each document's position in `ids` as its `order`
+const applyOrder = (Model, ids, session = null) =>
+  Model.bulkWrite(
+    ids.map((id, index) => ({
+      updateOne: { filter: { _id: id }, update: { $set: { order: index } } },
+    })),
+    { session }
+  );
+
+// Sort for listing ordered content; documents created before ordering
+// existed have no `order` and fall back to creation order
+const ORDER_SORT = { order: 1, _id: 1 };
+
+module.exports = { isPermutationOf, applyOrder, ORDER_SORT };
@@ -0,0 +1,384 @@
+const Coupon = require("../models/coupon");
+const Enrollment = require("../models/enrollment");
+const Order = require("../models/order");
+const User = require("../models/User");
+const { withTransaction } = require("./transaction");
+const { PaymentError, getPaymentProvider } = require("./payments");
+const { notifyEnrollment } = require("./notifications");
+
+const CURRENCY = (process.env.ORDER_CURRENCY || "usd").toLowerCase();
+
+// Statuses in which an order holds money that can still be refunded
+const REFUNDABLE_STATUSES = ["paid", "partially_refunded"];
+
+class OrderError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "OrderError";
+    this.status = status;
+  }
+}
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Normalize a coupon code the way Coupon stores it
+const normalizeCode = (code) => String(code).trim().toUpperCase();
+
+// Throw unless the coupon can be used on the course right now
+const checkCoupon = (coupon, courseId, now = new Date()) => {
+  if (!coupon || !coupon.active) {
+    throw new OrderError("Invalid coupon code");
+  }
+  if (coupon.expiresAt && coupon.expiresAt <= now) {
+    throw new OrderError("This coupon has expired");
+  }
+  if (coupon.maxRedemptions && coupon.redemptions >= coupon.maxRedemptions) {
+    throw new OrderError("This coupon has been fully redeemed");
+  }
+  const courseIds = coupon.courseIds || [];
+  if (
+    courseIds.length &&
+    !courseIds.some((id) => String(id) === String(courseId))
+  ) {
+    throw new OrderError("This coupon does not apply to this course");
+  }
+};
+
+// Price of a course after an optional coupon. The discount never exceeds
+// the price.
+const priceWithCoupon = (price, coupon) => {
+  const subtotal = roundMoney(price);
+  if (!coupon) return { subtotal, discount: 0, total: subtotal };
+
+  const raw =
+    coupon.type === "percentage"
+      ? (subtotal * coupon.value) / 100
+      : coupon.value;
+  const discount = roundMoney(Math.min(subtotal, Math.max(0, raw)));
+  return { subtotal, discount, total: roundMoney(subtotal - discount) };
+};
+
+const grantEnrollment = async (order, session) => {
+  await Enrollment.updateOne(
+    { userId: order.userId, courseId: order.courseId },
+    {
+      $setOnInsert: {
+        userId: order.userId,
+        courseId: order.courseId,
+        enrolledAt: new Date(),
+        orderId: order._id,
+      },
+    },
+    { upsert: true, session }
+  );
+  await User.updateOne(
+    { _id: order.userId },
+    { $addToSet: { courses: order.courseId } },
+    { session }
+  );
+};
+
+// Only the enrollment this order granted is removed, not one the user got
+// some other way. Returns whether there was one.
+const revokeEnrollment = async (order, session) => {
+  const result = await Enrollment.deleteOne(
+    { userId: order.userId, courseId: order.courseId, orderId: order._id },
+    { session }
+  );
+  if (result.deletedCount) {
+    await User.updateOne(
+      { _id: order.userId },
+      { $pull: { courses: order.courseId } },
+      { session }
+    );
+  }
+  return result.deletedCount > 0;
+};
+
+// Count a redemption of the coupon, provided it has any left. Reserved at
+// checkout so concurrent checkouts cannot redeem it past its limit.
+const reserveCoupon = async (coupon) => {
+  const reserved = await Coupon.findOneAndUpdate(
+    {
+      _id: coupon._id,
+      active: true,
+      $or: [
+        { maxRedemptions: 0 },
+        { $expr: { $lt: ["$redemptions", "$maxRedemptions"] } },
+      ],
+    },
+    { $inc: { redemptions: 1 } }
+  );
+  if (!reserved) throw new OrderError("This coupon has been fully redeemed");
+};
+
+// Give back the redemption reserved for an order that was never paid
+const releaseCoupon = async (coupon) => {
+  if (!coupon || !coupon.couponId) return;
+  await Coupon.updateOne(
+    { _id: coupon.couponId, redemptions: { $gt: 0 } },
+    { $inc: { redemptions: -1 } }
+  );
+};
+
+// Mark a pending order failed. Returns null unless it was pending.
+const failOrder = async (filter) => {
+  const failed = await Order.findOneAndUpdate(
+    { ...filter, status: "pending" },
+    { $set: { status: "failed" } },
+    { new: true }
+  );
+  if (failed) await releaseCoupon(failed.coupon);
+  return failed;
+};
+
+// Mark a pending order paid and enroll the user. Returns null if no pending
+// order matches, so repeated webhook deliveries are harmless.
+const markOrderPaid = async (filter) => {
+  const paid = await withTransaction(async (session) => {
+    const order = await Order.findOneAndUpdate(
+      { ...filter, status: "pending" },
+      { $set: { status: "paid", paidAt: new Date() } },
+      { new: true, session }
+    );
+    if (!order) return null;
+
+    await grantEnrollment(order, session);
+    return order;
+  });
+  if (paid) await notifyEnrollment([paid.userId], paid.courseId, true);
+  return paid;
+};
+
+// A pending order whose payment never started after this long was
+// abandoned half-way through checkout
+const ABANDONED_CHECKOUT_MS = 10 * 60 * 1000;
+
+// The pending order the user already has for the course, returned again
+// rather than starting a second payment. One with another coupon is
+// refused, as the user can still pay it.
+const pendingOrderFor = async (user, course, coupon) => {
+  const pending = await Order.findOne({
+    userId: user._id,
+    courseId: course._id,
+    status: "pending",
+  });
+  if (!pending) return null;
+
+  if (!pending.paymentId) {
+    if (pending.createdAt > new Date(Date.now() - ABANDONED_CHECKOUT_MS)) {
+      throw new OrderError("A checkout for this course is in progress", 409);
+    }
+    // Nothing can pay it without a payment
+    await failOrder({ _id: pending._id, paymentId: { $exists: false } });
+    return null;
+  }
+
+  const pendingCode = pending.coupon ? pending.coupon.code : undefined;
+  if (pendingCode !== (coupon ? coupon.code : undefined)) {
+    throw new OrderError(
+      "You already have a pending order for this course; complete its payment first",
+      409
+    );
+  }
+  return pending;
+};
+
+// Create an order for a course and start the payment, or return the
+// pending order the user already has for it. Orders that come to nothing
+// (free courses, 100% coupons) are paid straight away.
+const checkout = async (user, course, couponCode) => {
+  if (await Enrollment.exists({ userId: user._id, courseId: course._id })) {
+    throw new OrderError("Already enrolled in this course", 409);
+  }
+
+  let coupon = null;
+  if (couponCode) {
+    coupon = await Coupon.findOne({ code: normalizeCode(couponCode) });
+    checkCoupon(coupon, course._id);
+  }
+
+  const pending = await pendingOrderFor(user, course, coupon);
+  if (pending) return pending;
+
+  // Refuse paid checkouts before anything is reserved when payments are not
+  // configured
+  const price = priceWithCoupon(course.price, coupon);
+  const provider = price.total > 0 ? getPaymentProvider() : null;
+
+  if (coupon) await reserveCoupon(coupon);
+  const orderCoupon = coupon
+    ? { couponId: coupon._id, code: coupon.code }
+    : undefined;
+  let order;
+  try {
+    order = await Order.create({
+      userId: user._id,
+      courseId: course._id,
+      ...price,
+      currency: CURRENCY,
+      coupon: orderCoupon,
+    });
+  } catch (err) {
+    await releaseCoupon(orderCoupon);
+    // A concurrent checkout created the pending order first
+    if (err.code !== 11000) throw err;
+    const existing = await pendingOrderFor(user, course, coupon);
+    if (existing) return existing;
+    throw new OrderError("A checkout for this course is in progress", 409);
+  }
+
+  if (order.total === 0) {
+    await Order.updateOne({ _id: order._id }, { provider: "none" });
+    return markOrderPaid({ _id: order._id });
+  }
+
+  let payment;
+  try {
+    payment = await provider.createPayment({
+      orderId: String(order._id),
+      amount: order.total,
+      currency: order.currency,
+      description: course.title,
+      email: user.email,
+    });
+  } catch (err) {
+    await failOrder({ _id: order._id });
+    console.error("Payment provider error:", err);
+    throw new PaymentError("Could not start the payment", 502);
+  }
+
+  order.provider = provider.name;
+  order.paymentId = payment.paymentId;
+  order.checkoutUrl = payment.checkoutUrl;
+  return order.save();
+};
+
+// Apply a verified webhook event. Returns the updated order, or null when
+// the event is ignored or was already applied.
+const handlePaymentEvent = async (event) => {
+  if (!event.paymentId) return null;
+  switch (event.type) {
+    case "payment.succeeded":
+      return markOrderPaid({ paymentId: event.paymentId });
+    case "payment.failed":
+      return failOrder({ paymentId: event.paymentId });
+    default:
+      return null;
+  }
+};
+
+// An order's status once `refundedAmount` of it has been refunded
+const refundStatus = (total, refundedAmount) =>
+  refundedAmount >= total
+    ? "refunded"
+    : refundedAmount > 0
+    ? "partially_refunded"
+    : "paid";
+
+// Add `delta` to the amount refunded on an order, provided no other refund
+// changed it since `order` was read. Returns the updated order, or null.
+const adjustRefunded = (order, delta) => {
+  const refundedAmount = roundMoney(order.refundedAmount + delta);
+  return Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      status: order.status,
+      refundedAmount: order.refundedAmount,
+    },
+    {
+      $set: {
+        refundedAmount,
+        status: refundStatus(order.total, refundedAmount),
+      },
+    },
+    { new: true }
+  );
+};
+
+// Give back an amount reserved for a refund the provider rejected
+const releaseRefund = async (orderId, value) => {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const current = await Order.findById(orderId);
+    if (current && (await adjustRefunded(current, -value))) return;
+  }
+  console.error(`Failed to release a refund of ${value} on order ${orderId}`);
+};
+
+// Refund all or part of a paid order. A full refund also removes the
+// enrollment the order granted. The amount is reserved on the order before
+// the provider is asked, so concurrent refunds can never add up to more
+// than the order total.
+const refundOrder = async (order, { amount, reason } = {}) => {
+  if (!REFUNDABLE_STATUSES.includes(order.status)) {
+    throw new OrderError("Only paid orders can be refunded", 409);
+  }
+  const refundable = roundMoney(order.total - order.refundedAmount);
+  const value = amount === undefined ? refundable : roundMoney(Number(amount));
+  if (!(value > 0) || value > refundable) {
+    throw new OrderError(
+      `Refund amount must be greater than 0 and at most ${refundable}`
+    );
+  }
+
+  const provider = getPaymentProvider();
+  if (provider.name !== order.provider) {
+    throw new OrderError(
+      `Order was paid with ${order.provider}, which is not the active payment provider`,
+      409
+    );
+  }
+
+  const reserved = await adjustRefunded(order, value);
+  if (!reserved) {
+    throw new OrderError(
+      "The order was refunded meanwhile; reload it and try again",
+      409
+    );
+  }
+  let refund;
+  try {
+    refund = await provider.refundPayment({
+      paymentId: order.paymentId,
+      amount: value,
+      currency: order.currency,
+    });
+  } catch (err) {
+    console.error("Payment provider error:", err);
+    await releaseRefund(order._id, value);
+    throw new PaymentError("The payment provider rejected the refund", 502);
+  }
+
+  let revoked = false;
+  const refunded = await withTransaction(async (session) => {
+    const updated = await Order.findByIdAndUpdate(
+      order._id,
+      {
+        $push: {
+          refunds: { amount: value, refundId: refund.refundId, reason },
+        },
+      },
+      { new: true, session }
+    );
+    if (reserved.status === "refunded") {
+      revoked = await revokeEnrollment(updated, session);
+    }
+    return updated;
+  });
+  if (revoked) {
+    await notifyEnrollment([refunded.userId], refunded.courseId, false);
+  }
+  return refunded;
+};
+
+module.exports = {
+  CURRENCY,
+  OrderError,
+  normalizeCode,
+  checkCoupon,
+  priceWithCoupon,
+  markOrderPaid,
+  checkout,
+  handlePaymentEvent,
+  refundOrder,
+};
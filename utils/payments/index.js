@@ -0,0 +1,66 @@
+const createMockProvider = require("./providers/mockProvider");
+const PaymentError = require("./paymentError");
+
+const providerFactories = {
+  mock: createMockProvider,
+};
+
+let provider;
+
+// The provider is picked with PAYMENT_PROVIDER on first use. A provider is
+// an object with:
+//
+//   name
+//   createPayment({ orderId, amount, currency, description, email })
+//     -> { paymentId, checkoutUrl }
+//   refundPayment({ paymentId, amount, currency }) -> { refundId }
+//   parseWebhook(rawBody, headers) -> { id, type, paymentId }
+//     verifies the signature (throwing a PaymentError if it is wrong) and
+//     maps the provider's event to payment.succeeded, payment.failed or
+//     any other type, which is ignored
+//
+// The mock provider hands out courses without charging anything, so outside
+// development and tests it is refused unless PAYMENT_MOCK_ENABLED=true
+// (e.g. on a staging server).
+//
+// The provider is only needed by checkout, refunds and the webhook, so the
+// API starts without one; those answer 503 until it is configured.
+const createProvider = () => {
+  const name = process.env.PAYMENT_PROVIDER || "mock";
+  const factory = providerFactories[name];
+  if (!factory) throw new Error(`Unknown payment provider: ${name}`);
+  if (
+    name === "mock" &&
+    !["development", "test"].includes(process.env.NODE_ENV) &&
+    process.env.PAYMENT_MOCK_ENABLED !== "true"
+  ) {
+    throw new Error(
+      "The mock payment provider is disabled outside development; set PAYMENT_PROVIDER or PAYMENT_MOCK_ENABLED=true"
+    );
+  }
+  return factory();
+};
+
+const getPaymentProvider = () => {
+  if (!provider) {
+    try {
+      provider = createProvider();
+    } catch (err) {
+      console.error("Payment provider setup failed:", err.message);
+      throw new PaymentError("Payments are not configured", 503);
+    }
+  }
+  return provider;
+};
+
+// Swap the provider, e.g. for a real gateway or in tests
+const setPaymentProvider = (customProvider) => {
+  provider = customProvider;
+};
+
+module.exports = {
+  PaymentError,
+  getPaymentProvider,
+  setPaymentProvider,
+  createMockProvider,
+};
@@ -0,0 +1,92 @@
+const crypto = require("crypto");
+const PaymentError = require("../paymentError");
+
+// Webhook signatures older than this are rejected to stop replays
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+const SIGNATURE_HEADER = "x-mock-signature";
+
+// Sign a webhook body the way the mock provider does:
+// "t=<unix seconds>,v1=<hex HMAC-SHA256 of `${t}.${body}`>"
+const signPayload = (
+  body,
+  secret,
+  timestamp = Math.floor(Date.now() / 1000)
+) => {
+  const digest = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+  return `t=${timestamp},v1=${digest}`;
+};
+
+const verifySignature = (body, header, secret) => {
+  const parts = Object.fromEntries(
+    String(header || "")
+      .split(",")
+      .map((part) => part.split("="))
+  );
+  const timestamp = Number(parts.t);
+  if (!timestamp || !parts.v1) return false;
+  if (Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+    return false;
+  }
+  const expected = Buffer.from(signPayload(body, secret, timestamp));
+  const received = Buffer.from(`t=${parts.t},v1=${parts.v1}`);
+  return (
+    expected.length === received.length &&
+    crypto.timingSafeEqual(expected, received)
+  );
+};
+
+// A payment provider for local development and tests. Nothing is charged:
+// payments stay pending until a signed webhook event reports them, e.g.
+//
+//   { "id": "evt_1", "type": "payment.succeeded", "data": { "paymentId": "mock_pay_..." } }
+//
+// sent to POST /api/payments/webhook with an x-mock-signature header made
+// by signPayload and PAYMENT_WEBHOOK_SECRET. Anyone holding the secret can
+// mark orders paid, so there is no default.
+const createMockProvider = ({
+  webhookSecret = process.env.PAYMENT_WEBHOOK_SECRET,
+  checkoutBaseUrl = process.env.APP_URL || "http://localhost:3000",
+} = {}) => {
+  if (!webhookSecret) {
+    throw new Error("PAYMENT_WEBHOOK_SECRET is required for the mock provider");
+  }
+  return {
+    name: "mock",
+
+    createPayment: async ({ amount, currency }) => {
+      const paymentId = `mock_pay_${crypto.randomBytes(12).toString("hex")}`;
+      return {
+        paymentId,
+        checkoutUrl: `${checkoutBaseUrl}/checkout/mock?payment=${paymentId}&amount=${amount}&currency=${currency}`,
+      };
+    },
+
+    refundPayment: async () => ({
+      refundId: `mock_ref_${crypto.randomBytes(12).toString("hex")}`,
+    }),
+
+    parseWebhook: (rawBody, headers) => {
+      const body = rawBody ? rawBody.toString("utf8") : "";
+      if (!verifySignature(body, headers[SIGNATURE_HEADER], webhookSecret)) {
+        throw new PaymentError("Invalid webhook signature", 400);
+      }
+      let event;
+      try {
+        event = JSON.parse(body);
+      } catch (err) {
+        throw new PaymentError("Invalid webhook payload", 400);
+      }
+      return {
+        id: event.id,
+        type: event.type,
+        paymentId: event.data && event.data.paymentId,
+      };
+    },
+  };
+};
+
+module.exports = createMockProvider;
+module.exports.signPayload = signPayload;
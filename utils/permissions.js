@@ -0,0 +1,86 @@
+const mongoose = require("mongoose");
+const Course = require("../models/course");
+const Lesson = require("../models/lesson");
+const Topic = require("../models/topic");
+
+const ROLES = ["user", "instructor", "admin"];
+
+// What each role may do. "any" grants the permission on every course,
+// "own" only on the courses the user teaches (Course.instructorId) and
+// their lessons and topics. Roles not listed are refused.
+const PERMISSIONS = {
+  "courses:create": { admin: "any", instructor: "any" },
+  "courses:update": { admin: "any", instructor: "own" },
+  "courses:delete": { admin: "any", instructor: "own" },
+  "courses:assign": { admin: "any" }, // Choose a course's instructor
+  "lessons:manage": { admin: "any", instructor: "own" },
+  "topics:manage": { admin: "any", instructor: "own" },
+  "content:preview": { admin: "any", instructor: "own" }, // See unpublished content
+  "content:publish": { admin: "any" }, // Publish, schedule or archive content
+  "quizzes:manage": { admin: "any" },
+  "coupons:manage": { admin: "any" },
+  "orders:manage": { admin: "any" },
+  "enrollments:read": { admin: "any" },
+  "progress:read": { admin: "any" },
+  "users:manage": { admin: "any" },
+  "integrity:manage": { admin: "any" },
+  "audit:read": { admin: "any" },
+  "reviews:moderate": { admin: "any" },
+  "discussions:moderate": { admin: "any", instructor: "own" },
+};
+
+// "any", "own" or null when the user may not use the permission at all
+const permissionFor = (user, permission) => {
+  const grants = PERMISSIONS[permission];
+  if (!grants) throw new Error(`Unknown permission: ${permission}`);
+  return (user && grants[user.role]) || null;
+};
+
+const can = (user, permission) => !!permissionFor(user, permission);
+
+// True when the user teaches every one of the courses
+const ownsCourses = (user, courses) =>
+  courses.every(
+    (course) =>
+      course.instructorId && String(course.instructorId) === String(user._id)
+  );
+
+// Load the courses with the given IDs for an ownership check. IDs that match
+// no course are skipped; the route answers those with a 404 (or a 422 when
+// the ID is malformed).
+const findCourses = (courseIds) =>
+  Course.find(
+    { _id: { $in: courseIds.filter((id) => mongoose.isValidObjectId(id)) } },
+    "instructorId"
+  );
+
+// Whether the user holds `permission` on one course, for checks made
+// inside a route rather than by the authorize() middleware
+const canOnCourse = async (user, permission, courseId) => {
+  const grant = permissionFor(user, permission);
+  if (grant !== "own") return grant === "any";
+  return !!(await Course.exists({ _id: courseId, instructorId: user._id }));
+};
+
+// The course a lesson or topic belongs to, or undefined when it is missing
+const courseOfLesson = async (lessonId) => {
+  const lesson = await Lesson.findById(lessonId, "courseId");
+  return lesson ? lesson.courseId : undefined;
+};
+
+const courseOfTopic = async (topicId) => {
+  const topic = await Topic.findById(topicId, "lessonId");
+  return topic ? courseOfLesson(topic.lessonId) : undefined;
+};
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  permissionFor,
+  can,
+  ownsCourses,
+  findCourses,
+  canOnCourse,
+  courseOfLesson,
+  courseOfTopic,
+};
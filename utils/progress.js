@@ -0,0 +1,128 @@
+const Lesson = require("../models/lesson");
+const Progress = require("../models/progress");
+const Topic = require("../models/topic");
+const { liveFilter } = require("./publishing");
+
+const STATUSES = ["started", "completed"];
+
+// Create or update a progress record in a single upsert, so concurrent
+// updates (e.g. heartbeats from two tabs) neither collide on the unique
+// index nor lose time. Time spent is accumulated and a completed record is
+// never moved back to "started"; completedAt keeps the first completion.
+const recordProgress = async (target, { status, timeSpent, lastPosition }) => {
+  const { userId, courseId, lessonId, topicId = null } = target;
+
+  const update = {
+    $setOnInsert: { courseId },
+    $inc: { timeSpent: Number(timeSpent) || 0 },
+  };
+  if (lastPosition !== undefined) update.$set = { lastPosition };
+  if (status === "completed") {
+    update.$set = { ...update.$set, status: "completed" };
+    update.$min = { completedAt: new Date() };
+  }
+
+  return Progress.findOneAndUpdate({ userId, lessonId, topicId }, update, {
+    upsert: true,
+    new: true,
+    runValidators: true,
+  });
+};
+
+// Work out course completion from the course's lessons and the user's
+// progress records. Every topic listed in a lesson's `topics` array is one
+// unit of work; a lesson without topics counts as a single unit. Marking a
+// lesson completed completes all of its topics.
+const summarizeProgress = (lessons, records) => {
+  const lessonRecords = new Map();
+  const topicRecords = new Map();
+  records.forEach((record) => {
+    if (record.topicId) topicRecords.set(String(record.topicId), record);
+    else lessonRecords.set(String(record.lessonId), record);
+  });
+
+  let totalUnits = 0;
+  let completedUnits = 0;
+  let totalTimeSpent = 0;
+
+  const lessonSummaries = lessons.map((lesson) => {
+    const lessonRecord = lessonRecords.get(String(lesson._id));
+    const lessonCompleted = lessonRecord?.status === "completed";
+    const topicIds = (lesson.topics || []).map((topic) =>
+      String(topic._id || topic)
+    );
+
+    let timeSpent = lessonRecord?.timeSpent || 0;
+    let completedTopics = 0;
+    let started = !!lessonRecord;
+    topicIds.forEach((topicId) => {
+      const topicRecord = topicRecords.get(topicId);
+      if (!topicRecord) return;
+      started = true;
+      timeSpent += topicRecord.timeSpent || 0;
+      if (topicRecord.status === "completed") completedTopics++;
+    });
+    if (lessonCompleted) completedTopics = topicIds.length;
+
+    const units = topicIds.length || 1;
+    const completed = topicIds.length
+      ? completedTopics
+      : lessonCompleted
+      ? 1
+      : 0;
+    totalUnits += units;
+    completedUnits += completed;
+    totalTimeSpent += timeSpent;
+
+    let status = "not_started";
+    if (completed === units) status = "completed";
+    else if (started) status = "started";
+
+    return {
+      lessonId: lesson._id,
+      title: lesson.title,
+      status,
+      completedTopics,
+      totalTopics: topicIds.length,
+      timeSpent,
+      lastPosition: lessonRecord?.lastPosition,
+    };
+  });
+
+  return {
+    completionPercentage: totalUnits
+      ? Math.round((completedUnits / totalUnits) * 100)
+      : 0,
+    completedUnits,
+    totalUnits,
+    timeSpent: totalTimeSpent,
+    lessons: lessonSummaries,
+  };
+};
+
+// Load everything needed and summarize a user's progress in a course.
+// Only published lessons and topics count towards completion.
+const getCourseProgress = async (userId, courseId) => {
+  const [lessons, records] = await Promise.all([
+    Lesson.find({ courseId, ...liveFilter() }, "title topics"),
+    Progress.find({ userId, courseId }),
+  ]);
+  const topicIds = await Topic.distinct("_id", {
+    lessonId: { $in: lessons.map((lesson) => lesson._id) },
+    ...liveFilter(),
+  });
+  const liveTopics = new Set(topicIds.map(String));
+  const published = lessons.map((lesson) => ({
+    _id: lesson._id,
+    title: lesson.title,
+    topics: lesson.topics.filter((topicId) => liveTopics.has(String(topicId))),
+  }));
+  return { courseId, userId, ...summarizeProgress(published, records) };
+};
+
+module.exports = {
+  STATUSES,
+  recordProgress,
+  summarizeProgress,
+  getCourseProgress,
+};
@@ -0,0 +1,416 @@
+const Course = require("../models/course");
+const Lesson = require("../models/lesson");
+const Topic = require("../models/topic");
+const { STATUSES } = require("../models/publishing");
+const { mediaKeys, removeMedia } = require("./media");
+const { contentImages } = require("./contentBlocks");
+const { buildFilter } = require("./queryHelper");
+const {
+  permissionFor,
+  canOnCourse,
+  courseOfLesson,
+  courseOfTopic,
+} = require("./permissions");
+
+class PublishingError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "PublishingError";
+    this.status = status;
+  }
+}
+
+// The statuses each status can move to
+const TRANSITIONS = {
+  draft: ["in_review", "published", "archived"],
+  in_review: ["draft", "published", "archived"],
+  published: ["draft", "archived"],
+  archived: ["draft"],
+};
+
+// Content in the workflow, by the type name used in URLs: its model, the
+// permission to edit it, how to find its course and the fields compared
+// when diffing against the published version
+const CONTENT_TYPES = {
+  courses: {
+    Model: Course,
+    name: "Course",
+    permission: "courses:update",
+    courseOf: async (id) => id,
+    fields: [
+      "title",
+      "description",
+      "instructor",
+      "instructorId",
+      "price",
+      "image",
+    ],
+  },
+  lessons: {
+    Model: Lesson,
+    name: "Lesson",
+    permission: "lessons:manage",
+    courseOf: courseOfLesson,
+    fields: [
+      "title",
+      "description",
+      "content",
+      "video",
+      "courseId",
+      "topics",
+      "order",
+    ],
+  },
+  topics: {
+    Model: Topic,
+    name: "Topic",
+    permission: "topics:manage",
+    courseOf: courseOfTopic,
+    fields: ["title", "description", "lessonId", "image", "video", "order"],
+  },
+};
+
+// Content learners can see: published, and its publish date has come
+const liveFilter = (now = new Date()) => ({
+  status: "published",
+  publishedAt: { $lte: now },
+});
+
+const isLive = (doc, now = new Date()) =>
+  doc.status === "published" && !!doc.publishedAt && doc.publishedAt <= now;
+
+// Publishing, archiving and taking published content down change what
+// learners see and need content:publish; moving between draft and review
+// only needs the right to edit the content
+const transitionPermission = (type, from, to) =>
+  [from, to].some((status) => status === "published" || status === "archived")
+    ? "content:publish"
+    : CONTENT_TYPES[type].permission;
+
+// The diffed fields of a course, lesson or topic as plain JSON values
+const contentVersion = (type, doc) =>
+  Object.fromEntries(
+    CONTENT_TYPES[type].fields.map((field) => {
+      const value = doc.get(field);
+      return [
+        field,
+        value === undefined ? null : JSON.parse(JSON.stringify(value)),
+      ];
+    })
+  );
+
+// The fields that differ between two versions. Without a published version
+// every field with a value counts as changed.
+const diffVersions = (published, current) =>
+  Object.keys(current)
+    .map((field) => ({
+      field,
+      published:
+        published && published[field] !== undefined ? published[field] : null,
+      current: current[field],
+    }))
+    .filter(
+      (change) =>
+        JSON.stringify(change.published) !== JSON.stringify(change.current)
+    );
+
+// What changed in a course, lesson or topic (loaded with +publishedVersion)
+// since it was last published
+const diffContent = (type, doc) => ({
+  status: doc.status,
+  publishedAt: doc.publishedAt,
+  live: isLive(doc),
+  everPublished: !!doc.publishedVersion,
+  changes: diffVersions(doc.publishedVersion, contentVersion(type, doc)),
+});
+
+// Move a course, lesson or topic (loaded with +publishedVersion) to a new
+// status. Publishing records the content as the published version; a
+// future `publishAt` schedules it instead of making it live now.
+const changeStatus = (type, doc, status, publishAt) => {
+  if (!TRANSITIONS[doc.status].includes(status)) {
+    const name = CONTENT_TYPES[type].name.toLowerCase();
+    throw new PublishingError(
+      `A ${name} cannot go from ${doc.status} to ${status}`,
+      409
+    );
+  }
+  if (publishAt && status !== "published") {
+    throw new PublishingError("publishAt can only be set when publishing");
+  }
+
+  doc.status = status;
+  if (status === "published") {
+    doc.publishedAt = publishAt ? new Date(publishAt) : new Date();
+    doc.publishedVersion = contentVersion(type, doc);
+  }
+};
+
+// The courses whose unpublished content `user` may see: null for every
+// course, otherwise the IDs of the courses they teach
+const previewableCourses = async (user) => {
+  const grant = permissionFor(user, "content:preview");
+  if (grant === "any") return null;
+  return grant === "own"
+    ? Course.distinct("_id", { instructorId: user._id })
+    : [];
+};
+
+// Live lessons of live courses, only among `courseIds` when given
+const liveLessonFilter = async (courseIds) => ({
+  ...liveFilter(),
+  courseId: {
+    $in: await Course.distinct("_id", {
+      ...liveFilter(),
+      ...(courseIds && { _id: { $in: courseIds } }),
+    }),
+  },
+});
+
+// Filters for the courses, lessons and topics `user` can see: live content
+// under a live course (and lesson), plus everything in the courses they may
+// preview. Empty when they can see everything. The lesson and topic filters
+// take the courses the user is enrolled in, to leave out the live content
+// of other courses.
+const visibleCourseFilter = async (user) => {
+  const previewable = await previewableCourses(user);
+  if (!previewable) return {};
+  return { $or: [liveFilter(), { _id: { $in: previewable } }] };
+};
+
+const visibleLessonFilter = async (user, enrolledCourses) => {
+  const previewable = await previewableCourses(user);
+  if (!previewable) return {};
+  return {
+    $or: [
+      await liveLessonFilter(enrolledCourses),
+      { courseId: { $in: previewable } },
+    ],
+  };
+};
+
+const visibleTopicFilter = async (user, enrolledCourses) => {
+  const previewable = await previewableCourses(user);
+  if (!previewable) return {};
+  const [liveLessons, previewableLessons] = await Promise.all([
+    liveLessonFilter(enrolledCourses).then((filter) =>
+      Lesson.distinct("_id", filter)
+    ),
+    Lesson.distinct("_id", { courseId: { $in: previewable } }),
+  ]);
+  return {
+    $or: [
+      { ...liveFilter(), lessonId: { $in: liveLessons } },
+      { lessonId: { $in: previewableLessons } },
+    ],
+  };
+};
+
+// Whether `user` can see a single course, lesson or topic
+const canSeeCourse = async (user, course) =>
+  isLive(course) || canOnCourse(user, "content:preview", course._id);
+
+const canSeeLesson = async (user, lesson) => {
+  if (
+    isLive(lesson) &&
+    (await Course.exists({ _id: lesson.courseId, ...liveFilter() }))
+  ) {
+    return true;
+  }
+  return canOnCourse(user, "content:preview", lesson.courseId);
+};
+
+const canSeeTopic = async (user, topic) => {
+  const lesson = await Lesson.findById(
+    topic.lessonId,
+    "courseId status publishedAt"
+  );
+  if (!lesson) return false;
+  if (isLive(topic)) return canSeeLesson(user, lesson);
+  return canOnCourse(user, "content:preview", lesson.courseId);
+};
+
+// ---------------------------------------------------------------------------
+// Published versions
+
+// Where content sits (its course or lesson, its position and a lesson's
+// list of topics) is not versioned: moves and reorders apply right away
+const STRUCTURE_FIELDS = ["courseId", "lessonId", "topics", "order"];
+
+// The field leading from each type of content towards its course
+const PARENT_FIELDS = {
+  courses: "_id",
+  lessons: "courseId",
+  topics: "lessonId",
+};
+
+// The published versions `user` is shown instead of the current content,
+// by ID: those of content in the courses they may not preview
+const versionsShownTo = async (user, type, ids) => {
+  const previewable = await previewableCourses(user);
+  if (!previewable || !ids.length) return new Map();
+
+  const parent = PARENT_FIELDS[type];
+  const docs = await CONTENT_TYPES[type].Model.find(
+    { _id: { $in: ids } },
+    `${parent} publishedVersion`
+  ).lean();
+  let courseOf = (doc) => doc[parent];
+  if (type === "topics") {
+    const lessons = await Lesson.find(
+      { _id: { $in: docs.map((doc) => doc.lessonId) } },
+      "courseId"
+    ).lean();
+    const courses = new Map(
+      lessons.map((lesson) => [String(lesson._id), lesson.courseId])
+    );
+    courseOf = (doc) => courses.get(String(doc.lessonId));
+  }
+
+  const preview = new Set(previewable.map(String));
+  return new Map(
+    docs
+      .filter(
+        (doc) => doc.publishedVersion && !preview.has(String(courseOf(doc)))
+      )
+      .map((doc) => [String(doc._id), doc.publishedVersion])
+  );
+};
+
+// Courses, lessons or topics (one document or a list) as `user` sees them,
+// as plain objects. Learners get the fields as last published, so edits
+// made since only reach them once the content is published again; admins
+// and the course's instructor get the current fields.
+const publishedContent = async (user, type, docs) => {
+  const list = [].concat(docs);
+  const versions = await versionsShownTo(
+    user,
+    type,
+    list.map((doc) => doc._id)
+  );
+  const shown = list.map((doc) => {
+    const json = doc.toJSON();
+    delete json.publishedVersion;
+    const version = versions.get(String(doc._id));
+    if (!version) return json;
+    Object.entries(version).forEach(([field, value]) => {
+      if (STRUCTURE_FIELDS.includes(field) || !doc.isSelected(field)) return;
+      if (value === null) delete json[field];
+      else json[field] = value;
+    });
+    return json;
+  });
+  return Array.isArray(docs) ? shown : shown[0];
+};
+
+// How a list of courses, lessons or topics filters and sorts on the fields
+// `user` is shown as published (see publishedContent), so that a list gives
+// nothing away about unpublished edits: those filters match the published
+// values, except in the courses the user may preview, and sorting uses the
+// published values. Returns, for paginate, a `filter` to add to the base
+// filter, the `filters` left to it and the `sortPaths`.
+const publishedListQuery = async (user, type, query, filters) => {
+  const previewable = await previewableCourses(user);
+  if (!previewable) return { filter: {}, filters, sortPaths: {} };
+
+  const versioned = CONTENT_TYPES[type].fields.filter(
+    (field) => !STRUCTURE_FIELDS.includes(field)
+  );
+  const isVersioned = ([field]) => versioned.includes(field);
+  const entries = Object.entries(filters);
+  const conditions = Object.entries(
+    buildFilter(query, Object.fromEntries(entries.filter(isVersioned)))
+  );
+
+  let scope;
+  if (previewable.length && conditions.length) {
+    const ids =
+      type === "topics"
+        ? await Lesson.distinct("_id", { courseId: { $in: previewable } })
+        : previewable;
+    scope = { field: PARENT_FIELDS[type], ids };
+  }
+  const published = (field, condition) =>
+    scope
+      ? {
+          $or: [
+            { [scope.field]: { $in: scope.ids }, [field]: condition },
+            {
+              [scope.field]: { $nin: scope.ids },
+              [`publishedVersion.${field}`]: condition,
+            },
+          ],
+        }
+      : { [`publishedVersion.${field}`]: condition };
+
+  return {
+    filter: conditions.length
+      ? {
+          $and: conditions.map(([field, condition]) =>
+            published(field, condition)
+          ),
+        }
+      : {},
+    filters: Object.fromEntries(entries.filter((entry) => !isVersioned(entry))),
+    sortPaths: Object.fromEntries(
+      versioned.map((field) => [field, `publishedVersion.${field}`])
+    ),
+  };
+};
+
+// The images and videos a published version of some content shows
+const versionMedia = (version) =>
+  version
+    ? [version.image, ...contentImages(version.content || []), version.video]
+    : [];
+
+// The storage keys of `mediaList` that `version` does not use
+const keysNotIn = (mediaList, version) => {
+  const used = new Set(versionMedia(version).flatMap(mediaKeys));
+  return mediaList
+    .flatMap(mediaKeys)
+    .filter((key) => !used.has(key))
+    .map((key) => ({ key }));
+};
+
+// Remove media an edit replaced or dropped, except what the published
+// version of the content still shows learners: that goes once a new
+// version is published (see removeSupersededMedia)
+const removeReplacedMedia = async (type, id, mediaList) => {
+  const doc = await CONTENT_TYPES[type].Model.findById(
+    id,
+    "publishedVersion"
+  ).lean();
+  await removeMedia(keysNotIn(mediaList, doc && doc.publishedVersion));
+};
+
+// Remove the media only `previousVersion` used, once `doc` has been
+// published again
+const removeSupersededMedia = (previousVersion, doc) =>
+  removeMedia(keysNotIn(versionMedia(previousVersion), doc.publishedVersion));
+
+module.exports = {
+  STATUSES,
+  TRANSITIONS,
+  CONTENT_TYPES,
+  PublishingError,
+  liveFilter,
+  isLive,
+  transitionPermission,
+  contentVersion,
+  diffVersions,
+  diffContent,
+  changeStatus,
+  previewableCourses,
+  visibleCourseFilter,
+  visibleLessonFilter,
+  visibleTopicFilter,
+  canSeeCourse,
+  canSeeLesson,
+  canSeeTopic,
+  publishedContent,
+  publishedListQuery,
+  versionMedia,
+  removeReplacedMedia,
+  removeSupersededMedia,
+};
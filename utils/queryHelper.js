@@ -0,0 +1,300 @@
+const mongoose = require("mongoose");
+
+// Shared pagination, filtering, sorting and field selection for list
+// endpoints. Query string conventions:
+//
+//   ?page=2&limit=20                 page-based pagination
+//   ?cursor=&limit=20                cursor-based pagination (first page)
+//   ?cursor=<nextCursor>&limit=20    cursor-based pagination (next pages)
+//   ?sort=-price,title               sort fields, "-" for descending
+//   ?fields=title,price              only return these fields
+//   ?price[gte]=10&price[lte]=50     filters (eq, gt, gte, lt, lte, ne, in)
+//   ?title[contains]=node            case-insensitive match on text fields
+//
+// Every list responds with { data, pagination }.
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const OPERATORS = {
+  eq: "$eq",
+  ne: "$ne",
+  gt: "$gt",
+  gte: "$gte",
+  lt: "$lt",
+  lte: "$lte",
+};
+
+class QueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "QueryError";
+    this.status = 400;
+  }
+}
+
+const escapeRegex = (text) =>
+  String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const castValue = (value, type, param) => {
+  if (typeof value !== "string") {
+    throw new QueryError(`Invalid value for ${param}`);
+  }
+  switch (type) {
+    case "number": {
+      const number = Number(value);
+      if (value.trim() === "" || Number.isNaN(number)) {
+        throw new QueryError(`${param} must be a number`);
+      }
+      return number;
+    }
+    case "boolean":
+      if (value !== "true" && value !== "false") {
+        throw new QueryError(`${param} must be true or false`);
+      }
+      return value === "true";
+    case "date": {
+      const date = new Date(value);
+      if (Number.isNaN(date.getTime())) {
+        throw new QueryError(`${param} must be a date`);
+      }
+      return date;
+    }
+    case "objectId":
+      if (!mongoose.isValidObjectId(value)) {
+        throw new QueryError(`${param} must be a valid ID`);
+      }
+      return new mongoose.Types.ObjectId(value);
+    default:
+      return value;
+  }
+};
+
+// Turn whitelisted query parameters into a MongoDB filter. `filters` maps a
+// field name to its type (string, number, boolean, date or objectId).
+const buildFilter = (query, filters = {}) => {
+  const filter = {};
+  Object.entries(filters).forEach(([param, type]) => {
+    const raw = query[param];
+    if (raw === undefined) return;
+
+    if (raw === null || typeof raw !== "object" || Array.isArray(raw)) {
+      filter[param] = castValue(raw, type, param);
+      return;
+    }
+
+    const conditions = {};
+    Object.entries(raw).forEach(([operator, value]) => {
+      if (operator === "in") {
+        conditions.$in = String(value)
+          .split(",")
+          .map((item) => castValue(item, type, param));
+      } else if (operator === "contains") {
+        if (type !== "string") {
+          throw new QueryError(`${param} does not support "contains"`);
+        }
+        conditions.$regex = escapeRegex(castValue(value, type, param));
+        conditions.$options = "i";
+      } else if (OPERATORS[operator]) {
+        conditions[OPERATORS[operator]] = castValue(value, type, param);
+      } else {
+        throw new QueryError(`Unsupported operator "${operator}" for ${param}`);
+      }
+    });
+    filter[param] = conditions;
+  });
+  return filter;
+};
+
+// Parse "?sort=-price,title" into [[field, direction]], always ending with
+// _id so the order is stable
+const parseSort = (sortParam, sortable = [], defaultSort = "_id") => {
+  const fields = String(sortParam || defaultSort)
+    .split(",")
+    .map((field) => field.trim())
+    .filter(Boolean);
+
+  const sort = fields.map((field) => {
+    const direction = field.startsWith("-") ? -1 : 1;
+    const name = field.replace(/^[-+]/, "");
+    if (name !== "_id" && !sortable.includes(name)) {
+      throw new QueryError(`Cannot sort by ${name}`);
+    }
+    return [name, direction];
+  });
+
+  if (!sort.some(([name]) => name === "_id")) {
+    sort.push(["_id", sort.length ? sort[sort.length - 1][1] : 1]);
+  }
+  return sort;
+};
+
+// Parse "?fields=title,price" into a projection limited to `selectable`
+const parseFields = (fieldsParam, selectable, defaultSelect) => {
+  if (!fieldsParam) return defaultSelect;
+  const fields = String(fieldsParam)
+    .split(",")
+    .map((field) => field.trim())
+    .filter(Boolean);
+  const unknown = fields.filter((field) => !selectable.includes(field));
+  if (unknown.length) {
+    throw new QueryError(`Unknown fields: ${unknown.join(", ")}`);
+  }
+  return fields.join(" ");
+};
+
+const encodeCursor = (value, id) =>
+  Buffer.from(JSON.stringify({ v: value, id: String(id) })).toString(
+    "base64url"
+  );
+
+const decodeCursor = (cursor) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (!mongoose.isValidObjectId(decoded.id)) throw new Error();
+    return decoded;
+  } catch (err) {
+    throw new QueryError("Invalid cursor");
+  }
+};
+
+// Filter matching documents after the cursor position for a single sort
+// field (plus the _id tie-breaker)
+const cursorFilter = (Model, cursor, [field, direction]) => {
+  const { v, id } = decodeCursor(cursor);
+  const op = direction === 1 ? "$gt" : "$lt";
+  const lastId = new mongoose.Types.ObjectId(id);
+  if (field === "_id") return { _id: { [op]: lastId } };
+
+  const schemaPath = Model.schema.path(field);
+  const value = schemaPath ? schemaPath.cast(v) : v;
+  return {
+    $or: [
+      { [field]: { [op]: value } },
+      { [field]: value, _id: { [op]: lastId } },
+    ],
+  };
+};
+
+// Build a link to another page of the current request
+const buildPageLink = (req, params) => {
+  const url = new URL(req.originalUrl, "http://localhost");
+  ["page", "cursor"].forEach((key) => url.searchParams.delete(key));
+  Object.entries(params).forEach(([key, value]) =>
+    url.searchParams.set(key, value)
+  );
+  return `${url.pathname}${url.search}`;
+};
+
+const parseLimit = (limitParam) => {
+  if (limitParam === undefined) return DEFAULT_LIMIT;
+  const limit = Number(limitParam);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new QueryError("limit must be a positive integer");
+  }
+  return Math.min(limit, MAX_LIMIT);
+};
+
+// Run a paginated list query for a model.
+//
+// options:
+//   baseFilter     filter always applied (e.g. access restrictions)
+//   filters        { field: type } of filterable fields
+//   sortable       fields that can be sorted on
+//   defaultSort    sort used when ?sort is missing
+//   selectable     fields that can be requested with ?fields
+//   defaultSelect  projection used when ?fields is missing
+//   populate       passed to Query#populate
+//   sortPaths      { field: path } for sortable fields whose values are read
+//                  from another path (e.g. a published version)
+const paginate = async (Model, req, options = {}) => {
+  const {
+    baseFilter = {},
+    filters = {},
+    sortable = [],
+    defaultSort = "_id",
+    selectable = [],
+    defaultSelect,
+    populate,
+    sortPaths = {},
+  } = options;
+  const query = req.query;
+
+  const limit = parseLimit(query.limit);
+  const sort = parseSort(query.sort, sortable, defaultSort).map(
+    ([field, direction]) => [sortPaths[field] || field, direction]
+  );
+  const select = parseFields(query.fields, selectable, defaultSelect);
+  const filter = { ...buildFilter(query, filters), ...baseFilter };
+  const total = await Model.countDocuments(filter);
+
+  const useCursor = query.cursor !== undefined;
+  if (useCursor && sort.length > 2) {
+    throw new QueryError("Cursor pagination supports a single sort field");
+  }
+
+  let page;
+  let find;
+  if (useCursor) {
+    // An empty cursor starts from the beginning
+    find = query.cursor
+      ? Model.find({
+          $and: [filter, cursorFilter(Model, query.cursor, sort[0])],
+        })
+      : Model.find(filter);
+  } else {
+    page = query.page === undefined ? 1 : Number(query.page);
+    if (!Number.isInteger(page) || page < 1) {
+      throw new QueryError("page must be a positive integer");
+    }
+    find = Model.find(filter).skip((page - 1) * limit);
+  }
+
+  find = find.sort(sort).limit(limit + 1);
+  if (select) find = find.select(select);
+  // The cursor needs the sort value, even from a path hidden by default
+  const sortRoot = Model.schema.path(sort[0][0].split(".")[0]);
+  if (useCursor && sortRoot && sortRoot.options.select === false) {
+    find = find.select(`+${sortRoot.path}`);
+  } else if (useCursor && select && !select.startsWith("-")) {
+    find = find.select(sort[0][0]);
+  }
+  if (populate) find = find.populate(populate);
+
+  const results = await find;
+  const hasMore = results.length > limit;
+  const data = hasMore ? results.slice(0, limit) : results;
+
+  const pagination = { total, limit, hasMore };
+  if (useCursor) {
+    const last = data[data.length - 1];
+    pagination.nextCursor =
+      hasMore && last ? encodeCursor(last.get(sort[0][0]), last._id) : null;
+    pagination.next = pagination.nextCursor
+      ? buildPageLink(req, { cursor: pagination.nextCursor })
+      : null;
+  } else {
+    const totalPages = Math.ceil(total / limit);
+    Object.assign(pagination, {
+      page,
+      totalPages,
+      next: hasMore ? buildPageLink(req, { page: page + 1 }) : null,
+      prev: page > 1 ? buildPageLink(req, { page: page - 1 }) : null,
+    });
+  }
+
+  return { data, pagination };
+};
+
+module.exports = {
+  QueryError,
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  buildFilter,
+  parseLimit,
+  parseSort,
+  parseFields,
+  encodeCursor,
+  decodeCursor,
+  paginate,
+};
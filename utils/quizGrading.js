@@ -0,0 +1,109 @@
+// Server-side grading for quizzes. Answer keys never leave the server:
+// learners get the quiz through toPublicQuiz and only see whether each of
+// their answers was right.
+
+const toBoolean = (value) => {
+  if (typeof value === "boolean") return value;
+  if (value === "true") return true;
+  if (value === "false") return false;
+  return null;
+};
+
+const toIndexes = (value) => {
+  const values = Array.isArray(value) ? value : [value];
+  return values.map(Number).filter((index) => Number.isInteger(index));
+};
+
+const matchesShortAnswer = (question, response) => {
+  if (typeof response !== "string") return false;
+  const answer = response.trim();
+  if (question.matchMode === "regex") {
+    const flags = question.caseSensitive ? "" : "i";
+    return question.acceptedAnswers.some((pattern) =>
+      new RegExp(`^(?:${pattern})$`, flags).test(answer)
+    );
+  }
+  const normalize = (text) =>
+    question.caseSensitive ? text.trim() : text.trim().toLowerCase();
+  return question.acceptedAnswers.some(
+    (accepted) => normalize(accepted) === normalize(answer)
+  );
+};
+
+// Return true when the response fully answers the question
+const isCorrect = (question, response) => {
+  if (response === undefined || response === null) return false;
+
+  switch (question.type) {
+    case "single_choice": {
+      const [chosen] = toIndexes(response);
+      return chosen === question.correctOptions[0];
+    }
+    case "multiple_choice": {
+      const chosen = [...new Set(toIndexes(response))].sort();
+      const expected = [...question.correctOptions].sort();
+      return (
+        chosen.length === expected.length &&
+        chosen.every((index, i) => index === expected[i])
+      );
+    }
+    case "true_false":
+      return toBoolean(response) === question.correctAnswer;
+    case "short_answer":
+      return matchesShortAnswer(question, response);
+    default:
+      return false;
+  }
+};
+
+// Grade a list of { questionId, response } against a quiz. Unanswered
+// questions score zero.
+const gradeQuiz = (quiz, answers = []) => {
+  const responses = new Map(
+    answers.map((answer) => [String(answer.questionId), answer.response])
+  );
+
+  let score = 0;
+  let maxScore = 0;
+  const graded = quiz.questions.map((question) => {
+    const response = responses.get(String(question._id));
+    const correct = isCorrect(question, response);
+    const pointsAwarded = correct ? question.points : 0;
+    score += pointsAwarded;
+    maxScore += question.points;
+    return { questionId: question._id, response, correct, pointsAwarded };
+  });
+
+  const percentage = maxScore ? Math.round((score / maxScore) * 100) : 0;
+  return {
+    answers: graded,
+    score,
+    maxScore,
+    percentage,
+    passed: percentage >= quiz.passingScore,
+  };
+};
+
+// Strip answer keys from a quiz before sending it to a learner
+const toPublicQuiz = (quiz) => ({
+  _id: quiz._id,
+  title: quiz.title,
+  description: quiz.description,
+  courseId: quiz.courseId,
+  lessonId: quiz.lessonId,
+  topicId: quiz.topicId,
+  passingScore: quiz.passingScore,
+  maxAttempts: quiz.maxAttempts,
+  questions: quiz.questions.map((question) => ({
+    _id: question._id,
+    type: question.type,
+    prompt: question.prompt,
+    points: question.points,
+    options:
+      question.type === "single_choice" || question.type === "multiple_choice"
+        ? question.options
+        : undefined,
+  })),
+});
+
+module.exports = { isCorrect, gradeQuiz, toPublicQuiz };
@@ -0,0 +1,61 @@
+const createMemoryStore = require("./memoryStore");
+const createMongoStore = require("./mongoStore");
+
+const stores = {
+  memory: createMemoryStore,
+  mongo: createMongoStore,
+};
+
+// Parse a limit written as "<max>/<minutes>", e.g. "20/15" for 20 requests
+// every 15 minutes
+const parseRateLimit = (value, fallback) => {
+  const match = /^\s*(\d+)\s*\/\s*(\d+)\s*$/.exec(value || "");
+  const [max, minutes] = match
+    ? [Number(match[1]), Number(match[2])]
+    : fallback.split("/").map(Number);
+  return { max, windowMs: minutes * 60 * 1000 };
+};
+
+// Limits on the authentication endpoints, each configurable with its
+// environment variable
+const RATE_LIMITS = {
+  loginPerIp: parseRateLimit(process.env.RATE_LIMIT_LOGIN_IP, "20/15"),
+  loginPerAccount: parseRateLimit(
+    process.env.RATE_LIMIT_LOGIN_ACCOUNT,
+    "10/15"
+  ),
+  signupPerIp: parseRateLimit(process.env.RATE_LIMIT_SIGNUP_IP, "5/60"),
+};
+
+// The store key counting the requests of one client or account
+const rateLimitKey = (name, value) => `${name}:${value}`;
+
+let store;
+
+// The store is picked with RATE_LIMIT_STORE (memory or mongo) on first use.
+// Every store offers increment(key, windowMs), resolving to the key's
+// { count, resetAt } in the current window, and reset(key).
+const getRateLimitStore = () => {
+  if (!store) {
+    const name = process.env.RATE_LIMIT_STORE || "memory";
+    const factory = stores[name];
+    if (!factory) throw new Error(`Unknown rate limit store: ${name}`);
+    store = factory();
+  }
+  return store;
+};
+
+// Swap the store, e.g. for Redis or in tests
+const setRateLimitStore = (customStore) => {
+  store = customStore;
+};
+
+module.exports = {
+  RATE_LIMITS,
+  parseRateLimit,
+  rateLimitKey,
+  getRateLimitStore,
+  setRateLimitStore,
+  createMemoryStore,
+  createMongoStore,
+};
@@ -0,0 +1,41 @@
+// Counts hits per key in this process's memory. Right for a single server;
+// when several instances (or Lambda functions) must share the limits use
+// the mongo store or a custom one.
+const createMemoryStore = ({
+  maxKeys = 10000,
+  sweepInterval = 60 * 1000,
+} = {}) => {
+  const counters = new Map();
+
+  // Drop the counters whose window has ended
+  const sweep = (now) => {
+    counters.forEach((counter, key) => {
+      if (counter.resetAt <= now) counters.delete(key);
+    });
+  };
+  // Keys that are never hit again would otherwise stay until maxKeys is
+  // reached. The timer does not keep the process alive.
+  setInterval(() => sweep(Date.now()), sweepInterval).unref();
+
+  return {
+    name: "memory",
+
+    async increment(key, windowMs) {
+      const now = Date.now();
+      let counter = counters.get(key);
+      if (!counter || counter.resetAt <= now) {
+        if (counters.size >= maxKeys) sweep(now);
+        counter = { count: 0, resetAt: now + windowMs };
+        counters.set(key, counter);
+      }
+      counter.count++;
+      return { count: counter.count, resetAt: new Date(counter.resetAt) };
+    },
+
+    async reset(key) {
+      counters.delete(key);
+    },
+  };
+};
+
+module.exports = createMemoryStore;
@@ -0,0 +1,46 @@
+const RateLimitCounter = require("../../models/rateLimitCounter");
+
+// Keeps the counters in MongoDB so every instance of the API shares them.
+// Each hit is a single atomic update that also starts a new window once the
+// previous one has ended.
+const createMongoStore = () => {
+  const increment = async (key, windowMs, retried = false) => {
+    const now = new Date();
+    const inWindow = { $gt: ["$resetAt", now] };
+    try {
+      const counter = await RateLimitCounter.findOneAndUpdate(
+        { key },
+        [
+          {
+            $set: {
+              count: { $cond: [inWindow, { $add: ["$count", 1] }, 1] },
+              resetAt: {
+                $cond: [
+                  inWindow,
+                  "$resetAt",
+                  new Date(now.getTime() + windowMs),
+                ],
+              },
+            },
+          },
+        ],
+        { upsert: true, new: true }
+      );
+      return { count: counter.count, resetAt: counter.resetAt };
+    } catch (err) {
+      // Two first hits raced to create the counter; the loser retries
+      if (err.code === 11000 && !retried) return increment(key, windowMs, true);
+      throw err;
+    }
+  };
+
+  return {
+    name: "mongo",
+    increment: (key, windowMs) => increment(key, windowMs),
+    async reset(key) {
+      await RateLimitCounter.deleteOne({ key });
+    },
+  };
+};
+
+module.exports = createMongoStore;
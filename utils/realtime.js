@@ -0,0 +1,127 @@
+const Course = require("../models/course");
+const Lesson = require("../models/lesson");
+const { publishEvent, getEventBus } = require("./events");
+const { isLive, liveFilter, previewableCourses } = require("./publishing");
+
+// Real-time events are published on a topic: user:<id> for what concerns
+// one user on all of their devices (progress, enrollments, notifications),
+// course:<id> for changes to a course's content. Clients receive them over
+// GET /api/events (routes/realtimeRoutes.js).
+
+const CONTENT_ENTITIES = ["Course", "Lesson", "Topic", "Quiz"];
+
+const userTopic = (userId) => `user:${userId}`;
+const courseTopic = (courseId) => `course:${courseId}`;
+
+const publishToUser = (userId, type, data) =>
+  publishEvent(userTopic(userId), type, data);
+
+const eitherLive = (before, after) =>
+  [before, after].some((doc) => doc && isLive(doc));
+
+// The course a content change belongs to, and whether learners could see
+// the content before or after it: the content and everything above it must
+// be live (quizzes follow their lesson). Null when the content no longer
+// belongs anywhere.
+const contentScope = async (entity, before, after) => {
+  const doc = after || before;
+  if (entity === "Course") {
+    return { courseId: doc._id, live: eitherLive(before, after) };
+  }
+
+  let lesson = doc;
+  let live = entity === "Quiz" || eitherLive(before, after);
+  if (entity !== "Lesson") {
+    lesson = await Lesson.findById(doc.lessonId, "courseId status publishedAt");
+    if (!lesson) return null;
+    live = live && isLive(lesson);
+  }
+  const courseLive = await Course.exists({
+    _id: lesson.courseId,
+    ...liveFilter(),
+  });
+  return { courseId: lesson.courseId, live: live && !!courseLive };
+};
+
+// Tell clients that a course's content changed, from the audit event
+// recorded for the change (see middleware/auditMiddleware.js). Changes to
+// content learners cannot see only reach those who may preview the course.
+// Scheduled content is not announced again when it goes live.
+const publishContentChange = async ({
+  action,
+  entity,
+  entityId,
+  before,
+  after,
+}) => {
+  if (!CONTENT_ENTITIES.includes(entity) || !(before || after)) return;
+  try {
+    const scope = await contentScope(entity, before, after);
+    if (!scope) return;
+    await publishEvent(courseTopic(scope.courseId), "content.changed", {
+      action,
+      entity,
+      id: entityId,
+      courseId: scope.courseId,
+      live: scope.live,
+    });
+  } catch (err) {
+    console.error(`Failed to publish ${action}:`, err);
+  }
+};
+
+// Listen to the events `user` may receive, calling send(event) for each in
+// the order they were published: their own events, and changes to the
+// courses they can see (live content of live courses, and anything in the
+// courses they may preview). Returns a function that stops listening.
+const subscribeUser = (user, send) => {
+  const ownTopic = userTopic(user._id);
+  // Resolves to null when the user may preview every course. If the
+  // courses cannot be read, only live content is sent.
+  const findPreviewable = () =>
+    previewableCourses(user).then(
+      (ids) => ids && new Set(ids.map(String)),
+      (err) => {
+        console.error(`Failed to find the courses ${user._id} teaches:`, err);
+        return new Set();
+      }
+    );
+  let previewable = findPreviewable();
+
+  const canReceive = async ({ topic, data }) => {
+    if (topic === ownTopic) return true;
+    if (!topic.startsWith("course:")) return false;
+    if (data.live) return true;
+    // Courses are given to (or taken from) instructors by course changes
+    if (data.entity === "Course") previewable = findPreviewable();
+    const courses = await previewable;
+    return !courses || courses.has(data.courseId);
+  };
+
+  let closed = false;
+  let queue = Promise.resolve();
+  const unsubscribe = getEventBus().subscribe((event) => {
+    queue = queue
+      .then(() => canReceive(event))
+      .then((allowed) => {
+        if (allowed && !closed) send(event);
+      })
+      .catch((err) =>
+        console.error(`Failed to deliver ${event.type} to ${user._id}:`, err)
+      );
+  });
+
+  return () => {
+    closed = true;
+    unsubscribe();
+  };
+};
+
+module.exports = {
+  CONTENT_ENTITIES,
+  userTopic,
+  courseTopic,
+  publishToUser,
+  publishContentChange,
+  subscribeUser,
+};
@@ -0,0 +1,368 @@
+const tf = require("@tensorflow/tfjs");
+const Course = require("../models/course");
+const Enrollment = require("../models/enrollment");
+const Progress = require("../models/progress");
+const RecommendationModel = require("../models/recommendationModel");
+const { liveFilter } = require("./publishing");
+
+// Course recommendations by matrix factorization of implicit feedback.
+//
+// Training (offline, see scripts/trainRecommendations.js) turns enrollments
+// and completed lessons/topics into a score per user and course, and learns
+// an embedding for every user and course so that sigmoid(user . course +
+// bias) predicts that score. Courses a user never touched are sampled as
+// negatives. Serving only needs the saved embeddings: a user's courses are
+// ranked by the same dot product, similar courses by cosine similarity.
+// When there is too little data, both fall back to the most enrolled
+// courses.
+
+const TRAINING_DEFAULTS = {
+  factors: 16,
+  epochs: 150,
+  learningRate: 0.05,
+  negativesPerPositive: 2,
+  l2: 0.001,
+  seed: 42,
+};
+
+// Users with fewer enrollments than this get popular courses instead of
+// personal recommendations
+const MIN_USER_INTERACTIONS =
+  Number(process.env.RECOMMENDATION_MIN_INTERACTIONS) || 2;
+
+// How long a loaded model is used before checking for a newer one
+const MODEL_CACHE_MS = 5 * 60 * 1000;
+
+const COURSE_FIELDS =
+  "title description instructor price image ratingAverage ratingCount";
+
+// ---------------------------------------------------------------------------
+// Training
+
+// Implicit score in (0, 1] for a user and a course: enrolling counts for
+// most of it, every completed lesson or topic adds a little more
+const interactionScore = ({ enrolled, completed }) =>
+  Math.min(1, (enrolled ? 0.6 : 0.4) + 0.1 * completed);
+
+// Merge enrollments and completed progress records into one scored
+// interaction per user and course
+const buildInteractions = (enrollments, progress) => {
+  const pairs = new Map();
+  const pairFor = ({ userId, courseId }) => {
+    const key = `${userId}:${courseId}`;
+    if (!pairs.has(key)) {
+      pairs.set(key, {
+        userId: String(userId),
+        courseId: String(courseId),
+        enrolled: false,
+        completed: 0,
+      });
+    }
+    return pairs.get(key);
+  };
+
+  enrollments.forEach((enrollment) => {
+    pairFor(enrollment).enrolled = true;
+  });
+  progress
+    .filter((record) => record.status === "completed")
+    .forEach((record) => {
+      pairFor(record).completed++;
+    });
+
+  return [...pairs.values()].map(({ userId, courseId, ...signals }) => ({
+    userId,
+    courseId,
+    score: interactionScore(signals),
+  }));
+};
+
+// Small deterministic random generator so training runs are repeatable
+const createRandom = (seed) => {
+  let state = seed >>> 0 || 1;
+  return () => {
+    state = (state * 1664525 + 1013904223) >>> 0;
+    return state / 2 ** 32;
+  };
+};
+
+// Learn user and course embeddings from scored interactions. Returns plain
+// arrays ready to be saved.
+const trainModel = async (interactions, options = {}) => {
+  const { factors, epochs, learningRate, negativesPerPositive, l2, seed } = {
+    ...TRAINING_DEFAULTS,
+    ...options,
+  };
+  const userIds = [...new Set(interactions.map((i) => i.userId))];
+  const courseIds = [...new Set(interactions.map((i) => i.courseId))];
+  const userIndex = new Map(userIds.map((id, index) => [id, index]));
+  const courseIndex = new Map(courseIds.map((id, index) => [id, index]));
+
+  const rows = [];
+  const cols = [];
+  const targets = [];
+  const seen = new Map(userIds.map((id) => [id, new Set()]));
+  interactions.forEach(({ userId, courseId, score }) => {
+    rows.push(userIndex.get(userId));
+    cols.push(courseIndex.get(courseId));
+    targets.push(score);
+    seen.get(userId).add(courseId);
+  });
+
+  // Negatives: courses the user has not interacted with
+  const random = createRandom(seed);
+  seen.forEach((courses, userId) => {
+    const unseen = courseIds.filter((id) => !courses.has(id));
+    const count = Math.min(unseen.length, courses.size * negativesPerPositive);
+    for (let n = 0; n < count; n++) {
+      const pick = Math.floor(random() * (unseen.length - n)) + n;
+      [unseen[n], unseen[pick]] = [unseen[pick], unseen[n]];
+      rows.push(userIndex.get(userId));
+      cols.push(courseIndex.get(unseen[n]));
+      targets.push(0);
+    }
+  });
+
+  const users = tf.variable(
+    tf.randomNormal([userIds.length, factors], 0, 0.1, "float32", seed)
+  );
+  const courses = tf.variable(
+    tf.randomNormal([courseIds.length, factors], 0, 0.1, "float32", seed + 1)
+  );
+  const bias = tf.variable(tf.zeros([courseIds.length]));
+  const rowTensor = tf.tensor1d(rows, "int32");
+  const colTensor = tf.tensor1d(cols, "int32");
+  const targetTensor = tf.tensor1d(targets);
+  const optimizer = tf.train.adam(learningRate);
+
+  let loss = 0;
+  for (let epoch = 0; epoch < epochs; epoch++) {
+    const cost = optimizer.minimize(() => {
+      const u = tf.gather(users, rowTensor);
+      const c = tf.gather(courses, colTensor);
+      const logits = tf.sum(tf.mul(u, c), 1).add(tf.gather(bias, colTensor));
+      const error = tf.losses.sigmoidCrossEntropy(targetTensor, logits);
+      const penalty = tf
+        .add(tf.sum(tf.square(u)), tf.sum(tf.square(c)))
+        .mul(l2 / rows.length);
+      return error.add(penalty);
+    }, true);
+    if (epoch === epochs - 1) loss = (await cost.data())[0];
+    cost.dispose();
+  }
+
+  const model = {
+    factors,
+    userIds,
+    userFactors: await users.array(),
+    courseIds,
+    courseFactors: await courses.array(),
+    courseBias: Array.from(await bias.data()),
+    interactions: interactions.length,
+    loss,
+  };
+  [users, courses, bias, rowTensor, colTensor, targetTensor].forEach((t) =>
+    t.dispose()
+  );
+  optimizer.dispose();
+  return model;
+};
+
+// Train on everything in the database and save the weights, replacing the
+// previous model
+const trainRecommendations = async (options = {}) => {
+  const [enrollments, progress] = await Promise.all([
+    Enrollment.find({}, "userId courseId").lean(),
+    Progress.find({ status: "completed" }, "userId courseId status").lean(),
+  ]);
+  const interactions = buildInteractions(enrollments, progress);
+  const trained = interactions.length
+    ? await trainModel(interactions, options)
+    : { factors: 0, interactions: 0 };
+
+  const saved = await RecommendationModel.create(trained);
+  await RecommendationModel.deleteMany({ _id: { $ne: saved._id } });
+  invalidateModel();
+  return {
+    users: (trained.userIds || []).length,
+    courses: (trained.courseIds || []).length,
+    interactions: trained.interactions,
+    loss: trained.loss,
+    trainedAt: saved.trainedAt,
+  };
+};
+
+// ---------------------------------------------------------------------------
+// Scoring (pure functions over a prepared model)
+
+const dot = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0);
+
+const cosine = (a, b) => {
+  const norms = Math.sqrt(dot(a, a)) * Math.sqrt(dot(b, b));
+  return norms ? dot(a, b) / norms : 0;
+};
+
+// Index a saved model by ID
+const prepareModel = (doc) => ({
+  ...doc,
+  userIndex: new Map(doc.userIds.map((id, index) => [String(id), index])),
+  courseIndex: new Map(doc.courseIds.map((id, index) => [String(id), index])),
+});
+
+// A user's embedding, or for users who joined after training the average
+// embedding of the courses they are enrolled in
+const userVector = (model, userId, enrolledIds) => {
+  const index = model.userIndex.get(String(userId));
+  if (index !== undefined) return model.userFactors[index];
+
+  const known = enrolledIds
+    .map((id) => model.courseIndex.get(String(id)))
+    .filter((i) => i !== undefined);
+  if (!known.length) return null;
+  return model.courseFactors[known[0]].map(
+    (_, f) =>
+      known.reduce((sum, i) => sum + model.courseFactors[i][f], 0) /
+      known.length
+  );
+};
+
+// Courses ranked for a user, best first, leaving out the excluded ones.
+// Returns null when the model knows nothing about the user.
+const rankForUser = (model, userId, enrolledIds) => {
+  const vector = userVector(model, userId, enrolledIds);
+  if (!vector) return null;
+  const exclude = new Set(enrolledIds.map(String));
+  return model.courseIds
+    .map((id, i) => ({
+      courseId: String(id),
+      score: dot(vector, model.courseFactors[i]) + model.courseBias[i],
+    }))
+    .filter(({ courseId }) => !exclude.has(courseId))
+    .sort((a, b) => b.score - a.score);
+};
+
+// Courses most similar to a course, or null if the model does not know it
+const rankSimilar = (model, courseId) => {
+  const index = model.courseIndex.get(String(courseId));
+  if (index === undefined) return null;
+  const vector = model.courseFactors[index];
+  return model.courseIds
+    .map((id, i) => ({
+      courseId: String(id),
+      score: cosine(vector, model.courseFactors[i]),
+    }))
+    .filter((_, i) => i !== index)
+    .sort((a, b) => b.score - a.score);
+};
+
+// ---------------------------------------------------------------------------
+// Serving
+
+let cached = null;
+
+const invalidateModel = () => {
+  cached = null;
+};
+
+// The newest trained model, or null if none has been trained
+const loadModel = async () => {
+  if (!cached || Date.now() - cached.loadedAt > MODEL_CACHE_MS) {
+    const doc = await RecommendationModel.findOne()
+      .sort({ trainedAt: -1 })
+      .lean();
+    cached = {
+      model: doc && doc.factors ? prepareModel(doc) : null,
+      loadedAt: Date.now(),
+    };
+  }
+  return cached.model;
+};
+
+// Courses by number of enrolled users, then the newest published courses
+// nobody has enrolled in yet
+const rankPopular = async (excludeIds) => {
+  const exclude = new Set(excludeIds.map(String));
+  const counts = await Enrollment.aggregate([
+    { $group: { _id: "$courseId", users: { $sum: 1 } } },
+    { $sort: { users: -1, _id: 1 } },
+  ]);
+  const ranked = counts.map(({ _id, users }) => ({
+    courseId: String(_id),
+    score: users,
+  }));
+  const others = await Course.find(
+    { _id: { $nin: counts.map(({ _id }) => _id) }, ...liveFilter() },
+    "_id"
+  )
+    .sort({ _id: -1 })
+    .lean();
+  others.forEach(({ _id }) => ranked.push({ courseId: String(_id), score: 0 }));
+  return ranked.filter(({ courseId }) => !exclude.has(courseId));
+};
+
+// Load the top `limit` ranked courses that still exist and are published,
+// keeping the order
+const loadRankedCourses = async (ranked, limit) => {
+  const candidates = ranked.slice(0, limit * 3);
+  const courses = await Course.find(
+    {
+      _id: { $in: candidates.map(({ courseId }) => courseId) },
+      ...liveFilter(),
+    },
+    COURSE_FIELDS
+  );
+  const byId = new Map(courses.map((course) => [String(course._id), course]));
+  return candidates
+    .filter(({ courseId }) => byId.has(courseId))
+    .slice(0, limit)
+    .map(({ courseId, score }) => ({
+      course: byId.get(courseId),
+      score: Math.round(score * 1000) / 1000,
+    }));
+};
+
+// Recommendations for a user: { strategy: "personalized" | "popular", courses }
+const recommendForUser = async (userId, limit) => {
+  const [model, enrollments] = await Promise.all([
+    loadModel(),
+    Enrollment.find({ userId }, "courseId").lean(),
+  ]);
+  const enrolledIds = enrollments.map((enrollment) => enrollment.courseId);
+
+  let ranked =
+    model && enrolledIds.length >= MIN_USER_INTERACTIONS
+      ? rankForUser(model, userId, enrolledIds)
+      : null;
+  let strategy = "personalized";
+  if (!ranked || !ranked.length) {
+    strategy = "popular";
+    ranked = await rankPopular(enrolledIds);
+  }
+  return { strategy, courses: await loadRankedCourses(ranked, limit) };
+};
+
+// Courses similar to a course: { strategy: "similar" | "popular", courses }
+const similarCourses = async (courseId, limit) => {
+  const model = await loadModel();
+  let ranked = model ? rankSimilar(model, courseId) : null;
+  let strategy = "similar";
+  if (!ranked || !ranked.length) {
+    strategy = "popular";
+    ranked = await rankPopular([courseId]);
+  }
+  return { strategy, courses: await loadRankedCourses(ranked, limit) };
+};
+
+module.exports = {
+  TRAINING_DEFAULTS,
+  interactionScore,
+  buildInteractions,
+  trainModel,
+  trainRecommendations,
+  prepareModel,
+  rankForUser,
+  rankSimilar,
+  invalidateModel,
+  recommendForUser,
+  similarCourses,
+};
@@ -0,0 +1,75 @@
+const mongoose = require("mongoose");
+const Course = require("../models/course");
+const Enrollment = require("../models/enrollment");
+const Review = require("../models/review");
+
+class ReviewError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "ReviewError";
+    this.status = status;
+  }
+}
+
+// Average rating rounded to two decimals, 0 for a course without ratings
+const ratingSummary = (total, count) => ({
+  ratingAverage: count ? Math.round((total / count) * 100) / 100 : 0,
+  ratingCount: count,
+});
+
+// Recompute Course.ratingAverage and ratingCount from the course's visible
+// reviews. Recomputing rather than adjusting keeps concurrent reviews from
+// drifting the totals.
+const refreshCourseRating = async (courseId) => {
+  const [totals] = await Review.aggregate([
+    {
+      $match: {
+        courseId: new mongoose.Types.ObjectId(String(courseId)),
+        hidden: false,
+      },
+    },
+    { $group: { _id: null, total: { $sum: "$rating" }, count: { $sum: 1 } } },
+  ]);
+  const { total = 0, count = 0 } = totals || {};
+  const summary = ratingSummary(total, count);
+  await Course.updateOne({ _id: courseId }, summary);
+  return summary;
+};
+
+// Review a course as an enrolled learner; a user reviews a course once
+const createReview = async (user, course, { rating, text }) => {
+  const enrolled = await Enrollment.exists({
+    userId: user._id,
+    courseId: course._id,
+  });
+  if (!enrolled) {
+    throw new ReviewError(
+      "Only learners enrolled in the course can review it",
+      403
+    );
+  }
+
+  let review;
+  try {
+    review = await Review.create({
+      courseId: course._id,
+      userId: user._id,
+      rating,
+      text,
+    });
+  } catch (err) {
+    if (err.code === 11000) {
+      throw new ReviewError("You have already reviewed this course", 409);
+    }
+    throw err;
+  }
+  await refreshCourseRating(course._id);
+  return review;
+};
+
+module.exports = {
+  ReviewError,
+  ratingSummary,
+  refreshCourseRating,
+  createReview,
+};
@@ -0,0 +1,98 @@
+const { MAX_LIMIT } = require("./queryHelper");
+
+// Helpers for writing request schemas. Schemas are plain JSON Schema,
+// limited to what OpenAPI 3.0 understands, so the same objects validate
+// requests (middleware/validationMiddleware.js) and document them in
+// /api-docs (utils/apiDocs.js).
+
+const string = (options = {}) => ({ type: "string", ...options });
+const number = (options = {}) => ({ type: "number", ...options });
+const integer = (options = {}) => ({ type: "integer", ...options });
+const boolean = (options = {}) => ({ type: "boolean", ...options });
+const objectId = (options = {}) => ({
+  type: "string",
+  format: "objectId",
+  ...options,
+});
+const array = (items, options = {}) => ({ type: "array", items, ...options });
+
+// An object schema. Properties not listed are stripped from requests.
+const object = (properties, { required = [], ...options } = {}) => ({
+  type: "object",
+  properties,
+  ...(required.length ? { required } : {}),
+  additionalProperties: false,
+  ...options,
+});
+
+// Path parameters holding document IDs, e.g. idParams("id")
+const idParams = (...names) =>
+  object(Object.fromEntries(names.map((name) => [name, objectId()])), {
+    required: names,
+  });
+
+// Query filter operators understood by utils/queryHelper.js
+const FILTER_OPERATORS = [
+  "eq",
+  "ne",
+  "gt",
+  "gte",
+  "lt",
+  "lte",
+  "in",
+  "contains",
+];
+
+// Query string of a list endpoint using paginate(). `filters` is the same
+// field-to-type map that is passed to paginate(); values stay strings here
+// and are cast by the query helper.
+const listQuery = (filters = {}, extra = {}) =>
+  object({
+    page: integer({
+      minimum: 1,
+      description: "Page number (page-based pagination)",
+    }),
+    limit: integer({
+      minimum: 1,
+      maximum: MAX_LIMIT,
+      description: "Items per page",
+    }),
+    cursor: string({
+      description:
+        "Cursor from pagination.nextCursor; pass an empty value to start cursor-based pagination",
+    }),
+    sort: string({
+      description:
+        'Comma-separated sort fields, prefix with "-" for descending (e.g. -price,title)',
+    }),
+    fields: string({
+      description: "Comma-separated fields to return (e.g. title,price)",
+    }),
+    ...Object.fromEntries(
+      Object.entries(filters).map(([field, type]) => [
+        field,
+        {
+          anyOf: [
+            string(),
+            object(
+              Object.fromEntries(FILTER_OPERATORS.map((op) => [op, string()]))
+            ),
+          ],
+          description: `Filter on ${field} (${type}), e.g. ${field}=value or ${field}[gte]=value`,
+        },
+      ])
+    ),
+    ...extra,
+  });
+
+module.exports = {
+  string,
+  number,
+  integer,
+  boolean,
+  objectId,
+  array,
+  object,
+  idParams,
+  listQuery,
+};
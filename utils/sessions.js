@@ -0,0 +1,104 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const jwt = require("jsonwebtoken");
+const Session = require("../models/session");
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const newRefreshExpiry = () =>
+  new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+const signAccessToken = (user, session) =>
+  jwt.sign(
+    { id: user._id, role: user.role, sid: session._id },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+
+// Refresh tokens look like "<sessionId>.<secret>" so the session can be
+// found without scanning hashes
+const issueRefreshToken = (session) => {
+  const secret = crypto.randomBytes(32).toString("hex");
+  session.refreshTokenHash = hashToken(secret);
+  return `${session._id}.${secret}`;
+};
+
+// Start a new session for a user logging in from this request
+const createSession = async (user, req) => {
+  const session = new Session({
+    userId: user._id,
+    userAgent: req.headers["user-agent"],
+    ip: req.ip,
+    expiresAt: newRefreshExpiry(),
+  });
+  const refreshToken = issueRefreshToken(session);
+  await session.save();
+
+  return {
+    token: signAccessToken(user, session),
+    refreshToken,
+    session,
+  };
+};
+
+// Exchange a refresh token for a new access/refresh pair. The token is
+// swapped in a single update, so of two refreshes with the same token only
+// one succeeds. Presenting a refresh token that cannot be used (most often
+// one that has already been rotated, meaning it leaked) revokes the whole
+// session. Returns null when the token cannot be used.
+const rotateSession = async (refreshToken, req) => {
+  const [sessionId, secret] = String(refreshToken).split(".");
+  if (!sessionId || !secret || !mongoose.isValidObjectId(sessionId)) {
+    return null;
+  }
+
+  const now = new Date();
+  const newSecret = crypto.randomBytes(32).toString("hex");
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: sessionId,
+      refreshTokenHash: hashToken(secret),
+      revokedAt: null,
+      expiresAt: { $gt: now },
+    },
+    {
+      $set: {
+        refreshTokenHash: hashToken(newSecret),
+        lastUsedAt: now,
+        ip: req.ip,
+        expiresAt: newRefreshExpiry(),
+        ...(req.headers["user-agent"]
+          ? { userAgent: req.headers["user-agent"] }
+          : {}),
+      },
+    },
+    { new: true }
+  );
+  if (!session) {
+    await Session.updateOne(
+      { _id: sessionId, revokedAt: null },
+      { $set: { revokedAt: now } }
+    );
+    return null;
+  }
+
+  return { session, refreshToken: `${session._id}.${newSecret}` };
+};
+
+const revokeSession = (filter) =>
+  Session.updateMany(
+    { ...filter, revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date() } }
+  );
+
+module.exports = {
+  hashToken,
+  signAccessToken,
+  createSession,
+  rotateSession,
+  revokeSession,
+};
@@ -0,0 +1,39 @@
+const createLocalDriver = require("./localDriver");
+const createS3Driver = require("./s3Driver");
+
+const drivers = {
+  local: createLocalDriver,
+  s3: createS3Driver,
+};
+
+let storage;
+
+// The driver is picked with STORAGE_DRIVER (local or s3) on first use. On
+// AWS Lambda, where the project directory is read-only, it defaults to s3.
+// Every driver offers put(key, body, contentType), putFile(key, path,
+// contentType) for a file on the local disk, get(key) (resolving to a
+// Buffer, or null for a missing key), stat(key) (resolving to { size,
+// modifiedAt }, or null), getStream(key, { start, end }) for reading a byte range,
+// delete(key), exists(key), list() and url(key).
+//
+// Keys under private/ are never served publicly by the local driver; with
+// S3, keep the bucket policy from making them public-read. They are
+// streamed through the API with signed URLs instead (utils/video.js).
+const getStorage = () => {
+  if (!storage) {
+    const name =
+      process.env.STORAGE_DRIVER ||
+      (process.env.AWS_LAMBDA_FUNCTION_NAME ? "s3" : "local");
+    const factory = drivers[name];
+    if (!factory) throw new Error(`Unknown storage driver: ${name}`);
+    storage = factory();
+  }
+  return storage;
+};
+
+// Swap the driver, e.g. in tests
+const setStorage = (driver) => {
+  storage = driver;
+};
+
+module.exports = { getStorage, setStorage, createLocalDriver, createS3Driver };
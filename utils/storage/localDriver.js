@@ -0,0 +1,113 @@
+const fs = require("fs/promises");
+const { createReadStream } = require("fs");
+const path = require("path");
+
+const DEFAULT_ROOT = path.resolve(__dirname, "..", "..", "uploads");
+
+// Stores files on the local disk under `root`. Files are served by the
+// express.static handler mounted on /uploads in app.js.
+const createLocalDriver = ({
+  root = process.env.UPLOADS_DIR
+    ? path.resolve(process.env.UPLOADS_DIR)
+    : DEFAULT_ROOT,
+  baseUrl = process.env.PUBLIC_URL ||
+    `http://localhost:${process.env.PORT || 3000}`,
+} = {}) => {
+  // Map a key to a path inside root, refusing keys that escape it
+  const resolveKey = (key) => {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return file;
+  };
+
+  const walk = async (dir) => {
+    let entries;
+    try {
+      entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch (err) {
+      if (err.code === "ENOENT") return [];
+      throw err;
+    }
+    const files = await Promise.all(
+      entries
+        .filter((entry) => !entry.name.startsWith("."))
+        .map((entry) => {
+          const full = path.join(dir, entry.name);
+          return entry.isDirectory() ? walk(full) : [full];
+        })
+    );
+    return files.flat();
+  };
+
+  return {
+    name: "local",
+    root,
+
+    put: async (key, body) => {
+      const file = resolveKey(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, body);
+    },
+
+    // Copy a file from the local disk, e.g. an upload multer saved there
+    putFile: async (key, source) => {
+      const file = resolveKey(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.copyFile(source, file);
+    },
+
+    // The file's content, or null when there is none
+    get: async (key) => {
+      try {
+        return await fs.readFile(resolveKey(key));
+      } catch (err) {
+        if (err.code === "ENOENT") return null;
+        throw err;
+      }
+    },
+
+    // { size, modifiedAt } of the file, or null when there is none
+    stat: async (key) => {
+      try {
+        const stats = await fs.stat(resolveKey(key));
+        return { size: stats.size, modifiedAt: stats.mtime };
+      } catch (err) {
+        if (err.code === "ENOENT") return null;
+        throw err;
+      }
+    },
+
+    // A stream of the file's bytes from start to end (inclusive), or of
+    // the whole file
+    getStream: async (key, { start, end } = {}) =>
+      createReadStream(resolveKey(key), { start, end }),
+
+    delete: async (key) => {
+      try {
+        await fs.unlink(resolveKey(key));
+      } catch (err) {
+        if (err.code !== "ENOENT") throw err;
+      }
+    },
+
+    exists: async (key) => {
+      try {
+        await fs.access(resolveKey(key));
+        return true;
+      } catch (err) {
+        return false;
+      }
+    },
+
+    list: async () =>
+      (await walk(root)).map((file) =>
+        path.relative(root, file).split(path.sep).join("/")
+      ),
+
+    url: (key) => `${baseUrl}/uploads/${key}`,
+  };
+};
+
+module.exports = createLocalDriver;
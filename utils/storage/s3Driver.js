@@ -0,0 +1,138 @@
+const fs = require("fs");
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  HeadObjectCommand,
+  ListObjectsV2Command,
+} = require("@aws-sdk/client-s3");
+
+// Stores files in an S3 bucket. Setting S3_ENDPOINT points it at any
+// S3-compatible server (MinIO, LocalStack, ...), using path-style URLs.
+const createS3Driver = ({
+  bucket = process.env.S3_BUCKET,
+  region = process.env.S3_REGION || "us-east-1",
+  endpoint = process.env.S3_ENDPOINT,
+  accessKeyId = process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey = process.env.S3_SECRET_ACCESS_KEY,
+  publicUrl = process.env.S3_PUBLIC_URL,
+  client,
+} = {}) => {
+  if (!bucket) throw new Error("S3_BUCKET is required for the s3 driver");
+
+  const s3 =
+    client ||
+    new S3Client({
+      region,
+      endpoint,
+      forcePathStyle: !!endpoint,
+      credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined,
+    });
+
+  const baseUrl =
+    publicUrl ||
+    (endpoint
+      ? `${endpoint.replace(/\/$/, "")}/${bucket}`
+      : `https://${bucket}.s3.${region}.amazonaws.com`);
+
+  return {
+    name: "s3",
+    bucket,
+    client: s3,
+
+    put: (key, body, contentType) =>
+      s3.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          Body: body,
+          ContentType: contentType,
+        })
+      ),
+
+    putFile: async (key, source, contentType) =>
+      s3.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          Body: fs.createReadStream(source),
+          ContentLength: (await fs.promises.stat(source)).size,
+          ContentType: contentType,
+        })
+      ),
+
+    get: async (key) => {
+      try {
+        const object = await s3.send(
+          new GetObjectCommand({ Bucket: bucket, Key: key })
+        );
+        return Buffer.from(await object.Body.transformToByteArray());
+      } catch (err) {
+        if (err.name === "NoSuchKey" || err.$metadata?.httpStatusCode === 404) {
+          return null;
+        }
+        throw err;
+      }
+    },
+
+    stat: async (key) => {
+      try {
+        const head = await s3.send(
+          new HeadObjectCommand({ Bucket: bucket, Key: key })
+        );
+        return { size: head.ContentLength, modifiedAt: head.LastModified };
+      } catch (err) {
+        if (err.name === "NotFound" || err.$metadata?.httpStatusCode === 404) {
+          return null;
+        }
+        throw err;
+      }
+    },
+
+    getStream: async (key, { start, end } = {}) => {
+      const object = await s3.send(
+        new GetObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          Range: start === undefined ? undefined : `bytes=${start}-${end}`,
+        })
+      );
+      return object.Body;
+    },
+
+    delete: (key) =>
+      s3.send(new DeleteObjectCommand({ Bucket: bucket, Key: key })),
+
+    exists: async (key) => {
+      try {
+        await s3.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+        return true;
+      } catch (err) {
+        if (err.name === "NotFound" || err.$metadata?.httpStatusCode === 404) {
+          return false;
+        }
+        throw err;
+      }
+    },
+
+    list: async () => {
+      const keys = [];
+      let ContinuationToken;
+      do {
+        const page = await s3.send(
+          new ListObjectsV2Command({ Bucket: bucket, ContinuationToken })
+        );
+        (page.Contents || []).forEach((object) => keys.push(object.Key));
+        ContinuationToken = page.IsTruncated
+          ? page.NextContinuationToken
+          : undefined;
+      } while (ContinuationToken);
+      return keys;
+    },
+
+    url: (key) => `${baseUrl}/${key}`,
+  };
+};
+
+module.exports = createS3Driver;
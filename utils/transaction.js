@@ -0,0 +1,31 @@
+const mongoose = require("mongoose");
+
+// MongoDB only supports transactions on replica sets; a standalone server
+// used for local development rejects them with this code
+const TRANSACTIONS_UNSUPPORTED = 20; // IllegalOperation
+
+let warned = false;
+
+// Run fn(session) inside a transaction. On a server without transaction
+// support fn runs once without a session (null) instead.
+const withTransaction = async (fn) => {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await fn(session);
+    });
+    return result;
+  } catch (err) {
+    if (err.code !== TRANSACTIONS_UNSUPPORTED) throw err;
+    if (!warned) {
+      console.warn("MongoDB transactions unavailable, running without them");
+      warned = true;
+    }
+    return fn(null);
+  } finally {
+    await session.endSession();
+  }
+};
+
+module.exports = { withTransaction };
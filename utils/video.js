@@ -0,0 +1,148 @@
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const { getStorage } = require("./storage");
+const { MediaError, newKeyBase } = require("./media");
+
+// Video formats accepted for upload, recognised by their first bytes
+const VIDEO_FORMATS = {
+  mp4: {
+    contentType: "video/mp4",
+    extension: "mp4",
+    matches: (head) => head.toString("latin1", 4, 8) === "ftyp",
+  },
+  webm: {
+    contentType: "video/webm",
+    extension: "webm",
+    matches: (head) => head.readUInt32BE(0) === 0x1a45dfa3, // EBML header
+  },
+  ogg: {
+    contentType: "video/ogg",
+    extension: "ogv",
+    matches: (head) => head.toString("latin1", 0, 4) === "OggS",
+  },
+};
+const VIDEO_CONTENT_TYPES = Object.values(VIDEO_FORMATS).map(
+  (format) => format.contentType
+);
+const CAPTION_CONTENT_TYPE = "text/vtt";
+
+const MAX_VIDEO_SIZE = Number(process.env.MAX_VIDEO_SIZE) || 500 * 1024 * 1024;
+const MAX_CAPTION_SIZE = 1024 * 1024;
+
+// How long a signed media URL stays valid, in seconds (MEDIA_URL_TTL)
+const MEDIA_URL_TTL = Number(process.env.MEDIA_URL_TTL) || 2 * 60 * 60;
+
+// Content types of the stored files, by extension
+const CONTENT_TYPES_BY_EXTENSION = {
+  ...Object.fromEntries(
+    Object.values(VIDEO_FORMATS).map((format) => [
+      format.extension,
+      format.contentType,
+    ])
+  ),
+  vtt: CAPTION_CONTENT_TYPE,
+};
+
+const contentTypeOf = (key) =>
+  CONTENT_TYPES_BY_EXTENSION[key.split(".").pop()] ||
+  "application/octet-stream";
+
+// Check that an uploaded video (saved to a temporary file by multer) is of
+// an accepted format, judging by its content, and store it. Resolves to
+// the video to save on the lesson or topic.
+const saveVideo = async (file) => {
+  const handle = await fs.open(file.path, "r");
+  const head = Buffer.alloc(12);
+  try {
+    await handle.read(head, 0, head.length, 0);
+  } finally {
+    await handle.close();
+  }
+  const format = Object.values(VIDEO_FORMATS).find((candidate) =>
+    candidate.matches(head)
+  );
+  if (!format) {
+    throw new MediaError(
+      `Unsupported video type. Allowed: ${VIDEO_CONTENT_TYPES.join(", ")}`
+    );
+  }
+
+  const video = {
+    key: `${newKeyBase("private/videos")}.${format.extension}`,
+    contentType: format.contentType,
+    size: file.size,
+    captions: [],
+  };
+  await getStorage().putFile(video.key, file.path, format.contentType);
+  return video;
+};
+
+// Check that an uploaded caption file is WebVTT and store it, resolving to
+// its storage key
+const saveCaptions = async (file) => {
+  const text = file.buffer.toString("utf8").replace(/^\uFEFF/, "");
+  if (!/^WEBVTT(?:[ \t]|\r?\n|$)/.test(text)) {
+    throw new MediaError("Captions must be a WebVTT (.vtt) file");
+  }
+  const key = `${newKeyBase("private/captions")}.vtt`;
+  await getStorage().put(key, file.buffer, CAPTION_CONTENT_TYPE);
+  return key;
+};
+
+// ---------------------------------------------------------------------------
+// Signed URLs. Private media is streamed by GET /api/media/stream to anyone
+// holding a URL signed here, until it expires; access is checked when the
+// URL is handed out. URLs are signed with their own secret, never the JWT
+// secret, so that neither key can forge what the other signs.
+
+const signingSecret = () => {
+  const secret = process.env.MEDIA_URL_SECRET;
+  if (!secret) throw new Error("MEDIA_URL_SECRET must be set");
+  return secret;
+};
+
+const signature = (key, expires) =>
+  crypto
+    .createHmac("sha256", signingSecret())
+    .update(`${key}:${expires}`)
+    .digest("hex");
+
+// A URL streaming `key` for the next MEDIA_URL_TTL seconds
+const signMediaUrl = (key, now = Date.now()) => {
+  const expires = Math.floor(now / 1000) + MEDIA_URL_TTL;
+  const base = process.env.APP_URL || "http://localhost:3000";
+  const query = new URLSearchParams({
+    key,
+    expires: String(expires),
+    signature: signature(key, expires),
+  });
+  return {
+    url: `${base}/api/media/stream?${query}`,
+    expiresAt: new Date(expires * 1000),
+  };
+};
+
+// Whether the query of a signed URL is genuine and not yet expired
+const verifyMediaUrl = ({ key, expires, signature: received }) => {
+  if (!key || !expires || !received) return false;
+  if (Number(expires) * 1000 < Date.now()) return false;
+  const expected = Buffer.from(signature(key, expires));
+  const given = Buffer.from(String(received));
+  return (
+    expected.length === given.length && crypto.timingSafeEqual(expected, given)
+  );
+};
+
+module.exports = {
+  VIDEO_FORMATS,
+  VIDEO_CONTENT_TYPES,
+  CAPTION_CONTENT_TYPE,
+  MAX_VIDEO_SIZE,
+  MAX_CAPTION_SIZE,
+  MEDIA_URL_TTL,
+  contentTypeOf,
+  saveVideo,
+  saveCaptions,
+  signMediaUrl,
+  verifyMediaUrl,
+};